@@ -8,17 +8,11 @@ module.exports = {
   collectCoverage: true,
   coverageDirectory: 'coverage',
   coverageProvider: 'v8',
-  globals: {
-    PropertiesService: {},
-    SpreadsheetApp: {},
-    UrlFetchApp: {},
-    Utilities: {},
-  },
   moduleDirectories: ['node_modules'],
   moduleFileExtensions: ['js', 'ts', 'tsx', 'json'],
   preset: 'ts-jest',
   testEnvironment: 'node',
-  testMatch: ['**/tests/**/*.[jt]s?(x)'],
+  testMatch: ['**/tests/**/*.test.[jt]s?(x)'],
   transform: {
     '^.+\\.tsx?$': 'ts-jest',
   },
@@ -0,0 +1,250 @@
+/**
+ * Records what the script did in the "Activity Log" sheet: task changes written from reminder Docs and links,
+ * task sheets created, editors modified and emails sent.
+ * Entries are only appended, oldest first, and entries older than the retention period are removed at the end of each batch job.
+ * The sheet is protected so that only the owner can edit it. Entries of other users are kept in script properties and appended
+ * when the owner next records an entry or runs a batch job, e.g. from a trigger.
+ */
+class ActivityLog {
+    /**
+     * Returns the activity log sheet.
+     *
+     * @param {boolean} [create=false] - Whether to create the sheet at the end of the spreadsheet if it does not exist.
+     * @returns {GoogleAppsScript.Spreadsheet.Sheet|null} The sheet, or null if it does not exist and is not created.
+     */
+    static getSheet(create = false) {
+        let ss = SpreadsheetApp.getActiveSpreadsheet();
+        let sheet = ss.getSheetByName(ACTIVITY_LOG_SHEET_NAME);
+        if (!sheet && create) {
+            sheet = ss.insertSheet(ACTIVITY_LOG_SHEET_NAME, ss.getNumSheets());
+            sheet.getRange(1, 1, 1, ACTIVITY_LOG_HEADERS.length).setValues([ACTIVITY_LOG_HEADERS])
+                                                               .setBackground("#D3D3D3")
+                                                               .setFontWeight("bold")
+                                                               .setHorizontalAlignment("center");
+            sheet.getRange('A2:A').setNumberFormat('yyyy/M/d H:mm:ss');
+            sheet.setFrozenRows(1);
+
+            // Only the script and the owner add entries, so staff cannot alter the log
+            let protection = sheet.protect().setDescription('Activity log protection');
+            protection.removeEditors(protection.getEditors());
+            protection.addEditor(Session.getEffectiveUser());
+        }
+        return sheet;
+    }
+
+    /**
+     * Returns the person who made the change: the user running the script, or "Automation" when it runs from a trigger
+     * or the web app, where the user is not known.
+     *
+     * @returns {string} The email of the user or "Automation".
+     */
+    static getActor() {
+        return Session.getActiveUser().getEmail() || 'Automation';
+    }
+
+    /**
+     * Appends an entry to the activity log. Logging never stops the action being logged: errors are only written to the console.
+     *
+     * @param {Object} entry - { action: string, sheetName?: string, row?: number, staff?: string, before?: *, after?: *, actor?: string }.
+     *                         staff is the staff member the entry concerns, e.g. the staff of the task or the recipient of an email.
+     */
+    static record(entry) {
+        try {
+            let now = new Date();
+            let values = [
+                now,
+                entry.actor || ActivityLog.getActor(),
+                entry.action,
+                entry.sheetName || '',
+                entry.row || '',
+                entry.staff || '',
+                ActivityLog.formatValue(entry.before),
+                ActivityLog.formatValue(entry.after)
+            ];
+            let sheet = ActivityLog.getWritableSheet();
+            if (!sheet) {
+                PropertiesService.getScriptProperties().setProperty(
+                    `${SCRIPT_PROPERTY_KEY_ACTIVITY_LOG_PENDING}_${now.getTime()}_${Utilities.getUuid()}`, JSON.stringify(values));
+                return;
+            }
+            ActivityLog.appendPendingEntries(sheet);
+            sheet.appendRow(values);
+        } catch (e) {
+            console.error(`Failed to record ${entry.action} in the activity log: ${e.toString()}`);
+        }
+    }
+
+    /**
+     * Returns the activity log sheet if the user running the script can edit it, creating it if the user is the owner.
+     *
+     * @returns {GoogleAppsScript.Spreadsheet.Sheet|null} The sheet, or null if the user cannot edit it.
+     */
+    static getWritableSheet() {
+        let sheet = ActivityLog.getSheet();
+        if (!sheet) {
+            let owner = SpreadsheetApp.getActiveSpreadsheet().getOwner();
+            return !owner || owner.getEmail() === Session.getEffectiveUser().getEmail() ? ActivityLog.getSheet(true) : null;
+        }
+        return sheet.getProtections(SpreadsheetApp.ProtectionType.SHEET).every(protection => protection.canEdit()) ? sheet : null;
+    }
+
+    /**
+     * Appends the entries recorded by users who cannot edit the sheet, in the order they were recorded, and deletes them
+     * from the script properties.
+     *
+     * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The activity log sheet.
+     * @returns {number} The number of entries appended.
+     */
+    static appendPendingEntries(sheet) {
+        let scriptProperties = PropertiesService.getScriptProperties();
+        let keys = scriptProperties.getKeys()
+            .filter(key => key.startsWith(`${SCRIPT_PROPERTY_KEY_ACTIVITY_LOG_PENDING}_`))
+            .sort();
+        if (keys.length === 0) {
+            return 0;
+        }
+        let rows = keys.map(key => {
+            let values = JSON.parse(scriptProperties.getProperty(key));
+            values[0] = new Date(values[0]);
+            return values;
+        });
+        sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, ACTIVITY_LOG_HEADERS.length).setValues(rows);
+        keys.forEach(key => scriptProperties.deleteProperty(key));
+        return rows.length;
+    }
+
+    /**
+     * Appends the entries of other users and deletes the entries older than the retention period, if the user running
+     * the script can edit the log. It reads the timestamps of the whole log, so it is run once at the end of each batch job
+     * rather than for each entry. Errors are only written to the console.
+     */
+    static applyRetention() {
+        try {
+            let sheet = ActivityLog.getSheet() ? ActivityLog.getWritableSheet() : null;
+            if (sheet) {
+                ActivityLog.appendPendingEntries(sheet);
+                ActivityLog.removeExpiredEntries(sheet);
+            }
+        } catch (e) {
+            console.error(`Failed to delete expired entries from the activity log: ${e.toString()}`);
+        }
+    }
+
+    /**
+     * Converts a value into the text written in the Before and After columns.
+     *
+     * @param {*} value - The value. Dates are written as in reminder Docs and arrays as comma-separated lists.
+     * @returns {string} The text.
+     */
+    static formatValue(value) {
+        if (value === undefined || value === null) {
+            return '';
+        }
+        if (value instanceof Date) {
+            return ReminderManager.formatEnglishDate(value);
+        }
+        if (Array.isArray(value)) {
+            return value.join(', ');
+        }
+        return String(value);
+    }
+
+    /**
+     * Reads the retention period from the setting.
+     *
+     * @returns {number} The number of days entries are kept.
+     */
+    static loadRetentionDays() {
+        let settings = JSON.parse(PropertiesService.getScriptProperties().getProperty(SCRIPT_PROPERTY_KEY_ACTIVITY_LOG_RETENTION) || '{}');
+        return settings.retentionDays || DEFAULT_ACTIVITY_LOG_RETENTION_DAYS;
+    }
+
+    /**
+     * Deletes the entries older than the retention period. Since entries are appended in time order, they are at the top of the sheet.
+     *
+     * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The activity log sheet.
+     * @returns {number} The number of entries deleted.
+     */
+    static removeExpiredEntries(sheet) {
+        let lastRow = sheet.getLastRow();
+        if (lastRow < 2) {
+            return 0;
+        }
+        let cutoff = new Date();
+        cutoff.setHours(0, 0, 0, 0);
+        cutoff.setDate(cutoff.getDate() - ActivityLog.loadRetentionDays());
+
+        let timestamps = sheet.getRange(2, 1, lastRow - 1, 1).getValues();
+        let expiredCount = timestamps.findIndex(row => !(row[0] instanceof Date) || row[0] >= cutoff);
+        if (expiredCount === -1) {
+            expiredCount = timestamps.length;
+        }
+        if (expiredCount > 0) {
+            sheet.deleteRows(2, expiredCount);
+            console.log(`${expiredCount} activity log entries older than ${ActivityLog.loadRetentionDays()} day(s) were deleted.`);
+        }
+        return expiredCount;
+    }
+
+    /**
+     * Reads the most recent entries, newest first.
+     *
+     * @param {Object} [filter={}] - { staff?: string, sheetName?: string }. An entry matches a staff member if its Staff column
+     *                               is the staff member's name or its Actor is the staff member's email.
+     * @param {number} [limit=ACTIVITY_LOG_VIEW_LIMIT] - The maximum number of entries.
+     * @returns {Array<Object>} The entries as { timestamp, actor, action, sheetName, row, staff, before, after }.
+     */
+    static readRecentEntries(filter = {}, limit = ACTIVITY_LOG_VIEW_LIMIT) {
+        let sheet = ActivityLog.getSheet();
+        if (!sheet || sheet.getLastRow() < 2) {
+            return [];
+        }
+        let staffList = JSON.parse(PropertiesService.getScriptProperties().getProperty(SCRIPT_PROPERTY_KEY_STAFF) || '[]');
+        let staffMember = staffList.find(staff => staff.name === filter.staff);
+        let staffEmail = staffMember ? staffMember.email : null;
+
+        let entries = sheet.getRange(2, 1, sheet.getLastRow() - 1, ACTIVITY_LOG_HEADERS.length).getValues().map(values => ({
+            timestamp: values[0],
+            actor: String(values[1]),
+            action: String(values[2]),
+            sheetName: String(values[3]),
+            row: values[4],
+            staff: String(values[5]),
+            before: String(values[6]),
+            after: String(values[7])
+        }));
+        return entries
+            .filter(entry => !filter.sheetName || entry.sheetName === filter.sheetName)
+            .filter(entry => !filter.staff || entry.staff.split(', ').includes(filter.staff) || (staffEmail && entry.actor === staffEmail))
+            .reverse()
+            .slice(0, limit);
+    }
+}
+
+/**
+ * Opens a modal dialog listing the most recent activity log entries, optionally filtered by staff member or sheet.
+ *
+ * @param {Object} [filter={}] - { staff?: string, sheetName?: string }.
+ */
+function showActivityLogModal(filter = {}) {
+    let logSheet = ActivityLog.getSheet();
+    let htmlTemplate = HtmlService.createTemplateFromFile('show-activity-log');
+    htmlTemplate.entries = ActivityLog.readRecentEntries(filter).map(entry => Object.assign(entry, {
+        timestamp: entry.timestamp instanceof Date ? Utilities.formatDate(entry.timestamp, Session.getScriptTimeZone(), 'yyyy/M/d H:mm') : String(entry.timestamp)
+    }));
+    htmlTemplate.filter = { staff: filter.staff || '', sheetName: filter.sheetName || '' };
+    htmlTemplate.staffNames = JSON.parse(PropertiesService.getScriptProperties().getProperty(SCRIPT_PROPERTY_KEY_STAFF) || '[]').map(staff => staff.name);
+    htmlTemplate.sheetNames = SpreadsheetApp.getActiveSpreadsheet().getSheets()
+        .map(sheet => sheet.getName())
+        .filter(name => name !== ACTIVITY_LOG_SHEET_NAME);
+    htmlTemplate.logSheetUrl = logSheet ? `${SpreadsheetApp.getActiveSpreadsheet().getUrl()}#gid=${logSheet.getSheetId()}` : '';
+    htmlTemplate.viewLimit = ACTIVITY_LOG_VIEW_LIMIT;
+    let localizer = Localizer.load();
+    htmlTemplate.t = (key, params) => localizer.t(key, params);
+
+    let html = htmlTemplate
+        .evaluate()
+        .setWidth(900)
+        .setHeight(600);
+    SpreadsheetApp.getUi().showModalDialog(html, localize('dialog.activityLog'));
+}
@@ -0,0 +1,320 @@
+/**
+ * Runs a job that processes a list of items, such as sheets or reminder Docs, over as many executions as it needs.
+ * When an execution runs out of time, the progress is saved and a one-time trigger continues the job. The progress is
+ * the keys of the processed items, e.g. sheet IDs so that sheets added or reordered in between are still handled correctly,
+ * and the state the items build up. It is kept in a script property, or in a hidden sheet when it is too large for one.
+ *
+ * Executions of batch jobs hold the script lock, so that a trigger that fires twice or a menu item run during a job
+ * does not process the same items at the same time. Progress that has not been continued for a long time is discarded.
+ */
+class BatchJob {
+    /**
+     * @param {string} name - Unique name of the job, e.g. 'REMINDERS_GENERAL_TODAY'.
+     * @param {string} triggerFunctionName - The global function that continues the job from a trigger.
+     * @param {Object} [triggerInfo={}] - Information stored with the continuation trigger under its unique ID, e.g. { target, period }.
+     * @param {number} [maxRunMillis=BATCH_JOB_MAX_RUN_MILLIS] - Time an execution runs before it saves the progress.
+     */
+    constructor(name, triggerFunctionName, triggerInfo = {}, maxRunMillis = BATCH_JOB_MAX_RUN_MILLIS) {
+        this.name = name;
+        this.triggerFunctionName = triggerFunctionName;
+        this.triggerInfo = triggerInfo;
+        this.maxRunMillis = maxRunMillis;
+        this.scriptProperties = PropertiesService.getScriptProperties();
+    }
+
+    /**
+     * Runs the job from where it stopped, or from the beginning if there is no saved progress.
+     * At least one item is processed in each execution, so the job always moves forward.
+     * When all items are processed, the activity log entries older than its retention period are deleted.
+     *
+     * @param {Object} steps - The steps of the job.
+     * @param {function(): Object} steps.createState - Returns the initial state of the job. The state must be serializable to JSON.
+     * @param {function(): Array<string>} steps.listKeys - Returns the keys of all items. It is called in each execution,
+     *                                                    so items added since the job started are included and removed ones are skipped.
+     * @param {function(string, Object): void} steps.processItem - Processes the item with the key and updates the state.
+     * @returns {Object|null} The state when all items are processed, or null if the job was paused or could not run now.
+     */
+    run(steps) {
+        let lock = LockService.getScriptLock();
+        if (!lock.tryLock(BATCH_JOB_LOCK_WAIT_MILLIS)) {
+            let meta = this.readMeta();
+            if (meta && meta.runningSince && new Date().getTime() - meta.runningSince < BATCH_JOB_EXECUTION_LIMIT_MILLIS) {
+                console.log(`${this.name} is already running in another execution, so this execution is skipped.`);
+            } else {
+                console.log(`Another batch job is running, so ${this.name} is run again later by a trigger.`);
+                this.scheduleContinuation();
+            }
+            return null;
+        }
+
+        try {
+            let meta = this.readMeta();
+            if (meta && new Date().getTime() - meta.updatedAt > BATCH_JOB_STALE_MILLIS) {
+                console.log(`The progress of ${this.name} saved at ${new Date(meta.updatedAt)} is stale, so the job starts over.`);
+                this.clear();
+                meta = null;
+            }
+            let progress = meta ? this.loadProgress(meta) : { doneKeys: [], state: steps.createState() };
+            if (!meta) {
+                meta = { startedAt: new Date().getTime() };
+                this.storeProgress(meta, progress);
+            }
+            meta.runningSince = new Date().getTime();
+            meta.updatedAt = meta.runningSince;
+            this.writeMeta(meta);
+
+            let doneKeys = new Set(progress.doneKeys);
+            let pendingKeys = steps.listKeys().filter(key => !doneKeys.has(key));
+            let startTime = new Date().getTime();
+            for (let i = 0; i < pendingKeys.length; i++) {
+                if (i > 0 && new Date().getTime() - startTime >= this.maxRunMillis) {
+                    this.pause(meta, progress);
+                    console.log(`${this.name} paused with ${pendingKeys.length - i} item(s) left and continues from a trigger.`);
+                    return null;
+                }
+                steps.processItem(pendingKeys[i], progress.state);
+                progress.doneKeys.push(pendingKeys[i]);
+            }
+
+            this.clear();
+            ActivityLog.applyRetention();
+            return progress.state;
+        } catch (e) {
+            let meta = this.readMeta();
+            if (meta) {
+                meta.runningSince = null;
+                this.writeMeta(meta);
+            }
+            throw e;
+        } finally {
+            lock.releaseLock();
+        }
+    }
+
+    /**
+     * Saves the progress and sets a trigger to continue the job.
+     *
+     * @param {Object} meta - The metadata of the job, as stored in the script property.
+     * @param {Object} progress - { doneKeys: Array<string>, state: Object }.
+     */
+    pause(meta, progress) {
+        this.storeProgress(meta, progress);
+        meta.runningSince = null;
+        meta.updatedAt = new Date().getTime();
+        this.writeMeta(meta);
+        this.scheduleContinuation();
+    }
+
+    /**
+     * Puts the progress in the metadata of the job, or in the state sheet if it is too large for the script property.
+     *
+     * @param {Object} meta - The metadata of the job, whose data is set to the progress as JSON, or to null if it is in the state sheet.
+     * @param {Object} progress - { doneKeys: Array<string>, state: Object }.
+     */
+    storeProgress(meta, progress) {
+        let json = JSON.stringify(progress);
+        // The progress is stored as a string in the metadata, where its quotes are escaped, and the limit of a property is in bytes
+        if (Utilities.newBlob(JSON.stringify(json)).getBytes().length <= BATCH_JOB_PROPERTY_STATE_LIMIT) {
+            meta.data = json;
+            this.deleteStateRow();
+        } else {
+            this.writeStateRow(json);
+            meta.data = null;
+        }
+    }
+
+    /**
+     * Reads the progress saved when the job was paused.
+     *
+     * @param {Object} meta - The metadata of the job, as stored in the script property.
+     * @returns {Object} { doneKeys: Array<string>, state: Object }.
+     */
+    loadProgress(meta) {
+        return JSON.parse(meta.data !== null ? meta.data : this.readStateRow());
+    }
+
+    /**
+     * Deletes the saved progress and the continuation trigger of the job.
+     */
+    clear() {
+        this.scriptProperties.deleteProperty(this.getPropertyKey());
+        this.deleteStateRow();
+        this.deleteContinuationTriggers();
+    }
+
+    /**
+     * Returns the key of the script property that holds the metadata of the job.
+     *
+     * @returns {string} The key.
+     */
+    getPropertyKey() {
+        return `${SCRIPT_PROPERTY_KEY_BATCH_JOB}_${this.name}`;
+    }
+
+    /**
+     * Reads the metadata of the job: { startedAt, updatedAt, runningSince, data }, where data is the progress as JSON,
+     * or null if it is in the state sheet.
+     *
+     * @returns {Object|null} The metadata, or null if the job has no saved progress.
+     */
+    readMeta() {
+        return JSON.parse(this.scriptProperties.getProperty(this.getPropertyKey()) || 'null');
+    }
+
+    /**
+     * Stores the metadata of the job.
+     *
+     * @param {Object} meta - The metadata of the job.
+     */
+    writeMeta(meta) {
+        this.scriptProperties.setProperty(this.getPropertyKey(), JSON.stringify(meta));
+    }
+
+    /**
+     * Returns the hidden sheet that holds progress too large for script properties: a row for each job,
+     * with the name of the job in column A and the progress split over the following columns.
+     *
+     * @param {boolean} [create=false] - Whether to create the sheet at the end of the spreadsheet if it does not exist.
+     * @returns {GoogleAppsScript.Spreadsheet.Sheet|null} The sheet, or null if it does not exist and is not created.
+     */
+    static getStateSheet(create = false) {
+        let ss = SpreadsheetApp.getActiveSpreadsheet();
+        let sheet = ss.getSheetByName(BATCH_JOB_STATE_SHEET_NAME);
+        if (!sheet && create) {
+            sheet = ss.insertSheet(BATCH_JOB_STATE_SHEET_NAME, ss.getNumSheets());
+            sheet.hideSheet();
+        }
+        return sheet;
+    }
+
+    /**
+     * Writes the progress to the row of the job in the state sheet.
+     *
+     * @param {string} json - The progress as JSON.
+     */
+    writeStateRow(json) {
+        writeJsonRow_(BatchJob.getStateSheet(true), this.name, json);
+    }
+
+    /**
+     * Reads the progress from the row of the job in the state sheet.
+     *
+     * @returns {string} The progress as JSON.
+     */
+    readStateRow() {
+        let sheet = BatchJob.getStateSheet();
+        let json = sheet ? readJsonRow_(sheet, this.name) : null;
+        if (json === null) {
+            throw new Error(`The progress of ${this.name} is not found in ${BATCH_JOB_STATE_SHEET_NAME}.`);
+        }
+        return json;
+    }
+
+    /**
+     * Deletes the row of the job in the state sheet, if any.
+     */
+    deleteStateRow() {
+        let sheet = BatchJob.getStateSheet();
+        if (sheet) {
+            deleteJsonRow_(sheet, this.name);
+        }
+    }
+
+    /**
+     * Sets a one-time trigger that continues the job, replacing the one set before.
+     * The trigger information is stored in script properties under the trigger's unique ID.
+     */
+    scheduleContinuation() {
+        this.deleteContinuationTriggers();
+        let trigger = ScriptApp.newTrigger(this.triggerFunctionName)
+                              .timeBased()
+                              .after(BATCH_JOB_CONTINUATION_DELAY_MILLIS)
+                              .create();
+
+        let triggerInfo = Object.assign({
+            id: trigger.getUniqueId(),
+            type: 'continuation', // Distinguishes it from the schedule trigger of a custom profile
+            job: this.name
+        }, this.triggerInfo);
+        this.scriptProperties.setProperty(trigger.getUniqueId(), JSON.stringify(triggerInfo));
+        console.log(`Trigger for the function, ${this.triggerFunctionName} is set. triggerInfo is ${JSON.stringify(triggerInfo)}`);
+    }
+
+    /**
+     * Deletes the continuation triggers of the job, along with their trigger information.
+     */
+    deleteContinuationTriggers() {
+        ScriptApp.getProjectTriggers().forEach(trigger => {
+            let triggerInfo = JSON.parse(this.scriptProperties.getProperty(trigger.getUniqueId()) || 'null');
+            if (triggerInfo && triggerInfo.type === 'continuation' && triggerInfo.job === this.name) {
+                ScriptApp.deleteTrigger(trigger);
+                this.scriptProperties.deleteProperty(trigger.getUniqueId());
+            }
+        });
+    }
+}
+
+/**
+ * Finds the row of a key in a sheet that holds JSON too large for script properties, such as the batch job state sheet:
+ * a row for each key, with the key in column A and the JSON split over the following columns.
+ *
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The sheet.
+ * @param {string} key - The key, e.g. the name of a batch job.
+ * @returns {number|null} The 1-based row number, or null if the key has no row.
+ */
+function findJsonRow_(sheet, key) {
+    if (sheet.getLastRow() === 0) {
+        return null;
+    }
+    let index = sheet.getRange(1, 1, sheet.getLastRow(), 1).getValues().findIndex(row => row[0] === key);
+    return index === -1 ? null : index + 1;
+}
+
+/**
+ * Writes JSON to the row of a key, split into pieces below the 50,000-character limit of a cell.
+ *
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The sheet.
+ * @param {string} key - The key.
+ * @param {string} json - The JSON.
+ */
+function writeJsonRow_(sheet, key, json) {
+    let chunks = [];
+    for (let i = 0; i < json.length; i += BATCH_JOB_STATE_CELL_LENGTH) {
+        chunks.push(json.substring(i, i + BATCH_JOB_STATE_CELL_LENGTH));
+    }
+    if (sheet.getMaxColumns() < chunks.length + 1) {
+        sheet.insertColumnsAfter(sheet.getMaxColumns(), chunks.length + 1 - sheet.getMaxColumns());
+    }
+    let row = findJsonRow_(sheet, key) || sheet.getLastRow() + 1;
+    sheet.getRange(row, 1, 1, sheet.getMaxColumns()).clearContent();
+    // As plain text, pieces that look like numbers or formulas are kept as they are
+    sheet.getRange(row, 1, 1, chunks.length + 1).setNumberFormat('@').setValues([[key].concat(chunks)]);
+}
+
+/**
+ * Reads the JSON of a key.
+ *
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The sheet.
+ * @param {string} key - The key.
+ * @returns {string|null} The JSON, or null if the key has no row.
+ */
+function readJsonRow_(sheet, key) {
+    let row = findJsonRow_(sheet, key);
+    if (!row) {
+        return null;
+    }
+    return sheet.getRange(row, 2, 1, sheet.getLastColumn() - 1).getValues()[0].map(value => String(value)).join('');
+}
+
+/**
+ * Deletes the row of a key, if any.
+ *
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The sheet.
+ * @param {string} key - The key.
+ */
+function deleteJsonRow_(sheet, key) {
+    let row = findJsonRow_(sheet, key);
+    if (row) {
+        sheet.deleteRow(row);
+    }
+}
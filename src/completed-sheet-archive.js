@@ -0,0 +1,215 @@
+/**
+ * Moves completed task sheets that were completed more than the retention period ago to the archive spreadsheet of the year
+ * they were completed, so that reminders and the index sheets do not go through them any more.
+ * The sheets are copied with their formatting, listed in the "Archived Task Sheets" sheet and deleted from the spreadsheet.
+ * The completed task index links to the archived copies from that list.
+ */
+class CompletedSheetArchive {
+    /**
+     * Reads the number of days completed task sheets stay in the spreadsheet.
+     *
+     * @returns {number} The number of days set in the setting, or DEFAULT_ARCHIVE_RETENTION_DAYS if it is not set.
+     */
+    static loadRetentionDays() {
+        let settings = JSON.parse(PropertiesService.getScriptProperties().getProperty(SCRIPT_PROPERTY_KEY_SHEET_ARCHIVE) || '{}');
+        return settings.retentionDays || DEFAULT_ARCHIVE_RETENTION_DAYS;
+    }
+
+    /**
+     * Archives the completed task sheets older than the retention period, as a BatchJob that continues from a trigger
+     * if it runs out of time, and updates the index sheets when it has finished.
+     *
+     * @returns {number|null} The number of sheets archived, or null if the job was paused or could not run now.
+     */
+    static run() {
+        // Checked before any sheet is copied, so that no copy is left in an archive spreadsheet without its row in the list
+        if (!CompletedSheetArchive.canEditListSheet()) {
+            throw new Error(localize('message.archiveNotAllowed'));
+        }
+        let ss = SpreadsheetApp.getActiveSpreadsheet();
+        let completionFlag = JSON.parse(PropertiesService.getScriptProperties().getProperty(SCRIPT_PROPERTY_INDEX_SHEET)).completionFlag;
+        let cutoffTime = new Date().getTime() - CompletedSheetArchive.loadRetentionDays() * 24 * 60 * 60 * 1000;
+        let sheetsById = {};
+        let job = new BatchJob('SHEET_ARCHIVE', 'archiveCompletedTaskSheets');
+
+        let state = job.run({
+            createState: () => ({ archivedSheetNames: [] }),
+            listKeys: () => ss.getSheets()
+                .filter(sheet => sheet.getName().includes(completionFlag) && sheet.getName().includes(":"))
+                .map(sheet => {
+                    sheetsById[sheet.getSheetId()] = sheet;
+                    return String(sheet.getSheetId());
+                }),
+            processItem: (sheetId, state) => {
+                let sheet = sheetsById[sheetId];
+                let completedTime = TaskSheetCompletion.getCompletedTime(sheet);
+                if (completedTime <= cutoffTime) {
+                    state.archivedSheetNames.push(sheet.getName());
+                    CompletedSheetArchive.archiveSheet(sheet, completionFlag, completedTime);
+                }
+            }
+        });
+        if (!state) {
+            return null;
+        }
+        if (state.archivedSheetNames.length > 0) {
+            updateAllTaskIndexSheets();
+        }
+        return state.archivedSheetNames.length;
+    }
+
+    /**
+     * Copies a completed task sheet to the archive spreadsheet of the year it was completed, lists it in the archived task sheets sheet
+     * and deletes it from the spreadsheet.
+     *
+     * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The completed task sheet.
+     * @param {string} completionFlag - The completion flag of the index sheet settings.
+     * @param {number} completedTime - The time the sheet was completed.
+     */
+    static archiveSheet(sheet, completionFlag, completedTime) {
+        let sheetName = sheet.getName();
+        let archiveSpreadsheet = CompletedSheetArchive.getArchiveSpreadsheet(new Date(completedTime).getFullYear());
+        let copy = sheet.copyTo(archiveSpreadsheet);
+        copy.setName(TaskSheetCompletion.getUniqueSheetName(archiveSpreadsheet, sheetName));
+        let archiveUrl = `${archiveSpreadsheet.getUrl()}#gid=${copy.getSheetId()}`;
+
+        let [category, task] = sheetName.replace(completionFlag, "").split(":").map(part => part.trim());
+        try {
+            CompletedSheetArchive.getListSheet(true).appendRow([new Date(), category, task, new Date(completedTime), archiveUrl]);
+        } catch (e) {
+            // The sheet stays in the spreadsheet, so the copy is deleted and the sheet is archived again next time
+            archiveSpreadsheet.deleteSheet(copy);
+            throw e;
+        }
+        ActivityLog.record({
+            action: 'Archive task sheet',
+            sheetName: sheetName,
+            after: archiveUrl
+        });
+        sheet.getParent().deleteSheet(sheet);
+    }
+
+    /**
+     * Returns the archive spreadsheet of a year, creating it if it does not exist yet or was deleted.
+     * A new archive spreadsheet is named after the spreadsheet and the year, e.g. "Office Tasks Archive 2024",
+     * in the language set in the setting.
+     *
+     * @param {number} year - The year the archived sheets were completed.
+     * @returns {GoogleAppsScript.Spreadsheet.Spreadsheet} The archive spreadsheet.
+     */
+    static getArchiveSpreadsheet(year) {
+        let scriptProperties = PropertiesService.getScriptProperties();
+        let archiveUrls = JSON.parse(scriptProperties.getProperty(SCRIPT_PROPERTY_KEY_ARCHIVE_SPREADSHEETS) || '{}');
+        if (archiveUrls[year]) {
+            try {
+                return SpreadsheetApp.openByUrl(archiveUrls[year]);
+            } catch (e) {
+                console.log(`The archive spreadsheet of ${year} cannot be opened, so a new one is created: ${e.toString()}`);
+            }
+        }
+        let ss = SpreadsheetApp.getActiveSpreadsheet();
+        let archiveSpreadsheet = SpreadsheetApp.create(localize('sheetArchive.spreadsheetName', { spreadsheetName: ss.getName(), year: year }));
+
+        // The first sheet of the new spreadsheet tells where the archived sheets come from
+        let firstSheet = archiveSpreadsheet.getSheets()[0];
+        if (firstSheet) {
+            firstSheet.getRange(1, 1, 2, 1).setValues([[localize('sheetArchive.archivedFrom', { year: year })], [ss.getUrl()]]);
+        }
+        archiveUrls[year] = archiveSpreadsheet.getUrl();
+        scriptProperties.setProperty(SCRIPT_PROPERTY_KEY_ARCHIVE_SPREADSHEETS, JSON.stringify(archiveUrls));
+        return archiveSpreadsheet;
+    }
+
+    /**
+     * Returns the sheet that lists the archived task sheets.
+     *
+     * @param {boolean} [create=false] - Whether to create the sheet at the end of the spreadsheet if it does not exist.
+     * @returns {GoogleAppsScript.Spreadsheet.Sheet|null} The sheet, or null if it does not exist and is not created.
+     */
+    static getListSheet(create = false) {
+        let ss = SpreadsheetApp.getActiveSpreadsheet();
+        let sheet = ss.getSheetByName(ARCHIVED_TASK_SHEETS_SHEET_NAME);
+        if (!sheet && create) {
+            sheet = ss.insertSheet(ARCHIVED_TASK_SHEETS_SHEET_NAME, ss.getNumSheets());
+            sheet.getRange(1, 1, 1, ARCHIVED_TASK_SHEETS_HEADERS.length).setValues([ARCHIVED_TASK_SHEETS_HEADERS])
+                                                                        .setBackground("#D3D3D3")
+                                                                        .setFontWeight("bold")
+                                                                        .setHorizontalAlignment("center");
+            sheet.getRange('A2:A').setNumberFormat('yyyy/M/d H:mm:ss');
+            sheet.getRange('D2:D').setNumberFormat('yyyy/M/d');
+            sheet.setFrozenRows(1);
+
+            // Only the script and the owner add entries, so that the links in the completed task index stay correct
+            let protection = sheet.protect().setDescription('Archived task sheets protection');
+            protection.removeEditors(protection.getEditors());
+            protection.addEditor(Session.getEffectiveUser());
+        }
+        return sheet;
+    }
+
+    /**
+     * Checks whether the user running the script can add rows to the list of archived task sheets.
+     *
+     * @returns {boolean} True if the list does not exist yet or its protection allows the user to edit it.
+     */
+    static canEditListSheet() {
+        let sheet = CompletedSheetArchive.getListSheet();
+        return !sheet || sheet.getProtections(SpreadsheetApp.ProtectionType.SHEET).every(protection => protection.canEdit());
+    }
+
+    /**
+     * Reads the archived task sheets, oldest first.
+     *
+     * @returns {Array<Object>} { category, task, url, archivedTime } of each archived sheet.
+     */
+    static readArchivedSheets() {
+        let sheet = CompletedSheetArchive.getListSheet();
+        if (!sheet || sheet.getLastRow() < 2) {
+            return [];
+        }
+        return sheet.getRange(2, 1, sheet.getLastRow() - 1, ARCHIVED_TASK_SHEETS_HEADERS.length).getValues()
+            .filter(values => values[1] && values[4])
+            .map(values => ({
+                category: String(values[1]),
+                task: String(values[2]),
+                url: String(values[4]),
+                archivedTime: values[0] instanceof Date ? values[0].getTime() : new Date().getTime()
+            }));
+    }
+}
+
+/**
+ * Archives the completed task sheets older than the retention period. Run by the archive trigger and by the continuation
+ * trigger of the job, so it shows no message.
+ */
+function archiveCompletedTaskSheets() {
+    try {
+        CompletedSheetArchive.run();
+    } catch (e) {
+        console.error(`Failed to archive completed task sheets: ${e.toString()}\nStack Trace:\n${e.stack}`);
+    }
+}
+
+/**
+ * Archives the completed task sheets older than the retention period from the menu, after the user confirms it.
+ */
+function archiveCompletedTaskSheetsFromMenu() {
+    try {
+        if (!CompletedSheetArchive.canEditListSheet()) {
+            Browser.msgBox(localize('message.archiveNotAllowed'));
+            return;
+        }
+        let confirmation = Browser.msgBox(localize('message.confirmArchive', { retentionDays: CompletedSheetArchive.loadRetentionDays() }), Browser.Buttons.YES_NO);
+        if (confirmation !== 'yes') {
+            return;
+        }
+        let archivedCount = CompletedSheetArchive.run();
+        if (archivedCount === null) {
+            Browser.msgBox(localize('message.archiveContinues'));
+            return;
+        }
+        Browser.msgBox(localize('message.sheetsArchived', { count: archivedCount }));
+    } catch (e) {
+        TaskSheetManager.displayError(e);
+    }
+}
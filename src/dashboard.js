@@ -0,0 +1,241 @@
+/**
+ * Fills the "Dashboard" sheet with the progress of the project and the workload of the staff:
+ * the total, open, completed and overdue tasks, the percentage completed and the next due date of each category and task sheet,
+ * and the open and overdue tasks of each staff member, with a chart of each.
+ * The task sheets are measured by updateAllTaskIndexSheets while it lists them in the index sheets, so the dashboard adds no scan of its own.
+ */
+class ProjectDashboard {
+    /**
+     * Counts the tasks of a task sheet.
+     * Rows without an item are not tasks. A task is overdue if it is not completed and its date is before today.
+     *
+     * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The task sheet.
+     * @param {Object} columns - Column number for each field, as returned by TaskSheetSchema.resolveColumns.
+     * @param {Date} today - Today at midnight.
+     * @returns {Object} { total, open, completed, overdue, nextDueTime, staff }, where nextDueTime is the time of the earliest date
+     *                   of the open tasks that are not overdue, or null, and staff has { open, overdue } for each staff member with open tasks.
+     *                   Only numbers are kept, so the metrics can be saved in the state of the batch job.
+     */
+    static measureSheet(sheet, columns, today) {
+        let metrics = { total: 0, open: 0, completed: 0, overdue: 0, nextDueTime: null, staff: {} };
+        let lastRow = sheet.getLastRow();
+        if (lastRow < 2) {
+            return metrics;
+        }
+
+        let data = sheet.getRange(2, 1, lastRow - 1, sheet.getLastColumn()).getValues();
+        data.forEach(row => {
+            if (!String(row[columns.item - 1]).trim()) {
+                return;
+            }
+            metrics.total++;
+            if (row[columns.complete - 1] === true) {
+                metrics.completed++;
+                return;
+            }
+            metrics.open++;
+            let staffName = String(row[columns.staff - 1]).trim() || DASHBOARD_UNASSIGNED_STAFF;
+            let staffLoad = metrics.staff[staffName] = metrics.staff[staffName] || { open: 0, overdue: 0 };
+            staffLoad.open++;
+
+            let date = row[columns.date - 1];
+            if (!(date instanceof Date)) {
+                return;
+            }
+            let dueTime = new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime();
+            if (dueTime < today.getTime()) {
+                metrics.overdue++;
+                staffLoad.overdue++;
+            } else if (metrics.nextDueTime === null || dueTime < metrics.nextDueTime) {
+                metrics.nextDueTime = dueTime;
+            }
+        });
+        return metrics;
+    }
+
+    /**
+     * Adds up the metrics of task sheets.
+     *
+     * @param {Array<Object>} sheetMetrics - Metrics returned by measureSheet.
+     * @returns {Object} { total, open, completed, overdue, nextDueTime } of all the sheets.
+     */
+    static sum(sheetMetrics) {
+        let totals = { total: 0, open: 0, completed: 0, overdue: 0, nextDueTime: null };
+        sheetMetrics.forEach(metrics => {
+            ['total', 'open', 'completed', 'overdue'].forEach(key => totals[key] += metrics[key]);
+            if (metrics.nextDueTime !== null && (totals.nextDueTime === null || metrics.nextDueTime < totals.nextDueTime)) {
+                totals.nextDueTime = metrics.nextDueTime;
+            }
+        });
+        return totals;
+    }
+
+    /**
+     * Adds up the open and overdue tasks of each staff member.
+     * Every staff member in the staff settings is listed, even without open tasks, followed by the other names found in the task sheets
+     * in alphabetical order, and DASHBOARD_UNASSIGNED_STAFF last.
+     *
+     * @param {Array<Object>} sheetMetrics - Metrics returned by measureSheet.
+     * @returns {Array<Object>} { name, open, overdue } for each staff member.
+     */
+    static sumStaffLoads(sheetMetrics) {
+        let loads = {};
+        let staffList = JSON.parse(PropertiesService.getScriptProperties().getProperty(SCRIPT_PROPERTY_KEY_STAFF) || '[]');
+        staffList.forEach(staff => loads[staff.name] = { open: 0, overdue: 0 });
+        sheetMetrics.forEach(metrics => {
+            Object.keys(metrics.staff).forEach(staffName => {
+                loads[staffName] = loads[staffName] || { open: 0, overdue: 0 };
+                loads[staffName].open += metrics.staff[staffName].open;
+                loads[staffName].overdue += metrics.staff[staffName].overdue;
+            });
+        });
+
+        let staffNames = staffList.map(staff => staff.name);
+        let otherNames = Object.keys(loads).filter(name => !staffNames.includes(name) && name !== DASHBOARD_UNASSIGNED_STAFF).sort();
+        let unassigned = loads[DASHBOARD_UNASSIGNED_STAFF] ? [DASHBOARD_UNASSIGNED_STAFF] : [];
+        return staffNames.concat(otherNames, unassigned).map(name => Object.assign({ name: name }, loads[name]));
+    }
+
+    /**
+     * Returns the dashboard sheet, creating it right after the index sheets if it does not exist.
+     *
+     * @returns {GoogleAppsScript.Spreadsheet.Sheet} The sheet.
+     */
+    static getSheet() {
+        let ss = SpreadsheetApp.getActiveSpreadsheet();
+        let sheet = ss.getSheetByName(DASHBOARD_SHEET_NAME);
+        if (!sheet) {
+            let indexSheetInfo = JSON.parse(PropertiesService.getScriptProperties().getProperty(SCRIPT_PROPERTY_INDEX_SHEET) || '{}');
+            let indexSheetPositions = [indexSheetInfo.ongoingTaskSheetName, indexSheetInfo.completedTaskSheetName]
+                .map(name => name && ss.getSheetByName(name))
+                .filter(indexSheet => indexSheet)
+                .map(indexSheet => indexSheet.getIndex());
+            let position = indexSheetPositions.length > 0 ? Math.max(...indexSheetPositions) : ss.getNumSheets();
+            sheet = ss.insertSheet(DASHBOARD_SHEET_NAME, position);
+        }
+        return sheet;
+    }
+
+    /**
+     * Rewrites the dashboard sheet and its charts.
+     *
+     * @param {Array<Object>} sheetMetrics - The metrics of each task sheet returned by measureSheet, with
+     *                                       { category, task, sheetName, url } of the sheet, in the order the categories are listed.
+     */
+    static update(sheetMetrics) {
+        let sheet = ProjectDashboard.getSheet();
+        sheet.getCharts().forEach(chart => sheet.removeChart(chart));
+        sheet.clear();
+
+        let localizer = Localizer.load();
+        sheet.getRange(1, 1, 1, 3).setValues([[localizer.t('dashboard.title'), localizer.t('dashboard.updated'), new Date()]]);
+        sheet.getRange(1, 1).setFontSize(16).setFontWeight("bold");
+        sheet.getRange(1, 3).setNumberFormat('yyyy/M/d H:mm');
+
+        let categories = [];
+        sheetMetrics.forEach(metrics => {
+            if (!categories.includes(metrics.category)) {
+                categories.push(metrics.category);
+            }
+        });
+        let categoryRows = categories.map(category => {
+            let categorySheets = sheetMetrics.filter(metrics => metrics.category === category);
+            return [category, categorySheets.length].concat(ProjectDashboard.toMetricCells(ProjectDashboard.sum(categorySheets)));
+        });
+        let taskSheetRows = sheetMetrics.map(metrics => [metrics.category, metrics.task].concat(ProjectDashboard.toMetricCells(metrics)));
+        let staffLoads = ProjectDashboard.sumStaffLoads(sheetMetrics);
+        let staffRows = staffLoads.map(load => [
+            load.name === DASHBOARD_UNASSIGNED_STAFF ? localizer.t('dashboard.unassigned') : load.name,
+            load.open,
+            load.overdue
+        ]);
+
+        let categoryRow = 3;
+        ProjectDashboard.writeTable(sheet, categoryRow, localizer.t('dashboard.byCategory'), DASHBOARD_CATEGORY_COLUMNS, categoryRows, localizer);
+        let taskSheetRow = categoryRow + categoryRows.length + 3;
+        ProjectDashboard.writeTable(sheet, taskSheetRow, localizer.t('dashboard.byTaskSheet'), DASHBOARD_TASK_SHEET_COLUMNS, taskSheetRows, localizer);
+        if (sheetMetrics.length > 0) {
+            // Quotes in the task names are doubled, as they are in the index sheets, so that the formulas stay valid
+            let links = sheetMetrics.map(metrics => ['=HYPERLINK("' + metrics.url + '","' + metrics.task.replace(/"/g, '""') + '")']);
+            sheet.getRange(taskSheetRow + 2, 2, links.length, 1).setFormulas(links);
+        }
+        let staffRow = taskSheetRow + taskSheetRows.length + 3;
+        ProjectDashboard.writeTable(sheet, staffRow, localizer.t('dashboard.byStaff'), DASHBOARD_STAFF_COLUMNS, staffRows, localizer);
+
+        // The charts are placed to the right of the tables
+        let chartColumn = DASHBOARD_TASK_SHEET_COLUMNS.length + 2;
+        if (staffRows.length > 0) {
+            sheet.insertChart(sheet.newChart()
+                .asColumnChart()
+                .addRange(sheet.getRange(staffRow + 1, 1, staffRows.length + 1, DASHBOARD_STAFF_COLUMNS.length))
+                .setPosition(categoryRow, chartColumn, 0, 0)
+                .setOption('title', localizer.t('dashboard.staffChart'))
+                .build());
+        }
+        if (categoryRows.length > 0) {
+            // Category names and the Open and Completed columns, stacked so that each bar shows the whole category
+            let openColumn = DASHBOARD_CATEGORY_COLUMNS.indexOf('open') + 1;
+            sheet.insertChart(sheet.newChart()
+                .asBarChart()
+                .addRange(sheet.getRange(categoryRow + 1, 1, categoryRows.length + 1, 1))
+                .addRange(sheet.getRange(categoryRow + 1, openColumn, categoryRows.length + 1, 2))
+                .setPosition(categoryRow + 20, chartColumn, 0, 0)
+                .setOption('title', localizer.t('dashboard.categoryChart'))
+                .setOption('isStacked', true)
+                .build());
+        }
+
+        sheet.setColumnWidth(1, 150);
+        sheet.setColumnWidth(2, 150);
+        sheet.setTabColor("#1E88E5");
+    }
+
+    /**
+     * Converts metrics into the cells of the Total to Next Due columns.
+     *
+     * @param {Object} metrics - { total, open, completed, overdue, nextDueTime }.
+     * @returns {Array<*>} The cells. % Complete is a fraction and is empty for sheets without tasks.
+     */
+    static toMetricCells(metrics) {
+        return [
+            metrics.total,
+            metrics.open,
+            metrics.completed,
+            metrics.overdue,
+            metrics.total > 0 ? metrics.completed / metrics.total : '',
+            metrics.nextDueTime !== null ? new Date(metrics.nextDueTime) : ''
+        ];
+    }
+
+    /**
+     * Writes a table with its title above the header row.
+     *
+     * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The dashboard sheet.
+     * @param {number} row - The row of the title.
+     * @param {string} title - The title of the table.
+     * @param {Array<string>} columns - The columns, e.g. DASHBOARD_CATEGORY_COLUMNS.
+     * @param {Array<Array<*>>} rows - The rows of the table.
+     * @param {Localizer} localizer - The localizer that writes the headers.
+     */
+    static writeTable(sheet, row, title, columns, rows, localizer) {
+        let headers = columns.map(column => localizer.t(`dashboard.column.${column}`));
+        sheet.getRange(row, 1).setValue(title).setFontSize(12).setFontWeight("bold");
+        sheet.getRange(row + 1, 1, 1, headers.length).setValues([headers])
+                                                     .setBackground("#D3D3D3")
+                                                     .setFontWeight("bold")
+                                                     .setHorizontalAlignment("center");
+        if (rows.length === 0) {
+            return;
+        }
+        sheet.getRange(row + 2, 1, rows.length, headers.length).setValues(rows);
+        sheet.getRange(row + 1, 1, rows.length + 1, headers.length).setBorder(true, true, true, true, true, true);
+        let percentColumn = columns.indexOf('percentComplete') + 1;
+        if (percentColumn > 0) {
+            sheet.getRange(row + 2, percentColumn, rows.length, 1).setNumberFormat('0%');
+        }
+        let nextDueColumn = columns.indexOf('nextDue') + 1;
+        if (nextDueColumn > 0) {
+            sheet.getRange(row + 2, nextDueColumn, rows.length, 1).setNumberFormat('yyyy/M/d');
+        }
+    }
+}
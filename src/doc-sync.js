@@ -0,0 +1,243 @@
+/**
+ * Parses a date edited in a reminder Doc.
+ * Accepts the formats the Doc is written in, e.g. "Wednesday, January 10, 2024" or "2024年1月10日(水)"
+ * (the weekday may be omitted or left unchanged), as well as "2024/1/10" and "2024-01-10".
+ *
+ * @param {string} text - The text of the Date cell.
+ * @returns {Date|null} The date at midnight, or null if the text is not a real date.
+ */
+function parseDocDate_(text) {
+    let months = ["january", "february", "march", "april", "may", "june", "july", "august", "september", "october", "november", "december"];
+    let year, monthIndex, date;
+
+    let englishMatch = String(text).trim().match(/^(?:[A-Za-z]+,\s*)?([A-Za-z]+)\.?\s+(\d{1,2}),?\s+(\d{4})$/);
+    let numericMatch = String(text).trim().match(/^(\d{4})[\/-](\d{1,2})[\/-](\d{1,2})$/)
+        || String(text).trim().match(/^(\d{4})年(\d{1,2})月(\d{1,2})日(?:\s*[(（][日月火水木金土][)）])?$/);
+    if (englishMatch) {
+        let monthName = englishMatch[1].toLowerCase();
+        monthIndex = months.findIndex(month => month === monthName || (monthName.length >= 3 && month.startsWith(monthName)));
+        date = Number(englishMatch[2]);
+        year = Number(englishMatch[3]);
+    } else if (numericMatch) {
+        year = Number(numericMatch[1]);
+        monthIndex = Number(numericMatch[2]) - 1;
+        date = Number(numericMatch[3]);
+    } else {
+        return null;
+    }
+
+    let parsed = new Date(year, monthIndex, date);
+    // Dates such as February 30 roll over into the next month and are rejected
+    if (monthIndex < 0 || parsed.getFullYear() !== year || parsed.getMonth() !== monthIndex || parsed.getDate() !== date) {
+        return null;
+    }
+    return parsed;
+}
+
+/**
+ * Checks a value against the data validation rule of a cell, as the sheet would when the value is input by hand.
+ * Dropdowns from a list or a range and date rules are checked. Cells without a rule, and other kinds of rules, accept any value.
+ *
+ * @param {GoogleAppsScript.Spreadsheet.Range} range - The cell to write to.
+ * @param {*} value - The value to write.
+ * @returns {boolean} True if the rule allows the value.
+ */
+function isAllowedByValidation_(range, value) {
+    let rule = range.getDataValidation();
+    if (!rule || value === '') {
+        return true;
+    }
+    switch (rule.getCriteriaType()) {
+        case SpreadsheetApp.DataValidationCriteria.VALUE_IN_LIST:
+            return rule.getCriteriaValues()[0].map(String).includes(String(value));
+        case SpreadsheetApp.DataValidationCriteria.VALUE_IN_RANGE:
+            return rule.getCriteriaValues()[0].getValues().some(row => row.map(String).includes(String(value)));
+        case SpreadsheetApp.DataValidationCriteria.DATE_IS_VALID_DATE:
+            return value instanceof Date;
+        default:
+            return true;
+    }
+}
+
+/**
+ * Converts the value of a Date, Staff or Comment cell, in the sheet or in a reminder Doc, into the text written in the Doc,
+ * so that values can be compared however they were input. Dates are written as in English Docs, e.g. "Wednesday, January 10, 2024",
+ * whatever the language of the Doc.
+ *
+ * @param {string} field - 'date', 'staff' or 'comment'.
+ * @param {*} value - The cell value or the text of the Doc cell.
+ * @returns {string} The text.
+ */
+function normalizeDocText_(field, value) {
+    if (field === 'date') {
+        let date = value instanceof Date ? value : parseDocDate_(value);
+        if (date) {
+            return ReminderManager.formatEnglishDate(date);
+        }
+    }
+    return String(value).trim();
+}
+
+/**
+ * Writes the Date, Staff and Comment edited in a reminder Doc to the row of the task.
+ * A field is written only when its text in the Doc differs from the sheet. Dates must be real dates, and every value
+ * must be allowed by the data validation rule of its cell, e.g. staff must be in the dropdown; other values are rejected.
+ * The "Comment" column is added to task sheets that do not have it yet when a comment is first written.
+ *
+ * When the state of the task at the time the Doc was created is given (see DocSyncSnapshot), a field is written only if it was
+ * edited in the Doc. If it was also changed in the sheet to another value since then, neither side is overwritten
+ * and the field is returned as a conflict.
+ *
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The task sheet.
+ * @param {number} row - The row of the task.
+ * @param {Object} columns - Column number for each field, as resolved by TaskSheetSchema.
+ * @param {Object} edits - The text of each field in the Doc, as { date, staff, comment }. Fields missing from the Doc are undefined.
+ * @param {Object|null} [base=null] - The text of each field when the Doc was created or last synced. Updated with the fields written.
+ * @returns {Object} { columns: the columns, including an added "Comment" column,
+ *                     rejected: Array<{ field, value, reason: 'invalidDate'|'notAllowed' }>,
+ *                     conflicts: Array<{ field, docValue, sheetValue }> }.
+ */
+function applyDocEdits_(sheet, row, columns, edits, base = null) {
+    let schema = TaskSheetSchema.load();
+    let headers = schema.headers;
+    let rejected = [];
+    let conflicts = [];
+
+    ['date', 'staff', 'comment'].forEach(field => {
+        if (edits[field] === undefined) {
+            return;
+        }
+        let docText = normalizeDocText_(field, edits[field]);
+        let sheetText = columns[field] ? normalizeDocText_(field, sheet.getRange(row, columns[field]).getValue()) : '';
+        if (docText === sheetText || (base && docText === base[field])) {
+            // Nothing was edited in the Doc, or the same value is already in the sheet
+            return;
+        }
+        if (base && sheetText !== base[field]) {
+            conflicts.push({ field: headers[field], docValue: edits[field].trim(), sheetValue: sheetText });
+            return;
+        }
+
+        let value = field === 'date' ? parseDocDate_(edits.date) : edits[field].trim();
+        if (field === 'date' && !value) {
+            rejected.push({ field: headers.date, value: edits.date, reason: 'invalidDate' });
+            return;
+        }
+        if (!columns[field]) {
+            columns = schema.appendColumn(sheet, columns, field);
+        }
+        let range = sheet.getRange(row, columns[field]);
+        if (!isAllowedByValidation_(range, value)) {
+            rejected.push({ field: headers[field], value: docText, reason: 'notAllowed' });
+            return;
+        }
+        let before = range.getValue();
+        range.setValue(value);
+        if (base) {
+            base[field] = docText;
+        }
+        console.log(`${headers[field]} in row ${row} of ${sheet.getName()} was changed from the reminder Doc.`);
+        ActivityLog.record({
+            action: `Change ${headers[field]} from reminder Doc`,
+            sheetName: sheet.getName(),
+            row: row,
+            staff: sheet.getRange(row, columns.staff).getValue(),
+            before: before,
+            after: value
+        });
+    });
+
+    return { columns: columns, rejected: rejected, conflicts: conflicts };
+}
+
+/**
+ * The state of the tasks in a reminder Doc when the Doc was created, kept in a row of the hidden Doc sync snapshot sheet until the Doc is created again.
+ * Comparing it with the Doc and the task sheet at sync time shows which side changed, so that changes made in the sheet
+ * after the Doc was created are not overwritten with the old values in the Doc.
+ * The state is updated with the changes written back, so that syncing the same Doc again does not write them twice.
+ */
+class DocSyncSnapshot {
+    /**
+     * @param {string} docId - The ID of the reminder Doc.
+     * @param {Object} [tasks={}] - The state of each task by task ID, as { date, staff, comment, complete }.
+     */
+    constructor(docId, tasks = {}) {
+        this.docId = docId;
+        this.tasks = tasks;
+    }
+
+    /**
+     * Creates the snapshot of the tasks written to a reminder Doc and stores it.
+     *
+     * @param {string} docId - The ID of the reminder Doc.
+     * @param {Array<SheetReminder>} reminderData - The reminders written to the Doc.
+     * @returns {DocSyncSnapshot} The stored snapshot.
+     */
+    static create(docId, reminderData) {
+        let snapshot = new DocSyncSnapshot(docId);
+        reminderData.forEach(sheetReminder => {
+            sheetReminder.taskData.forEach(task => {
+                if (task.id) {
+                    snapshot.tasks[task.id] = {
+                        date: normalizeDocText_('date', task.date),
+                        staff: normalizeDocText_('staff', task.staff),
+                        comment: normalizeDocText_('comment', task.comment || ''),
+                        complete: false
+                    };
+                }
+            });
+        });
+        snapshot.save();
+        return snapshot;
+    }
+
+    /**
+     * Loads the snapshot of a reminder Doc.
+     *
+     * @param {string} docId - The ID of the reminder Doc.
+     * @returns {DocSyncSnapshot|null} The snapshot, or null if the Doc was created before snapshots existed.
+     */
+    static load(docId) {
+        let sheet = DocSyncSnapshot.getSheet();
+        let stored = sheet ? readJsonRow_(sheet, docId) : null;
+        if (stored === null) {
+            // Snapshots were kept in script properties before they were moved to the sheet
+            stored = PropertiesService.getScriptProperties().getProperty(`${SCRIPT_PROPERTY_KEY_DOC_SYNC_SNAPSHOT}_${docId}`);
+        }
+        return stored ? new DocSyncSnapshot(docId, JSON.parse(stored)) : null;
+    }
+
+    /**
+     * Returns the hidden sheet that holds the snapshots.
+     *
+     * @param {boolean} [create=false] - Whether to create the sheet at the end of the spreadsheet if it does not exist.
+     * @returns {GoogleAppsScript.Spreadsheet.Sheet|null} The sheet, or null if it does not exist and is not created.
+     */
+    static getSheet(create = false) {
+        let ss = SpreadsheetApp.getActiveSpreadsheet();
+        let sheet = ss.getSheetByName(DOC_SYNC_SNAPSHOT_SHEET_NAME);
+        if (!sheet && create) {
+            sheet = ss.insertSheet(DOC_SYNC_SNAPSHOT_SHEET_NAME, ss.getNumSheets());
+            sheet.hideSheet();
+        }
+        return sheet;
+    }
+
+    /**
+     * Returns the state of a task.
+     *
+     * @param {string} taskId - The ID of the task.
+     * @returns {Object|null} The state as { date, staff, comment, complete }, or null if the task was not in the Doc.
+     */
+    get(taskId) {
+        return this.tasks[taskId] || null;
+    }
+
+    /**
+     * Stores the snapshot in the row of the Doc in the snapshot sheet, and removes the one stored in script properties before, if any.
+     */
+    save() {
+        writeJsonRow_(DocSyncSnapshot.getSheet(true), this.docId, JSON.stringify(this.tasks));
+        PropertiesService.getScriptProperties().deleteProperty(`${SCRIPT_PROPERTY_KEY_DOC_SYNC_SNAPSHOT}_${this.docId}`);
+    }
+}
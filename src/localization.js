@@ -0,0 +1,90 @@
+/**
+ * Looks up the messages of the menus, dialogs, reminder Docs and emails in LOCALIZED_MESSAGES and formats dates,
+ * in the language set in the Language setting or in the language of a staff member.
+ */
+class Localizer {
+    /**
+     * @param {string} [locale=DEFAULT_LOCALE] - A key of SUPPORTED_LOCALES, e.g. 'ja'. Other values fall back to DEFAULT_LOCALE.
+     */
+    constructor(locale = DEFAULT_LOCALE) {
+        this.locale = Localizer.isSupported(locale) ? locale : DEFAULT_LOCALE;
+    }
+
+    /**
+     * Creates the localizer of a language, or of the language stored in script properties.
+     *
+     * @param {string|null} [locale=null] - The language to use, e.g. the one chosen by a staff member.
+     *                                      If it is not supported, the stored language is used.
+     * @returns {Localizer} The localizer.
+     */
+    static load(locale = null) {
+        if (Localizer.isSupported(locale)) {
+            return new Localizer(locale);
+        }
+        return new Localizer(Localizer.loadLocale());
+    }
+
+    /**
+     * Reads the language set in the Language setting.
+     *
+     * @returns {string} A key of SUPPORTED_LOCALES, or DEFAULT_LOCALE if it is not set.
+     */
+    static loadLocale() {
+        let settings = JSON.parse(PropertiesService.getScriptProperties().getProperty(SCRIPT_PROPERTY_KEY_LOCALE) || '{}');
+        return Localizer.isSupported(settings.locale) ? settings.locale : DEFAULT_LOCALE;
+    }
+
+    /**
+     * Checks whether a language is one of SUPPORTED_LOCALES.
+     *
+     * @param {*} locale - The language to check.
+     * @returns {boolean} True if the language is supported.
+     */
+    static isSupported(locale) {
+        return typeof locale === 'string' && Object.prototype.hasOwnProperty.call(SUPPORTED_LOCALES, locale);
+    }
+
+    /**
+     * Returns a message in the language of the localizer. Messages missing in the language fall back to English,
+     * and unknown keys are returned as they are.
+     *
+     * @param {string} key - The key of the message in LOCALIZED_MESSAGES, e.g. 'menu.settings'.
+     * @param {Object} [params={}] - The value of each {name} parameter in the message.
+     * @returns {string} The message.
+     *
+     * @example
+     * new Localizer('ja').t('dialog.modifyEditors', { sheetName: 'Admin: Budget' }); // "Admin: Budgetの編集者を変更"
+     */
+    t(key, params = {}) {
+        let message = LOCALIZED_MESSAGES[this.locale][key];
+        if (message === undefined) {
+            message = LOCALIZED_MESSAGES[DEFAULT_LOCALE][key];
+        }
+        if (message === undefined) {
+            return key;
+        }
+        return message.replace(/\{(\w+)\}/g, (match, name) => Object.prototype.hasOwnProperty.call(params, name) ? String(params[name]) : match);
+    }
+
+    /**
+     * Formats a date in the language of the localizer, as written in reminder Docs and emails.
+     *
+     * @param {Date} date - The date to format.
+     * @returns {string} e.g. "Friday, May 5, 2023" or "2023年5月5日(金)".
+     */
+    formatDate(date) {
+        return this.locale === 'ja' ? ReminderManager.formatJapaneseDate(date) : ReminderManager.formatEnglishDate(date);
+    }
+}
+
+/**
+ * Returns a message in the language set in the Language setting.
+ * Used for the menus, dialogs and message boxes shown to the user who runs the script.
+ *
+ * @param {string} key - The key of the message in LOCALIZED_MESSAGES.
+ * @param {Object} [params={}] - The value of each {name} parameter in the message.
+ * @returns {string} The message.
+ */
+function localize(key, params = {}) {
+    return Localizer.load().t(key, params);
+}
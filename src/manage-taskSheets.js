@@ -26,7 +26,7 @@ class TaskSheetManager {
      */
     static displayError(e) {
         console.log(`The following error occurred: ${e.message}\nStack Trace:\n${e.stack}`);
-        Browser.msgBox(`The following error occurred: ${e.message}\nStack Trace:\n${e.stack}`);
+        Browser.msgBox(localize('message.errorOccurred', { message: e.message, stack: e.stack }));
     }
 
     /**
@@ -44,6 +44,8 @@ class TaskSheetManager {
         console.log(this.existingStaffData);
         htmlTemplate.currentEditors = currentEditors;
         htmlTemplate.sheetName = sheetName;
+        let localizer = Localizer.load();
+        htmlTemplate.t = (key, params) => localizer.t(key, params);
 
         let htmlOutput = htmlTemplate.evaluate().setWidth(400).setHeight(600);
         SpreadsheetApp.getUi().showModalDialog(htmlOutput, title);
@@ -88,7 +90,7 @@ class TaskSheetManager {
      * @returns {string|null} The validated sheet name or null if the input is canceled or does not match the format.
      */
     static getSheetNameInput() {
-        let sheetName = Browser.inputBox("Enter the sheet name (e.g., Category Name: Task Name) *INCLUDE ' : ' and a space (Half size)");
+        let sheetName = Browser.inputBox(localize('message.inputSheetName'));
 
         // Regular expression to match the structure "Category Name: Task Name"
         let formatRegex = /^[^:]+:[^:]+$/;
@@ -98,12 +100,12 @@ class TaskSheetManager {
             return sheetName;
         } else {
             // If format does not match, return the error message
-            let invalidMsg = Browser.msgBox("The sheet name is not set as instructed 'Category Name: Task Name'. Try again.",Browser.Buttons.OK_CANCEL);
+            let invalidMsg = Browser.msgBox(localize('message.invalidSheetName'),Browser.Buttons.OK_CANCEL);
             if(invalidMsg === 'ok'){
               TaskSheetManager.getSheetNameInput();
               return
             } else {
-              Browser.msgBox("Inputting a sheet name was cancelled.");
+              Browser.msgBox(localize('message.sheetNameInputCancelled'));
               return;
             }
         }
@@ -116,7 +118,7 @@ class TaskSheetManager {
      * @returns {number} The number of rows entered by the user.
      */
     static getRowNumInput() {
-        let rowNumInput = Browser.inputBox("Enter the number of rows to set the pulldown for staff name");
+        let rowNumInput = Browser.inputBox(localize('message.inputRowNum'));
         return parseInt(rowNumInput);
     }
 
@@ -130,7 +132,7 @@ class TaskSheetManager {
 
         // Check if sheetName is empty or does not include ":"
         if (!sheetName || sheetName.indexOf(":") === -1) {
-            Browser.msgBox('The data is not input or does not include " : " (Half size). Try again.');
+            Browser.msgBox(localize('message.sheetNameMissingColon'));
             return;
         }
 
@@ -138,14 +140,14 @@ class TaskSheetManager {
         let sheets = this.spreadsheet.getSheets();
         for (let i = 0; i < sheets.length; i++) {
             if (sheets[i].getName() === sheetName) {
-                Browser.msgBox('The sheet name already exists. Please input a different name.');
+                Browser.msgBox(localize('message.sheetNameExists'));
                 return;
             }
         }
 
         let rowNum = TaskSheetManager.getRowNumInput();
         if (isNaN(rowNum)) {
-            Browser.msgBox("The input data is not a number. Please try again.");
+            Browser.msgBox(localize('message.notANumber'));
             return;
         }
 
@@ -153,25 +155,133 @@ class TaskSheetManager {
           let staffData = TaskSheetManager.submitStaff(checkedStaff);
           console.log(`stafftData is ${staffData.staffNames}`);
 
-          // Check if designated emails are current editors
-          let currentEditors = this.spreadsheet.getEditors().map(editor => editor.getEmail());
-          
-          // Find emails that are not current editors
-          let nonEditorEmails = staffData.staffEmails.filter(email => !currentEditors.includes(email));
-          
-          if (nonEditorEmails.length > 0) {
-              let nonEditorEmailsStr = nonEditorEmails.join(', ');
-              Browser.msgBox(`The following email(s) are not current editors of the spreadsheet: ${nonEditorEmailsStr}. Operation cancelled.`);
+          if (!this.checkStaffAreEditors(staffData.staffEmails)) {
               return;
           }
 
+          this.setupTaskSheet(sheetName, staffData, rowNum);
+
+          ActivityLog.record({
+              action: 'Create task sheet',
+              sheetName: sheetName,
+              staff: staffData.staffNames,
+              after: staffData.staffEmails
+          });
+          Browser.msgBox(localize('message.sheetCreated', { sheetName: sheetName }));
+      } catch(e) {
+          this.displayError(e);
+          return;
+      }
+    }
+
+    /**
+     * Creates a new task sheet filled in with the tasks of a template. Due dates are counted from the start date,
+     * and the tasks of each role are assigned to the default staff of the role.
+     *
+     * @param {string} templateName - The name of the template.
+     * @param {string} sheetName - The name of the new sheet, e.g. "Category Name: Task Name".
+     * @param {string} startDate - The start date, e.g. "2024-01-15".
+     * @param {Array<string>} checkedStaff - The staff who can edit the sheet, in 'name|email' format.
+     */
+    createSheetFromTemplate(templateName, sheetName, startDate, checkedStaff) {
+        sheetName = String(sheetName || '').trim();
+        if (!/^[^:]+:[^:]+$/.test(sheetName)) {
+            Browser.msgBox(localize('message.sheetNameMissingColon'));
+            return;
+        }
+        if (this.spreadsheet.getSheetByName(sheetName)) {
+            Browser.msgBox(localize('message.sheetNameExists'));
+            return;
+        }
+
+        let template = TaskSheetTemplate.load(templateName);
+        if (!template) {
+            Browser.msgBox(localize('message.templateNotFound', { templateName: templateName }));
+            return;
+        }
+        let start = WorkingCalendar.parseDate(startDate);
+        if (!start) {
+            Browser.msgBox(localize('message.startDateInvalid'));
+            return;
+        }
+
+        try {
+            let staffData = TaskSheetManager.submitStaff(checkedStaff);
+            if (!this.checkStaffAreEditors(staffData.staffEmails)) {
+                return;
+            }
+
+            let tasks = template.createTasks(start, WorkingCalendar.load(), TaskSheetTemplate.loadRoles(), this.existingStaffData.map(staff => staff.name));
+            let newSheet = this.setupTaskSheet(sheetName, staffData, tasks.length + 1 + TASK_SHEET_TEMPLATE_EXTRA_ROWS);
+            if (tasks.length > 0) {
+                let columns = TaskSheetSchema.load().getLayout(2);
+                ['item', 'summary', 'date', 'staff'].forEach(field => {
+                    newSheet.getRange(2, columns[field], tasks.length, 1).setValues(tasks.map(task => [task[field]]));
+                });
+            }
+
+            ActivityLog.record({
+                action: 'Create task sheet from template',
+                sheetName: sheetName,
+                staff: staffData.staffNames,
+                before: templateName,
+                after: staffData.staffEmails
+            });
+            Browser.msgBox(localize('message.sheetCreatedFromTemplate', { sheetName: sheetName, templateName: templateName, count: tasks.length }));
+        } catch (e) {
+            TaskSheetManager.displayError(e);
+        }
+    }
+
+    /**
+     * Checks that the staff chosen for a new task sheet are editors of the spreadsheet, and tells the user who is not.
+     *
+     * @param {Array<string>} staffEmails - The emails of the chosen staff.
+     * @returns {boolean} True if all of them are editors.
+     */
+    checkStaffAreEditors(staffEmails) {
+        let currentEditors = this.spreadsheet.getEditors().map(editor => editor.getEmail());
+
+        // Find emails that are not current editors
+        let nonEditorEmails = staffEmails.filter(email => !currentEditors.includes(email));
+
+        if (nonEditorEmails.length > 0) {
+            let nonEditorEmailsStr = nonEditorEmails.join(', ');
+            Browser.msgBox(localize('message.nonEditorEmails', { emails: nonEditorEmailsStr }));
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Inserts a new task sheet as the third sheet, with the headers of the task sheet schema, the link back to the index sheet,
+     * dropdowns and checkboxes down to the given row, and a protection that lets only the chosen staff edit it.
+     *
+     * @param {string} sheetName - The name of the new sheet, e.g. "Category Name: Task Name".
+     * @param {Object} staffData - { staffNames, staffEmails } of the chosen staff, as returned by submitStaff.
+     * @param {number} rowNum - The last row that gets the dropdowns and checkboxes.
+     * @returns {GoogleAppsScript.Spreadsheet.Sheet} The new sheet.
+     */
+    setupTaskSheet(sheetName, staffData, rowNum) {
           let options = staffData.staffNames; // This will be used for dropdown
 
           let newSheet = this.spreadsheet.insertSheet(sheetName,2);
+
+          // Headers start from column B since A1 links back to the index sheet
+          let schema = TaskSheetSchema.load();
+          let headerValues = schema.getHeaderRow();
+          let columns = schema.getLayout(2);
+          let itemCol = TaskSheetSchema.columnToLetter(columns.item);
+          let summaryCol = TaskSheetSchema.columnToLetter(columns.summary);
+          let dateCol = TaskSheetSchema.columnToLetter(columns.date);
+          let staffCol = TaskSheetSchema.columnToLetter(columns.staff);
+          let priorityCol = TaskSheetSchema.columnToLetter(columns.priority);
+          let recurrenceCol = TaskSheetSchema.columnToLetter(columns.recurrence);
+          let completeCol = TaskSheetSchema.columnToLetter(columns.complete);
           
-          // Setup headers for columns B to F
-          let headerRange = newSheet.getRange("B1:F1");
-          headerRange.setValues([['Item', 'Summary', 'Date', 'Staff', 'Complete']])
+          // Setup headers in the order of the task sheet schema
+          let headerRange = newSheet.getRange(1, columns.item, 1, headerValues.length);
+          headerRange.setValues([headerValues])
                       .setBackground("#D3D3D3")
                       .setFontWeight("bold")
                       .setHorizontalAlignment("center")
@@ -183,7 +293,7 @@ class TaskSheetManager {
                                 .setHorizontalAlignment("center")
 
           // Set data format as date for "Date" column
-          let dateRange = newSheet.getRange(`D2:D`);
+          let dateRange = newSheet.getRange(`${dateCol}2:${dateCol}`);
           dateRange.setNumberFormat('yy/M/d (ddd)');
 
           // Set data validation for "Date" column to allow only dates
@@ -195,13 +305,23 @@ class TaskSheetManager {
 
           // Set dropdown for "Staff" column
           let dropdownRule = SpreadsheetApp.newDataValidation().requireValueInList(options, true).build();
-          newSheet.getRange(`E2:E${rowNum}`).setDataValidation(dropdownRule);
+          newSheet.getRange(`${staffCol}2:${staffCol}${rowNum}`).setDataValidation(dropdownRule);
+
+          // Set dropdown for "Priority" column
+          let priorityRule = SpreadsheetApp.newDataValidation().requireValueInList(TASK_PRIORITIES, true).build();
+          newSheet.getRange(`${priorityCol}2:${priorityCol}${rowNum}`).setDataValidation(priorityRule);
+
+          // Explain the supported rules of "Recurrence" column in its header note
+          newSheet.getRange(`${recurrenceCol}1`).setNote(RECURRENCE_HELP_NOTE);
 
-          // Insert checkboxes for column F from F2 onwards
-          newSheet.getRange(`F2:F${rowNum}`).insertCheckboxes();
+          // Insert checkboxes for "Complete" column from the second row onwards
+          newSheet.getRange(`${completeCol}2:${completeCol}${rowNum}`).insertCheckboxes();
 
-          newSheet.getRange("A:F").setVerticalAlignment("middle");
-          newSheet.getRange(`B1:F${rowNum}`).setBorder(true,true,true,true,true,true).setFontSize(11);
+          // "Task ID" column is filled in by the script, so it is hidden from staff
+          newSheet.hideColumns(columns.id);
+
+          newSheet.getRange(`A:${completeCol}`).setVerticalAlignment("middle");
+          newSheet.getRange(`${itemCol}1:${completeCol}${rowNum}`).setBorder(true,true,true,true,true,true).setFontSize(11);
 
           newSheet.setColumnWidth(1, 120)
                   .setColumnWidth(2, 300)
@@ -209,21 +329,16 @@ class TaskSheetManager {
 
           newSheet.getRange(1, 1, newSheet.getMaxRows(), newSheet.getMaxColumns()).createFilter();
 
-          newSheet.getRange("B:C").setWrap(true);
-          newSheet.getRange("B:B").setHorizontalAlignment("center");
-          newSheet.getRange("D:F").setHorizontalAlignment("center");
+          newSheet.getRange(`${itemCol}:${summaryCol}`).setWrap(true);
+          newSheet.getRange(`${itemCol}:${itemCol}`).setHorizontalAlignment("center");
+          newSheet.getRange(`${dateCol}:${completeCol}`).setHorizontalAlignment("center");
           newSheet.setFrozenRows(1);
           
           // Set protection for the new sheet to allow editing only by selected staff emails
           let protection = newSheet.protect().setDescription('Sheet protection');
           protection.removeEditors(protection.getEditors());
           protection.addEditors(staffData.staffEmails);
-
-          Browser.msgBox(`New sheet ${sheetName} was created successfully.`);
-      } catch(e) {
-          this.displayError(e);
-          return;
-      }
+          return newSheet;
     }
 
     /**
@@ -240,10 +355,16 @@ class TaskSheetManager {
         let options = staffData.staffNames; // This will be used for dropdown
 
         let sheet = this.spreadsheet.getSheetByName(sheetName);
+        let columns = TaskSheetSchema.load().resolveColumns(sheet);
+        if (!columns) {
+          Browser.msgBox(localize('message.notTaskSheet', { sheetName: sheetName }));
+          return;
+        }
+        let staffCol = TaskSheetSchema.columnToLetter(columns.staff);
 
-        // Fetch all data validations in column E at once
+        // Fetch all data validations in "Staff" column at once
         let lastRow = sheet.getLastRow();
-        let dataValidations = sheet.getRange(`E1:E${lastRow}`).getDataValidations();
+        let dataValidations = sheet.getRange(`${staffCol}1:${staffCol}${lastRow}`).getDataValidations();
 
         // Find the last row with data validation
         let lastRowWithDataValidation = dataValidations.findIndex(cellValidation => cellValidation == null);
@@ -255,14 +376,22 @@ class TaskSheetManager {
 
         // Set dropdown for "Staff" column based on previously found number of rows
         let dropdownRule = SpreadsheetApp.newDataValidation().requireValueInList(options, true).build();
-        sheet.getRange(`E2:E${lastRowWithDataValidation}`).setDataValidation(dropdownRule);
+        sheet.getRange(`${staffCol}2:${staffCol}${lastRowWithDataValidation}`).setDataValidation(dropdownRule);
 
         // Set protection for the new sheet to allow editing only by selected staff emails
         let protection = sheet.protect().setDescription('Sheet protection');
+        let previousEditors = protection.getEditors().map(editor => editor.getEmail());
         protection.removeEditors(protection.getEditors());
         protection.addEditors(staffData.staffEmails);
 
-        Browser.msgBox(`Editors for ${sheetName} were modified successfully.`);
+        ActivityLog.record({
+            action: 'Modify editors',
+            sheetName: sheetName,
+            staff: staffData.staffNames,
+            before: previousEditors,
+            after: staffData.staffEmails
+        });
+        Browser.msgBox(localize('message.editorsModified', { sheetName: sheetName }));
       } catch (e) {
         this.displayError(e);
         return;
@@ -271,15 +400,18 @@ class TaskSheetManager {
 
     /**
      * Updates task completion status in the spreadsheet based on the content of Google Documents.
+     * Changes that conflict with the task sheets are listed in the sync conflict sheet, and the user is informed of them
+     * and of rejected edits by email. The Docs are processed as a BatchJob, which continues from a trigger if it runs out of time.
      */
     updateCompletionStatusToSheet() {
         // Retrieve the URLs from script properties
         let generalReminderUrls = JSON.parse(this.scriptProperties.getProperty(SCRIPT_PROPERTY_KEY_GENERAL_REM_DOC_URL) || '{}');
         let staffBasedReminderData = JSON.parse(this.scriptProperties.getProperty(SCRIPT_PROPERTY_KEY_STAFFBASED_REM_DATA) || '[]');
+        let docUrls = [];
 
         // Process General Reminder URL if set
         if (generalReminderUrls.generalTodayReminderDocUrl) {
-            this.processDocument(generalReminderUrls.generalTodayReminderDocUrl);
+            docUrls.push(generalReminderUrls.generalTodayReminderDocUrl);
         }
 
         // Process Staff-Based Reminder URLs if set
@@ -287,21 +419,53 @@ class TaskSheetManager {
             let staffName = Object.keys(staffObj)[0];
             let staffInfo = staffObj[staffName];
             if (staffInfo.todayReminderUrl) {
-                this.processDocument(staffInfo.todayReminderUrl);
+                docUrls.push(staffInfo.todayReminderUrl);
+            }
+        });
+
+        // Process the Docs of custom reminder profiles that take completion input
+        ReminderProfile.loadCustomProfiles().forEach(profile => {
+            if (profile.docUrl && profile.allowsCompletionInput()) {
+                docUrls.push(profile.docUrl);
             }
         });
+
+        let job = new BatchJob('COMPLETION_SYNC', 'updateCompletionStatusToSheet');
+        let state = job.run({
+            createState: () => ({ conflicts: [], rejectedEdits: [] }),
+            listKeys: () => docUrls,
+            processItem: (docUrl, state) => {
+                let result = this.processDocument(docUrl);
+                state.conflicts.push(...result.conflicts);
+                state.rejectedEdits.push(...result.rejectedEdits);
+            }
+        });
+        if (!state) {
+            console.log(`Not all reminder Docs have been processed, which is continued by a trigger.`);
+            return;
+        }
+
+        let addedConflictCount = SyncConflictSheet.record(state.conflicts);
+        if (addedConflictCount > 0 || state.rejectedEdits.length > 0) {
+            this.reportSyncProblems(addedConflictCount, state.rejectedEdits);
+        }
     }
 
     /**
-     * Processes a Google Document to update the completion status in the corresponding Google Sheet.
+     * Processes a Google Document to update the completion status, date, staff and comment of tasks in the corresponding Google Sheet.
+     * The DocSyncSnapshot of the Doc is updated with the changes written back.
      * @param {string} docUrl - The URL of the Google Document to be processed.
+     * @returns {Object} { conflicts, rejectedEdits } as returned by updateSheetWithTableData, for all tables in the Doc.
      */
     processDocument(docUrl) {
         let docId = ReminderManager.extractDocIdFromUrl(docUrl);
         let doc = DocumentApp.openById(docId);
         let body = doc.getBody();
+        let snapshot = DocSyncSnapshot.load(docId);
         let sheetName;
         let numElements = body.getNumChildren();
+        let conflicts = [];
+        let rejectedEdits = [];
 
         for (let i = 0; i < numElements; i++) {
             let element = body.getChild(i);
@@ -315,38 +479,169 @@ class TaskSheetManager {
 
             if (element.getType() === DocumentApp.ElementType.TABLE && sheetName) {
                 let table = element.asTable();
-                this.updateSheetWithTableData(table, sheetName);
+                let result = this.updateSheetWithTableData(table, sheetName, snapshot);
+                result.conflicts.forEach(conflict => conflict.docUrl = docUrl);
+                conflicts.push(...result.conflicts);
+                rejectedEdits.push(...result.rejectedEdits);
             }
         }
+
+        if (snapshot) {
+            snapshot.save();
+        }
+        return { conflicts: conflicts, rejectedEdits: rejectedEdits };
     }
 
     /**
-     * Updates the completion status in a Google Sheet based on the data from a Google Document table.
+     * Updates a Google Sheet based on the data from a Google Document table.
+     * Tasks marked "C" are completed, and the Date, Staff and Comment edited in the table are written to the task rows (see applyDocEdits_).
+     * Rows are found by the task ID in the "ID" column of the table. Tables of Docs created before task IDs existed
+     * have no "ID" column, so their rows are found by item, summary and date instead, and only their completion is written back.
+     *
+     * With the snapshot of the Doc, changes made in the sheet since the Doc was created are not overwritten. Instead, they are returned
+     * as conflicts: a field changed on both sides, a task completed by the sync and then un-completed in the sheet, or a task whose row was deleted.
      * @param {Table} table - The table element from the Google Document.
      * @param {string} sheetName - The name of the Google Sheet to update.
+     * @param {DocSyncSnapshot|null} [snapshot=null] - The state of the tasks when the Doc was created, or null for Docs created before snapshots existed.
+     * @returns {Object} { conflicts: changes that were not written, as { sheetName, item, taskId, field, docValue, sheetValue },
+     *                     rejectedEdits: edits that were not valid, as { sheetName, item, taskId, field, value, reason } }.
      */
-    updateSheetWithTableData(table, sheetName) {
+    updateSheetWithTableData(table, sheetName, snapshot = null) {
+        let headers = [];
+        for (let c = 0; c < table.getRow(0).getNumCells(); c++) {
+            headers.push(table.getCell(0, c).getText());
+        }
+        // Columns are found by the labels of the ReminderTemplates, or by the default labels in Docs created before they were changed
+        let templates = ReminderTemplates.load();
+        let completeIndex = templates.findColumnIndex(headers, 'complete');
+        let idIndex = templates.findColumnIndex(headers, 'id');
+        let conflicts = [];
+        let rejectedEdits = [];
+        if (completeIndex === -1) {
+            return { conflicts: conflicts, rejectedEdits: rejectedEdits };
+        }
+
+        let schema = TaskSheetSchema.load();
         let targetSheet = this.spreadsheet.getSheetByName(sheetName);
-        if (!targetSheet) return;
+        let columns = targetSheet ? schema.resolveColumns(targetSheet) : null;
+        let readCell = (j, field) => templates.findColumnIndex(headers, field) !== -1 ? table.getCell(j, templates.findColumnIndex(headers, field)).getText() : undefined;
 
         for (let j = 1; j < table.getNumRows(); j++) {
-            let completionCell = table.getCell(j, 4);
-            if (completionCell.getText() === "C") {
-                let taskFlagInDoc = table.getCell(j, 0).getText() + table.getCell(j, 1).getText();
-                console.log(`${taskFlagInDoc} is completed.`);
-                let columnB = targetSheet.getRange("B1:B" + targetSheet.getLastRow()).getValues();
-                let columnC = targetSheet.getRange("C1:C" + targetSheet.getLastRow()).getValues();
-
-                for (let k = 0; k < columnB.length; k++) {
-                  let taskFlagInSheet = columnB[k][0] + columnC[k][0]
-                  if (taskFlagInDoc === taskFlagInSheet) {
-                      targetSheet.getRange(k + 1, 6).setValue(true);
-                      console.log(`Status for ${taskFlagInDoc} has been changed from incomplete to completed.`);
-                      break;
-                  }
+            let item = table.getCell(j, 0).getText();
+            let taskId = idIndex !== -1 ? table.getCell(j, idIndex).getText().trim() : '';
+            let isCompleted = table.getCell(j, completeIndex).getText() === "C";
+            if (!taskId && !isCompleted) {
+                continue;
+            }
+            let task = { sheetName: sheetName, item: item, taskId: taskId };
+            let base = snapshot && taskId ? snapshot.get(taskId) : null;
+            let edits = { date: readCell(j, 'date'), staff: readCell(j, 'staff'), comment: readCell(j, 'comment') };
+
+            let row = null;
+            if (columns) {
+                row = taskId ? findRowByTaskId_(targetSheet, columns, taskId) : this.findRowByTaskText(targetSheet, columns, table, j);
+            }
+            if (!row) {
+                let isEdited = base !== null && ['date', 'staff', 'comment'].some(field => edits[field] !== undefined && normalizeDocText_(field, edits[field]) !== base[field]);
+                if (isCompleted || isEdited) {
+                    console.log(`${item} (${taskId}) is not found in ${sheetName}, so the changes in the Doc are not written.`);
+                    conflicts.push(Object.assign({ field: 'Row', docValue: isCompleted ? 'C' : 'Edited', sheetValue: 'Not found' }, task));
                 }
+                continue;
+            }
+
+            if (taskId) {
+                let result = applyDocEdits_(targetSheet, row, columns, edits, base);
+                columns = result.columns;
+                result.rejected.forEach(rejection => rejectedEdits.push(Object.assign(rejection, task)));
+                result.conflicts.forEach(conflict => conflicts.push(Object.assign(conflict, task)));
+            }
+
+            if (!isCompleted) {
+                continue;
+            }
+            let completeRange = targetSheet.getRange(row, columns.complete);
+            let isCompleteInSheet = completeRange.getValue() === true;
+            if (!isCompleteInSheet && base && base.complete) {
+                console.log(`${item} was completed by an earlier sync but is not complete in ${sheetName} now, so it is not completed again.`);
+                conflicts.push(Object.assign({ field: schema.headers.complete, docValue: 'C', sheetValue: 'Not complete' }, task));
+                continue;
+            }
+            if (!isCompleteInSheet) {
+                completeRange.setValue(true);
+                console.log(`Status for ${item} has been changed from incomplete to completed.`);
+                ActivityLog.record({
+                    action: 'Complete task from reminder Doc',
+                    sheetName: sheetName,
+                    row: row,
+                    staff: targetSheet.getRange(row, columns.staff).getValue(),
+                    before: 'Not complete',
+                    after: 'Complete'
+                });
+                appendNextOccurrence_(targetSheet, row, columns);
             }
+            if (base) {
+                base.complete = true;
+            }
+        }
+        return { conflicts: conflicts, rejectedEdits: rejectedEdits };
+    }
+
+    /**
+     * Finds the row of a task in a Doc table without an "ID" column by its item, summary and date.
+     * @param {GoogleAppsScript.Spreadsheet.Sheet} targetSheet - The task sheet.
+     * @param {Object} columns - Column number for each field, as resolved by TaskSheetSchema.
+     * @param {Table} table - The table element from the Google Document.
+     * @param {number} j - The row of the task in the table.
+     * @returns {number|null} The 1-based row number in the sheet, or null if no row matches.
+     */
+    findRowByTaskText(targetSheet, columns, table, j) {
+        let taskFlagInDoc = table.getCell(j, 0).getText() + table.getCell(j, 1).getText();
+        let itemColumn = targetSheet.getRange(1, columns.item, targetSheet.getLastRow()).getValues();
+        let summaryColumn = targetSheet.getRange(1, columns.summary, targetSheet.getLastRow()).getValues();
+        let dateColumn = targetSheet.getRange(1, columns.date, targetSheet.getLastRow()).getValues();
+        // Recurring tasks share item and summary with their earlier occurrences, so the date must match as well, in any language
+        let dueDateInDoc = normalizeDocText_('date', table.getCell(j, 2).getText());
+
+        for (let k = 0; k < itemColumn.length; k++) {
+            let taskFlagInSheet = itemColumn[k][0] + summaryColumn[k][0];
+            let dueDateInSheet = dateColumn[k][0] instanceof Date ? ReminderManager.formatEnglishDate(dateColumn[k][0]) : '';
+            if (taskFlagInDoc === taskFlagInSheet && dueDateInDoc === dueDateInSheet) {
+                return k + 1;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Emails the user what could not be written back from reminder Docs: conflicts added to the sync conflict sheet,
+     * and edits of Date, Staff or Comment that were rejected.
+     * @param {number} addedConflictCount - The number of conflicts added to the sync conflict sheet.
+     * @param {Array<Object>} rejectedEdits - The edits as { sheetName, item, taskId, field, value, reason }.
+     */
+    reportSyncProblems(addedConflictCount, rejectedEdits) {
+        let email = Session.getActiveUser().getEmail();
+        let subject = localize('email.syncProblemsSubject');
+        let sections = [];
+        if (addedConflictCount > 0) {
+            let conflictSheet = this.spreadsheet.getSheetByName(SYNC_CONFLICT_SHEET_NAME);
+            sections.push(localize('email.syncConflictsAdded', {
+                count: addedConflictCount,
+                sheetName: SYNC_CONFLICT_SHEET_NAME,
+                url: `${this.spreadsheet.getUrl()}#gid=${conflictSheet.getSheetId()}`
+            }));
+        }
+        if (rejectedEdits.length > 0) {
+            let taskName = task => localize(task.taskId ? 'email.rejectedTaskWithId' : 'email.rejectedTask', task);
+            sections.push(`${localize('email.editsRejected')}\n\n` +
+                rejectedEdits.map(edit => localize(`email.rejectedEdit.${edit.reason}`, {
+                    task: taskName(edit),
+                    field: edit.field,
+                    value: edit.value
+                })).join('\n'));
         }
+        console.log(`${addedConflictCount} conflict(s) were added and ${rejectedEdits.length} edit(s) were rejected.`);
+        GmailApp.sendEmail(email, subject, sections.join('\n\n'));
     }
 
     /**
@@ -371,7 +666,7 @@ class TaskSheetManager {
  */
 function createNewSheetModal() {
     let manager = new TaskSheetManager();
-    manager.showModal('show-editor-choice', 'Choose relevant staff as editors', 'create');
+    manager.showModal('show-editor-choice', localize('dialog.chooseEditors'), 'create');
 }
 
 /**
@@ -395,7 +690,7 @@ function modifyEditorsModal() {
     let sheetName = sheet.getName();
     let protection = sheet.getProtections(SpreadsheetApp.ProtectionType.SHEET)[0]; // Assuming there's at least one protection
     let currentEditors = protection.getEditors().map(editor => editor.getEmail());
-    manager.showModal('show-editor-choice', `Modify Editors of ${sheetName}`, 'modify', currentEditors, sheetName);
+    manager.showModal('show-editor-choice', localize('dialog.modifyEditors', { sheetName: sheetName }), 'modify', currentEditors, sheetName);
 }
 
 /**
@@ -422,6 +717,6 @@ function updateCompletionStatusToSheet(){
  * @param {string} action - The action attempted when the error occurred.
  */
 function displayExecutionError(action){
-  Browser.msgBox(`Action was ${action}. But neither create a new sheet nor modify editors of the sheeet has been executed. Check the codes and try again.`);
+  Browser.msgBox(localize('message.executionError', { action: action }));
   return;
 }
\ No newline at end of file
@@ -0,0 +1,247 @@
+/**
+ * Interface of the notifiers that share a reminder run outside email, e.g. in a chat space.
+ * A notifier receives a summary of the run made by ReminderNotifier.summarize, so that each implementation only decides
+ * how the summary is formatted and delivered. Implementations throw an error if the notification cannot be delivered.
+ */
+class ReminderNotifier {
+    /**
+     * Delivers a notification of a reminder run.
+     *
+     * @param {Object} summary - The summary of the run, as returned by ReminderNotifier.summarize.
+     */
+    notify(summary) {
+        throw new Error(`${this.constructor.name} does not implement notify.`);
+    }
+
+    /**
+     * Creates the notifier that posts to an incoming webhook.
+     *
+     * @param {string} webhookUrl - The URL of the incoming webhook.
+     * @param {Localizer} [localizer=new Localizer()] - The localizer of the language of the reminder.
+     * @returns {ReminderNotifier} The notifier.
+     */
+    static forWebhook(webhookUrl, localizer = new Localizer()) {
+        return new WebhookNotifier(webhookUrl, localizer);
+    }
+
+    /**
+     * Checks whether a URL can be used as an incoming webhook.
+     *
+     * @param {string} url - The URL entered in the setting.
+     * @returns {boolean} True if the URL is an https URL.
+     */
+    static isValidWebhookUrl(url) {
+        return /^https:\/\/[^\s/]+\/\S*$/.test(String(url || ''));
+    }
+
+    /**
+     * Summarizes a reminder run for notifiers: the number of tasks in each due section, the overdue tasks to highlight
+     * and the links to the task sheets and the reminder Doc.
+     *
+     * @param {string} title - The title of the reminder, the same as the email subject.
+     * @param {Array<SheetReminder>} reminderData - The reminders shared in the run.
+     * @param {string} [docUrl=''] - The URL of the reminder Doc.
+     * @returns {Object} { title, docUrl, counts: { total, overdue, dueToday, upcoming, highPriorityOverdue },
+     *                   overdueTasks: Array<Reminder & { sheetName }>, hiddenOverdueCount: number,
+     *                   sheets: Array<{ sheetName, sheetURL, taskCount }> }.
+     *                   overdueTasks lists up to CHAT_OVERDUE_HIGHLIGHT_LIMIT tasks, high-priority and most overdue first.
+     */
+    static summarize(title, reminderData, docUrl = '') {
+        let today = new Date();
+        today.setHours(0, 0, 0, 0);
+        let counts = { total: 0, overdue: 0, dueToday: 0, upcoming: 0, highPriorityOverdue: ReminderManager.countHighPriorityOverdue(reminderData) };
+        let overdueTasks = [];
+        reminderData.forEach(sheetReminder => {
+            ReminderManager.groupByDueSection(sheetReminder.taskData, today).forEach(section => {
+                counts[section.key] += section.taskData.length;
+            });
+            counts.total += sheetReminder.taskData.length;
+            sheetReminder.taskData.filter(task => task.daysOverdue > 0)
+                .forEach(task => overdueTasks.push(Object.assign({}, task, { sheetName: sheetReminder.sheetName })));
+        });
+
+        overdueTasks.sort((a, b) => {
+            let rankDiff = ReminderManager.getPriorityRank(a.priority) - ReminderManager.getPriorityRank(b.priority);
+            return rankDiff !== 0 ? rankDiff : b.daysOverdue - a.daysOverdue;
+        });
+        return {
+            title: title,
+            docUrl: docUrl,
+            counts: counts,
+            overdueTasks: overdueTasks.slice(0, CHAT_OVERDUE_HIGHLIGHT_LIMIT),
+            hiddenOverdueCount: Math.max(0, overdueTasks.length - CHAT_OVERDUE_HIGHLIGHT_LIMIT),
+            sheets: reminderData.map(sheetReminder => ({
+                sheetName: sheetReminder.sheetName,
+                sheetURL: sheetReminder.sheetURL,
+                taskCount: sheetReminder.taskData.length
+            }))
+        };
+    }
+
+    /**
+     * Describes the counts of a summary in a line, e.g. "3 tasks: 1 overdue, 1 due today, 1 upcoming".
+     *
+     * @param {Object} counts - The counts of a summary.
+     * @param {Localizer} [localizer=new Localizer()] - The localizer of the language of the reminder.
+     * @returns {string} The description.
+     */
+    static describeCounts(counts, localizer = new Localizer()) {
+        let line = localizer.t(counts.total === 1 ? 'chat.counts.one' : 'chat.counts.other', counts);
+        if (counts.highPriorityOverdue > 0) {
+            line += localizer.t('chat.highPriorityOverdue', { count: counts.highPriorityOverdue });
+        }
+        return line;
+    }
+}
+
+/**
+ * Posts a card per reminder run to an incoming webhook.
+ * Webhooks of Google Chat (chat.googleapis.com) get a Google Chat card; other webhooks get a message with Slack blocks,
+ * which Slack and compatible chat services accept. Both have a plain-text fallback.
+ */
+class WebhookNotifier extends ReminderNotifier {
+    /**
+     * @param {string} webhookUrl - The URL of the incoming webhook.
+     * @param {Localizer} [localizer=new Localizer()] - The localizer of the language of the card.
+     */
+    constructor(webhookUrl, localizer = new Localizer()) {
+        super();
+        this.webhookUrl = webhookUrl;
+        this.localizer = localizer;
+    }
+
+    /**
+     * Returns the message format of the webhook.
+     *
+     * @returns {string} 'googleChat' or 'slack'.
+     */
+    getFormat() {
+        return /^https:\/\/chat\.googleapis\.com\//.test(this.webhookUrl) ? 'googleChat' : 'slack';
+    }
+
+    /**
+     * Posts the card of a reminder run to the webhook.
+     * UrlFetchApp throws an error if the webhook does not accept the card.
+     *
+     * @param {Object} summary - The summary of the run, as returned by ReminderNotifier.summarize.
+     */
+    notify(summary) {
+        let message = this.getFormat() === 'googleChat' ?
+            WebhookNotifier.buildGoogleChatMessage(summary, this.localizer) : WebhookNotifier.buildSlackMessage(summary, this.localizer);
+        UrlFetchApp.fetch(this.webhookUrl, {
+            method: 'post',
+            contentType: 'application/json; charset=UTF-8',
+            payload: JSON.stringify(message)
+        });
+    }
+
+    /**
+     * Describes an overdue task in a line, e.g. "Report (Admin: Budget) - Friday, January 5, 2024 / Aki - 5 days overdue".
+     *
+     * @param {Object} task - An overdue task of a summary.
+     * @param {Localizer} [localizer=new Localizer()] - The localizer of the language of the card.
+     * @returns {string} The description.
+     */
+    static describeOverdueTask(task, localizer = new Localizer()) {
+        let staff = task.staff ? ` / ${task.staff}` : '';
+        let priority = ReminderManager.isHighPriority(task) ? ` [${task.priority}]` : '';
+        let daysOverdue = localizer.t(task.daysOverdue === 1 ? 'chat.daysOverdue.one' : 'chat.daysOverdue.other', { count: task.daysOverdue });
+        return `${task.item}${priority} (${task.sheetName}) - ${task.date}${staff} - ${daysOverdue}`;
+    }
+
+    /**
+     * Builds the message of a reminder run for Google Chat: a card with the counts in the header,
+     * a section highlighting overdue tasks and buttons that open the task sheets and the reminder Doc.
+     *
+     * @param {Object} summary - The summary of the run, as returned by ReminderNotifier.summarize.
+     * @param {Localizer} [localizer=new Localizer()] - The localizer of the language of the card.
+     * @returns {Object} The message, with text as the fallback and the card in cardsV2.
+     */
+    static buildGoogleChatMessage(summary, localizer = new Localizer()) {
+        let sections = [];
+        if (summary.overdueTasks.length > 0) {
+            let widgets = summary.overdueTasks.map(task => ({
+                decoratedText: {
+                    text: WebhookNotifier.escapeMarkup(WebhookNotifier.describeOverdueTask(task, localizer)),
+                    wrapText: true
+                }
+            }));
+            if (summary.hiddenOverdueCount > 0) {
+                widgets.push({ textParagraph: { text: localizer.t('chat.moreOverdue', { count: summary.hiddenOverdueCount }) } });
+            }
+            sections.push({ header: localizer.t('chat.overdue'), widgets: widgets });
+        }
+
+        let buttons = summary.sheets.map(sheet => ({
+            text: `${sheet.sheetName} (${sheet.taskCount})`,
+            onClick: { openLink: { url: sheet.sheetURL } }
+        }));
+        if (summary.docUrl) {
+            buttons.push({ text: localizer.t('chat.openDoc'), onClick: { openLink: { url: summary.docUrl } } });
+        }
+        if (buttons.length > 0) {
+            sections.push({ header: localizer.t('chat.links'), widgets: [{ buttonList: { buttons: buttons } }] });
+        }
+
+        let counts = ReminderNotifier.describeCounts(summary.counts, localizer);
+        return {
+            text: `${summary.title}: ${counts}`,
+            cardsV2: [{
+                cardId: 'reminder',
+                card: {
+                    header: { title: summary.title, subtitle: counts },
+                    sections: sections
+                }
+            }]
+        };
+    }
+
+    /**
+     * Builds the message of a reminder run for Slack-compatible webhooks: blocks with the counts,
+     * the overdue tasks to highlight and links to the task sheets and the reminder Doc.
+     *
+     * @param {Object} summary - The summary of the run, as returned by ReminderNotifier.summarize.
+     * @param {Localizer} [localizer=new Localizer()] - The localizer of the language of the card.
+     * @returns {Object} The message, with text as the fallback and the card in blocks.
+     */
+    static buildSlackMessage(summary, localizer = new Localizer()) {
+        let escape = WebhookNotifier.escapeMarkup;
+        let counts = ReminderNotifier.describeCounts(summary.counts, localizer);
+        let blocks = [
+            { type: 'header', text: { type: 'plain_text', text: summary.title } },
+            { type: 'section', text: { type: 'mrkdwn', text: escape(counts) } }
+        ];
+        if (summary.overdueTasks.length > 0) {
+            let lines = summary.overdueTasks.map(task => `• ${escape(WebhookNotifier.describeOverdueTask(task, localizer))}`);
+            if (summary.hiddenOverdueCount > 0) {
+                lines.push(escape(localizer.t('chat.moreOverdue', { count: summary.hiddenOverdueCount })));
+            }
+            blocks.push({ type: 'section', text: { type: 'mrkdwn', text: `*${localizer.t('chat.overdue')}*\n${lines.join('\n')}` } });
+        }
+        if (summary.sheets.length > 0) {
+            let links = summary.sheets.map(sheet => `<${sheet.sheetURL}|${escape(sheet.sheetName)}> (${sheet.taskCount})`);
+            blocks.push({ type: 'section', text: { type: 'mrkdwn', text: `*${localizer.t('chat.taskSheets')}*\n${links.join('\n')}` } });
+        }
+        if (summary.docUrl) {
+            blocks.push({
+                type: 'actions',
+                elements: [{ type: 'button', text: { type: 'plain_text', text: localizer.t('chat.openDoc') }, url: summary.docUrl }]
+            });
+        }
+
+        return {
+            text: `${summary.title}: ${counts}`,
+            blocks: blocks
+        };
+    }
+
+    /**
+     * Escapes "&", "<" and ">", which Google Chat cards read as HTML and Slack mrkdwn as links and mentions.
+     *
+     * @param {string} text - The text to show.
+     * @returns {string} The escaped text.
+     */
+    static escapeMarkup(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    }
+}
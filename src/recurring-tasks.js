@@ -0,0 +1,216 @@
+/**
+ * Represents the rule written in the "Recurrence" column of a task sheet.
+ * The following rules are supported (case-insensitive):
+ *  - "Daily"
+ *  - "Weekly on Monday" (or any other weekday, e.g. "Weekly on Fri")
+ *  - "Monthly on day 15" (the last day of the month is used in shorter months)
+ *  - "Every 3 business days" (days that are not working days in the WorkingCalendar are skipped)
+ */
+class RecurrenceRule {
+    /**
+     * @param {string} type - One of 'daily', 'weekly', 'monthly' or 'businessDays'.
+     * @param {number} [value=1] - The weekday (0 = Sunday) for 'weekly', the day of the month for 'monthly'
+     *                             or the number of business days for 'businessDays'.
+     */
+    constructor(type, value = 1) {
+        this.type = type;
+        this.value = value;
+    }
+
+    /**
+     * Reads a rule from the text of a "Recurrence" cell.
+     *
+     * @param {*} text - The value of the "Recurrence" cell.
+     * @returns {RecurrenceRule|null} The rule, or null if the cell is empty or not written as a supported rule.
+     *
+     * @example
+     * RecurrenceRule.parse('Weekly on Monday'); // RecurrenceRule { type: 'weekly', value: 1 }
+     */
+    static parse(text) {
+        let rule = String(text || '').trim().toLowerCase().replace(/\s+/g, ' ');
+        if (!rule) {
+            return null;
+        }
+
+        if (rule === 'daily') {
+            return new RecurrenceRule('daily');
+        }
+
+        let weekly = rule.match(/^weekly on ([a-z]+)$/);
+        if (weekly) {
+            let weekday = RECURRENCE_WEEKDAYS.findIndex(day => day.startsWith(weekly[1]) && weekly[1].length >= 3);
+            return weekday === -1 ? null : new RecurrenceRule('weekly', weekday);
+        }
+
+        let monthly = rule.match(/^monthly on day (\d{1,2})$/);
+        if (monthly) {
+            let dayOfMonth = parseInt(monthly[1]);
+            return dayOfMonth >= 1 && dayOfMonth <= 31 ? new RecurrenceRule('monthly', dayOfMonth) : null;
+        }
+
+        let businessDays = rule.match(/^every (\d+ )?business days?$/);
+        if (businessDays) {
+            let days = businessDays[1] ? parseInt(businessDays[1]) : 1;
+            return days >= 1 ? new RecurrenceRule('businessDays', days) : null;
+        }
+
+        return null;
+    }
+
+    /**
+     * Calculates the next due date after the given date.
+     *
+     * @param {Date} date - The due date of the current occurrence.
+     * @param {WorkingCalendar} [calendar=new WorkingCalendar()] - The calendar that decides business days.
+     * @returns {Date} The due date of the next occurrence, at midnight.
+     */
+    getNextDate(date, calendar = new WorkingCalendar()) {
+        let baseDate = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+        let nextDate = new Date(baseDate.getTime());
+
+        switch (this.type) {
+            case 'daily':
+                nextDate.setDate(nextDate.getDate() + 1);
+                break;
+            case 'weekly':
+                do {
+                    nextDate.setDate(nextDate.getDate() + 1);
+                } while (nextDate.getDay() !== this.value);
+                break;
+            case 'monthly':
+                nextDate = RecurrenceRule.getDayOfMonth(baseDate.getFullYear(), baseDate.getMonth(), this.value);
+                if (nextDate <= baseDate) {
+                    nextDate = RecurrenceRule.getDayOfMonth(baseDate.getFullYear(), baseDate.getMonth() + 1, this.value);
+                }
+                break;
+            case 'businessDays':
+                for (let i = 0; i < this.value; i++) {
+                    nextDate = calendar.getNextWorkingDay(nextDate);
+                }
+                break;
+        }
+        return nextDate;
+    }
+
+    /**
+     * Returns the given day of a month, or the last day of the month if the month is shorter.
+     *
+     * @param {number} year - The year.
+     * @param {number} month - The 0-based month. Months past December roll over into the next year.
+     * @param {number} dayOfMonth - The day of the month (1-31).
+     * @returns {Date} The date at midnight.
+     */
+    static getDayOfMonth(year, month, dayOfMonth) {
+        let lastDay = new Date(year, month + 1, 0).getDate();
+        return new Date(year, month, Math.min(dayOfMonth, lastDay));
+    }
+}
+
+/**
+ * The new row has the next due date, the same item, summary, staff and priority, a new task ID and an unchecked box.
+ * The new row has the next due date, the same item, summary, staff and priority, and an unchecked box.
+ * The completed row is left as it is. Nothing is appended if the row has no valid rule in the "Recurrence" column
+ * or if the next occurrence already exists, e.g. when the box is unticked and ticked again.
+ *
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The task sheet.
+ * @param {number} row - The row of the completed task.
+ * @param {Object} columns - The task sheet columns resolved by TaskSheetSchema.
+ * @returns {number|null} The row of the next occurrence, or null if nothing was appended.
+ */
+function appendNextOccurrence_(sheet, row, columns) {
+    if (!columns.recurrence) {
+        return null;
+    }
+
+    let lastCol = sheet.getLastColumn();
+    let task = sheet.getRange(row, 1, 1, lastCol).getValues()[0];
+    let rule = RecurrenceRule.parse(task[columns.recurrence - 1]);
+    let item = task[columns.item - 1];
+    if (!rule || !item) {
+        return null;
+    }
+
+    let dueDate = task[columns.date - 1];
+    let baseDate = dueDate instanceof Date ? dueDate : new Date();
+    let nextDate = rule.getNextDate(baseDate, WorkingCalendar.load());
+
+    let lastRow = sheet.getRange(sheet.getMaxRows(), columns.item).getNextDataCell(SpreadsheetApp.Direction.UP).getRow();
+    let data = sheet.getRange(1, 1, lastRow, lastCol).getValues();
+    let alreadyAppended = data.some(existingRow =>
+        existingRow[columns.item - 1] === item &&
+        existingRow[columns.summary - 1] === task[columns.summary - 1] &&
+        existingRow[columns.date - 1] instanceof Date &&
+        existingRow[columns.date - 1].getTime() === nextDate.getTime()
+    );
+    if (alreadyAppended) {
+        console.log(`The next occurrence of ${item} on ${ReminderManager.formatEnglishDate(nextDate)} already exists.`);
+        return null;
+    }
+
+    let newRow = lastRow + 1;
+    if (newRow > sheet.getMaxRows()) {
+        sheet.insertRowsAfter(sheet.getMaxRows(), 1);
+    }
+
+    // Copy the dropdowns and checkbox of the completed row before writing the values
+    sheet.getRange(newRow, 1, 1, lastCol).setDataValidations(sheet.getRange(row, 1, 1, lastCol).getDataValidations());
+
+    let values = {
+        item: item,
+        summary: task[columns.summary - 1],
+        date: nextDate,
+        staff: task[columns.staff - 1],
+        priority: columns.priority ? task[columns.priority - 1] : '',
+        recurrence: task[columns.recurrence - 1],
+        id: columns.id ? createTaskId_() : ''
+    };
+    Object.keys(values).forEach(field => {
+        if (columns[field]) {
+            sheet.getRange(newRow, columns[field]).setValue(values[field]);
+        }
+    });
+    sheet.getRange(newRow, columns.complete).insertCheckboxes();
+
+    console.log(`The next occurrence of ${item} on ${ReminderManager.formatEnglishDate(nextDate)} was added to row ${newRow}.`);
+    ActivityLog.record({
+        action: 'Add next occurrence of recurring task',
+        sheetName: sheet.getName(),
+        row: newRow,
+        staff: values.staff,
+        after: nextDate
+    });
+    return newRow;
+}
+
+/**
+ * Simple trigger that runs when a user edits the spreadsheet.
+ * When the "Complete" checkbox of a recurring task is ticked, the next occurrence is appended to the task sheet.
+ *
+ * @param {GoogleAppsScript.Events.SheetsOnEdit} e - The edit event.
+ */
+function onEdit(e) {
+    let range = e.range;
+    let sheet = range.getSheet();
+    let columns = TaskSheetSchema.load().resolveColumns(sheet);
+    if (!columns || !columns.recurrence) {
+        return;
+    }
+
+    // Ignore edits that do not touch the "Complete" column
+    if (range.getColumn() > columns.complete || range.getLastColumn() < columns.complete) {
+        return;
+    }
+
+    let firstRow = Math.max(range.getRow(), 2);
+    let lastRow = range.getLastRow();
+    if (lastRow < firstRow) {
+        return;
+    }
+
+    let completionStatus = sheet.getRange(firstRow, columns.complete, lastRow - firstRow + 1).getValues();
+    completionStatus.forEach((status, i) => {
+        if (status[0] === true) {
+            appendNextOccurrence_(sheet, firstRow + i, columns);
+        }
+    });
+}
@@ -0,0 +1,192 @@
+/**
+ * Records every reminder email sent to each recipient in the "Reminder History" sheet, keyed by target, reminder (period),
+ * date and recipient. ReminderManager checks the ledger before sending, so that a reminder that was already delivered
+ * that day is not sent again when a continuation trigger fires twice or the TEST menu is run after the scheduled trigger.
+ */
+class ReminderDeliveryLedger {
+    /**
+     * Returns the reminder history sheet.
+     *
+     * @param {boolean} [create=false] - Whether to create the sheet at the end of the spreadsheet if it does not exist.
+     * @returns {GoogleAppsScript.Spreadsheet.Sheet|null} The sheet, or null if it does not exist and is not created.
+     */
+    static getSheet(create = false) {
+        let ss = SpreadsheetApp.getActiveSpreadsheet();
+        let sheet = ss.getSheetByName(REMINDER_HISTORY_SHEET_NAME);
+        if (!sheet && create) {
+            sheet = ss.insertSheet(REMINDER_HISTORY_SHEET_NAME, ss.getNumSheets());
+            sheet.getRange(1, 1, 1, REMINDER_HISTORY_HEADERS.length).setValues([REMINDER_HISTORY_HEADERS])
+                                                                   .setBackground("#D3D3D3")
+                                                                   .setFontWeight("bold")
+                                                                   .setHorizontalAlignment("center");
+            sheet.getRange('A2:A').setNumberFormat('yyyy/M/d H:mm:ss');
+            // Keep the date keys as text so that they are compared as written
+            sheet.getRange('D2:D').setNumberFormat('@');
+            sheet.setFrozenRows(1);
+        }
+        return sheet;
+    }
+
+    /**
+     * Splits the recipients of an email into addresses.
+     *
+     * @param {string|Array<string>} recipients - A comma-separated list of emails or an array of emails.
+     * @returns {Array<string>} The email addresses.
+     */
+    static splitRecipients(recipients) {
+        let emails = Array.isArray(recipients) ? recipients : String(recipients || '').split(',');
+        return emails.map(email => String(email).trim()).filter(email => email);
+    }
+
+    /**
+     * Returns the recipients that were successfully sent the reminder on a date.
+     *
+     * @param {string} target - 'general' or 'staffBased'.
+     * @param {string} period - The name of the reminder profile.
+     * @param {Date} date - The date. Only the deliveries of the day and the days after it are read.
+     * @returns {Set<string>} The email addresses.
+     */
+    static getDeliveredRecipients(target, period, date) {
+        let dateKey = WorkingCalendar.toDateKey(date);
+        let startOfDay = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+        return new Set(ReminderDeliveryLedger.readDeliveriesSince(startOfDay)
+            .filter(delivery => delivery.target === target && delivery.period === period && delivery.dateKey === dateKey &&
+                delivery.result === REMINDER_DELIVERY_RESULTS.success)
+            .map(delivery => delivery.recipient));
+    }
+
+    /**
+     * Adds a row for each recipient of a reminder email.
+     *
+     * @param {Object} delivery - { target: string, period: string, recipients: string|Array<string>, subject: string,
+     *                            result: a value of REMINDER_DELIVERY_RESULTS, details?: string }.
+     */
+    static record(delivery) {
+        let now = new Date();
+        let dateKey = WorkingCalendar.toDateKey(now);
+        let rows = ReminderDeliveryLedger.splitRecipients(delivery.recipients).map(recipient =>
+            [now, delivery.target, delivery.period, dateKey, recipient, delivery.subject, delivery.result, delivery.details || '']);
+        if (rows.length === 0) {
+            return;
+        }
+        let sheet = ReminderDeliveryLedger.getSheet(true);
+        sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, REMINDER_HISTORY_HEADERS.length).setValues(rows);
+    }
+
+    /**
+     * Reads the deliveries sent since a time, oldest first. Since deliveries are appended in time order, the sheet is read
+     * backward from the last row, REMINDER_HISTORY_READ_ROWS rows at a time, until a delivery sent before the time is found.
+     *
+     * @param {Date} since - The time.
+     * @returns {Array<Object>} The deliveries, as returned by readRows.
+     */
+    static readDeliveriesSince(since) {
+        let sheet = ReminderDeliveryLedger.getSheet();
+        if (!sheet) {
+            return [];
+        }
+        let deliveries = [];
+        let endRow = sheet.getLastRow();
+        while (endRow >= 2) {
+            let startRow = Math.max(2, endRow - REMINDER_HISTORY_READ_ROWS + 1);
+            let rows = ReminderDeliveryLedger.readRows(sheet, startRow, endRow - startRow + 1);
+            deliveries = rows.filter(delivery => delivery.sent instanceof Date && delivery.sent >= since).concat(deliveries);
+            if (rows[0].sent instanceof Date && rows[0].sent < since) {
+                break;
+            }
+            endRow = startRow - 1;
+        }
+        return deliveries;
+    }
+
+    /**
+     * Reads the most recent deliveries, newest first.
+     *
+     * @param {number} limit - The maximum number of deliveries.
+     * @returns {Array<Object>} The deliveries, as returned by readRows.
+     */
+    static readRecentDeliveries(limit) {
+        let sheet = ReminderDeliveryLedger.getSheet();
+        if (!sheet || sheet.getLastRow() < 2) {
+            return [];
+        }
+        let startRow = Math.max(2, sheet.getLastRow() - limit + 1);
+        return ReminderDeliveryLedger.readRows(sheet, startRow, sheet.getLastRow() - startRow + 1).reverse();
+    }
+
+    /**
+     * Reads rows of the reminder history sheet.
+     *
+     * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The reminder history sheet.
+     * @param {number} startRow - The first row.
+     * @param {number} numRows - The number of rows.
+     * @returns {Array<Object>} The deliveries as { sent, target, period, dateKey, recipient, subject, result, details }, in the order of the rows.
+     */
+    static readRows(sheet, startRow, numRows) {
+        return sheet.getRange(startRow, 1, numRows, REMINDER_HISTORY_HEADERS.length).getValues().map(values => ({
+            sent: values[0],
+            target: String(values[1]),
+            period: String(values[2]),
+            dateKey: String(values[3]),
+            recipient: String(values[4]),
+            subject: String(values[5]),
+            result: String(values[6]),
+            details: String(values[7])
+        }));
+    }
+}
+
+/**
+ * Opens a modal dialog listing the most recent reminder deliveries, newest first,
+ * where a reminder can also be sent again regardless of the history.
+ *
+ * @param {string} [resultMessage=''] - The result of the previous action, shown above the list.
+ */
+function showReminderHistoryModal(resultMessage = '') {
+    let htmlTemplate = HtmlService.createTemplateFromFile('show-reminder-history');
+    htmlTemplate.deliveries = ReminderDeliveryLedger.readRecentDeliveries(REMINDER_HISTORY_VIEW_LIMIT).map(delivery => Object.assign(delivery, {
+        sent: delivery.sent instanceof Date ? Utilities.formatDate(delivery.sent, Session.getScriptTimeZone(), 'yyyy/M/d H:mm') : String(delivery.sent)
+    }));
+    htmlTemplate.reminders = listResendableReminders_();
+    htmlTemplate.resultMessage = resultMessage;
+    htmlTemplate.viewLimit = REMINDER_HISTORY_VIEW_LIMIT;
+    let localizer = Localizer.load();
+    htmlTemplate.t = (key, params) => localizer.t(key, params);
+
+    let html = htmlTemplate
+        .evaluate()
+        .setWidth(900)
+        .setHeight(600);
+    SpreadsheetApp.getUi().showModalDialog(html, localize('dialog.reminderHistory'));
+}
+
+/**
+ * Sends a reminder again to all its recipients, even if it was already sent today, and shows the reminder history again.
+ *
+ * @param {string} target - 'general' or 'staffBased'.
+ * @param {string} period - The name of the reminder profile.
+ */
+function resendReminder(target, period) {
+    let reminder = new ReminderManager(target, period, true);
+    reminder.shareRemindersByDoc();
+    let sentReminder = listResendableReminders_().find(candidate => candidate.target === target && candidate.period === period);
+    showReminderHistoryModal(localize('reminderHistory.resent', { reminderName: sentReminder ? sentReminder.label : period }));
+}
+
+/**
+ * Lists the reminders that can be sent again from the reminder history dialog, with their labels in the language set in the setting.
+ *
+ * @returns {Array<Object>} The reminders as { target: 'general'|'staffBased', period: string, label: string }.
+ */
+function listResendableReminders_() {
+    return [
+        { target: 'general', period: 'today', label: localize('reminderHistory.generalToday') },
+        { target: 'general', period: 'week', label: localize('reminderHistory.generalWeek') },
+        { target: 'staffBased', period: 'today', label: localize('reminderHistory.staffBasedToday') },
+        { target: 'staffBased', period: 'week', label: localize('reminderHistory.staffBasedWeek') }
+    ].concat(ReminderProfile.loadCustomProfiles().map(profile => ({
+        target: 'general',
+        period: profile.name,
+        label: localize('reminder.profile', { name: profile.name })
+    })));
+}
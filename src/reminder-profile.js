@@ -0,0 +1,207 @@
+/**
+ * Represents a named reminder profile that decides which tasks a reminder covers (the look-ahead window),
+ * where the reminder is displayed, who receives it and when it is sent.
+ * The built-in profiles 'today' and 'week' use the Doc URLs, emails and triggers of the General and Staff-Based Reminder settings.
+ * Custom profiles are stored in script properties with their own Doc URL, recipients and schedule.
+ */
+class ReminderProfile {
+    /**
+     * @param {Object} data - The profile data.
+     * @param {string} data.name - Unique name of the profile, e.g. "Next 2 Business Days".
+     * @param {Object} data.lookAhead - The look-ahead window: { type: one of the keys of REMINDER_LOOK_AHEAD_TYPES, days: number }.
+     * @param {string} [data.docUrl=''] - URL of the Google Doc that displays the reminders (custom profiles only).
+     * @param {Array<string>} [data.recipients=[]] - Emails to send the reminder to (custom profiles only).
+     * @param {Object} [data.schedule={}] - When the reminder is sent: { hour: number, weekDay: string|null }.
+     *                                      weekDay is a key of ScriptApp.WeekDay, or null to send it every day.
+     * @param {boolean} [builtIn=false] - Whether the profile is one of the built-in 'today' and 'week' profiles.
+     */
+    constructor(data, builtIn = false) {
+        this.name = data.name;
+        this.lookAhead = data.lookAhead;
+        this.docUrl = data.docUrl || '';
+        this.recipients = data.recipients || [];
+        this.schedule = data.schedule || {};
+        this.builtIn = builtIn;
+    }
+
+    /**
+     * Returns one of the built-in profiles.
+     *
+     * @param {string} name - 'today' or 'week'.
+     * @returns {ReminderProfile|null} The built-in profile, or null if there is none with the name.
+     */
+    static getBuiltIn(name) {
+        if (name === 'today') {
+            return new ReminderProfile({ name: 'today', lookAhead: { type: 'today' }, schedule: { hour: 8, weekDay: null } }, true);
+        } else if (name === 'week') {
+            return new ReminderProfile({ name: 'week', lookAhead: { type: 'businessDays', days: 5 }, schedule: { hour: 16, weekDay: 'FRIDAY' } }, true);
+        }
+        return null;
+    }
+
+    /**
+     * Reads the custom profiles stored in script properties.
+     *
+     * @returns {Array<ReminderProfile>} The custom profiles.
+     */
+    static loadCustomProfiles() {
+        let storedProfiles = JSON.parse(PropertiesService.getScriptProperties().getProperty(SCRIPT_PROPERTY_KEY_REMINDER_PROFILES) || '[]');
+        return storedProfiles.map(data => new ReminderProfile(data));
+    }
+
+    /**
+     * Finds a built-in or custom profile by its name.
+     *
+     * @param {string} name - The name of the profile.
+     * @returns {ReminderProfile|null} The profile, or null if there is none with the name.
+     */
+    static load(name) {
+        return ReminderProfile.getBuiltIn(name) ||
+            ReminderProfile.loadCustomProfiles().find(profile => profile.name === name) ||
+            null;
+    }
+
+    /**
+     * Checks the data of a custom profile entered in the setting.
+     *
+     * @param {Object} data - The profile data, in the shape accepted by the constructor.
+     * @returns {string|null} A description of the first problem found, in the language set in the setting, or null if the data is valid.
+     */
+    static validate(data) {
+        let name = String(data.name || '').trim();
+        if (!/^[A-Za-z0-9 _-]{1,50}$/.test(name)) {
+            return localize('setting.profileNameInvalid');
+        }
+        if (ReminderProfile.getBuiltIn(name.toLowerCase())) {
+            return localize('setting.profileNameReserved', { name: name });
+        }
+
+        let lookAhead = data.lookAhead || {};
+        if (!Object.keys(REMINDER_LOOK_AHEAD_TYPES).includes(lookAhead.type)) {
+            return localize('setting.lookAheadMissing');
+        }
+        if (['businessDays', 'calendarDays'].includes(lookAhead.type) && !(Number.isInteger(lookAhead.days) && lookAhead.days >= 1)) {
+            return localize('setting.lookAheadDaysInvalid');
+        }
+
+        if (!Array.isArray(data.recipients) || data.recipients.length === 0) {
+            return localize('setting.recipientsMissing');
+        }
+
+        let schedule = data.schedule || {};
+        if (!(Number.isInteger(schedule.hour) && schedule.hour >= 0 && schedule.hour <= 23)) {
+            return localize('setting.scheduleHourInvalid');
+        }
+        if (schedule.weekDay && !Object.keys(ScriptApp.WeekDay).includes(schedule.weekDay)) {
+            return localize('setting.scheduleWeekdayInvalid');
+        }
+        return null;
+    }
+
+    /**
+     * Checks whether the Doc of this profile has a "Complete" column where staff input "C" for completed tasks.
+     * Only windows of tasks that are already due have the column.
+     *
+     * @returns {boolean} True if the Doc has the "Complete" column.
+     */
+    allowsCompletionInput() {
+        return ['overdue', 'today'].includes(this.lookAhead.type);
+    }
+
+    /**
+     * Checks whether the reminder is skipped on days that are not working days in the WorkingCalendar.
+     * Reminders sent every day are skipped on non-working days; reminders sent on a fixed weekday are always sent.
+     *
+     * @returns {boolean} True if the reminder is sent only on working days.
+     */
+    runsOnlyOnWorkingDays() {
+        return !this.schedule.weekDay;
+    }
+
+    /**
+     * Creates a function that checks whether a due date is in the look-ahead window of this profile.
+     *
+     * @param {Date} today - Today at midnight.
+     * @param {WorkingCalendar} calendar - The calendar that decides business days.
+     * @returns {function(Date): boolean} A function that returns true if the due date is covered by the reminder.
+     */
+    createDueDateFilter(today, calendar) {
+        let days = this.lookAhead.days || 0;
+
+        switch (this.lookAhead.type) {
+            case 'overdue':
+                return date => date < today;
+            case 'today':
+                return date => date <= today;
+            case 'businessDays': {
+                // Tasks due on non-working days in between are not covered, as they cannot be worked on
+                let validTimes = [];
+                let nextDate = new Date(today.getTime());
+                for (let i = 1; i <= days; i++) {
+                    nextDate = calendar.getNextWorkingDay(nextDate);
+                    validTimes.push(nextDate.getTime());
+                }
+                return date => date <= today || validTimes.includes(date.getTime());
+            }
+            case 'calendarDays': {
+                let lastDate = new Date(today.getFullYear(), today.getMonth(), today.getDate() + days);
+                return date => date <= lastDate;
+            }
+            case 'thisMonth': {
+                let lastDate = new Date(today.getFullYear(), today.getMonth() + 1, 0);
+                return date => date <= lastDate;
+            }
+        }
+        return () => false;
+    }
+
+    /**
+     * Returns the name of the reminder, which is the {{reminderName}} placeholder in the ReminderTemplates of its Doc title and email subject.
+     *
+     * @param {string} target - 'general' or 'staffBased'.
+     * @param {string} [staffName=''] - The staff member the reminder is for, for staff-based reminders.
+     * @param {Localizer} [localizer=new Localizer()] - The localizer of the language of the reminder.
+     * @returns {string} The name, e.g. "Today's General Reminder", "Today's Reminder for Aki" or "Overdue Reminder".
+     */
+    getReminderName(target, staffName = '', localizer = new Localizer()) {
+        if (!this.builtIn) {
+            return localizer.t('reminder.profile', { name: this.name });
+        }
+        let period = this.name === 'today' ? 'Today' : 'Week';
+        if (target === 'staffBased') {
+            return localizer.t(`reminder.staffBased${period}`, { staffName: staffName });
+        }
+        return localizer.t(`reminder.general${period}`);
+    }
+
+    /**
+     * Returns the name of the function that runs this profile's reminder from a trigger.
+     * Custom profiles share runReminderProfile, which finds the profile from the trigger.
+     *
+     * @param {string} target - 'general' or 'staffBased'.
+     * @returns {string} The function name, e.g. "runGeneralReminderToday".
+     */
+    getTriggerFunctionName(target) {
+        if (!this.builtIn) {
+            return 'runReminderProfile';
+        }
+        return `run${target.charAt(0).toUpperCase() + target.slice(1)}Reminder${this.name.charAt(0).toUpperCase() + this.name.slice(1)}`;
+    }
+}
+
+/**
+ * Runs the reminder of a custom profile from its trigger.
+ * The profile is found from the trigger information stored in script properties under the trigger's unique ID.
+ *
+ * @param {GoogleAppsScript.Events.TimeDriven} e - The time-driven trigger event.
+ */
+function runReminderProfile(e) {
+    let triggerInfoStr = PropertiesService.getScriptProperties().getProperty(e.triggerUid);
+    if (!triggerInfoStr) {
+        console.log(`No reminder profile is stored for the trigger ${e.triggerUid}.`);
+        return;
+    }
+    let triggerInfo = JSON.parse(triggerInfoStr);
+    let profileReminder = new ReminderManager(triggerInfo.target, triggerInfo.period);
+    profileReminder.shareRemindersByDoc();
+}
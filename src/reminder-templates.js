@@ -0,0 +1,266 @@
+/**
+ * Represents the templates of the texts and task tables of reminders, as set in the Reminder Templates setting:
+ * the email subject, the Doc title, the intro text of the Doc, the email body and the label, width and font size of each table column.
+ * Texts can contain placeholders written as {{name}} (see REMINDER_TEMPLATE_PLACEHOLDERS), which are replaced when a reminder is sent.
+ * Templates that are not set fall back to the defaults of the language of the reminder: DEFAULT_REMINDER_TEMPLATES, which give
+ * the texts and tables used before templates existed, or their translation in LOCALIZED_REMINDER_TEMPLATES.
+ */
+class ReminderTemplates {
+    /**
+     * @param {Object} [data={}] - The templates: { subject, docTitle, introText, emailBody, columns }.
+     *                             columns has { label, width, completionWidth, fontSize } for each field of REMINDER_TABLE_COLUMNS.
+     *                             Missing texts and columns fall back to the defaults of the language.
+     * @param {string} [locale=DEFAULT_LOCALE] - The language of the reminder, a key of SUPPORTED_LOCALES.
+     */
+    constructor(data = {}, locale = DEFAULT_LOCALE) {
+        let defaults = ReminderTemplates.getDefaults(locale);
+        this.locale = locale;
+        Object.keys(REMINDER_TEMPLATE_TEXTS).forEach(key => {
+            this[key] = typeof data[key] === 'string' ? data[key] : defaults[key];
+        });
+        this.columns = {};
+        REMINDER_TABLE_COLUMNS.forEach(field => {
+            this.columns[field] = Object.assign({}, defaults.columns[field], (data.columns || {})[field]);
+        });
+    }
+
+    /**
+     * Creates the templates stored in script properties.
+     *
+     * @param {string} [locale=Localizer.loadLocale()] - The language of the reminder, e.g. the one chosen by the staff member it is for.
+     * @returns {ReminderTemplates} The stored templates, or the default ones of the language if none are stored.
+     */
+    static load(locale = Localizer.loadLocale()) {
+        let storedTemplates = PropertiesService.getScriptProperties().getProperty(SCRIPT_PROPERTY_KEY_REMINDER_TEMPLATES);
+        return new ReminderTemplates(JSON.parse(storedTemplates || '{}'), locale);
+    }
+
+    /**
+     * Returns the default templates of a language.
+     * The column widths and font sizes are the same in every language.
+     *
+     * @param {string} [locale=DEFAULT_LOCALE] - A key of SUPPORTED_LOCALES.
+     * @returns {Object} The templates, in the shape of DEFAULT_REMINDER_TEMPLATES.
+     */
+    static getDefaults(locale = DEFAULT_LOCALE) {
+        let localized = LOCALIZED_REMINDER_TEMPLATES[locale];
+        if (!localized) {
+            return DEFAULT_REMINDER_TEMPLATES;
+        }
+        let defaults = { columns: {} };
+        Object.keys(REMINDER_TEMPLATE_TEXTS).forEach(key => defaults[key] = localized[key]);
+        REMINDER_TABLE_COLUMNS.forEach(field => {
+            defaults.columns[field] = Object.assign({}, DEFAULT_REMINDER_TEMPLATES.columns[field], { label: localized.columnLabels[field] });
+        });
+        return defaults;
+    }
+
+    /**
+     * Leaves out the texts and column settings that are the same as the defaults of a language,
+     * so that only the ones changed in the setting are stored and the rest follow the language of each reminder.
+     *
+     * @param {Object} data - The templates entered in the setting, in the shape accepted by the constructor.
+     * @param {string} locale - The language the setting was shown in, a key of SUPPORTED_LOCALES.
+     * @returns {Object} The changed templates: { subject, docTitle, introText, emailBody, columns }, each only if changed.
+     */
+    static omitDefaults(data, locale) {
+        let defaults = ReminderTemplates.getDefaults(locale);
+        let changed = { columns: {} };
+        Object.keys(REMINDER_TEMPLATE_TEXTS)
+            .filter(key => data[key] !== defaults[key])
+            .forEach(key => changed[key] = data[key]);
+        REMINDER_TABLE_COLUMNS.forEach(field => {
+            let column = (data.columns || {})[field] || {};
+            Object.keys(column)
+                .filter(property => column[property] !== defaults.columns[field][property])
+                .forEach(property => {
+                    changed.columns[field] = changed.columns[field] || {};
+                    changed.columns[field][property] = column[property];
+                });
+        });
+        return changed;
+    }
+
+    /**
+     * Checks the templates entered in the setting.
+     *
+     * @param {Object} data - The templates, in the shape accepted by the constructor.
+     * @returns {string|null} A description of the first problem found, or null if the templates are valid.
+     */
+    static validate(data) {
+        let localizer = Localizer.load();
+        for (let key of Object.keys(REMINDER_TEMPLATE_TEXTS)) {
+            let text = data[key];
+            let textName = localizer.t(`reminderTemplates.text.${key}`);
+            if (typeof text !== 'string') {
+                return localizer.t('setting.templateTextMissing', { text: textName });
+            }
+            if (['subject', 'docTitle'].includes(key) && !text.trim()) {
+                return localizer.t('setting.templateTextEmpty', { text: textName });
+            }
+            let unknownPlaceholder = ReminderTemplates.listPlaceholders(text)
+                .find(name => !Object.keys(REMINDER_TEMPLATE_PLACEHOLDERS).includes(name) || (name === 'docLink' && key !== 'emailBody'));
+            if (unknownPlaceholder) {
+                return localizer.t('setting.templatePlaceholderNotAllowed', { placeholder: unknownPlaceholder, text: textName });
+            }
+        }
+
+        let columns = data.columns || {};
+        let defaultColumns = ReminderTemplates.getDefaults(localizer.locale).columns;
+        let labels = [];
+        for (let field of REMINDER_TABLE_COLUMNS) {
+            let column = columns[field] || {};
+            let label = String(column.label || '').trim();
+            if (!label) {
+                return localizer.t('setting.templateColumnLabelEmpty', { label: defaultColumns[field].label });
+            }
+            labels.push(label.toLowerCase());
+            for (let key of ['width', 'completionWidth']) {
+                if (!(Number.isInteger(column[key]) && column[key] >= 20 && column[key] <= 500)) {
+                    return localizer.t('setting.templateColumnWidthInvalid', { label: label });
+                }
+            }
+            if (!(Number.isInteger(column.fontSize) && column.fontSize >= 6 && column.fontSize <= 24)) {
+                return localizer.t('setting.templateColumnFontSizeInvalid', { label: label });
+            }
+        }
+        if (new Set(labels).size !== labels.length) {
+            return localizer.t('setting.templateColumnLabelsDuplicate');
+        }
+        return null;
+    }
+
+    /**
+     * Lists the names of the placeholders written in a text.
+     *
+     * @param {string} text - A text of the templates.
+     * @returns {Array<string>} The names of the placeholders, e.g. ["reminderName", "date"].
+     */
+    static listPlaceholders(text) {
+        return (String(text).match(/\{\{\s*[^{}]*?\s*\}\}/g) || []).map(placeholder => placeholder.slice(2, -2).trim());
+    }
+
+    /**
+     * Replaces the placeholders in a text with their values. Placeholders without a value are left as they are.
+     *
+     * @param {string} text - A text of the templates.
+     * @param {Object} values - The value of each placeholder, as returned by ReminderManager.getTemplateValues.
+     * @param {function(string): string} [format] - A function applied to the text around the placeholders, e.g. to escape HTML.
+     * @returns {string} The text with the placeholders replaced.
+     */
+    static fill(text, values, format = part => part) {
+        let parts = String(text).split(/(\{\{\s*[^{}]*?\s*\}\})/);
+        return parts.map((part, i) => {
+            if (i % 2 === 0) {
+                return format(part);
+            }
+            let name = part.slice(2, -2).trim();
+            return Object.prototype.hasOwnProperty.call(values, name) ? String(values[name]) : format(part);
+        }).join('');
+    }
+
+    /**
+     * Renders one of the texts of the templates.
+     *
+     * @param {string} key - A key of REMINDER_TEMPLATE_TEXTS other than 'emailBody', e.g. 'subject'.
+     * @param {Object} values - The value of each placeholder, as returned by ReminderManager.getTemplateValues.
+     * @returns {string} The rendered text.
+     */
+    render(key, values) {
+        return ReminderTemplates.fill(this[key], values);
+    }
+
+    /**
+     * Renders the email body as HTML. {{docLink}} becomes a link to the reminder Doc, and everything else is escaped.
+     * The text of the link is in the language of the templates.
+     *
+     * @param {Object} values - The value of each placeholder, as returned by ReminderManager.getTemplateValues.
+     * @returns {string} The HTML of the email body.
+     */
+    renderEmailBodyHtml(values) {
+        let escapedValues = {};
+        Object.keys(values).forEach(name => escapedValues[name] = ReminderTemplates.escapeHtml(values[name]));
+        escapedValues.docLink = `<a href="${ReminderTemplates.escapeHtml(values.docUrl || '')}" target="_blank"><strong>${new Localizer(this.locale).t('email.docLink')}</strong></a>`;
+        return ReminderTemplates.fill(this.emailBody, escapedValues, ReminderTemplates.escapeHtml);
+    }
+
+    /**
+     * Returns the columns of the task tables in reminder Docs, in their order.
+     *
+     * @param {boolean} allowsCompletionInput - Whether the Doc has the "Comment" and "Complete" columns.
+     * @returns {Array<Object>} The columns as { field, label, width, fontSize }.
+     */
+    getColumns(allowsCompletionInput) {
+        return REMINDER_TABLE_COLUMNS
+            .filter(field => allowsCompletionInput || !['comment', 'complete'].includes(field))
+            .map(field => ({
+                field: field,
+                label: this.columns[field].label,
+                width: allowsCompletionInput ? this.columns[field].completionWidth : this.columns[field].width,
+                fontSize: this.columns[field].fontSize
+            }));
+    }
+
+    /**
+     * Finds the column of a field in the header row of a task table in a reminder Doc.
+     * The default labels of all languages are also accepted, so that Docs created before the label or the language was changed are still read.
+     *
+     * @param {Array<string>} headers - The header texts of the table.
+     * @param {string} field - A field of REMINDER_TABLE_COLUMNS.
+     * @returns {number} The 0-based index of the column, or -1 if the table has no such column.
+     */
+    findColumnIndex(headers, field) {
+        let labels = [this.columns[field].label].concat(Object.keys(SUPPORTED_LOCALES).map(locale => ReminderTemplates.getDefaults(locale).columns[field].label));
+        let label = labels.find(label => headers.includes(label));
+        return label === undefined ? -1 : headers.indexOf(label);
+    }
+
+    /**
+     * Escapes "&", "<", ">" and double quotes for HTML.
+     *
+     * @param {string} text - The text to show.
+     * @returns {string} The escaped text.
+     */
+    static escapeHtml(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Renders templates entered in the setting with sample data, for the preview in the setting.
+     * Dates and the name of the reminder are in the language of the Language setting.
+     *
+     * @param {Object} data - The templates, in the shape accepted by the constructor.
+     * @returns {Object} { error: string|null, subject, docTitle, introText, emailBodyHtml,
+     *                   columns: Array<{ field, label, width, fontSize }>, rows: Array<Object> } for a Doc that takes completion input.
+     *                   Only error is set if the templates are not valid.
+     */
+    static preview(data) {
+        let error = ReminderTemplates.validate(data);
+        if (error) {
+            return { error: error };
+        }
+        let localizer = Localizer.load();
+        let templates = new ReminderTemplates(data, localizer.locale);
+        let today = new Date();
+        today.setHours(0, 0, 0, 0);
+        let yesterday = new Date(today.getFullYear(), today.getMonth(), today.getDate() - 1);
+        let tasks = [
+            new Reminder('Monthly report', 'Send to the board', localizer.formatDate(yesterday), 'Sample Staff', TASK_PRIORITIES[0], yesterday.getTime(), 1, 'T-0001', 'Waiting for figures'),
+            new Reminder('Client call', 'Confirm the schedule', localizer.formatDate(today), 'Sample Staff', '', today.getTime(), 0, 'T-0002', '')
+        ];
+        let reminderData = [new SheetReminder('Sample: Tasks', 'https://docs.google.com/spreadsheets/d/sample/edit', tasks)];
+        let values = ReminderManager.buildTemplateValues(localizer.t('reminder.staffBasedToday', { staffName: 'Sample Staff' }), 'Sample Staff', reminderData,
+            'https://docs.google.com/document/d/sample/edit', localizer);
+        let cellValues = task => ({ item: task.item, summary: task.note, date: task.date, staff: task.staff, comment: task.comment, complete: '', id: task.id });
+
+        return {
+            error: null,
+            subject: templates.render('subject', values),
+            docTitle: templates.render('docTitle', values),
+            introText: templates.render('introText', values),
+            emailBodyHtml: templates.renderEmailBodyHtml(values),
+            columns: templates.getColumns(true),
+            rows: tasks.map(cellValues)
+        };
+    }
+}
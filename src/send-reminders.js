@@ -1,46 +1,82 @@
 /**
  * Represents a reminder with task details.
- * Includes information about the task item, notes, due date, and assigned staff member.
+ * Includes information about the task item, notes, due date, assigned staff member, and priority.
+ * The due date is kept both as display text (date) and as a timestamp (dueTime) for sorting and overdue checks.
+ * daysOverdue is the number of days since the due date, or 0 if the task is not overdue.
+ * id is the task ID kept in the hidden "Task ID" column, which identifies the task row when completion is written back.
+ * comment is the progress note in the "Comment" column, which staff can edit in reminder Docs that take completion input.
  */
 class Reminder {
-    constructor(item, note, date, staff) {
+    constructor(item, note, date, staff, priority = '', dueTime = null, daysOverdue = 0, id = '', comment = '') {
         this.item = item;
         this.note = note;
         this.date = date;
         this.staff = staff;
+        this.priority = priority;
+        this.dueTime = dueTime;
+        this.daysOverdue = daysOverdue;
+        this.id = id;
+        this.comment = comment;
     }
 }
 
 /**
  * Represents a reminder for a specific sheet.
- * Contains the name and URL of the sheet, along with an array of Reminder objects related to tasks.
+ * Contains the name, URL and ID of the sheet, along with an array of Reminder objects related to tasks.
  */
 class SheetReminder {
-    constructor(sheetName, sheetURL, taskData) {
+    constructor(sheetName, sheetURL, taskData, sheetId = null) {
         this.sheetName = sheetName;
         this.sheetURL = sheetURL;
         this.taskData = taskData;  // Array of Reminder objects
+        this.sheetId = sheetId;
     }
 }
 
 /**
  * Manages reminders, including gathering, formatting, and sending.
- * Supports reminders for general tasks or staff-based tasks, with a focus on either today or a future period (e.g., next week).
+ * Supports reminders for general tasks or staff-based tasks. Which tasks are covered, how the Doc looks and how the reminder
+ * is resumed after a timeout are decided by a ReminderProfile: the built-in 'today' and 'week' profiles or a custom one.
+ * Each email is recorded in the ReminderDeliveryLedger, and recipients who already received the reminder today are skipped
+ * unless the reminder is forced.
  */
 class ReminderManager {
     /**
      * @param {string} target - The target audience for the reminder ('general' or 'staffBased').
-     * @param {string} period - The period for the reminder ('today' or 'week').
+     * @param {string} period - The name of the reminder profile ('today', 'week' or the name of a custom profile).
+     * @param {boolean} [force=false] - Whether to send the reminder even to recipients who already received it today.
+     *                                  A forced reminder stays forced when it is continued by a trigger after a timeout.
+     * @param {Array<string>|null} [staffNames=null] - The staff to send a staff-based reminder to, as chosen by runStaffReminderDispatcher
+     *                                                from their preferences. If null, it is sent to the staff without preferences,
+     *                                                or to all designated staff if the reminder is forced.
      */
-    constructor(target, period) {
+    constructor(target, period, force = false, staffNames = null) {
         this.target = target;
         this.period = period;
+        this.profile = ReminderProfile.load(period);
+        if (!this.profile) {
+            throw new Error(`Reminder profile ${period} is not set.`);
+        }
         this.reminderData = [];
         this.ss = SpreadsheetApp.getActiveSpreadsheet();
         this.scriptProperties = PropertiesService.getScriptProperties();
         let indexSheetInfo = JSON.parse(this.scriptProperties.getProperty(SCRIPT_PROPERTY_INDEX_SHEET));
         this.ongoingTaskSheetName = indexSheetInfo.ongoingTaskSheetName;
         this.completedTaskSheetName = indexSheetInfo.completedTaskSheetName;
+        this.force = force;
+        this.staffNames = staffNames;
+        this.setLocale();
+    }
+
+    /**
+     * Sets the language of the reminders shared from now on: the texts of the templates, the dates and the names of the reminders.
+     *
+     * @param {string|null} [locale=null] - A key of SUPPORTED_LOCALES, e.g. the one chosen by a staff member,
+     *                                      or null for the language of the Language setting.
+     */
+    setLocale(locale = null) {
+        this.localizer = Localizer.load(locale);
+        this.templates = ReminderTemplates.load(this.localizer.locale);
     }
 
     /*
@@ -54,7 +90,7 @@ class ReminderManager {
      *
      * @example
      * let date = new Date(2023, 4, 5); // 5th May 2023
-     * console.log(ReminderManager.formatJapaneseDate(date)); // Outputs: "5月5日(金)"
+     * console.log(ReminderManager.formatJapaneseDate(date)); // Outputs: "2023年5月5日(金)"
      */
     static formatJapaneseDate(dateObj) {
         let months = ["1月", "2月", "3月", "4月", "5月", "6月", "7月", "8月", "9月", "10月", "11月", "12月"];
@@ -63,8 +99,9 @@ class ReminderManager {
         let month = months[dateObj.getMonth()];
         let day = days[dateObj.getDay()];
         let date = dateObj.getDate();
+        let year = dateObj.getFullYear();
       
-        return `${month}${date}日(${day})`;
+        return `${year}年${month}${date}日(${day})`;
     }
 
     /**
@@ -90,6 +127,121 @@ class ReminderManager {
     }
 
 
+    /**
+     * Returns the rank of a priority for sorting. Higher priorities have lower ranks.
+     * Priorities not listed in TASK_PRIORITIES (including empty ones) rank last.
+     *
+     * @param {string} priority - The priority, e.g. "High".
+     * @returns {number} The rank of the priority.
+     */
+    static getPriorityRank(priority) {
+        let normalizedPriorities = TASK_PRIORITIES.map(p => p.toLowerCase());
+        let rank = normalizedPriorities.indexOf(String(priority || '').trim().toLowerCase());
+        return rank === -1 ? TASK_PRIORITIES.length : rank;
+    }
+
+    /**
+     * Checks whether a task has the highest priority in TASK_PRIORITIES.
+     *
+     * @param {Reminder} task - The task to check.
+     * @returns {boolean} True if the task is high priority.
+     */
+    static isHighPriority(task) {
+        return ReminderManager.getPriorityRank(task.priority) === 0;
+    }
+
+    /**
+     * Sorts tasks by priority first and then by due date, without modifying the given array.
+     *
+     * @param {Array<Reminder>} taskData - Array of Reminder objects.
+     * @returns {Array<Reminder>} A new array of the sorted Reminder objects.
+     */
+    static sortByPriorityAndDate(taskData) {
+        return taskData.slice().sort((a, b) => {
+            let rankDiff = ReminderManager.getPriorityRank(a.priority) - ReminderManager.getPriorityRank(b.priority);
+            if (rankDiff !== 0) {
+                return rankDiff;
+            }
+            return (a.dueTime || 0) - (b.dueTime || 0);
+        });
+    }
+
+    /**
+     * Counts high-priority tasks whose due date is before today.
+     *
+     * @param {Array<SheetReminder>} reminderData - Array of SheetReminder objects containing the reminder data.
+     * @returns {number} The number of overdue high-priority tasks.
+     */
+    static countHighPriorityOverdue(reminderData) {
+        let today = new Date();
+        today.setHours(0, 0, 0, 0);
+        let count = 0;
+        reminderData.forEach(sheetReminder => {
+            sheetReminder.taskData.forEach(task => {
+                if (ReminderManager.isHighPriority(task) && task.dueTime !== null && task.dueTime < today.getTime()) {
+                    count++;
+                }
+            });
+        });
+        return count;
+    }
+
+    /**
+     * Returns the values of the placeholders in the templates of a reminder (see REMINDER_TEMPLATE_PLACEHOLDERS).
+     * {{docLink}} is given by ReminderTemplates.renderEmailBodyHtml.
+     *
+     * @param {string} reminderName - The name of the reminder, e.g. "Today's General Reminder".
+     * @param {string} staffName - The staff member the reminder is for, or '' for reminders that are not staff-based.
+     * @param {Array<SheetReminder>} reminderData - The reminders shared.
+     * @param {string} [docUrl=''] - The URL of the reminder Doc.
+     * @param {Localizer} [localizer=new Localizer()] - The localizer of the language of the reminder, which formats {{date}}.
+     * @returns {Object} The value of each placeholder.
+     */
+    static buildTemplateValues(reminderName, staffName, reminderData, docUrl = '', localizer = new Localizer()) {
+        let tasks = [].concat(...reminderData.map(sheetReminder => sheetReminder.taskData));
+        return {
+            reminderName: reminderName,
+            staffName: staffName,
+            date: localizer.formatDate(new Date()),
+            taskCount: tasks.length,
+            overdueCount: tasks.filter(task => task.daysOverdue > 0).length,
+            highPriorityOverdueCount: ReminderManager.countHighPriorityOverdue(reminderData),
+            docUrl: docUrl || ''
+        };
+    }
+
+    /**
+     * Counts the days from a due date to today.
+     *
+     * @param {Date} dueDate - The due date of the task.
+     * @param {Date} today - Today at midnight.
+     * @returns {number} The number of days the task is overdue, or 0 if it is due today or later.
+     */
+    static countDaysOverdue(dueDate, today) {
+        let dueDay = new Date(dueDate.getFullYear(), dueDate.getMonth(), dueDate.getDate());
+        // Rounded since a day is not always 24 hours around daylight saving time changes
+        return Math.max(0, Math.round((today.getTime() - dueDay.getTime()) / (24 * 60 * 60 * 1000)));
+    }
+
+    /**
+     * Splits tasks into the sections of a reminder Doc: overdue tasks first, then tasks due today and then upcoming tasks.
+     * Sections without tasks are left out.
+     *
+     * @param {Array<Reminder>} taskData - Array of Reminder objects.
+     * @param {Date} today - Today at midnight.
+     * @param {Localizer} [localizer=new Localizer()] - The localizer of the language of the section titles.
+     * @returns {Array<Object>} The sections as { key: 'overdue'|'dueToday'|'upcoming', title: string, taskData: Array<Reminder> }.
+     */
+    static groupByDueSection(taskData, today, localizer = new Localizer()) {
+        let sections = [
+            { key: 'overdue', taskData: taskData.filter(task => task.daysOverdue > 0) },
+            { key: 'dueToday', taskData: taskData.filter(task => !(task.daysOverdue > 0) && task.dueTime === today.getTime()) },
+            { key: 'upcoming', taskData: taskData.filter(task => !(task.daysOverdue > 0) && task.dueTime !== today.getTime()) }
+        ];
+        sections.forEach(section => section.title = localizer.t(`section.${section.key}`));
+        return sections.filter(section => section.taskData.length > 0);
+    }
+
     /**
      * Extracts the Google Document ID from a given URL.
      *
@@ -113,21 +265,27 @@ class ReminderManager {
 
     /**
      * Gathers reminder data from the spreadsheet.
-     * Processes each sheet to extract tasks and organize them into reminders, considering the set period (today or week) and type (general or staff-based).
-     * Handles timeouts by saving progress and scheduling a follow-up execution.
+     * Processes each sheet to extract tasks and organize them into reminders, considering the look-ahead window of the reminder profile and type (general or staff-based).
+     * The sheets are processed as a BatchJob, which saves the progress on timeout and continues from a trigger.
      * 
-     * @returns {Array<SheetReminder>} An array of SheetReminder objects containing the reminder data.
+     * @returns {Array<SheetReminder>|null} An array of SheetReminder objects containing the reminder data,
+     * or null if the sheets are not all processed yet or the job could not run now.
      * The structure of returns:
      *  [
      *    {
      *      sheetName: "Project A Tasks",
      *      sheetUrl: "https://docs.google.com/spreadsheets/d/12345/edit#gid=67890",
+     *      sheetId: 67890,
      *      taskData: [
      *        {
      *          item: "Complete budget report",
      *          note: "Include projections for next quarter",
      *          dateInfo: "2023-07-21",
-     *          staff: "John Doe"
+     *          staff: "John Doe",
+     *          priority: "High",
+     *          dueTime: 1689865200000,
+     *          daysOverdue: 0,
+     *          id: "T3F9A1C2B7E"
      *        },
      *        {
      *          item: "Update project timeline",
@@ -140,6 +298,7 @@ class ReminderManager {
      *    {
      *      sheetName: "Project B Tasks",
      *      sheetUrl: "https://docs.google.com/spreadsheets/d/54321/edit#gid=09876",
+     *      sheetId: 9876,
      *      taskData: [
      *        {
      *          item: "Review codebase for errors",
@@ -153,316 +312,544 @@ class ReminderManager {
      */
     getReminderData() {
         console.log('Starting getReminderData...');
-        let startTime = new Date().getTime();
-        let sheets = this.ss.getSheets();
-
-        // Use unique keys for stored reminders and current sheet index
-        let storedDataKey = `SCRIPT_PROPERTY_KEY_STORED_REMINDERS_${this.target.toUpperCase()}_${this.period.toUpperCase()}`;
-        let currentSheetIndexKey = `SCRIPT_PROPERTY_KEY_CURRENT_SHEET_INDEX_${this.target.toUpperCase()}_${this.period.toUpperCase()}`;
-        let storedDataStr = this.scriptProperties.getProperty(storedDataKey);
-        let completionStatusKey = this.getCompletionStatusKey();
-        this.scriptProperties.setProperty(completionStatusKey,'NOT YET');
-
-
-        if (storedDataStr) {
-            try {
-                this.reminderData = JSON.parse(storedDataStr);
-                console.log(`There are some reminderData already stored in the previous execution.`);
-            } catch (e) {
-                console.error('Error parsing stored reminders. Defaulting to an empty array.', e);
-            }
-        }
-
-        let currentSheetIndex = parseInt(this.scriptProperties.getProperty(currentSheetIndexKey) || '0');
+        let schema = TaskSheetSchema.load();
+        let calendar = WorkingCalendar.load();
         let today = new Date();
         today.setHours(0, 0, 0, 0);
+        let isDueInWindow = this.profile.createDueDateFilter(today, calendar);
+        let sheetsById = {};
 
-        for (let i = currentSheetIndex; i < sheets.length; i++) {
-          let sheet = sheets[i];
-          let sheetName = sheet.getName();
-          // console.log(`Start reading ${sheetName}`);
+        // Progress is saved by sheet ID, so sheets added or reordered before the job continues are still read once.
+        // Reminders chosen by staff preferences are a separate job, as they run at other hours than the reminder triggers
+        let job = this.staffNames === null ?
+            new BatchJob(`REMINDERS_${this.target.toUpperCase()}_${this.period.toUpperCase()}`,
+                this.profile.getTriggerFunctionName(this.target), { target: this.target, period: this.period }) :
+            new BatchJob(`REMINDERS_${this.target.toUpperCase()}_${this.period.toUpperCase()}_BY_PREFERENCES`,
+                'runStaffReminderDispatcher', { target: this.target, period: this.period });
+        let state = job.run({
+            createState: () => ({ reminderData: [], force: this.force, staffNames: this.staffNames }),
+            listKeys: () => this.ss.getSheets().map(sheet => {
+                sheetsById[sheet.getSheetId()] = sheet;
+                return String(sheet.getSheetId());
+            }),
+            processItem: (sheetId, state) => {
+                let sheetReminder = this.readSheetReminder(sheetsById[sheetId], schema, isDueInWindow, today);
+                if (sheetReminder) {
+                  state.reminderData.push(sheetReminder);
+                }
+            }
+        });
 
-          // Simulate a long-running process for testing purposes by sleeping for 10 seconds
-          // Utilities.sleep(10000);
+        if (!state) {
+            console.log(`getReminderData has not finished processing all sheets, which is continued by a trigger.`);
+            return null;
+        }
+        // A forced reminder stays forced when it is continued by a trigger
+        this.force = this.force || state.force;
+        // Staff whose reminders became due while the job was paused are added to the staff it started for
+        if (this.staffNames !== null && Array.isArray(state.staffNames)) {
+            this.staffNames = state.staffNames.concat(this.staffNames.filter(name => !state.staffNames.includes(name)));
+        }
+        this.reminderData = state.reminderData;
+        console.log('Completed processing all sheets in getReminderData.');
+        return this.reminderData;
+    }
 
-          // Check elapsed time, if more than 5 minutes (3000 seconds for a buffer), save progress and exit
-          // On timeout, trigger sendGeneralReminder
-          if ((new Date().getTime() - startTime) > 300000) {
-           // Save progress with the unique key
-            this.scriptProperties.setProperty(storedDataKey, JSON.stringify(this.reminderData));
-            this.scriptProperties.setProperty(currentSheetIndexKey, i.toString());
-            this.createOneTimeTrigger();
+    /**
+     * Reads the tasks of a sheet that are not complete and are due in the look-ahead window of the reminder profile.
+     *
+     * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The sheet to read.
+     * @param {TaskSheetSchema} schema - The headers of task sheets.
+     * @param {function(Date): boolean} isDueInWindow - The filter made by ReminderProfile.createDueDateFilter.
+     * @param {Date} today - Today at midnight.
+     * @param {boolean} [assignsTaskIds=true] - Whether rows without a task ID get one. Previews read sheets without changing them.
+     * @returns {SheetReminder|null} The reminders of the sheet, or null if it is not a task sheet or has no task to remind.
+     */
+    readSheetReminder(sheet, schema, isDueInWindow, today, assignsTaskIds = true) {
+        let sheetName = sheet.getName();
+        // console.log(`Start reading ${sheetName}`);
+        if (sheetName === this.ongoingTaskSheetName || sheetName === this.completedTaskSheetName) {
+          return null;
+        }
+
+        // Find the task columns by their headers; sheets without the task headers are not task sheets
+        let columns = schema.resolveColumns(sheet);
+        if (!columns) {
+          // console.log(`${sheetName} does not have the task sheet headers and is skipped.`);
+          return null;
+        }
+        // Give new rows their task IDs before they are shared in reminders
+        if (assignsTaskIds) {
+          columns = ensureTaskIds_(sheet, columns);
+        }
 
-            console.log(`Timeout detected, saving progress and setting a trigger for continuation.`);
+        let lastRow = sheet.getRange(sheet.getMaxRows(), columns.item).getNextDataCell(SpreadsheetApp.Direction.UP).getRow();
+        let lastCol = sheet.getLastColumn();
+        // console.log(`The number of the data in ${sheetName} is ${lastRow}`);
 
-            return;
-            
-          } else {
-            // console.log(`Execusion continues when reading the data in ${sheetName}`);
+        if (lastRow ===0  || lastRow === 1){
+          return null;
+        }
+        // Retrieve data up to the last filled cell in the Item column
+        let data = sheet.getRange(1, 1, lastRow, lastCol).getValues();
+        let taskData = [];
+
+        for (let i = 1; i < data.length; i++) {
+          let checkbox = data[i][columns.complete - 1];
+          let staff = data[i][columns.staff - 1];
+          let dateStr = data[i][columns.date - 1];
+          // console.log(`dateStr is ${dateStr}`);
+          // If dateStr is empty, skip the current iteration
+          if (!dateStr) {
+              // console.log(`Date is not input for this event, which is not subject to the reminder.`);
+              continue;
           }
+          let dateInfo = ReminderManager.formatEnglishDate(dateStr);
+          let item = data[i][columns.item - 1];
+          let note = data[i][columns.summary - 1];
+          let priority = columns.priority ? data[i][columns.priority - 1] : '';
+          let taskId = columns.id ? String(data[i][columns.id - 1]) : '';
+          let comment = columns.comment ? String(data[i][columns.comment - 1]) : '';
+      
+          let date = new Date(dateStr);
+      
+          if (!checkbox && isDueInWindow(date)) {
+            let daysOverdue = ReminderManager.countDaysOverdue(date, today);
+            taskData.push(new Reminder(item, note, dateInfo, staff, priority, date.getTime(), daysOverdue, taskId, comment));
+            // console.log(`remiderRecords for ${sheetName} are ${taskData}`)
+          }
+        }
 
-          if (sheetName !== this.ongoingTaskSheetName && sheetName !== this.completedTaskSheetName) {
+        if (taskData.length > 0) {
+          let sheetGID = sheet.getSheetId();
+          let spreadsheetURL = this.ss.getUrl();
+          let sheetURL = spreadsheetURL + "#gid=" + sheetGID;
+          return new SheetReminder(sheet.getName(), sheetURL, taskData, sheetGID);
+        }
+        return null;
+    }
 
-            let lastRow = sheet.getRange("B" + sheet.getMaxRows()).getNextDataCell(SpreadsheetApp.Direction.UP).getRow();
-            let lastCol = sheet.getLastColumn();
-            // console.log(`The number of the data in ${sheetName} is ${lastRow}`);
+    /**
+     * Shares reminders through a Google Document.
+     * Gathers reminder data, plans who gets which reminder with planDeliveries, and shares each delivery:
+     * the Doc is rewritten and the recipients get an email (or a chat message) with the document link.
+     */
+    shareRemindersByDoc() {
+        try {
+          let reminderData = this.getReminderData();
+          if (reminderData === null) {
+              console.log(`getReminderData is still in the middle of processing. Thus, shareRemindersByDoc is not continued.`);
+              return;
+          }
+          if (!Array.isArray(reminderData) || reminderData.length === 0) {
+              console.log(`There is no reminder data to display or reminderData is not an array.`);
+              return;
+          }
+          console.log('shareRemindersByDoc has started being executed to creating a reminder doc.');
 
-            if (lastRow ===0  || lastRow === 1 && lastCol === 0){
-              continue;
-            }
-            // Retrieve data up to the last filled cell in column B
-            let data = sheet.getRange(1, 1, lastRow, lastCol).getValues();
-            let taskData = [];
+          // Dates are written in the language of the Language setting, or in the language of each staff member
+          reminderData = this.localizeReminderData(reminderData);
 
-            let validDates = [new Date(today)]; // Today is always a valid date
-            let nextDate = new Date(today.getTime()); // Start with the base date
+          // The script lock is held from planning the deliveries against the reminder history until they are recorded there,
+          // so that a trigger firing twice does not send the same reminders before the first run has recorded them
+          let lock = LockService.getScriptLock();
+          if (!lock.tryLock(BATCH_JOB_LOCK_WAIT_MILLIS)) {
+              console.error(`Another execution held the script lock for too long, so the ${this.target} reminders (${this.period}) were not sent.`);
+              return;
+          }
+          try {
+              // Tasks overdue past the threshold are escalated to the manager once a day, whichever reminder runs first
+              this.escalateOverdueTasks(reminderData);
 
-            for (let i = 1; i <= 5; i++) {
-                nextDate.setDate(nextDate.getDate() + 1); // Increment by one day initially
+              let deliveries = this.planDeliveries(reminderData);
+              if (deliveries === null) {
+                  let email = Session.getActiveUser().getEmail();
+                  let body = this.localizer.t('email.settingMissingBody');
+                  let subject = this.localizer.t('email.settingMissingSubject');
+                  console.log(`Error on Sharing ${this.target} Reminders (Today or Next Week).`);
+                  GmailApp.sendEmail(email,subject,body);
+                  return true;
+              }
+              deliveries.forEach(delivery => this.shareDelivery(delivery));
+          } finally {
+              lock.releaseLock();
+          }
+          return true;
+        } catch (e) {
+            console.error(`Error in displayRemindersInDoc: ${e.toString()} at ${e.stack}`);
+        }
+    }
 
-                while (nextDate.getDay() === 0 || nextDate.getDay() === 6) {
-                    nextDate.setDate(nextDate.getDate() + 1); // Skip weekends
-                }
+    /**
+     * Decides who gets the reminders of this run and what they get, without sharing anything.
+     * Custom profiles have their own Doc URL and recipients instead of the General/Staff-Based Reminder settings.
+     * shareRemindersByDoc shares the deliveries, and previewReminders shows them without sending anything or changing the Docs.
+     *
+     * @param {Array<SheetReminder>} reminderData - The reminders of the run, as returned by localizeReminderData.
+     * @returns {Array<Object>|null} The deliveries, as returned by planDelivery, or null if the emails or Doc URLs of the reminder are not set.
+     */
+    planDeliveries(reminderData) {
+        let isDayOff = this.profile.runsOnlyOnWorkingDays() && !WorkingCalendar.load().isWorkingDay(new Date());
+        if (!this.profile.builtIn) {
+            return [this.planDelivery('', null, this.profile.recipients, this.profile.docUrl, reminderData, isDayOff)];
+        }
 
-                validDates.push(new Date(nextDate.getTime())); // Add the valid date to the array
+        if (this.target === 'general') {
+            let generalReminderEmails = JSON.parse(this.scriptProperties.getProperty(SCRIPT_PROPERTY_KEY_GENERAL_REMINDER_EMAILS));
+            let generalReminderDocsUrls = JSON.parse(this.scriptProperties.getProperty(SCRIPT_PROPERTY_KEY_GENERAL_REM_DOC_URL));
+            if (generalReminderEmails === null || generalReminderDocsUrls === null) {
+                return null;
             }
-          
-            for (let i = 1; i < data.length; i++) {
-              let checkbox = data[i][5];
-              let staff = data[i][4];
-              let dateStr = data[i][3];
-              // console.log(`dateStr is ${dateStr}`);
-              // If dateStr is empty, skip the current iteration
-              if (!dateStr) {
-                  // console.log(`Date is not input for this event, which is not subject to the reminder.`);
-                  continue;
-              }
-              let dateInfo = ReminderManager.formatEnglishDate(dateStr);
-              let item = data[i][1];
-              let note = data[i][2];
-              
-              let date = new Date(dateStr);
-              
-              let isFutureValidDate = validDates.some(function(validDate) {
-                return validDate.getTime() === date.getTime();
-              });
-              
-              if (this.period === 'today'){
-                if (!checkbox && date <= today) {
-                  taskData.push(new Reminder(item, note, dateInfo, staff));
-                  // console.log(`remiderRecords for ${sheetName} are ${taskData}`)
-                }
-              } else if (this.period === 'week'){
-                if (!checkbox && (date <= today || isFutureValidDate)) {
-                  taskData.push(new Reminder(item, note, dateInfo, staff));
-                }
+            let docUrl = this.period === 'today' ? generalReminderDocsUrls.generalTodayReminderDocUrl : generalReminderDocsUrls.generalWeekReminderDocUrl;
+            return [this.planDelivery('', null, generalReminderEmails, docUrl, reminderData, isDayOff)];
+        }
+
+        let staffBasedReminderData = JSON.parse(this.scriptProperties.getProperty(SCRIPT_PROPERTY_KEY_STAFFBASED_REM_DATA));
+        /*
+        If staffBasedReminderData is not set, it is null.
+        If staffBasedReminderData is set, it is as follows:
+        [
+          {
+            "AA": {
+              "email": "aa@demo.co.jp",
+              "todayReminderUrl": "xxx",
+              "nextWeekReminderUrl": null,
+              "locale": "ja",
+              "preferences": {
+                "hour": 9,
+                "weekdays": [1, 3, 5],
+                "frequency": "both",
+                "channel": "chat",
+                "webhookUrl": "https://chat.googleapis.com/v1/spaces/xxx/messages?key=xxx"
               }
             }
-
-            if (taskData.length > 0) {
-              let sheetGID = sheet.getSheetId();
-              let spreadsheetURL = this.ss.getUrl();
-              let sheetURL = spreadsheetURL + "#gid=" + sheetGID;
-              this.reminderData.push(new SheetReminder(sheet.getName(), sheetURL, taskData));
+          },
+          {
+            "BB": {
+              "email": "bb@demo.co.jp",
+              "todayReminderUrl": "xxx",
+              "nextWeekReminderUrl": null
             }
           }
-        }        
-        // Clear the stored reminders and current sheet index after successful processing
-        this.scriptProperties.deleteProperty(storedDataKey);
-        this.scriptProperties.deleteProperty(currentSheetIndexKey);
-        this.deleteOneTimeTriggers();
-        this.scriptProperties.setProperty(completionStatusKey,'COMPLETED');
+        ];
+        */
+        if (staffBasedReminderData === null) {
+            return null;
+        }
+        return staffBasedReminderData.map(staffObject => {
+            let staffName = Object.keys(staffObject)[0];
+            let staffInfo = staffObject[staffName];
+            let docUrl = this.period === 'today' ? staffInfo.todayReminderUrl : staffInfo.nextWeekReminderUrl;
+            return this.planDelivery(staffName, staffInfo, staffInfo.email, docUrl, this.filterRemindersForStaff(reminderData, staffName), isDayOff);
+        });
+    }
 
+    /**
+     * Plans the reminder of one recipient or group of recipients, in their language.
+     *
+     * @param {string} staffName - The staff member the reminder is for, or '' for reminders that are not staff-based.
+     * @param {Object|null} staffInfo - The staff-based reminder data of the staff member, or null for reminders that are not staff-based.
+     * @param {string|Array<string>} recipients - The emails of the recipients.
+     * @param {string|null} docUrl - The URL of the reminder Doc, if set.
+     * @param {Array<SheetReminder>} reminderData - The reminders of the recipients.
+     * @param {boolean} isDayOff - Whether the reminder is skipped since today is not a working day.
+     * @returns {Object} { status, staffName, staffInfo, recipients, docUrl, locale, values, subject, docTitle, reminderData }.
+     *                   status is 'ready', 'docNotSet' (a failure notice is emailed), 'alreadySent', 'nonWorkingDay' or 'byPreferences'
+     *                   (the staff member gets it from runStaffReminderDispatcher), and recipients are those who have not received it today.
+     */
+    planDelivery(staffName, staffInfo, recipients, docUrl, reminderData, isDayOff) {
+        this.setLocale(staffInfo ? staffInfo.locale || null : null);
+        let localizedData = this.localizeReminderData(reminderData);
+        let values = this.getTemplateValues(staffName, localizedData, docUrl);
+        let pendingRecipients = this.filterPendingRecipients(recipients);
+        let status = 'ready';
+        if (staffInfo && !this.includesStaff(staffName, staffInfo)) {
+            status = 'byPreferences';
+        } else if (isDayOff) {
+            status = 'nonWorkingDay';
+        } else if (pendingRecipients.length === 0) {
+            status = 'alreadySent';
+        } else if (!docUrl) {
+            status = 'docNotSet';
+        }
+        return {
+            status: status,
+            staffName: staffName,
+            staffInfo: staffInfo,
+            recipients: pendingRecipients,
+            docUrl: docUrl || '',
+            locale: this.localizer.locale,
+            values: values,
+            subject: this.templates.render('subject', values),
+            docTitle: this.templates.render('docTitle', values),
+            reminderData: localizedData
+        };
+    }
 
-        console.log('Completed processing all sheets in getReminderData.');
-        return this.reminderData;
+    /**
+     * Shares a delivery planned by planDeliveries: rewrites its Doc and sends the email or chat message,
+     * or emails a failure notice if the Doc is not set. Deliveries that are skipped are only logged.
+     *
+     * @param {Object} delivery - A delivery, as returned by planDelivery.
+     */
+    shareDelivery(delivery) {
+        let reminderName = this.profile.getReminderName(this.target, delivery.staffName);
+        if (delivery.status !== 'ready' && delivery.status !== 'docNotSet') {
+            console.log(`${reminderName} is not sent (${delivery.status}).`);
+            return;
+        }
+        this.setLocale(delivery.locale);
+        let successOrFailure = delivery.status === 'ready' ? "success" : "failure";
+        if (successOrFailure === "success") {
+            let docId = ReminderManager.extractDocIdFromUrl(delivery.docUrl);
+            let body = this.presetInDoc(docId, delivery.docTitle, delivery.values);
+            this.createReminderTablesInDoc(body, delivery.reminderData, docId);
+        }
+
+        if (delivery.staffInfo) {
+            this.shareWithStaff(delivery.staffName, delivery.staffInfo, delivery.subject, successOrFailure, delivery.docUrl, delivery.reminderData);
+        } else {
+            this.sendEmail(delivery.recipients.join(','), delivery.subject, successOrFailure, delivery.docUrl, delivery.reminderData);
+            if (successOrFailure === "success" && this.profile.builtIn) {
+                this.postGeneralReminderToChat(delivery.subject, delivery.docUrl, delivery.reminderData);
+            }
+        }
+        if (successOrFailure === "success") {
+            console.log(`${reminderName} was successfully shared.`);
+        } else {
+            console.log(`${reminderName} could not be shared since the Google Doc is not set, which was informed by email.`);
+        }
     }
 
     /**
-     * Shares reminders through a Google Document.
-     * Gathers reminder data, creates or updates a Google Document with reminder information, and sends an email notification with the document link.
+     * Shows what this run would share, without sending anything, rewriting the Docs or adding task IDs to the sheets:
+     * the emails and chat messages that would be sent, and the Doc that each of them links to.
+     * Unlike getReminderData, all sheets are read at once instead of as a BatchJob, so nothing is left to continue from a trigger.
+     *
+     * @returns {Object} { hasTasks: boolean, emailCount: number, chatCount: number, deliveries: Array<Object> },
+     *                   where each delivery is as returned by previewDelivery. The overdue escalation email, if sent today, comes first.
      */
-    shareRemindersByDoc() {
-        try {
-          let reminderData = this.getReminderData();
-          let completionStatusKey = this.getCompletionStatusKey();
-          // Fetch the completion status using the constructed key
-          let completionStatus = this.scriptProperties.getProperty(completionStatusKey);
+    previewReminders() {
+        this.setLocale();
+        let schema = TaskSheetSchema.load();
+        let today = new Date();
+        today.setHours(0, 0, 0, 0);
+        let isDueInWindow = this.profile.createDueDateFilter(today, WorkingCalendar.load());
+        let reminderData = this.localizeReminderData(this.ss.getSheets()
+            .map(sheet => this.readSheetReminder(sheet, schema, isDueInWindow, today, false))
+            .filter(sheetReminder => sheetReminder !== null));
+        if (reminderData.length === 0) {
+            return { hasTasks: false, emailCount: 0, chatCount: 0, deliveries: [] };
+        }
 
-          if (completionStatus === 'NOT YET') {
-              console.log(`getReminderData is still in the middle of processing. Thus, shareRemindersByDoc is not continued.`);
-              return;
-          } else if (completionStatus === 'COMPLETED') {
-              if (!Array.isArray(reminderData) || reminderData.length === 0) {
-                  console.log(`There is no reminder data to display or reminderData is not an array.`);
-                  return;
-              }
-              console.log('shareRemindersByDoc has started being executed to creating a reminder doc.');
-              let docId, title, body, displayDocUrl, successOrFailure;
-
-              let generalReminderEmails = JSON.parse(this.scriptProperties.getProperty(SCRIPT_PROPERTY_KEY_GENERAL_REMINDER_EMAILS));
-              let generalReminderDocsUrls = JSON.parse(this.scriptProperties.getProperty(SCRIPT_PROPERTY_KEY_GENERAL_REM_DOC_URL));
-              let staffBasedReminderData = JSON.parse(this.scriptProperties.getProperty(SCRIPT_PROPERTY_KEY_STAFFBASED_REM_DATA));
-              /*
-              If staffBasedReminderData is not set, it is null.
-              If staffBasedReminderData is set, it is as follows:
-              [
-                {
-                  "AA": {
-                    "email": "aa@demo.co.jp",
-                    "todayReminderUrl": "xxx",
-                    "nextWeekReminderUrl": null
-                  }
-                },
-                {
-                  "BB": {
-                    "email": "bb@demo.co.jp",
-                    "todayReminderUrl": "xxx",
-                    "nextWeekReminderUrl": null
-                  }
-                }
-              ];
-              */
-
-              // Send an email based on period and target
-              if (this.target === 'general'){
-                if(generalReminderEmails !== null && generalReminderDocsUrls !== null) {
-                  let generalTodayReminderDocUrl = generalReminderDocsUrls.generalTodayReminderDocUrl;
-                  let generalWeekReminderDocUrl = generalReminderDocsUrls.generalWeekReminderDocUrl;
-
-                    if(this.period === 'today'){
-                      title = `Today's General Reminder on ${ReminderManager.formatEnglishDate(new Date())}`;
-                      // Check if the title includes "Saturday" or "Sunday"
-                      if (title.includes("Saturday") || title.includes("Sunday")) {
-                          console.log("Since today is either Saturday or Sunday, the reminder email is not sent.");
-                          return; // Exit the function if it's Saturday or Sunday
-                      }
-                      if(generalTodayReminderDocUrl !== null){
-                        docId = ReminderManager.extractDocIdFromUrl(generalTodayReminderDocUrl);
-                        body = this.presetInDoc(docId, title);
-                        this.createReminderTablesInDoc(body, reminderData);
-                        displayDocUrl = generalTodayReminderDocUrl;
-                        successOrFailure = "success";
-                        this.sendEmail(generalReminderEmails,title,successOrFailure,displayDocUrl);
-                        console.log(`Today's general reminders were successfully shared by email.`);
-                        return true;
-                      } else {
-                        successOrFailure = "failure";
-                        this.sendEmail(generalReminderEmails,title,successOrFailure);
-                        console.log(`Today's general reminders could not be shared since the Google Doc is not set, which was informed by email.`);
-                        return true;
-                      }
-
-                    } else if(this.period === 'week') {
-                      title = `Next Week's General Reminder on ${ReminderManager.formatEnglishDate(new Date())}`;
-                      if(generalWeekReminderDocUrl !== null){
-                        docId = ReminderManager.extractDocIdFromUrl(generalWeekReminderDocUrl);
-                        body = this.presetInDoc(docId, title);
-                        this.createReminderTablesInDoc(body, reminderData);
-                        displayDocUrl = generalWeekReminderDocUrl;
-                        successOrFailure = "success";
-                        this.sendEmail(generalReminderEmails,title,successOrFailure,displayDocUrl);
-                        console.log(`Next week's general reminders were successfully shared by email.`);
-                        return true;
-                      } else {
-                        successOrFailure = "failure";
-                        this.sendEmail(generalReminderEmails,title,successOrFailure);
-                        console.log(`Next week's general reminders could not be shared since the Google Doc is not set, which was informed by email.`);
-                        return true;
-                      }
-                    }
-                } else {
-                    let email = Session.getActiveUser().getEmail();
-                    let body = `Necessary information such as emails and Google Doc URLs is not set in the setting. Go to "Setting" from Custom Menu and conduct necessary setting.`;
-                    let subject = "Error on Sharing General Reminders (Today or Next Week)";
-                    console.log(`Error on Sharing General Reminders (Today or Next Week).`);
-                    GmailApp.sendEmail(email,subject,body);
-                    return true;
-                }
-              }
+        let deliveries = [];
+        let escalation = this.planEscalation(reminderData);
+        if (escalation) {
+            deliveries.push({
+                heading: localize('preview.escalation'),
+                status: 'ready',
+                statusText: localize('preview.status.ready'),
+                recipients: [escalation.managerEmail],
+                subject: escalation.subject,
+                emailHtml: this.renderEmail(escalation.managerEmail, "escalation", "", escalation.reminderData, undefined, null).htmlBody,
+                chatTo: '',
+                doc: null
+            });
+        }
+        let plannedDeliveries = this.planDeliveries(reminderData);
+        if (plannedDeliveries === null) {
+            deliveries.push({
+                heading: '',
+                status: 'settingMissing',
+                statusText: localize('preview.status.settingMissing'),
+                recipients: [Session.getActiveUser().getEmail()],
+                subject: this.localizer.t('email.settingMissingSubject'),
+                emailHtml: '',
+                chatTo: '',
+                doc: null
+            });
+        } else {
+            plannedDeliveries.forEach(delivery => deliveries.push(this.previewDelivery(delivery)));
+        }
 
-              if(this.target === 'staffBased'){
-                if(staffBasedReminderData !== null) {
-                  staffBasedReminderData.forEach(staffObject => {
-                    let staffName = Object.keys(staffObject)[0];
-                    let staffInfo = staffObject[staffName];
-                    let email = staffInfo.email;
-                    let staffSpecificReminders;
-
-                    if(this.period === 'today'){
-                      title = `Today's Reminder for ${staffName} on ${ReminderManager.formatEnglishDate(new Date())}`;
-                      // Check if the title includes "Saturday" or "Sunday"
-                      if (title.includes("Saturday") || title.includes("Sunday")) {
-                          console.log("Since today is either Saturday or Sunday, the reminder email is not sent.");
-                          return; // Exit the function if it's Saturday or Sunday
-                      }
-                      if(staffInfo.todayReminderUrl){
-                        docId = ReminderManager.extractDocIdFromUrl(staffInfo.todayReminderUrl);
-                        body = this.presetInDoc(docId, title);
-                        staffSpecificReminders = this.filterRemindersForStaff(reminderData, staffName);
-                        this.createReminderTablesInDoc(body, staffSpecificReminders);
-                        displayDocUrl = staffInfo.todayReminderUrl;
-                        successOrFailure = "success";
-                        this.sendEmail(email,title,successOrFailure,displayDocUrl);
-                        console.log(`Today's reminders were successfully shared with ${staffName} by email.`);
-                        return true;
-                      } else {
-                        successOrFailure = "failure";
-                        this.sendEmail(email,title,successOrFailure);
-                        console.log(`Today's reminders could not be shared with ${staffName} since the Google Doc is not set, which was informed by email.`);
-                        return true;
-                      }
-                    } else if (this.period === 'week'){
-                      title = `Next Week's Reminder for ${staffName} on ${ReminderManager.formatEnglishDate(new Date())}`;
-                      if(staffInfo.nextWeekReminderUrl){
-                        docId = ReminderManager.extractDocIdFromUrl(staffInfo.nextWeekReminderUrl);
-                        body = this.presetInDoc(docId, title);
-                        staffSpecificReminders = this.filterRemindersForStaff(reminderData, staffName);
-                        this.createReminderTablesInDoc(body, staffSpecificReminders);
-                        displayDocUrl = staffInfo.nextWeekReminderUrl;
-                        successOrFailure = "success";
-                        this.sendEmail(email,title,successOrFailure,displayDocUrl);
-                        console.log(`Next week's reminders were successfully shared with ${staffName} by email.`);
-                      } else {
-                        successOrFailure = "failure";
-                        this.sendEmail(email,title,successOrFailure);
-                        console.log(`Next week's reminders could not be shared with ${staffName} since the Google Doc is not set, which was informed by email.`);
-                        return true;
-                      }
-                    }
-                  });
-                } else {
-                    let email = Session.getActiveUser().getEmail();
-                    let body = `Necessary information such as emails and Google Doc URLs is not set in the setting. Go to "Setting" from Custom Menu and conduct necessary setting.`;
-                    let subject = "Error on Sharing General Reminders (Today or Next Week)";
-                    console.log(`Error on Sharing General Reminders (Today or Next Week).`);
-                    GmailApp.sendEmail(email,subject,body);
-                    return true;
-                }
-              }
-            this.scriptProperties.deleteProperty(completionStatusKey);
-          }
-        } catch (e) {
-            console.error(`Error in displayRemindersInDoc: ${e.toString()} at ${e.stack}`);
+        return {
+            hasTasks: true,
+            emailCount: deliveries.filter(delivery => delivery.emailHtml || delivery.status === 'settingMissing').length,
+            chatCount: deliveries.filter(delivery => delivery.chatTo).length,
+            deliveries: deliveries
+        };
+    }
+
+    /**
+     * Renders a delivery planned by planDeliveries as it would be shared, without sharing it.
+     *
+     * @param {Object} delivery - A delivery, as returned by planDelivery.
+     * @returns {Object} { heading, status, statusText, recipients, subject, emailHtml, chatTo, doc }.
+     *                   emailHtml is the email that would be sent, or '' if none; chatTo names the chat webhook that would get a message,
+     *                   or is '' if none; and doc is the Doc as returned by previewDoc, or null if the Doc would not be rewritten.
+     */
+    previewDelivery(delivery) {
+        this.setLocale(delivery.locale);
+        let isReady = delivery.status === 'ready';
+        let channel = delivery.staffInfo && delivery.staffInfo.preferences ? delivery.staffInfo.preferences.channel : null;
+        let emailHtml = '';
+        if ((isReady && channel !== 'chat') || delivery.status === 'docNotSet') {
+            let emailFormat = delivery.staffInfo ? ReminderManager.getStaffEmailFormat(delivery.staffInfo) : ReminderManager.loadEmailFormat();
+            // The preview leaves out the Mark complete links, which would complete the tasks from the dialog
+            emailHtml = this.renderEmail(delivery.recipients.join(','), isReady ? "success" : "failure", delivery.docUrl, delivery.reminderData, emailFormat,
+                null).htmlBody;
+        }
+        let chatTo = '';
+        if (isReady && channel === 'chat') {
+            chatTo = delivery.staffInfo.email;
+        } else if (isReady && this.target === 'general' && this.profile.builtIn && this.getGeneralWebhookUrl()) {
+            chatTo = this.getGeneralWebhookUrl();
+        }
+
+        return {
+            heading: delivery.staffName,
+            status: delivery.status,
+            statusText: localize(`preview.status.${delivery.status}`),
+            recipients: delivery.recipients,
+            subject: delivery.subject,
+            emailHtml: emailHtml,
+            chatTo: chatTo,
+            doc: isReady ? this.previewDoc(delivery) : null
+        };
+    }
+
+    /**
+     * Returns the content that presetInDoc and createReminderTablesInDoc would write to the Doc of a delivery.
+     *
+     * @param {Object} delivery - A delivery, as returned by planDelivery.
+     * @returns {Object} { url, title, introText, columns: Array<string>,
+     *                   sheets: Array<{ sheetName, sheetURL, sections: Array<{ title, rows: Array<{ cells: Array<string>, highPriority: boolean }> }> }> }.
+     */
+    previewDoc(delivery) {
+        let today = new Date();
+        today.setHours(0, 0, 0, 0);
+        let columns = this.templates.getColumns(this.profile.allowsCompletionInput());
+        let introText = this.templates.render('introText', delivery.values);
+        return {
+            url: delivery.docUrl,
+            title: delivery.docTitle,
+            introText: this.profile.allowsCompletionInput() && introText.trim() ? introText : '',
+            columns: columns.map(column => column.label),
+            sheets: delivery.reminderData.map(sheetReminder => ({
+                sheetName: sheetReminder.sheetName,
+                sheetURL: sheetReminder.sheetURL,
+                sections: ReminderManager.groupByDueSection(sheetReminder.taskData, today, this.localizer).map(section => ({
+                    title: section.title,
+                    rows: ReminderManager.sortByPriorityAndDate(section.taskData).map(task => {
+                        let cellValues = ReminderManager.toCellValues(task);
+                        return { cells: columns.map(column => cellValues[column.field]), highPriority: ReminderManager.isHighPriority(task) };
+                    })
+                }))
+            }))
+        };
+    }
+
+    /**
+     * Emails the manager set in the Overdue Escalation setting a list of tasks overdue by more than the threshold.
+     * The email is sent at most once a day and only on working days. Nothing is sent if the setting is not made
+     * or no task is overdue past the threshold.
+     *
+     * @param {Array<SheetReminder>} reminderData - Array of SheetReminder objects containing the reminder data.
+     */
+    escalateOverdueTasks(reminderData) {
+        let escalation = this.planEscalation(reminderData);
+        if (!escalation) {
+            return;
         }
+        this.sendEmail(escalation.managerEmail, escalation.subject, "escalation", "", escalation.reminderData);
+        this.scriptProperties.setProperty(SCRIPT_PROPERTY_KEY_LAST_ESCALATION_DATE, WorkingCalendar.toDateKey(new Date()));
+        console.log(`Overdue tasks were escalated to ${escalation.managerEmail}.`);
+    }
+
+    /**
+     * Decides whether the overdue escalation email is sent today, without sending it.
+     *
+     * @param {Array<SheetReminder>} reminderData - Array of SheetReminder objects containing the reminder data.
+     * @returns {Object|null} { managerEmail, subject, reminderData } with the tasks overdue past the threshold,
+     *                        or null if no escalation email is sent today.
+     */
+    planEscalation(reminderData) {
+        let escalationSetting = JSON.parse(this.scriptProperties.getProperty(SCRIPT_PROPERTY_KEY_OVERDUE_ESCALATION) || 'null');
+        if (!escalationSetting || !escalationSetting.managerEmail) {
+            return null;
+        }
+        let today = new Date();
+        today.setHours(0, 0, 0, 0);
+        let todayKey = WorkingCalendar.toDateKey(today);
+        if (!WorkingCalendar.load().isWorkingDay(today) || this.scriptProperties.getProperty(SCRIPT_PROPERTY_KEY_LAST_ESCALATION_DATE) === todayKey) {
+            return null;
+        }
+
+        let escalatedData = reminderData.map(sheetReminder => new SheetReminder(
+            sheetReminder.sheetName,
+            sheetReminder.sheetURL,
+            sheetReminder.taskData.filter(task => task.daysOverdue > escalationSetting.thresholdDays),
+            sheetReminder.sheetId
+        )).filter(sheetReminder => sheetReminder.taskData.length > 0);
+        if (escalatedData.length === 0) {
+            console.log(`No task is overdue by more than ${escalationSetting.thresholdDays} day(s), so no escalation is sent.`);
+            return null;
+        }
+
+        return {
+            managerEmail: escalationSetting.managerEmail,
+            subject: this.localizer.t('escalation.subject', { date: this.localizer.formatDate(today) }),
+            reminderData: escalatedData
+        };
+    }
+
+    /**
+     * Returns the values of the placeholders in the templates of this reminder.
+     *
+     * @param {string} staffName - The staff member the reminder is for, or '' for reminders that are not staff-based.
+     * @param {Array<SheetReminder>} reminderData - The reminders shared.
+     * @param {string} [docUrl=''] - The URL of the reminder Doc.
+     * @returns {Object} The value of each placeholder.
+     */
+    getTemplateValues(staffName, reminderData, docUrl = '') {
+        return ReminderManager.buildTemplateValues(this.profile.getReminderName(this.target, staffName, this.localizer), staffName, reminderData,
+            docUrl, this.localizer);
+    }
+
+    /**
+     * Writes the due dates of reminders in the language of the reminders being shared, without modifying the given reminders.
+     *
+     * @param {Array<SheetReminder>} reminderData - Array of SheetReminder objects containing the reminder data.
+     * @returns {Array<SheetReminder>} New SheetReminder objects whose tasks have their date in the current language.
+     */
+    localizeReminderData(reminderData) {
+        return reminderData.map(sheetReminder => new SheetReminder(
+            sheetReminder.sheetName,
+            sheetReminder.sheetURL,
+            sheetReminder.taskData.map(task => Object.assign(new Reminder(), task, { date: this.localizer.formatDate(new Date(task.dueTime)) })),
+            sheetReminder.sheetId
+        ));
     }
 
     /**
      * Prepares a Google Document for displaying reminders.
      * Clears the existing content and sets a new title for the document.
+     * Docs that take completion input start with the intro text of the templates, unless it is empty.
      *
      * @param {string} docId - The ID of the Google Document.
      * @param {string} docTitle - The new title for the document.
+     * @param {Object} [values={}] - The values of the placeholders in the intro text, as returned by getTemplateValues.
      * @returns {GoogleAppsScript.Document.Body} The body element of the Google Document.
      */
-    presetInDoc(docId, docTitle) {
+    presetInDoc(docId, docTitle, values = {}) {
         let doc = DocumentApp.openById(docId);
         let body = doc.getBody();
         body.clear();
         doc.setName(docTitle);
         
-        if (this.period === 'today') {
-            let introParagraph = body.appendParagraph(`*Once the item is completed, input "C"!`);
+        let introText = this.templates.render('introText', values);
+        if (this.profile.allowsCompletionInput() && introText.trim()) {
+            let introParagraph = body.appendParagraph(introText);
             introParagraph.editAsText().setForegroundColor("#FF0000");
             introParagraph.setBold(false);
         }
@@ -472,84 +859,361 @@ class ReminderManager {
 
     /**
      * Creates tables in a Google Document for each sheet's reminder data.
-     * Each table contains tasks and related information from a specific sheet.
+     * The tasks of each sheet are split into "Overdue", "Due today" and "Upcoming" sections, in this order,
+     * and each section has a table sorted by priority and then by date.
+     *
+     * For profiles that take completion input, the state of the tasks is kept as a DocSyncSnapshot so that
+     * updateCompletionStatusToSheet can tell edits in the Doc from changes made in the sheet afterwards.
      *
      * @param {GoogleAppsScript.Document.Body} body - The body element of the Google Document.
      * @param {Array<SheetReminder>} reminderData - Array of SheetReminder objects containing the reminder data.
+     * @param {string} docId - The ID of the Google Document.
      */
-    createReminderTablesInDoc(body, reminderData) {
+    createReminderTablesInDoc(body, reminderData, docId) {
+        let today = new Date();
+        today.setHours(0, 0, 0, 0);
+
         reminderData.forEach(sheetReminder => {
             let title = body.appendParagraph(sheetReminder.sheetName);
             title.setHeading(DocumentApp.ParagraphHeading.HEADING1);
             title.setLinkUrl(sheetReminder.sheetURL);
             title.setBold(true).setFontSize(12);
 
-            // Define headers based on period
-            let headers = this.period === 'today' ? ["Item", "Summary", "Date", "Staff", "Complete"] : ["Item", "Summary", "Date", "Staff"];
-            this.createEachTable(body, sheetReminder.taskData, headers);
+            // Define columns based on whether the profile takes completion input. "ID" identifies the task row when the Doc is written back
+            let columns = this.templates.getColumns(this.profile.allowsCompletionInput());
+            // Section titles use HEADING2 so that processDocument still finds the sheet name in HEADING1
+            ReminderManager.groupByDueSection(sheetReminder.taskData, today, this.localizer).forEach(section => {
+                let sectionTitle = body.appendParagraph(section.title);
+                sectionTitle.setHeading(DocumentApp.ParagraphHeading.HEADING2);
+                sectionTitle.setBold(true).setFontSize(10);
+                this.createEachTable(body, ReminderManager.sortByPriorityAndDate(section.taskData), columns);
+            });
         });
+
+        if (this.profile.allowsCompletionInput()) {
+            DocSyncSnapshot.create(docId, reminderData);
+        }
     }
 
     /**
      * Creates a table in a Google Document for the tasks of a single sheet.
-     * Sets up headers and populates the table with task data.
+     * Sets up headers and populates the table with task data, with the labels, widths and font sizes of the columns in the templates.
+     * Rows of high-priority tasks are highlighted.
+     * The "ID" column holds the task ID that updateSheetWithTableData uses to find the task row, and the "Comment" column,
+     * if any, the current comment of the task so that staff can edit it.
      *
      * @param {GoogleAppsScript.Document.Body} body - The body element of the Google Document.
      * @param {Array<Reminder>} taskData - Array of Reminder objects containing tasks for the specific sheet.
-     * @param {Array<string>} headers - Array of header titles for the table.
+     * @param {Array<Object>} columns - The columns of the table, as returned by ReminderTemplates.getColumns.
      */
-    createEachTable(body, taskData, headers) {
+    createEachTable(body, taskData, columns) {
         let numRows = taskData.length + 1; // +1 for header row
-        let numCols = headers.length;
+        let numCols = columns.length;
         let table = body.appendTable(new Array(numRows).fill(0).map(row => new Array(numCols).fill('')));
 
             // Format the header row
-            //Adjust the columnWidths with your preference
-            let columnWidths = this.period === 'today' ? [100, 200, 70, 50, 70] : [100, 250, 70, 70];
             let headerRow = table.getRow(0);
-            for (let i = 0; i < headers.length; i++) {
-                headerRow.getCell(i).setText(headers[i]).setWidth(columnWidths[i]).setBold(true).setFontSize(10);
+            for (let i = 0; i < columns.length; i++) {
+                headerRow.getCell(i).setText(columns[i].label).setWidth(columns[i].width).setBold(true).setFontSize(10);
             }
 
             // Fill in the table content
             for (let i = 0; i < taskData.length; i++) {
-              //Adjust the font size with your preference
-              table.getRow(i + 1).getCell(0).setText(taskData[i].item).setPaddingLeft(10).setBold(false).setFontSize(9);
-              table.getRow(i + 1).getCell(1).setText(taskData[i].note).setPaddingLeft(10).setBold(false).setFontSize(7);
-              table.getRow(i + 1).getCell(2).setText(taskData[i].date).setPaddingLeft(10).setBold(false).setFontSize(8);
-              table.getRow(i + 1).getCell(3).setText(taskData[i].staff).setPaddingLeft(10).setBold(false).setFontSize(8);
-                
-                // Only add completion status if the column exists
-                if (numCols > 4) {
-                    table.getRow(i + 1).getCell(4).setText("").setPaddingLeft(10).setBold(false).setFontSize(10);
+                let cellValues = ReminderManager.toCellValues(taskData[i]);
+                for (let j = 0; j < columns.length; j++) {
+                    table.getRow(i + 1).getCell(j).setText(cellValues[columns[j].field]).setPaddingLeft(10).setBold(false).setFontSize(columns[j].fontSize);
+                }
+
+                //Adjust the highlight color for high-priority tasks with your preference
+                if (ReminderManager.isHighPriority(taskData[i])) {
+                    for (let j = 0; j < numCols; j++) {
+                        table.getRow(i + 1).getCell(j).setBackgroundColor("#F4CCCC");
+                    }
                 }
             }
     }
 
+    /**
+     * Returns the text of each column of the row of a task in a reminder Doc. The "Complete" column starts empty.
+     *
+     * @param {Reminder} task - The task.
+     * @returns {Object} The text of each field of REMINDER_TABLE_COLUMNS.
+     */
+    static toCellValues(task) {
+        return {
+            item: task.item,
+            summary: task.note,
+            date: task.date,
+            staff: task.staff,
+            comment: task.comment || "",
+            complete: "",
+            id: task.id || ""
+        };
+    }
+
     /**
      * Sends an email with a reminder.
      * Uses a template file for the HTML body and includes details about the reminder.
+     * The text that links to the Doc is the email body of the ReminderTemplates, and inline tables use the labels of their columns.
+     * If the reminder email format is set to 'inline', the tasks are also shown as tables in the HTML body
+     * and as a plain-text alternative for mail clients that do not display HTML.
+     * Reminder emails are recorded in the ReminderDeliveryLedger, as failures if the Doc is not set or the email cannot be sent,
+     * and all emails are recorded in the activity log.
      *
      * @param {string} email - The email address to send the reminder to.
      * @param {string} subject - The subject of the email.
-     * @param {string} successOrFailure - Indicator of whether the reminder was successfully created or not.
+     * @param {string} successOrFailure - Indicator of whether the reminder was successfully created or not, or "escalation" for the overdue escalation email.
      * @param {string} [displayDocUrl=""] - The URL of the Google Document containing the reminder, if applicable.
+     * @param {Array<SheetReminder>} [reminderData=[]] - The reminders shared with the recipient, used to count overdue high-priority tasks.
+     *                                                  For "escalation", the overdue tasks listed in the email.
+     * @param {string} [emailFormat=ReminderManager.loadEmailFormat()] - A key of REMINDER_EMAIL_FORMATS, e.g. the one chosen in the preferences of the recipient.
      */
-    sendEmail(email,subject,successOrFailure,displayDocUrl){
+    sendEmail(email,subject,successOrFailure,displayDocUrl,reminderData = [],emailFormat = ReminderManager.loadEmailFormat()){
+        let { htmlBody, plainBody, recipientEmails, staffNames } = this.renderEmail(email, successOrFailure, displayDocUrl, reminderData, emailFormat);
+        let isReminder = successOrFailure === "success" || successOrFailure === "failure";
+        try {
+            GmailApp.sendEmail(email,subject,plainBody,{
+                htmlBody: htmlBody,
+            });
+        } catch (e) {
+            if (isReminder) {
+                ReminderDeliveryLedger.record({ target: this.target, period: this.period, recipients: email, subject: subject,
+                    result: REMINDER_DELIVERY_RESULTS.failure, details: e.message });
+            }
+            throw e;
+        }
+        if (isReminder) {
+            ReminderDeliveryLedger.record({ target: this.target, period: this.period, recipients: email, subject: subject,
+                result: successOrFailure === "success" ? REMINDER_DELIVERY_RESULTS.success : REMINDER_DELIVERY_RESULTS.failure,
+                details: successOrFailure === "success" ? '' : 'The Google Doc is not set.' });
+        }
+
+        ActivityLog.record({
+            action: successOrFailure === "escalation" ? 'Send escalation email' : `Send reminder email (${successOrFailure})`,
+            staff: staffNames.join(', '),
+            after: `${subject} to ${recipientEmails.join(', ')}`
+        });
+    }
+
+    /**
+     * Renders the body of an email sent by sendEmail, in the language of the reminder, without sending it.
+     *
+     * @param {string} email - The email addresses to send the reminder to, separated by commas.
+     * @param {string} successOrFailure - "success", "failure" or "escalation", as in sendEmail.
+     * @param {string} [displayDocUrl=""] - The URL of the Google Document containing the reminder, if applicable.
+     * @param {Array<SheetReminder>} [reminderData=[]] - The reminders shared with the recipient, as in sendEmail.
+     * @param {string} [emailFormat=ReminderManager.loadEmailFormat()] - A key of REMINDER_EMAIL_FORMATS.
+     * @param {string|null} [webAppUrl=TaskCompletionLink.getWebAppUrl()] - The URL of the web app that completes tasks,
+     *                                                                   or null to leave the Mark complete links out.
+     * @returns {Object} { htmlBody, plainBody, recipientEmails: Array<string>, staffNames: Array<string> }.
+     *                   plainBody is empty unless the tasks are inline, and staffNames are the staff among the recipients.
+     */
+    renderEmail(email, successOrFailure, displayDocUrl = "", reminderData = [], emailFormat = ReminderManager.loadEmailFormat(),
+                webAppUrl = TaskCompletionLink.getWebAppUrl()) {
         let template = HtmlService.createTemplateFromFile('reminder-share-email');
         template.displayDocUrl = displayDocUrl;
-        template.period = this.period;
+        template.reminderData = reminderData;
+        template.period = this.profile.builtIn ? this.period : this.profile.name;
         template.successOrFailure = successOrFailure;
+        template.highPriorityOverdueCount = ReminderManager.countHighPriorityOverdue(reminderData);
+        template.emailFormat = emailFormat;
+        template.sheetSections = ReminderManager.groupForEmail(reminderData, webAppUrl, this.localizer);
+        template.columns = this.templates.columns;
+        template.t = (key, params) => this.localizer.t(key, params);
+        let recipientEmails = String(email).split(',').map(address => address.trim());
+        let staffList = JSON.parse(this.scriptProperties.getProperty(SCRIPT_PROPERTY_KEY_STAFF) || '[]');
+        let staffNames = staffList.filter(staff => recipientEmails.includes(staff.email)).map(staff => staff.name);
+        let staffName = this.target === 'staffBased' ? staffNames.join(', ') : '';
+        template.emailBodyHtml = this.templates.renderEmailBodyHtml(this.getTemplateValues(staffName, reminderData, displayDocUrl));
         if(successOrFailure === "failure"){
           template.type = this.type;
           template.target = this.target;
           template.spreadSheetUrl = this.ss.getUrl();
+          template.docNotSetHtml = this.localizer.t('email.docNotSet', {
+            period: ReminderTemplates.escapeHtml(template.period),
+            target: ReminderTemplates.escapeHtml(this.target),
+            reminderName: ReminderTemplates.escapeHtml(this.profile.getReminderName(this.target, staffName, this.localizer)),
+            spreadsheetLink: `<a href="${ReminderTemplates.escapeHtml(template.spreadSheetUrl)}">${this.localizer.t('email.thisSpreadsheet')}</a>`
+          });
         }
         let htmlBody = template.evaluate().getContent();
-        GmailApp.sendEmail(email,subject,"",{
-            htmlBody: htmlBody,
+        let plainBody = "";
+        if (successOrFailure === "success" && template.emailFormat === 'inline') {
+          plainBody = ReminderManager.formatPlainTextReminders(template.sheetSections, displayDocUrl, this.localizer);
+        }
+        return { htmlBody: htmlBody, plainBody: plainBody, recipientEmails: recipientEmails, staffNames: staffNames };
+    }
+
+    /**
+     * Shares a staff-based reminder with a staff member through the channel chosen in their preferences:
+     * an email linking to the Doc ('doc'), an email with the tasks inline ('inline') or a message to their chat webhook ('chat').
+     * Staff without preferences get an email in the format of the Reminder Email Format setting. Failure notices are always emailed.
+     *
+     * @param {string} staffName - The name of the staff member.
+     * @param {Object} staffInfo - The staff-based reminder data of the staff member: { email, todayReminderUrl, nextWeekReminderUrl, preferences }.
+     * @param {string} subject - The subject of the email, or the title of the chat message.
+     * @param {string} successOrFailure - Indicator of whether the reminder was successfully created or not.
+     * @param {string} [displayDocUrl=""] - The URL of the Google Document containing the reminder, if applicable.
+     * @param {Array<SheetReminder>} [reminderData=[]] - The reminders of the staff member.
+     */
+    shareWithStaff(staffName, staffInfo, subject, successOrFailure, displayDocUrl = "", reminderData = []) {
+        let channel = staffInfo.preferences ? staffInfo.preferences.channel : null;
+        if (successOrFailure === "success" && channel === 'chat') {
+            this.postToChat(staffName, staffInfo, subject, displayDocUrl, reminderData);
+            return;
+        }
+        this.sendEmail(staffInfo.email, subject, successOrFailure, displayDocUrl, reminderData, ReminderManager.getStaffEmailFormat(staffInfo));
+    }
+
+    /**
+     * Returns the format of the reminder emails of a staff member: the one of the channel in their preferences,
+     * or the one of the Reminder Email Format setting for staff without preferences or with the 'chat' channel.
+     *
+     * @param {Object} staffInfo - The staff-based reminder data of the staff member.
+     * @returns {string} A key of REMINDER_EMAIL_FORMATS.
+     */
+    static getStaffEmailFormat(staffInfo) {
+        let channel = staffInfo.preferences ? staffInfo.preferences.channel : null;
+        return channel === 'doc' ? 'link' : channel === 'inline' ? 'inline' : ReminderManager.loadEmailFormat();
+    }
+
+    /**
+     * Posts a staff-based reminder to the chat webhook set in the preferences of a staff member, as a card made by the WebhookNotifier.
+     * It is recorded in the ReminderDeliveryLedger under the email of the staff member, so that it is not posted twice a day,
+     * and in the activity log.
+     *
+     * @param {string} staffName - The name of the staff member.
+     * @param {Object} staffInfo - The staff-based reminder data of the staff member, with preferences.webhookUrl.
+     * @param {string} subject - The title of the card.
+     * @param {string} displayDocUrl - The URL of the Google Document containing the reminder.
+     * @param {Array<SheetReminder>} reminderData - The reminders of the staff member.
+     */
+    postToChat(staffName, staffInfo, subject, displayDocUrl, reminderData) {
+        let delivery = { target: this.target, period: this.period, recipients: staffInfo.email, subject: subject };
+        try {
+            ReminderNotifier.forWebhook(staffInfo.preferences.webhookUrl, this.localizer).notify(ReminderNotifier.summarize(subject, reminderData, displayDocUrl));
+        } catch (e) {
+            ReminderDeliveryLedger.record(Object.assign(delivery, { result: REMINDER_DELIVERY_RESULTS.failure, details: e.message }));
+            throw e;
+        }
+        ReminderDeliveryLedger.record(Object.assign(delivery, { result: REMINDER_DELIVERY_RESULTS.success, details: 'Posted to the chat webhook.' }));
+        ActivityLog.record({
+            action: 'Post reminder to chat',
+            staff: staffName,
+            after: `${subject} to the chat webhook of ${staffInfo.email}`
+        });
+    }
+
+    /**
+     * Posts a general reminder to the chat webhook set for it, if any, as a card made by the WebhookNotifier.
+     * The reminder emails have already been sent, so an error of the webhook is logged instead of stopping the reminder.
+     *
+     * @param {string} subject - The title of the card.
+     * @param {string} displayDocUrl - The URL of the Google Document containing the reminder.
+     * @param {Array<SheetReminder>} reminderData - The reminders shared in the run.
+     */
+    postGeneralReminderToChat(subject, displayDocUrl, reminderData) {
+        let webhookUrl = this.getGeneralWebhookUrl();
+        if (!webhookUrl) {
+            return;
+        }
+        try {
+            ReminderNotifier.forWebhook(webhookUrl, this.localizer).notify(ReminderNotifier.summarize(subject, reminderData, displayDocUrl));
+        } catch (e) {
+            console.error(`The ${this.period} general reminder could not be posted to chat: ${e.message}`);
+            ActivityLog.record({ action: 'Post reminder to chat (failure)', after: `${subject}: ${e.message}` });
+            return;
+        }
+        ActivityLog.record({
+            action: 'Post reminder to chat',
+            after: `${subject} to the chat webhook of the ${this.period} general reminder`
         });
     }
+
+    /**
+     * Reads the chat webhook set for the general reminder of this period.
+     *
+     * @returns {string|undefined} The URL of the webhook, or undefined if it is not set.
+     */
+    getGeneralWebhookUrl() {
+        let webhookUrls = JSON.parse(this.scriptProperties.getProperty(SCRIPT_PROPERTY_KEY_GENERAL_REM_WEBHOOK_URL) || '{}');
+        return this.period === 'today' ? webhookUrls.generalTodayWebhookUrl : webhookUrls.generalWeekWebhookUrl;
+    }
+
+    /**
+     * Reads the format of reminder emails from the setting.
+     *
+     * @returns {string} A key of REMINDER_EMAIL_FORMATS: 'link' (default) or 'inline'.
+     */
+    static loadEmailFormat() {
+        let settings = JSON.parse(PropertiesService.getScriptProperties().getProperty(SCRIPT_PROPERTY_KEY_REMINDER_EMAIL_FORMAT) || '{}');
+        return Object.keys(REMINDER_EMAIL_FORMATS).includes(settings.format) ? settings.format : 'link';
+    }
+
+    /**
+     * Arranges reminder data for the email body in the same order as the reminder Doc:
+     * by sheet, then by "Overdue", "Due today" and "Upcoming" sections, then by priority and date.
+     * If the script is deployed as a web app, each task also gets a signed "Mark complete" link (completeUrl).
+     *
+     * @param {Array<SheetReminder>} reminderData - Array of SheetReminder objects containing the reminder data.
+     * @param {string|null} [webAppUrl=null] - The URL of the web app that completes tasks, or null to leave the links out.
+     * @param {Localizer} [localizer=new Localizer()] - The localizer of the language of the section titles.
+     * @returns {Array<Object>} The sheets as { sheetName: string, sheetURL: string, sections: Array<{ key, title: string, taskData: Array<Reminder> }> }.
+     */
+    static groupForEmail(reminderData, webAppUrl = null, localizer = new Localizer()) {
+        let today = new Date();
+        today.setHours(0, 0, 0, 0);
+        return reminderData.map(sheetReminder => {
+            let taskData = sheetReminder.taskData.map(task => {
+                let canLink = webAppUrl && sheetReminder.sheetId !== null && sheetReminder.sheetId !== undefined && task.id;
+                let completeUrl = canLink ? TaskCompletionLink.create(webAppUrl, sheetReminder.sheetId, task) : '';
+                return Object.assign({}, task, { completeUrl: completeUrl });
+            });
+            return {
+                sheetName: sheetReminder.sheetName,
+                sheetURL: sheetReminder.sheetURL,
+                sections: ReminderManager.groupByDueSection(ReminderManager.sortByPriorityAndDate(taskData), today, localizer)
+            };
+        });
+    }
+
+    /**
+     * Formats the reminders as the plain-text alternative of an inline reminder email.
+     *
+     * @param {Array<Object>} sheetSections - The reminders arranged by groupForEmail.
+     * @param {string} [displayDocUrl=""] - The URL of the Google Document containing the reminder.
+     * @param {Localizer} [localizer=new Localizer()] - The localizer of the language of the reminder.
+     * @returns {string} The plain-text body.
+     *
+     * @example
+     * // Admin: Budget
+     * // https://docs.google.com/spreadsheets/d/12345/edit#gid=67890
+     * //
+     * // [Overdue]
+     * // - Complete budget report: Include projections (Friday, January 5, 2024 / John Doe)
+     */
+    static formatPlainTextReminders(sheetSections, displayDocUrl = "", localizer = new Localizer()) {
+        let lines = [];
+        sheetSections.forEach(sheetSection => {
+            lines.push(sheetSection.sheetName, sheetSection.sheetURL, '');
+            sheetSection.sections.forEach(section => {
+                lines.push(`[${section.title}]`);
+                section.taskData.forEach(task => {
+                    let summary = task.note ? `: ${task.note}` : '';
+                    let staff = task.staff ? ` / ${task.staff}` : '';
+                    lines.push(`- ${task.item}${summary} (${task.date}${staff})`);
+                    if (task.completeUrl) {
+                        lines.push(localizer.t('email.plainMarkComplete', { url: task.completeUrl }));
+                    }
+                });
+                lines.push('');
+            });
+        });
+        if (displayDocUrl) {
+            lines.push(localizer.t('email.plainReminderDoc', { url: displayDocUrl }));
+        }
+        return lines.join('\n');
+    }
     
     /**
      * Filters the reminder data for a specific staff member.
@@ -569,70 +1233,46 @@ class ReminderManager {
         return new SheetReminder(
           sheetReminder.sheetName,
           sheetReminder.sheetURL,
-          sheetReminder.taskData.filter(task => task.staff === staffName)
+          sheetReminder.taskData.filter(task => task.staff === staffName),
+          sheetReminder.sheetId
         );
       });
     }
 
     /**
-     * Constructs the key used for storing the completion status of reminder data in script properties.
-     * 
-     * @returns {string} - The constructed completion status key.
-     */
-    getCompletionStatusKey() {
-        return `SCRIPT_PROPERTY_KEY_COMPLETION_STATUS_${this.target.toUpperCase()}_${this.period.toUpperCase()}`;
-    }
-
-    /**
-     * Creates a one-time trigger for a specific reminder function based on the target and period.
-     * The trigger is set to execute after a specified delay.
-     * A unique identifier for the trigger is stored in script properties along with target and period information.
+     * Checks whether a staff-based reminder is sent to a staff member in this run.
+     * Staff with preferences are left to runStaffReminderDispatcher, unless the reminder is forced.
+     *
+     * @param {string} staffName - The name of the staff member.
+     * @param {Object} staffInfo - The staff-based reminder data of the staff member.
+     * @returns {boolean} True if the reminder is sent to the staff member.
      */
-    createOneTimeTrigger() {
-        // Set a trigger for continuation
-        let triggerFunctionName = `run${this.target.charAt(0).toUpperCase() + this.target.slice(1)}Reminder${this.period.charAt(0).toUpperCase() + this.period.slice(1)}`;
-        let trigger = ScriptApp.newTrigger(triggerFunctionName)
-                              .timeBased()
-                              .after(10000) // For example, 10 seconds
-                              .create();
-
-        let triggerInfo = {
-            id: trigger.getUniqueId(),
-            target: this.target, // e.g., 'general'
-            period: this.period  // e.g., 'today'
-        };
-
-        let scriptProperties = PropertiesService.getScriptProperties();
-        scriptProperties.setProperty(trigger.getUniqueId(), JSON.stringify(triggerInfo));
-        console.log(`Trigger for the function, ${triggerFunctionName} is set. triggerInfo is ${JSON.stringify(triggerInfo)}`);
+    includesStaff(staffName, staffInfo) {
+        if (this.staffNames !== null) {
+            return this.staffNames.includes(staffName);
+        }
+        return this.force || !staffInfo.preferences;
     }
 
     /**
-     * Deletes one-time triggers that match the specific target and period of the ReminderManager instance.
-     * It retrieves each trigger's information from script properties and checks if it matches
-     * the target and period before deletion.
+     * Returns the recipients who have not received the reminder today, according to the ReminderDeliveryLedger.
+     * All recipients are returned if the reminder is forced.
+     *
+     * @param {string|Array<string>} recipients - A comma-separated list of emails or an array of emails.
+     * @returns {Array<string>} The email addresses to send the reminder to.
      */
-    deleteOneTimeTriggers() {
-          let allTriggers = ScriptApp.getProjectTriggers();
-          let scriptProperties = PropertiesService.getScriptProperties();
-
-          for (let i = 0; i < allTriggers.length; i++) {
-              let triggerId = allTriggers[i].getUniqueId();
-              let triggerInfoStr = scriptProperties.getProperty(triggerId);
-
-              if (triggerInfoStr) {
-                  let triggerInfo = JSON.parse(triggerInfoStr);
-
-                  // Check if the trigger is a one-time trigger for the specific target and period
-                  if (triggerInfo.target === this.target && triggerInfo.period === this.period) {
-                      ScriptApp.deleteTrigger(allTriggers[i]);
-                      scriptProperties.deleteProperty(triggerId); // Clean up the property
-                      console.log(`Following trigger and script properties for that trigger were deleted: trigger_${triggerId}/ script properties_${triggerInfoStr}`);
-                  }
-              }
-          }
+    filterPendingRecipients(recipients) {
+        let emails = ReminderDeliveryLedger.splitRecipients(recipients);
+        if (this.force) {
+            return emails;
+        }
+        let delivered = ReminderDeliveryLedger.getDeliveredRecipients(this.target, this.period, new Date());
+        let pending = emails.filter(email => !delivered.has(email));
+        if (pending.length < emails.length) {
+            console.log(`${emails.length - pending.length} recipient(s) already received the reminder today and are skipped.`);
+        }
+        return pending;
     }
-
 }
 
 /**
@@ -671,6 +1311,50 @@ function runStaffBasedReminderWeek() {
     staffBasedReminderWeek.shareRemindersByDoc();
 }
 
+/**
+ * Shows in a sidebar what today's general reminder would send, without sending it or changing its Doc.
+ */
+function previewGeneralReminderToday() {
+    showReminderPreview_('general', 'today', 'menu.previewGeneralToday');
+}
+
+/**
+ * Shows in a sidebar what next week's general reminder would send, without sending it or changing its Doc.
+ */
+function previewGeneralReminderWeek() {
+    showReminderPreview_('general', 'week', 'menu.previewGeneralWeek');
+}
+
+/**
+ * Shows in a sidebar what today's reminder would send to each of designated staff, without sending it or changing their Docs.
+ */
+function previewStaffBasedReminderToday() {
+    showReminderPreview_('staffBased', 'today', 'menu.previewStaffBasedToday');
+}
+
+/**
+ * Shows in a sidebar what next week's reminder would send to each of designated staff, without sending it or changing their Docs.
+ */
+function previewStaffBasedReminderWeek() {
+    showReminderPreview_('staffBased', 'week', 'menu.previewStaffBasedWeek');
+}
+
+/**
+ * Shows the preview of a reminder, as returned by ReminderManager.previewReminders, in a sidebar.
+ *
+ * @param {string} target - 'general' or 'staffBased'.
+ * @param {string} period - 'today' or 'week'.
+ * @param {string} titleKey - The key of the title of the sidebar in LOCALIZED_MESSAGES.
+ */
+function showReminderPreview_(target, period, titleKey) {
+    let localizer = Localizer.load();
+    let htmlTemplate = HtmlService.createTemplateFromFile('show-reminder-preview');
+    htmlTemplate.preview = new ReminderManager(target, period).previewReminders();
+    htmlTemplate.t = (key, params) => localizer.t(key, params);
+    let htmlOutput = htmlTemplate.evaluate().setTitle(localizer.t(titleKey));
+    SpreadsheetApp.getUi().showSidebar(htmlOutput);
+}
+
 /*
 function deleteAllTriggers() {
     let allTriggers = ScriptApp.getProjectTriggers();
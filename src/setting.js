@@ -3,39 +3,65 @@
  */
 function onOpen() {
   let ui = SpreadsheetApp.getUi();
-    let subMenu_1 = ui.createMenu('SETTINGS')
-      .addItem(`Set Pre-Defined Info`,'showSettingListsModal')
+  let localizer = Localizer.load();
+    let subMenu_1 = ui.createMenu(localizer.t('menu.settings'))
+      .addItem(localizer.t('menu.setPreDefinedInfo'),'showSettingListsModal')
       .addSeparator()
-      .addItem(`Reset All Pre-Defined Info & Triggers`,`resetScriptPropertiesAndTriggers`)      
+      .addItem(localizer.t('menu.resetAll'),`resetScriptPropertiesAndTriggers`)      
 
-    let subMenu_2 = ui.createMenu('TASK SHEETS')
-      .addItem('Create a New Task Sheet', 'createNewSheetModal')
+    let subMenu_2 = ui.createMenu(localizer.t('menu.taskSheets'))
+      .addItem(localizer.t('menu.createTaskSheet'), 'createNewSheetModal')
       .addSeparator()
-      .addItem('Modify Editors of the Current Sheet', 'modifyEditorsModal');
+      .addItem(localizer.t('menu.createFromTemplate'), 'createSheetFromTemplateModal')
+      .addSeparator()
+      .addItem(localizer.t('menu.saveAsTemplate'), 'saveActiveSheetAsTemplate')
+      .addSeparator()
+      .addItem(localizer.t('menu.modifyEditors'), 'modifyEditorsModal')
+      .addSeparator()
+      .addItem(localizer.t('menu.reopenTaskSheet'), 'reopenTaskSheet')
+      .addSeparator()
+      .addItem(localizer.t('menu.archiveCompletedSheets'), 'archiveCompletedTaskSheetsFromMenu')
+      .addSeparator()
+      .addItem(localizer.t('menu.resolveSyncConflicts'), 'showSyncConflictModal')
+      .addSeparator()
+      .addItem(localizer.t('menu.viewActivityLog'), 'showActivityLogModal');
 
-    let subMenu_3 = ui.createMenu('TEST')
-      .addItem(`Send General Today's Reminder`,'runGeneralReminderToday')
+    let subMenu_preview = ui.createMenu(localizer.t('menu.preview'))
+      .addItem(localizer.t('menu.previewGeneralToday'),'previewGeneralReminderToday')
       .addSeparator()
-      .addItem(`Send General Next Week's Reminder`, 'runGeneralReminderWeek')
+      .addItem(localizer.t('menu.previewGeneralWeek'),'previewGeneralReminderWeek')
       .addSeparator()
-      .addItem(`Send Staff-Based Today's Reminder`,'runStaffBasedReminderToday')
+      .addItem(localizer.t('menu.previewStaffBasedToday'),'previewStaffBasedReminderToday')
       .addSeparator()
-      .addItem(`Send Staff-Based Next Week's Reminder`,'runStaffBasedReminderWeek')
+      .addItem(localizer.t('menu.previewStaffBasedWeek'),'previewStaffBasedReminderWeek');
+
+    let subMenu_3 = ui.createMenu(localizer.t('menu.test'))
+      .addItem(localizer.t('menu.sendGeneralToday'),'runGeneralReminderToday')
       .addSeparator()
-      .addItem(`Update Completion Status`,'updateCompletionStatusToSheet')
+      .addItem(localizer.t('menu.sendGeneralWeek'), 'runGeneralReminderWeek')
+      .addSeparator()
+      .addItem(localizer.t('menu.sendStaffBasedToday'),'runStaffBasedReminderToday')
+      .addSeparator()
+      .addItem(localizer.t('menu.sendStaffBasedWeek'),'runStaffBasedReminderWeek')
+      .addSeparator()
+      .addItem(localizer.t('menu.updateCompletionStatus'),'updateCompletionStatusToSheet')
+      .addSeparator()
+      .addItem(localizer.t('menu.viewReminderHistory'),'showReminderHistoryModal');
 
-    let subMenu_4 = ui.createMenu('BEFORE FIRST USE')
-      .addItem(`Conduct Authorization`,'showAuthorization')
+    let subMenu_4 = ui.createMenu(localizer.t('menu.beforeFirstUse'))
+      .addItem(localizer.t('menu.authorize'),'showAuthorization')
       .addSeparator()
-      .addItem('Return to Original Format', 'returnToOriginalFormat');
+      .addItem(localizer.t('menu.returnToOriginalFormat'), 'returnToOriginalFormat');
     
-    ui.createMenu('Custom Menu')
+    ui.createMenu(localizer.t('menu.custom'))
         .addSubMenu(subMenu_1)
         .addSeparator()
-        .addItem(`Update Index Sheets and Sort Task Sheets`,'updateAllTaskIndexSheets')
+        .addItem(localizer.t('menu.updateIndexSheets'),'updateAllTaskIndexSheets')
         .addSeparator()
         .addSubMenu(subMenu_2)
         .addSeparator()
+        .addSubMenu(subMenu_preview)
+        .addSeparator()
         .addSubMenu(subMenu_3)
         .addSeparator()
         .addSubMenu(subMenu_4)
@@ -84,7 +110,7 @@ function returnToOriginalFormat() {
   resetScriptPropertiesAndTriggers();
 
   // Display a message box after completion
-  Browser.msgBox("Return to the original format (All sheets except 'New Sheet' deleted/ Pre-defined information reset/ Pre-set triggers deleted).");
+  Browser.msgBox(localize('message.returnedToOriginalFormat'));
 }
 
 /**
@@ -98,12 +124,19 @@ function showSettingListsModal() {
     //Index Sheet
     htmlTemplate.isIndexSheetPropertyKey = scriptProperties.getProperty(SCRIPT_PROPERTY_INDEX_SHEET) !== null ? "SCRIPT_PROPERTY_INDEX_SHEET" : null;
 
+    //Task Sheet Columns
+    htmlTemplate.isTaskSheetSchemaPropertyKey = scriptProperties.getProperty(SCRIPT_PROPERTY_KEY_TASK_SHEET_SCHEMA) !== null ? "SCRIPT_PROPERTY_KEY_TASK_SHEET_SCHEMA" : null;
+
+    //Working Days & Holidays
+    htmlTemplate.isWorkingCalendarPropertyKey = scriptProperties.getProperty(SCRIPT_PROPERTY_KEY_WORKING_CALENDAR) !== null ? "SCRIPT_PROPERTY_KEY_WORKING_CALENDAR" : null;
+
     //Staff of this Spreadsheet
     htmlTemplate.isStaffPropertyKey = scriptProperties.getProperty(SCRIPT_PROPERTY_KEY_STAFF) !== null ? "SCRIPT_PROPERTY_KEY_STAFF" : null;
 
     //General Reminder
     htmlTemplate.isGeneralReminderEmailPropertyKey = scriptProperties.getProperty(SCRIPT_PROPERTY_KEY_GENERAL_REMINDER_EMAILS) !== null ? "SCRIPT_PROPERTY_KEY_GENERAL_REMINDER_EMAILS" : null;
     htmlTemplate.isGeneralReminderDocURLPropertyKey = scriptProperties.getProperty(SCRIPT_PROPERTY_KEY_GENERAL_REM_DOC_URL) !== null ? "SCRIPT_PROPERTY_KEY_GENERAL_REM_DOC_URL" : null;
+    htmlTemplate.isGeneralReminderWebhookURLPropertyKey = scriptProperties.getProperty(SCRIPT_PROPERTY_KEY_GENERAL_REM_WEBHOOK_URL) !== null ? "SCRIPT_PROPERTY_KEY_GENERAL_REM_WEBHOOK_URL" : null;
 
     //Staff-Based Reminder
     htmlTemplate.isDesignatedStaffPropertyKey = scriptProperties.getProperty(SCRIPT_PROPERTY_KEY_DESIG_STAFF) !== null ? "SCRIPT_PROPERTY_KEY_DESIG_STAFF" : null;
@@ -114,13 +147,46 @@ function showSettingListsModal() {
     htmlTemplate.isGeneralReminderWeekSet = isTriggerAlreadySet_('runGeneralReminderWeek');
     htmlTemplate.isStaffReminderTodaySet = isTriggerAlreadySet_('runStaffBasedReminderToday');
     htmlTemplate.isStaffReminderWeekSet = isTriggerAlreadySet_('runStaffBasedReminderWeek');
+    htmlTemplate.isStaffReminderDispatcherSet = isTriggerAlreadySet_('runStaffReminderDispatcher');
     htmlTemplate.isUpdateCompletionStatusToSheet = isTriggerAlreadySet_('updateCompletionStatusToSheet');
+    htmlTemplate.isArchiveCompletedTaskSheetsSet = isTriggerAlreadySet_('archiveCompletedTaskSheets');
+
+    //Reminder Email Format
+    htmlTemplate.isReminderEmailFormatPropertyKey = scriptProperties.getProperty(SCRIPT_PROPERTY_KEY_REMINDER_EMAIL_FORMAT) !== null ? "SCRIPT_PROPERTY_KEY_REMINDER_EMAIL_FORMAT" : null;
+
+    //Reminder Templates
+    htmlTemplate.isReminderTemplatesPropertyKey = scriptProperties.getProperty(SCRIPT_PROPERTY_KEY_REMINDER_TEMPLATES) !== null ? "SCRIPT_PROPERTY_KEY_REMINDER_TEMPLATES" : null;
+
+    //Language
+    htmlTemplate.isLocalePropertyKey = scriptProperties.getProperty(SCRIPT_PROPERTY_KEY_LOCALE) !== null ? "SCRIPT_PROPERTY_KEY_LOCALE" : null;
+
+    //Overdue Escalation
+    htmlTemplate.isOverdueEscalationPropertyKey = scriptProperties.getProperty(SCRIPT_PROPERTY_KEY_OVERDUE_ESCALATION) !== null ? "SCRIPT_PROPERTY_KEY_OVERDUE_ESCALATION" : null;
+
+    //Activity Log Retention
+    htmlTemplate.isActivityLogRetentionPropertyKey = scriptProperties.getProperty(SCRIPT_PROPERTY_KEY_ACTIVITY_LOG_RETENTION) !== null ? "SCRIPT_PROPERTY_KEY_ACTIVITY_LOG_RETENTION" : null;
+
+    //Automatic Completion of Task Sheets
+    htmlTemplate.isAutoCompletionPropertyKey = scriptProperties.getProperty(SCRIPT_PROPERTY_KEY_AUTO_COMPLETION) !== null ? "SCRIPT_PROPERTY_KEY_AUTO_COMPLETION" : null;
+
+    //Archive of Completed Task Sheets
+    htmlTemplate.isSheetArchivePropertyKey = scriptProperties.getProperty(SCRIPT_PROPERTY_KEY_SHEET_ARCHIVE) !== null ? "SCRIPT_PROPERTY_KEY_SHEET_ARCHIVE" : null;
+
+    //Default Staff of Template Roles
+    htmlTemplate.isTemplateRolesPropertyKey = scriptProperties.getProperty(SCRIPT_PROPERTY_KEY_TEMPLATE_ROLES) !== null ? "SCRIPT_PROPERTY_KEY_TEMPLATE_ROLES" : null;
+
+    //Custom Reminder Profiles
+    htmlTemplate.reminderProfileNames = ReminderProfile.loadCustomProfiles().map(profile => profile.name);
+
+    // Messages of the dialog in the language set in the setting
+    let localizer = Localizer.load();
+    htmlTemplate.t = (key, params) => localizer.t(key, params);
     
     let html = htmlTemplate
         .evaluate()
         .setWidth(850)
         .setHeight(700);
-    SpreadsheetApp.getUi().showModalDialog(html, 'Lists of Settings');
+    SpreadsheetApp.getUi().showModalDialog(html, localize('dialog.settingLists'));
 }
 
 /**
@@ -130,12 +196,12 @@ function showSettingListsModal() {
  */
 function selectNextAction(description,type){
   if(type === "success"){
-    let nextStep = Browser.msgBox(`${description} Do you want to proceed with another setting?`,Browser.Buttons.YES_NO);
+    let nextStep = Browser.msgBox(localize('message.proceedToAnotherSetting', { description: description }),Browser.Buttons.YES_NO);
     if(nextStep === 'yes'){
       showSettingListsModal();
     }
   } else if (type === "failure") {
-    let nextStep = Browser.msgBox(`${description} Please try the setting again.`,Browser.Buttons.OK);
+    let nextStep = Browser.msgBox(localize('message.retrySetting', { description: description }),Browser.Buttons.OK);
     if(nextStep === 'ok'){
       showSettingListsModal();
     }
@@ -159,40 +225,194 @@ function showIndexSheetInfoModal() {
   htmlTemplate.completedTaskSheetName = indexSheetInfo.completedTaskSheetName || "";
   htmlTemplate.backToIndexPhrase = indexSheetInfo.backToIndexPhrase || "";
   htmlTemplate.completionFlag = indexSheetInfo.completionFlag || "";
+  htmlTemplate.categoryOrder = indexSheetInfo.categoryOrder || [];
   htmlTemplate.sheetNames = sheetNames;  // Pass the sheet names to the template
 
   let html = htmlTemplate
       .evaluate()
       .setWidth(600)  // Adjusted width
       .setHeight(600); // Adjusted height
-  SpreadsheetApp.getUi().showModalDialog(html, 'Index Sheet Information');
+  SpreadsheetApp.getUi().showModalDialog(html, localize('dialog.indexSheet'));
 }
 
 /**
  * Sets up index sheet information in the script's properties.
+ * The category order lists the categories shown first in the index sheets and the dashboard; blank and repeated names are dropped.
  */
 function setIndexSheetInfo(indexSheetInfo) {
   try{
+    let categoryOrder = (indexSheetInfo.categoryOrder || []).map(category => String(category).trim())
+      .filter((category, i, categories) => category && categories.indexOf(category) === i);
     let updatedIndexSheetInfo = {
       'ongoingTaskSheetName': indexSheetInfo.ongoingTaskSheetName,
       'completedTaskSheetName':indexSheetInfo.completedTaskSheetName,
       'backToIndexPhrase':indexSheetInfo.backToIndexPhrase,
-      'completionFlag':indexSheetInfo.completionFlag
+      'completionFlag':indexSheetInfo.completionFlag,
+      'categoryOrder':categoryOrder
     };
 
     // Store general reminder emails in ScriptProperties
     PropertiesService.getScriptProperties().setProperty(SCRIPT_PROPERTY_INDEX_SHEET, JSON.stringify(updatedIndexSheetInfo));
-    let successDescription = "Index sheet information were successfully set.";
+    let successDescription = localize('setting.indexSheetSet');
     selectNextAction(successDescription,"success");
 
   }  catch (error) {
     Logger.log("Error setting index sheet information: " + error.message);
     Logger.log("Stack Trace: " + error.stack);
-    let failureDescription = `Failed to set index sheet information.`;
+    let failureDescription = localize('setting.indexSheetFailed');
     selectNextAction(failureDescription,"failure");
   }
 }
 
+/**
+ * Displays a modal for setting the header names of task sheet columns.
+ */
+function showTaskSheetSchemaModal() {
+  let schema = TaskSheetSchema.load();
+
+  // Create a template from the HTML file
+  let htmlTemplate = HtmlService.createTemplateFromFile('show-task-sheet-schema');
+  htmlTemplate.fields = TASK_SHEET_FIELDS;
+  htmlTemplate.headers = schema.headers;
+  htmlTemplate.defaultHeaders = DEFAULT_TASK_SHEET_HEADERS;
+
+  let html = htmlTemplate
+      .evaluate()
+      .setWidth(600)  // Adjusted width
+      .setHeight(600); // Adjusted height
+  SpreadsheetApp.getUi().showModalDialog(html, localize('dialog.taskSheetSchema'));
+}
+
+/**
+ * Sets up the header names of task sheet columns in the script's properties.
+ * @param {Object} headers - Header name for each logical field (item, summary, date, staff, priority, recurrence, complete, comment, id).
+ */
+function setTaskSheetSchema(headers) {
+  try{
+    let updatedHeaders = {};
+    TASK_SHEET_FIELDS.forEach(field => {
+      updatedHeaders[field] = String(headers[field] || '').trim();
+    });
+
+    let headerNames = Object.values(updatedHeaders);
+    let normalizedNames = headerNames.map(name => name.toLowerCase());
+    if (headerNames.includes('') || new Set(normalizedNames).size !== normalizedNames.length) {
+      let failureDescription = localize('setting.taskSheetSchemaInvalid');
+      selectNextAction(failureDescription,"failure");
+      return;
+    }
+
+    // Store header names in ScriptProperties
+    PropertiesService.getScriptProperties().setProperty(SCRIPT_PROPERTY_KEY_TASK_SHEET_SCHEMA, JSON.stringify(updatedHeaders));
+    let successDescription = localize('setting.taskSheetSchemaSet');
+    selectNextAction(successDescription,"success");
+
+  }  catch (error) {
+    Logger.log("Error setting task sheet columns: " + error.message);
+    Logger.log("Stack Trace: " + error.stack);
+    let failureDescription = localize('setting.taskSheetSchemaFailed');
+    selectNextAction(failureDescription,"failure");
+  }
+}
+
+/**
+ * Displays a modal for setting the working weekdays and the holiday sheet.
+ */
+function showWorkingCalendarModal() {
+  let settings = JSON.parse(PropertiesService.getScriptProperties().getProperty(SCRIPT_PROPERTY_KEY_WORKING_CALENDAR) || '{}');
+
+  // Create a template from the HTML file
+  let htmlTemplate = HtmlService.createTemplateFromFile('show-working-calendar');
+  htmlTemplate.workingWeekdays = settings.workingWeekdays || DEFAULT_WORKING_WEEKDAYS;
+  htmlTemplate.holidaySheetName = settings.holidaySheetName || DEFAULT_HOLIDAY_SHEET_NAME;
+
+  let html = htmlTemplate
+      .evaluate()
+      .setWidth(600)  // Adjusted width
+      .setHeight(600); // Adjusted height
+  SpreadsheetApp.getUi().showModalDialog(html, localize('dialog.workingCalendar'));
+}
+
+/**
+ * Sets up the working weekdays and the holiday sheet in the script's properties.
+ * If the content of an ICS file is passed, its holidays are added to the holiday sheet, which is created if it does not exist.
+ * @param {Object} workingCalendar - { workingWeekdays: Array<number>, holidaySheetName: string, icsText: string }.
+ */
+function setWorkingCalendar(workingCalendar) {
+  try{
+    let workingWeekdays = (workingCalendar.workingWeekdays || [])
+      .map(weekday => parseInt(weekday))
+      .filter(weekday => weekday >= 0 && weekday <= 6);
+    let holidaySheetName = String(workingCalendar.holidaySheetName || '').trim();
+
+    if (workingWeekdays.length === 0) {
+      let failureDescription = localize('setting.workingWeekdayMissing');
+      selectNextAction(failureDescription,"failure");
+      return;
+    }
+    if (workingCalendar.icsText && !holidaySheetName) {
+      let failureDescription = localize('setting.holidaySheetMissing');
+      selectNextAction(failureDescription,"failure");
+      return;
+    }
+
+    let successDescription = localize('setting.workingCalendarSet');
+    if (workingCalendar.icsText) {
+      let holidays = WorkingCalendar.parseIcs(workingCalendar.icsText);
+      let addedCount = importHolidaysToSheet_(holidaySheetName, holidays);
+      successDescription += ` ${addedCount} holiday(s) were added to ${holidaySheetName}.`;
+    }
+
+    // Store working weekdays and the holiday sheet name in ScriptProperties
+    PropertiesService.getScriptProperties().setProperty(SCRIPT_PROPERTY_KEY_WORKING_CALENDAR, JSON.stringify({
+      workingWeekdays: workingWeekdays,
+      holidaySheetName: holidaySheetName
+    }));
+    selectNextAction(successDescription,"success");
+
+  }  catch (error) {
+    Logger.log("Error setting working days and holidays: " + error.message);
+    Logger.log("Stack Trace: " + error.stack);
+    let failureDescription = localize('setting.workingCalendarFailed');
+    selectNextAction(failureDescription,"failure");
+  }
+}
+
+/**
+ * Adds holidays to the holiday sheet, skipping dates already listed. The sheet is created if it does not exist.
+ * @param {string} sheetName - Name of the holiday sheet.
+ * @param {Array<Object>} holidays - Holidays as { date: Date, name: string }.
+ * @returns {number} The number of holidays added.
+ */
+function importHolidaysToSheet_(sheetName, holidays) {
+  let ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(sheetName);
+  if (!sheet) {
+    sheet = ss.insertSheet(sheetName, ss.getNumSheets());
+    sheet.getRange(1, 1, 1, 2).setValues([['Date', 'Name']])
+                              .setBackground("#D3D3D3")
+                              .setFontWeight("bold")
+                              .setHorizontalAlignment("center");
+    sheet.getRange('A2:A').setNumberFormat('yyyy/M/d (ddd)');
+    sheet.setFrozenRows(1);
+  }
+
+  let existingKeys = new Set(WorkingCalendar.readHolidaySheet(sheet).map(date => WorkingCalendar.toDateKey(date)));
+  let newRows = [];
+  holidays.forEach(holiday => {
+    let key = WorkingCalendar.toDateKey(holiday.date);
+    if (!existingKeys.has(key)) {
+      existingKeys.add(key);
+      newRows.push([holiday.date, holiday.name]);
+    }
+  });
+
+  if (newRows.length > 0) {
+    sheet.getRange(sheet.getLastRow() + 1, 1, newRows.length, 2).setValues(newRows);
+  }
+  return newRows.length;
+}
+
 /**
  * Sets up staff information in the script's properties.
  */
@@ -214,13 +434,13 @@ function setStaffInfo() {
   for (let email of newEditors) {
       let name;
       do {
-          name = Browser.inputBox(`Input name for the email: ${email}`);
+          name = Browser.inputBox(localize('message.inputStaffName', { email: email }));
           if (name == 'cancel') {
-              Browser.msgBox('Inputting name was cancelled. Retry setting designated user information.');
+              Browser.msgBox(localize('message.staffNameInputCancelled'));
               return; // Exit the function
           }
           if (existingNames.includes(name.toLowerCase())) { // Check for name's existence using case-insensitive comparison
-              Browser.msgBox(`The name "${name}" is already in use. Please use a different name.`);
+              Browser.msgBox(localize('message.staffNameInUse', { name: name }));
           }
       } while (!name || existingNames.includes(name)); // Keep prompting until a unique, non-empty name is provided
 
@@ -251,7 +471,7 @@ function confirmStaffInfoModal() {
       .evaluate()
       .setWidth(450)  // Adjusted width
       .setHeight(400); // Adjusted height
-  SpreadsheetApp.getUi().showModalDialog(html, 'Lists of Staff Information');
+  SpreadsheetApp.getUi().showModalDialog(html, localize('dialog.staffInfo'));
 }
 
 /**
@@ -270,7 +490,7 @@ function updateStaffInfoModal() {
       .evaluate()
       .setWidth(450)  // Adjusted width
       .setHeight(400); // Adjusted height
-  SpreadsheetApp.getUi().showModalDialog(html, 'Update Name(s) of the Staff');
+  SpreadsheetApp.getUi().showModalDialog(html, localize('dialog.updateStaffNames'));
 }
 
 /**
@@ -283,7 +503,451 @@ function updateStaffInfo(updatedStaffInfo) {
     confirmStaffInfoModal(); // Make sure this function exists and performs the desired action
   } catch (error) {
     Logger.log("Error in updateStaffInfo: " + error.message);
-    let failureDescription = `Failed to show UI where updated staff info is listed.`;
+    let failureDescription = localize('setting.showUpdatedStaffFailed');
+    selectNextAction(failureDescription,"failure");
+  }
+}
+
+/**
+ * Displays a modal for choosing the format of reminder emails.
+ */
+function showReminderEmailFormatModal() {
+  // Create a template from the HTML file
+  let htmlTemplate = HtmlService.createTemplateFromFile('show-email-format');
+  htmlTemplate.emailFormats = REMINDER_EMAIL_FORMATS;
+  htmlTemplate.currentFormat = ReminderManager.loadEmailFormat();
+
+  let html = htmlTemplate
+      .evaluate()
+      .setWidth(600)  // Adjusted width
+      .setHeight(350); // Adjusted height
+  SpreadsheetApp.getUi().showModalDialog(html, localize('dialog.emailFormat'));
+}
+
+/**
+ * Sets up the format of reminder emails in the script's properties.
+ * @param {string} format - A key of REMINDER_EMAIL_FORMATS.
+ */
+function setReminderEmailFormat(format) {
+  try{
+    if (!Object.keys(REMINDER_EMAIL_FORMATS).includes(format)) {
+      let failureDescription = localize('setting.emailFormatMissing');
+      selectNextAction(failureDescription,"failure");
+      return;
+    }
+
+    // Store the email format in ScriptProperties
+    PropertiesService.getScriptProperties().setProperty(SCRIPT_PROPERTY_KEY_REMINDER_EMAIL_FORMAT, JSON.stringify({ format: format }));
+    let successDescription = localize('setting.emailFormatSet', { format: REMINDER_EMAIL_FORMATS[format] });
+    selectNextAction(successDescription,"success");
+
+  }  catch (error) {
+    Logger.log("Error setting reminder email format: " + error.message);
+    Logger.log("Stack Trace: " + error.stack);
+    let failureDescription = localize('setting.emailFormatFailed');
+    selectNextAction(failureDescription,"failure");
+  }
+}
+
+/**
+ * Displays a modal for editing the templates of reminders, with a preview rendered from sample data.
+ */
+function showReminderTemplatesModal() {
+  let templates = ReminderTemplates.load();
+
+  // Create a template from the HTML file
+  let htmlTemplate = HtmlService.createTemplateFromFile('show-reminder-templates');
+  htmlTemplate.templates = templates;
+  htmlTemplate.templateTexts = REMINDER_TEMPLATE_TEXTS;
+  htmlTemplate.placeholders = REMINDER_TEMPLATE_PLACEHOLDERS;
+  htmlTemplate.columnFields = REMINDER_TABLE_COLUMNS;
+  let localizer = Localizer.load();
+  // Columns are named by their default labels in the language set in the setting
+  htmlTemplate.defaultTemplates = ReminderTemplates.getDefaults(localizer.locale);
+  htmlTemplate.t = (key, params) => localizer.t(key, params);
+
+  let html = htmlTemplate
+      .evaluate()
+      .setWidth(800)  // Adjusted width
+      .setHeight(700); // Adjusted height
+  SpreadsheetApp.getUi().showModalDialog(html, localize('dialog.reminderTemplates'));
+}
+
+/**
+ * Renders the templates being edited with sample data for the preview in the Reminder Templates setting.
+ * @param {Object} templates - The templates: { subject, docTitle, introText, emailBody, columns }.
+ * @returns {Object} The preview, as returned by ReminderTemplates.preview.
+ */
+function previewReminderTemplates(templates) {
+  return ReminderTemplates.preview(normalizeReminderTemplates_(templates));
+}
+
+/**
+ * Sets up the templates of reminders in the script's properties.
+ * @param {Object} templates - The templates: { subject, docTitle, introText, emailBody, columns }.
+ */
+function setReminderTemplates(templates) {
+  try{
+    let updatedTemplates = normalizeReminderTemplates_(templates);
+    let invalidDescription = ReminderTemplates.validate(updatedTemplates);
+    if (invalidDescription) {
+      let failureDescription = localize('setting.reminderTemplatesInvalid', { description: invalidDescription });
+      selectNextAction(failureDescription,"failure");
+      return;
+    }
+
+    // Store the changed templates in ScriptProperties; the defaults are left to the language of each reminder
+    let changedTemplates = ReminderTemplates.omitDefaults(updatedTemplates, Localizer.loadLocale());
+    PropertiesService.getScriptProperties().setProperty(SCRIPT_PROPERTY_KEY_REMINDER_TEMPLATES, JSON.stringify(changedTemplates));
+    let successDescription = localize('setting.reminderTemplatesSet');
+    selectNextAction(successDescription,"success");
+
+  }  catch (error) {
+    Logger.log("Error setting reminder templates: " + error.message);
+    Logger.log("Stack Trace: " + error.stack);
+    let failureDescription = localize('setting.reminderTemplatesFailed');
+    selectNextAction(failureDescription,"failure");
+  }
+}
+
+/**
+ * Converts the templates entered in the setting into the shape stored in script properties.
+ * Numbers entered as text are parsed, and labels are trimmed.
+ * @param {Object} templates - The templates as entered in the setting.
+ * @returns {Object} The templates: { subject, docTitle, introText, emailBody, columns }.
+ */
+function normalizeReminderTemplates_(templates) {
+  let normalized = { columns: {} };
+  Object.keys(REMINDER_TEMPLATE_TEXTS).forEach(key => {
+    normalized[key] = typeof templates[key] === 'string' ? templates[key] : null;
+  });
+  REMINDER_TABLE_COLUMNS.forEach(field => {
+    let column = (templates.columns || {})[field] || {};
+    normalized.columns[field] = {
+      label: String(column.label || '').trim(),
+      width: parseInt(column.width),
+      completionWidth: parseInt(column.completionWidth),
+      fontSize: parseInt(column.fontSize)
+    };
+  });
+  return normalized;
+}
+
+/**
+ * Displays a modal for setting the language of the menus, dialogs, reminder Docs and emails.
+ */
+function showLocaleModal() {
+  let htmlTemplate = HtmlService.createTemplateFromFile('show-locale');
+  htmlTemplate.locale = Localizer.loadLocale();
+  htmlTemplate.locales = SUPPORTED_LOCALES;
+  let localizer = Localizer.load();
+  htmlTemplate.t = (key, params) => localizer.t(key, params);
+
+  let html = htmlTemplate
+      .evaluate()
+      .setWidth(500)
+      .setHeight(300);
+  SpreadsheetApp.getUi().showModalDialog(html, localize('dialog.locale'));
+}
+
+/**
+ * Sets up the language in the script's properties. The result is already shown in the new language.
+ * @param {string} locale - A key of SUPPORTED_LOCALES.
+ */
+function setLocale(locale) {
+  try{
+    if (!Localizer.isSupported(locale)) {
+      let failureDescription = localize('setting.localeMissing');
+      selectNextAction(failureDescription,"failure");
+      return;
+    }
+
+    // Store the language in ScriptProperties
+    PropertiesService.getScriptProperties().setProperty(SCRIPT_PROPERTY_KEY_LOCALE, JSON.stringify({ locale: locale }));
+    let successDescription = localize('setting.localeSet', { language: SUPPORTED_LOCALES[locale] });
+    selectNextAction(successDescription,"success");
+
+  }  catch (error) {
+    Logger.log("Error setting the language: " + error.message);
+    Logger.log("Stack Trace: " + error.stack);
+
+    let failureDescription = localize('setting.localeFailed');
+    selectNextAction(failureDescription,"failure");
+  }
+}
+
+/**
+ * Displays a modal for setting the manager to whom overdue tasks are escalated.
+ */
+function showOverdueEscalationModal() {
+  let settings = JSON.parse(PropertiesService.getScriptProperties().getProperty(SCRIPT_PROPERTY_KEY_OVERDUE_ESCALATION) || '{}');
+
+  // Create a template from the HTML file
+  let htmlTemplate = HtmlService.createTemplateFromFile('show-overdue-escalation');
+  htmlTemplate.managerEmail = settings.managerEmail || '';
+  htmlTemplate.thresholdDays = settings.thresholdDays !== undefined ? settings.thresholdDays : DEFAULT_ESCALATION_THRESHOLD_DAYS;
+  let localizer = Localizer.load();
+  htmlTemplate.t = (key, params) => localizer.t(key, params);
+
+  let html = htmlTemplate
+      .evaluate()
+      .setWidth(600)  // Adjusted width
+      .setHeight(400); // Adjusted height
+  SpreadsheetApp.getUi().showModalDialog(html, localize('dialog.overdueEscalation'));
+}
+
+/**
+ * Sets up the manager's email and the threshold of the overdue escalation in the script's properties.
+ * Tasks overdue by more than the threshold are listed in an email to the manager when a reminder is shared.
+ * @param {Object} escalation - { managerEmail: string, thresholdDays: number }.
+ */
+function setOverdueEscalation(escalation) {
+  try{
+    let managerEmail = String(escalation.managerEmail || '').trim();
+    let thresholdDays = parseInt(escalation.thresholdDays);
+
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(managerEmail)) {
+      let failureDescription = localize('setting.managerEmailInvalid');
+      selectNextAction(failureDescription,"failure");
+      return;
+    }
+    if (!(thresholdDays >= 0)) {
+      let failureDescription = localize('setting.thresholdDaysInvalid');
+      selectNextAction(failureDescription,"failure");
+      return;
+    }
+
+    // Store the manager's email and the threshold in ScriptProperties
+    PropertiesService.getScriptProperties().setProperty(SCRIPT_PROPERTY_KEY_OVERDUE_ESCALATION, JSON.stringify({
+      managerEmail: managerEmail,
+      thresholdDays: thresholdDays
+    }));
+    let successDescription = localize('setting.overdueEscalationSet', { thresholdDays: thresholdDays, managerEmail: managerEmail });
+    selectNextAction(successDescription,"success");
+
+  }  catch (error) {
+    Logger.log("Error setting overdue escalation: " + error.message);
+    Logger.log("Stack Trace: " + error.stack);
+    let failureDescription = localize('setting.overdueEscalationFailed');
+    selectNextAction(failureDescription,"failure");
+  }
+}
+
+/**
+ * Displays a modal for setting how long entries are kept in the activity log.
+ */
+function showActivityLogRetentionModal() {
+  // Create a template from the HTML file
+  let htmlTemplate = HtmlService.createTemplateFromFile('show-activity-log-retention');
+  htmlTemplate.retentionDays = ActivityLog.loadRetentionDays();
+  let localizer = Localizer.load();
+  htmlTemplate.t = (key, params) => localizer.t(key, params);
+
+  let html = htmlTemplate
+      .evaluate()
+      .setWidth(600)  // Adjusted width
+      .setHeight(400); // Adjusted height
+  SpreadsheetApp.getUi().showModalDialog(html, localize('dialog.activityLogRetention'));
+}
+
+/**
+ * Sets up the number of days entries are kept in the activity log in the script's properties.
+ * @param {number} retentionDays - The number of days, 1 or more.
+ */
+function setActivityLogRetention(retentionDays) {
+  try{
+    retentionDays = parseInt(retentionDays);
+    if (!(retentionDays >= 1)) {
+      let failureDescription = localize('setting.retentionDaysInvalid');
+      selectNextAction(failureDescription,"failure");
+      return;
+    }
+
+    // Store the retention period in ScriptProperties
+    PropertiesService.getScriptProperties().setProperty(SCRIPT_PROPERTY_KEY_ACTIVITY_LOG_RETENTION, JSON.stringify({
+      retentionDays: retentionDays
+    }));
+    ActivityLog.applyRetention();
+    let successDescription = localize('setting.activityLogRetentionSet', { retentionDays: retentionDays });
+    selectNextAction(successDescription,"success");
+
+  }  catch (error) {
+    Logger.log("Error setting activity log retention: " + error.message);
+    Logger.log("Stack Trace: " + error.stack);
+    let failureDescription = localize('setting.activityLogRetentionFailed');
+    selectNextAction(failureDescription,"failure");
+  }
+}
+
+/**
+ * Displays a modal for setting whether task sheets whose tasks are all completed are completed automatically.
+ */
+function showAutoCompletionModal() {
+  let settings = TaskSheetCompletion.loadSettings();
+
+  // Create a template from the HTML file
+  let htmlTemplate = HtmlService.createTemplateFromFile('show-auto-completion');
+  htmlTemplate.enabled = settings.enabled;
+  htmlTemplate.archiveSpreadsheetUrl = settings.archiveSpreadsheetUrl;
+  let localizer = Localizer.load();
+  htmlTemplate.t = (key, params) => localizer.t(key, params);
+
+  let html = htmlTemplate
+      .evaluate()
+      .setWidth(600)  // Adjusted width
+      .setHeight(400); // Adjusted height
+  SpreadsheetApp.getUi().showModalDialog(html, localize('dialog.autoCompletion'));
+}
+
+/**
+ * Sets up the automatic completion of task sheets in the script's properties.
+ * The archive spreadsheet is opened once to check that the URL is valid and that the user can access it.
+ * @param {Object} autoCompletion - { enabled: boolean, archiveSpreadsheetUrl: string }. archiveSpreadsheetUrl can be empty.
+ */
+function setAutoCompletion(autoCompletion) {
+  try{
+    let enabled = autoCompletion.enabled === true;
+    let archiveSpreadsheetUrl = String(autoCompletion.archiveSpreadsheetUrl || '').trim();
+    let archiveSpreadsheetName = '';
+
+    if (archiveSpreadsheetUrl) {
+      try {
+        archiveSpreadsheetName = SpreadsheetApp.openByUrl(archiveSpreadsheetUrl).getName();
+      } catch (e) {
+        let failureDescription = localize('setting.archiveUrlInvalid');
+        selectNextAction(failureDescription,"failure");
+        return;
+      }
+    }
+
+    // Store the setting in ScriptProperties
+    PropertiesService.getScriptProperties().setProperty(SCRIPT_PROPERTY_KEY_AUTO_COMPLETION, JSON.stringify({
+      enabled: enabled,
+      archiveSpreadsheetUrl: archiveSpreadsheetUrl
+    }));
+    let successDescription = !enabled ? localize('setting.autoCompletionOff')
+      : archiveSpreadsheetName ? localize('setting.autoCompletionArchived', { archiveSpreadsheetName: archiveSpreadsheetName })
+      : localize('setting.autoCompletionOn');
+    selectNextAction(successDescription,"success");
+
+  }  catch (error) {
+    Logger.log("Error setting automatic completion: " + error.message);
+    Logger.log("Stack Trace: " + error.stack);
+    let failureDescription = localize('setting.autoCompletionFailed');
+    selectNextAction(failureDescription,"failure");
+  }
+}
+
+/**
+ * Displays a modal for setting how long completed task sheets stay in the spreadsheet before they are archived.
+ */
+function showSheetArchiveModal() {
+  // Create a template from the HTML file
+  let htmlTemplate = HtmlService.createTemplateFromFile('show-sheet-archive');
+  htmlTemplate.retentionDays = CompletedSheetArchive.loadRetentionDays();
+  let localizer = Localizer.load();
+  htmlTemplate.t = (key, params) => localizer.t(key, params);
+
+  let html = htmlTemplate
+      .evaluate()
+      .setWidth(600)  // Adjusted width
+      .setHeight(400); // Adjusted height
+  SpreadsheetApp.getUi().showModalDialog(html, localize('dialog.sheetArchive'));
+}
+
+/**
+ * Sets up the number of days after which completed task sheets are archived in the script's properties.
+ * @param {number} retentionDays - The number of days, 1 or more.
+ */
+function setSheetArchive(retentionDays) {
+  try{
+    retentionDays = Number(retentionDays);
+
+    if (!(Number.isInteger(retentionDays) && retentionDays >= 1)) {
+      let failureDescription = localize('setting.archiveRetentionDaysInvalid');
+      selectNextAction(failureDescription,"failure");
+      return;
+    }
+
+    // Store the retention period in ScriptProperties
+    PropertiesService.getScriptProperties().setProperty(SCRIPT_PROPERTY_KEY_SHEET_ARCHIVE, JSON.stringify({
+      retentionDays: retentionDays
+    }));
+    let successDescription = localize('setting.sheetArchiveSet', { retentionDays: retentionDays });
+    selectNextAction(successDescription,"success");
+
+  }  catch (error) {
+    Logger.log("Error setting the archive of completed task sheets: " + error.message);
+    Logger.log("Stack Trace: " + error.stack);
+    let failureDescription = localize('setting.sheetArchiveFailed');
+    selectNextAction(failureDescription,"failure");
+  }
+}
+
+/**
+ * Displays a modal for setting the default staff of the roles used in the task sheet templates.
+ */
+function showTemplateRolesModal() {
+  let roles = TaskSheetTemplate.loadRoles();
+  let roleNames = Object.keys(roles);
+  TaskSheetTemplate.list().forEach(templateName => {
+    TaskSheetTemplate.load(templateName).listRoles().forEach(role => {
+      if (!roleNames.includes(role)) {
+        roleNames.push(role);
+      }
+    });
+  });
+
+  // Create a template from the HTML file
+  let htmlTemplate = HtmlService.createTemplateFromFile('show-template-roles');
+  htmlTemplate.roles = roles;
+  htmlTemplate.roleNames = roleNames;
+  htmlTemplate.staffNames = JSON.parse(PropertiesService.getScriptProperties().getProperty(SCRIPT_PROPERTY_KEY_STAFF) || '[]').map(staff => staff.name);
+  let localizer = Localizer.load();
+  htmlTemplate.t = (key, params) => localizer.t(key, params);
+
+  let html = htmlTemplate
+      .evaluate()
+      .setWidth(600)  // Adjusted width
+      .setHeight(500); // Adjusted height
+  SpreadsheetApp.getUi().showModalDialog(html, localize('dialog.templateRoles'));
+}
+
+/**
+ * Sets up the default staff of template roles in the script's properties. Roles without staff are not stored.
+ * @param {Object} roles - The staff name of each role, e.g. { "HR": "Aki", "IT": "" }.
+ */
+function setTemplateRoles(roles) {
+  try{
+    let staffNames = JSON.parse(PropertiesService.getScriptProperties().getProperty(SCRIPT_PROPERTY_KEY_STAFF) || '[]').map(staff => staff.name);
+    let storedRoles = {};
+    let unknownStaffNames = [];
+    Object.keys(roles).forEach(role => {
+      let staffName = String(roles[role] || '').trim();
+      if (!role.trim() || !staffName) {
+        return;
+      }
+      if (!staffNames.includes(staffName)) {
+        unknownStaffNames.push(staffName);
+      }
+      storedRoles[role.trim()] = staffName;
+    });
+
+    if (unknownStaffNames.length > 0) {
+      let failureDescription = localize('setting.templateRolesInvalid', { staffNames: unknownStaffNames.join(', ') });
+      selectNextAction(failureDescription,"failure");
+      return;
+    }
+
+    // Store the default staff of the roles in ScriptProperties
+    PropertiesService.getScriptProperties().setProperty(SCRIPT_PROPERTY_KEY_TEMPLATE_ROLES, JSON.stringify(storedRoles));
+    let successDescription = localize('setting.templateRolesSet');
+    selectNextAction(successDescription,"success");
+
+  }  catch (error) {
+    Logger.log("Error setting the default staff of template roles: " + error.message);
+    Logger.log("Stack Trace: " + error.stack);
+    let failureDescription = localize('setting.templateRolesFailed');
     selectNextAction(failureDescription,"failure");
   }
 }
@@ -309,12 +973,12 @@ function showGeneralReminderEmailsModal() {
       .setWidth(700)  // Adjusted width
       .setHeight(400); // Adjusted height
 
-    SpreadsheetApp.getUi().showModalDialog(html, 'General reminder email will be sent to staff with checked.');
+    SpreadsheetApp.getUi().showModalDialog(html, localize('dialog.generalReminderEmails'));
     
   } catch (error) {
     Logger.log("Error showing general reminder emails modal: " + error.message);
     Logger.log("Stack Trace: " + error.stack);
-    let failureDescription = `Failed to show UI where staff for General Reminder is listed.`;
+    let failureDescription = localize('setting.showGeneralReminderStaffFailed');
     selectNextAction(failureDescription,"failure");
   }
 }
@@ -334,13 +998,13 @@ function confirmGeneralReminderEmails(generalReminderEmails) {
 
     // Store general reminder emails in ScriptProperties
     PropertiesService.getScriptProperties().setProperty(SCRIPT_PROPERTY_KEY_GENERAL_REMINDER_EMAILS, JSON.stringify(updatedGeneralReminderEmails));
-    let successDescription = "Emails to send general reminders were successfully set.";
+    let successDescription = localize('setting.generalReminderEmailsSet');
     selectNextAction(successDescription,"success");
 
   }  catch (error) {
     Logger.log("Error setting general reminder emails: " + error.message);
     Logger.log("Stack Trace: " + error.stack);
-    let failureDescription = `Failed to set emails for General Reminder.`;
+    let failureDescription = localize('setting.generalReminderEmailsFailed');
     selectNextAction(failureDescription,"failure");
   }
 }
@@ -366,12 +1030,12 @@ function showDesignatedStaffModal() {
       .setWidth(600)  // Adjusted width
       .setHeight(400); // Adjusted height
 
-    SpreadsheetApp.getUi().showModalDialog(html, 'Staff-based reminder email will be sent to each staff with checked.');
+    SpreadsheetApp.getUi().showModalDialog(html, localize('dialog.designatedStaff'));
     
   } catch (error) {
     Logger.log("Error showing designated staff info modal: " + error.message);
     Logger.log("Stack Trace: " + error.stack);
-    let failureDescription = `Failed to show UI where desigated staff for staff-based reminder is listed.`;
+    let failureDescription = localize('setting.showDesignatedStaffFailed');
     selectNextAction(failureDescription,"failure");
   }
 }
@@ -395,14 +1059,14 @@ function setDesignatedStaff(designatedStaffList) {
     // Store designated staff  in ScriptProperties
     PropertiesService.getScriptProperties().setProperty(SCRIPT_PROPERTY_KEY_DESIG_STAFF, JSON.stringify(designatedStaff));
     console.log(`desigantedStaff is ${designatedStaff} and is successfully stored in Script Property.`);
-    let successDescription = "Designated staff for staff-based reminders was successfully set.";
+    let successDescription = localize('setting.designatedStaffSet');
     selectNextAction(successDescription,"success");
 
   }  catch (error) {
     Logger.log("Error setting designated staff info: " + error.message);
     Logger.log("Stack Trace: " + error.stack);
 
-    let failureDescription = `Failed to set designated staff for staff-based reminders.`;
+    let failureDescription = localize('setting.designatedStaffFailed');
     selectNextAction(failureDescription,"failure");
   }
 }
@@ -423,6 +1087,11 @@ function showUrlModal() {
   htmlTemplate.generalTodayReminderDocUrl = generalReminderUrls.generalTodayReminderDocUrl;
   htmlTemplate.generalWeekReminderDocUrl = generalReminderUrls.generalWeekReminderDocUrl;
 
+  // Set the chat webhooks that general reminders are also posted to
+  let generalWebhookUrls = JSON.parse(scriptProperties.getProperty(SCRIPT_PROPERTY_KEY_GENERAL_REM_WEBHOOK_URL) || '{}');
+  htmlTemplate.generalTodayWebhookUrl = generalWebhookUrls.generalTodayWebhookUrl || '';
+  htmlTemplate.generalWeekWebhookUrl = generalWebhookUrls.generalWeekWebhookUrl || '';
+
   htmlTemplate.staffBasedReminderData = designatedStaff.map(staff => {
     let staffName = staff.name;
 
@@ -434,28 +1103,37 @@ function showUrlModal() {
       name: staffName,
       email: staff.email, // Assuming 'email' is a property of 'staff'
       todayUrl: staffObject ? staffObject[staffName].todayReminderUrl : '',
-      nextWeekUrl: staffObject ? staffObject[staffName].nextWeekReminderUrl : ''
+      nextWeekUrl: staffObject ? staffObject[staffName].nextWeekReminderUrl : '',
+      preferences: staffObject ? staffObject[staffName].preferences || null : null,
+      locale: staffObject ? staffObject[staffName].locale || '' : ''
     };
   });
-
-  let htmlOutput = htmlTemplate.evaluate().setWidth(700).setHeight(500);
-  SpreadsheetApp.getUi().showModalDialog(htmlOutput, 'Set Reminder URLs');
+  htmlTemplate.defaultPreferences = DEFAULT_STAFF_REMINDER_PREFERENCES;
+  htmlTemplate.frequencies = STAFF_REMINDER_FREQUENCIES;
+  htmlTemplate.channels = STAFF_REMINDER_CHANNELS;
+  htmlTemplate.locales = SUPPORTED_LOCALES;
+  let localizer = Localizer.load();
+  htmlTemplate.t = (key, params) => localizer.t(key, params);
+
+  let htmlOutput = htmlTemplate.evaluate().setWidth(700).setHeight(600);
+  SpreadsheetApp.getUi().showModalDialog(htmlOutput, localize('dialog.reminderUrls'));
 }
 
 /**
- * Stores URLs of Google Docs for reminders in the script's properties.
+ * Stores URLs of Google Docs for reminders, the chat webhooks of general reminders and the preferences of staff in the script's properties.
  * @param {Object} passedData - Data containing URLs for reminders.
  */
 function storeReminderInfo(passedData) {
   let scriptProperties = PropertiesService.getScriptProperties();
   let invalidUrls = [];
+  let invalidPreferences = [];
   let allUrlsSet = new Set();
 
   try {
     // Validate general reminder URLs
     let generalUrls = {
-      generalTodayReminderDocUrl: validateGoogleDocUrl_(passedData.generalTodayReminderDocUrl, "Today's General Reminder", invalidUrls, allUrlsSet),
-      generalWeekReminderDocUrl: validateGoogleDocUrl_(passedData.generalWeekReminderDocUrl, "Next Week's General Reminder", invalidUrls, allUrlsSet)
+      generalTodayReminderDocUrl: validateGoogleDocUrl_(passedData.generalTodayReminderDocUrl, localize('reminder.generalToday'), invalidUrls, allUrlsSet),
+      generalWeekReminderDocUrl: validateGoogleDocUrl_(passedData.generalWeekReminderDocUrl, localize('reminder.generalWeek'), invalidUrls, allUrlsSet)
     };
 
     // Count non-null general URLs
@@ -466,7 +1144,7 @@ function storeReminderInfo(passedData) {
     let staffUrlsCount = 0;
     let validatedStaffData;
     if (passedData.staffBasedReminderData !== null) {
-      validatedStaffData = validateStaffReminderData(passedData.staffBasedReminderData, invalidUrls, allUrlsSet);
+      validatedStaffData = validateStaffReminderData(passedData.staffBasedReminderData, invalidUrls, allUrlsSet, invalidPreferences);
       validatedStaffData.forEach(staffObj => {
         Object.values(staffObj).forEach(urlObj => {
           staffUrlsCount += (urlObj.todayReminderUrl ? 1 : 0) + (urlObj.nextWeekReminderUrl ? 1 : 0);
@@ -476,24 +1154,47 @@ function storeReminderInfo(passedData) {
       validatedStaffData = null;
     }
 
+    if (invalidPreferences.length > 0) {
+      let failureDescription = localize('setting.reminderPreferencesInvalid', { descriptions: invalidPreferences.join(" ") });
+      selectNextAction(failureDescription,"failure");
+      return;
+    }
+
+    // Empty webhook URLs mean that the general reminder is not posted to chat
+    let generalWebhookUrls = {
+      generalTodayWebhookUrl: String(passedData.generalTodayWebhookUrl || '').trim(),
+      generalWeekWebhookUrl: String(passedData.generalWeekWebhookUrl || '').trim()
+    };
+    let invalidWebhookUrls = Object.values(generalWebhookUrls).filter(url => url && !ReminderNotifier.isValidWebhookUrl(url));
+    if (invalidWebhookUrls.length > 0) {
+      let failureDescription = localize('setting.webhookUrlsInvalid', { urls: invalidWebhookUrls.join(", ") });
+      selectNextAction(failureDescription,"failure");
+      return;
+    }
+
     // Check if all URLs are valid and there are no duplicates
     if (invalidUrls.length === 0 && allUrlsSet.size === generalUrlsCount + staffUrlsCount) {
       // Store validated URLs if all conditions are met
       scriptProperties.setProperty(SCRIPT_PROPERTY_KEY_GENERAL_REM_DOC_URL, JSON.stringify(generalUrls));
+      if (generalWebhookUrls.generalTodayWebhookUrl || generalWebhookUrls.generalWeekWebhookUrl) {
+        scriptProperties.setProperty(SCRIPT_PROPERTY_KEY_GENERAL_REM_WEBHOOK_URL, JSON.stringify(generalWebhookUrls));
+      } else {
+        scriptProperties.deleteProperty(SCRIPT_PROPERTY_KEY_GENERAL_REM_WEBHOOK_URL);
+      }
       if(validatedStaffData !== null){
         scriptProperties.setProperty(SCRIPT_PROPERTY_KEY_STAFFBASED_REM_DATA, JSON.stringify(validatedStaffData));
       }
-      let successDescription = "URLs of Google Docs for Reminder were successfully set.";
+      let successDescription = localize('setting.reminderUrlsSet');
       selectNextAction(successDescription,"success");
     } else {
       // Handle invalid or duplicate URLs
-      let failureDescription = "Invalid or duplicate URLs detected: " + invalidUrls.join(", ") + ". ";
+      let failureDescription = localize('setting.reminderUrlsInvalid', { urls: invalidUrls.join(", ") });
       selectNextAction(failureDescription,"failure");
     }
   } catch (error) {
     Logger.log("Error setting URLs of Google Docs for Reminder: " + error.message);
     Logger.log("Stack Trace: " + error.stack);
-    let failureDescription = "Failed to set URLs of Google Docs for reminder.";
+    let failureDescription = localize('setting.reminderUrlsFailed');
     selectNextAction(failureDescription,"failure");
   }
 }
@@ -517,7 +1218,7 @@ function validateGoogleDocUrl_(url, reminderType, invalidUrls, allUrlsSet) {
     if (allUrlsSet.has(url)) {
       console.log(`${reminderType} has duplicate.`);
       // console.log(`Duplicate URL found for ${reminderType}: ${url}`);
-      invalidUrls.push(`Duplicate URL found for ${reminderType}`);
+      invalidUrls.push(localize('setting.docUrlDuplicate', { reminderName: reminderType }));
       return null;
     } else {
       allUrlsSet.add(url);
@@ -526,19 +1227,20 @@ function validateGoogleDocUrl_(url, reminderType, invalidUrls, allUrlsSet) {
     }
   } else {
     console.log(`${reminderType} has invalid url.`);
-    invalidUrls.push(`URL for ${reminderType} is not for Google Doc`);
+    invalidUrls.push(localize('setting.docUrlNotDoc', { reminderName: reminderType }));
     return null;
   }
 }
 
 /**
- * Validates the URLs in staff reminder data.
+ * Validates the URLs, the delivery preferences and the languages in staff reminder data.
  * @param {Object[]} staffDataArrayObject - Array of objects containing staff reminder data.
  * @param {string[]} invalidUrls - Array to store invalid URLs.
  * @param {Set} allUrlsSet - Set to store unique URLs for duplicate checking.
+ * @param {string[]} [invalidPreferences=[]] - Array to store the problems found in the preferences.
  * @returns {Object[]} - Array of validated staff reminder data objects.
  */
-function validateStaffReminderData(staffDataArrayObject, invalidUrls, allUrlsSet) {
+function validateStaffReminderData(staffDataArrayObject, invalidUrls, allUrlsSet, invalidPreferences = []) {
   let validatedStaffArrayObject = [];
 
   staffDataArrayObject.forEach(obj => {
@@ -547,10 +1249,31 @@ function validateStaffReminderData(staffDataArrayObject, invalidUrls, allUrlsSet
 
     let validObject = {
       email: staffObject.email,
-      todayReminderUrl: validateGoogleDocUrl_(staffObject.todayReminderUrl, `Today's Reminder for ${staffName}`, invalidUrls, allUrlsSet),
-      nextWeekReminderUrl: validateGoogleDocUrl_(staffObject.nextWeekReminderUrl, `Next Week's Reminder for ${staffName}`, invalidUrls, allUrlsSet)
+      todayReminderUrl: validateGoogleDocUrl_(staffObject.todayReminderUrl, localize('reminder.staffBasedToday', { staffName: staffName }), invalidUrls, allUrlsSet),
+      nextWeekReminderUrl: validateGoogleDocUrl_(staffObject.nextWeekReminderUrl, localize('reminder.staffBasedWeek', { staffName: staffName }), invalidUrls, allUrlsSet)
     };
 
+    // Staff without preferences keep receiving reminders from the Today's and Next Week's Staff-Based Reminder triggers
+    if (staffObject.preferences) {
+      let preferences = {
+        hour: parseInt(staffObject.preferences.hour),
+        weekdays: (staffObject.preferences.weekdays || []).map(weekday => parseInt(weekday)),
+        frequency: staffObject.preferences.frequency,
+        channel: staffObject.preferences.channel,
+        webhookUrl: String(staffObject.preferences.webhookUrl || '').trim()
+      };
+      let invalidDescription = StaffReminderPreferences.validate(preferences);
+      if (invalidDescription) {
+        invalidPreferences.push(`${staffName}: ${invalidDescription}`);
+      }
+      validObject.preferences = preferences;
+    }
+
+    // Staff without their own language receive reminders in the language of the Language setting
+    if (Localizer.isSupported(staffObject.locale)) {
+      validObject.locale = staffObject.locale;
+    }
+
     let validatedStaffObj = {};
     validatedStaffObj[staffName] = validObject;
     validatedStaffArrayObject.push(validatedStaffObj);
@@ -606,12 +1329,16 @@ function setReminderTrigger(functionName) {
     triggerTime = { hour: 8, everyDays: 1 }; // 8 AM daily
   } else if (functionName === 'runStaffBasedReminderWeek') {
     triggerTime = { weekDay: ScriptApp.WeekDay.FRIDAY, hour: 16 }; // Every Friday at 4 PM
+  } else if (functionName === 'runStaffReminderDispatcher') {
+    triggerTime = { everyHours: 1 }; // Every hour, sending the reminders due by staff preferences
   } else if (functionName === 'updateCompletionStatusToSheet'){
     triggerTime = { hour: 17, everyDays: 1 }; // 5 PM daily
+  } else if (functionName === 'archiveCompletedTaskSheets'){
+    triggerTime = { weekDay: ScriptApp.WeekDay.SUNDAY, hour: 2 }; // Every Sunday at 2 AM, when nobody is editing
   }
 
   createTrigger(functionName, triggerTime);
-  successDescription = "Trigger for " + functionName + " was successfully set.";
+  successDescription = localize('setting.triggerSet', { functionName: functionName });
   selectNextAction(successDescription,"success");
 }
 
@@ -619,6 +1346,7 @@ function setReminderTrigger(functionName) {
  * Creates a time-based trigger for a given function.
  * @param {string} functionName - The name of the function to be triggered.
  * @param {Object} triggerTime - An object specifying the time settings for the trigger.
+ * @returns {GoogleAppsScript.Script.Trigger} The created trigger.
  */
 function createTrigger(functionName, triggerTime) {
   let triggerBuilder = ScriptApp.newTrigger(functionName).timeBased();
@@ -627,6 +1355,9 @@ function createTrigger(functionName, triggerTime) {
   if (triggerTime.hour !== undefined) {
     triggerBuilder = triggerBuilder.atHour(triggerTime.hour);
   }
+  if (triggerTime.everyHours !== undefined) {
+    triggerBuilder = triggerBuilder.everyHours(triggerTime.everyHours);
+  }
   if (triggerTime.everyDays !== undefined) {
     triggerBuilder = triggerBuilder.everyDays(triggerTime.everyDays);
   }
@@ -634,7 +1365,7 @@ function createTrigger(functionName, triggerTime) {
     triggerBuilder = triggerBuilder.onWeekDay(triggerTime.weekDay);
   }
 
-  triggerBuilder.inTimezone(Session.getScriptTimeZone()).create();
+  return triggerBuilder.inTimezone(Session.getScriptTimeZone()).create();
 }
 
 /**
@@ -646,12 +1377,12 @@ function deleteReminderTrigger(functionName) {
   for (let i = 0; i < triggers.length; i++) {
     if (triggers[i].getHandlerFunction() === functionName) {
       ScriptApp.deleteTrigger(triggers[i]);
-      successDescription = "Trigger for " + functionName + " was successfully deleted.";
+      successDescription = localize('setting.triggerDeleted', { functionName: functionName });
       selectNextAction(successDescription,"success");
       return;
     }
   }
-  successDescription = "No trigger for " + functionName + " was found.";
+  successDescription = localize('setting.triggerNotFound', { functionName: functionName });
   selectNextAction(successDescription,"success");
 }
 
@@ -670,6 +1401,142 @@ function isTriggerAlreadySet_(functionName) {
   return false;
 }
 
+/**
+ * Displays a modal for adding, updating and deleting custom reminder profiles.
+ */
+function showReminderProfilesModal() {
+  let scriptProperties = PropertiesService.getScriptProperties();
+
+  let htmlTemplate = HtmlService.createTemplateFromFile('show-reminder-profiles');
+  htmlTemplate.profiles = ReminderProfile.loadCustomProfiles();
+  htmlTemplate.lookAheadTypes = REMINDER_LOOK_AHEAD_TYPES;
+  htmlTemplate.existingStaff = JSON.parse(scriptProperties.getProperty(SCRIPT_PROPERTY_KEY_STAFF) || '[]');
+  htmlTemplate.weekDays = Object.keys(ScriptApp.WeekDay);
+
+  let html = htmlTemplate
+      .evaluate()
+      .setWidth(700)  // Adjusted width
+      .setHeight(700); // Adjusted height
+  SpreadsheetApp.getUi().showModalDialog(html, localize('dialog.reminderProfiles'));
+}
+
+/**
+ * Adds a custom reminder profile, or updates the one with the same name, and sets its trigger.
+ * @param {Object} profileData - { name, lookAhead: { type, days }, docUrl, recipients, schedule: { hour, weekDay } }.
+ */
+function saveReminderProfile(profileData) {
+  try {
+    let profile = {
+      name: String(profileData.name || '').trim(),
+      lookAhead: {
+        type: profileData.lookAhead.type,
+        days: parseInt(profileData.lookAhead.days) || 0
+      },
+      docUrl: String(profileData.docUrl || '').trim(),
+      recipients: profileData.recipients || [],
+      schedule: {
+        hour: parseInt(profileData.schedule.hour),
+        weekDay: profileData.schedule.weekDay || null
+      }
+    };
+
+    let invalidDescription = ReminderProfile.validate(profile);
+    if (!invalidDescription && profile.docUrl) {
+      let fileId = extractDocIdFromUrl_(profile.docUrl);
+      if (!fileId || checkIfGoogleDocExists_(fileId) !== "Google Doc") {
+        invalidDescription = localize('setting.profileDocUrlInvalid', { name: profile.name });
+      }
+    }
+    if (invalidDescription) {
+      selectNextAction(invalidDescription,"failure");
+      return;
+    }
+
+    // Replace the profile with the same name (case-insensitive), since names are part of script property keys
+    let scriptProperties = PropertiesService.getScriptProperties();
+    let storedProfiles = JSON.parse(scriptProperties.getProperty(SCRIPT_PROPERTY_KEY_REMINDER_PROFILES) || '[]')
+      .filter(stored => stored.name.toLowerCase() !== profile.name.toLowerCase());
+    deleteReminderProfileTriggers_(profile.name);
+    storedProfiles.push(profile);
+    scriptProperties.setProperty(SCRIPT_PROPERTY_KEY_REMINDER_PROFILES, JSON.stringify(storedProfiles));
+
+    setReminderProfileTrigger_(profile);
+    let successDescription = localize('setting.reminderProfileSet', { name: profile.name });
+    selectNextAction(successDescription,"success");
+
+  } catch (error) {
+    Logger.log("Error setting reminder profile: " + error.message);
+    Logger.log("Stack Trace: " + error.stack);
+    let failureDescription = localize('setting.reminderProfileFailed');
+    selectNextAction(failureDescription,"failure");
+  }
+}
+
+/**
+ * Deletes a custom reminder profile and its trigger.
+ * @param {string} profileName - Name of the profile to delete.
+ */
+function deleteReminderProfile(profileName) {
+  let scriptProperties = PropertiesService.getScriptProperties();
+  let storedProfiles = JSON.parse(scriptProperties.getProperty(SCRIPT_PROPERTY_KEY_REMINDER_PROFILES) || '[]');
+  let remainingProfiles = storedProfiles.filter(stored => stored.name !== profileName);
+
+  deleteReminderProfileTriggers_(profileName);
+  scriptProperties.setProperty(SCRIPT_PROPERTY_KEY_REMINDER_PROFILES, JSON.stringify(remainingProfiles));
+
+  let successDescription = remainingProfiles.length < storedProfiles.length ?
+    localize('setting.reminderProfileDeleted', { name: profileName }) :
+    localize('setting.reminderProfileNotSet', { name: profileName });
+  selectNextAction(successDescription,"success");
+}
+
+/**
+ * Deletes all custom reminder profiles and their triggers.
+ */
+function resetReminderProfiles() {
+  ReminderProfile.loadCustomProfiles().forEach(profile => deleteReminderProfileTriggers_(profile.name));
+  PropertiesService.getScriptProperties().deleteProperty(SCRIPT_PROPERTY_KEY_REMINDER_PROFILES);
+  selectNextAction(localize('setting.reminderProfilesReset'),"success");
+}
+
+/**
+ * Creates the schedule trigger of a custom reminder profile.
+ * The trigger runs runReminderProfile, which finds the profile from the trigger information stored under the trigger's unique ID.
+ * @param {Object} profile - The profile data.
+ */
+function setReminderProfileTrigger_(profile) {
+  let triggerTime = profile.schedule.weekDay ?
+    { weekDay: ScriptApp.WeekDay[profile.schedule.weekDay], hour: profile.schedule.hour } :
+    { hour: profile.schedule.hour, everyDays: 1 };
+  let trigger = createTrigger('runReminderProfile', triggerTime);
+
+  let triggerInfo = {
+    id: trigger.getUniqueId(),
+    target: 'general',
+    period: profile.name,
+    type: 'schedule'
+  };
+  PropertiesService.getScriptProperties().setProperty(trigger.getUniqueId(), JSON.stringify(triggerInfo));
+}
+
+/**
+ * Deletes the schedule and continuation triggers of a custom reminder profile, along with their trigger information.
+ * @param {string} profileName - Name of the profile.
+ */
+function deleteReminderProfileTriggers_(profileName) {
+  let scriptProperties = PropertiesService.getScriptProperties();
+  ScriptApp.getProjectTriggers().forEach(trigger => {
+    if (trigger.getHandlerFunction() !== 'runReminderProfile') {
+      return;
+    }
+    let triggerInfo = JSON.parse(scriptProperties.getProperty(trigger.getUniqueId()) || 'null');
+    if (triggerInfo && triggerInfo.period.toLowerCase() === profileName.toLowerCase()) {
+      ScriptApp.deleteTrigger(trigger);
+      scriptProperties.deleteProperty(trigger.getUniqueId());
+    }
+  });
+}
+
 /**
  * Deletes a designated script property based on its type.
  * @param {string} settingType - Type of setting associated with the script property.
@@ -681,9 +1548,9 @@ function deleteDesignatedScriptProperty(settingType,scriptyPropertyKey) {
     let scriptProperties = PropertiesService.getScriptProperties();
     if(scriptProperties.getProperty(scriptyPropertyKey) !== null){
       scriptProperties.deleteProperty(scriptyPropertyKey);
-      successDescription = `${settingType} was reset.`;
+      successDescription = localize('setting.propertyReset', { settingType: settingType });
     } else {
-      successDescription = `${settingType} has not been set.`;
+      successDescription = localize('setting.propertyNotSet', { settingType: settingType });
     }
     selectNextAction(successDescription,"success");
 }
@@ -692,9 +1559,9 @@ function deleteDesignatedScriptProperty(settingType,scriptyPropertyKey) {
  * Resets all script properties and deletes all triggers associated with the script.
  */
 function resetScriptPropertiesAndTriggers() {
-  let finalConfirmation = Browser.msgBox("Are you SURE to reset ALL Pre-Defined Information and Triggers?",Browser.Buttons.YES_NO);
+  let finalConfirmation = Browser.msgBox(localize('message.confirmResetAll'),Browser.Buttons.YES_NO);
   if(finalConfirmation !== 'yes'){
-    Browser.msgBox("Reset was cancelled.");
+    Browser.msgBox(localize('message.resetCancelled'));
     return;
   }
   // Delete all script properties
@@ -709,5 +1576,5 @@ function resetScriptPropertiesAndTriggers() {
   }
 
   // Show confirmation message
-  Browser.msgBox("All of the pre-defined information and triggers have been reset.");
+  Browser.msgBox(localize('message.resetAllDone'));
 }
@@ -0,0 +1,125 @@
+/**
+ * Represents when and how a designated staff member receives staff-based reminders, as chosen in the Staff-Based Reminder setting.
+ * Staff with preferences receive their reminders from runStaffReminderDispatcher, which runs every hour and sends each of them
+ * only the reminders due at that hour. Staff without preferences receive theirs from the Today's and Next Week's
+ * Staff-Based Reminder triggers.
+ */
+class StaffReminderPreferences {
+    /**
+     * @param {Object} data - The preferences, as stored with the staff-based reminder data of the staff member.
+     * @param {number} data.hour - The hour of the day (0-23) the reminders are sent at.
+     * @param {Array<number>} data.weekdays - The weekdays the reminders are sent on, in the numbering of Date.getDay() (0 = Sunday).
+     * @param {string} data.frequency - A key of STAFF_REMINDER_FREQUENCIES: 'daily', 'weekly' or 'both'.
+     * @param {string} data.channel - A key of STAFF_REMINDER_CHANNELS: 'doc', 'inline' or 'chat'.
+     * @param {string} [data.webhookUrl=''] - The incoming webhook URL of the chat space, for the 'chat' channel.
+     */
+    constructor(data) {
+        this.hour = data.hour;
+        this.weekdays = data.weekdays || [];
+        this.frequency = data.frequency;
+        this.channel = data.channel;
+        this.webhookUrl = data.webhookUrl || '';
+    }
+
+    /**
+     * Checks the preferences entered in the setting.
+     *
+     * @param {Object} data - The preferences, in the shape accepted by the constructor.
+     * @returns {string|null} A description of the first problem found, or null if the preferences are valid.
+     */
+    static validate(data) {
+        if (!(Number.isInteger(data.hour) && data.hour >= 0 && data.hour <= 23)) {
+            return localize('setting.preferenceHourInvalid');
+        }
+        if (!Array.isArray(data.weekdays) || data.weekdays.length === 0 ||
+            !data.weekdays.every(weekday => Number.isInteger(weekday) && weekday >= 0 && weekday <= 6)) {
+            return localize('setting.preferenceWeekdaysMissing');
+        }
+        if (!Object.keys(STAFF_REMINDER_FREQUENCIES).includes(data.frequency)) {
+            return localize('setting.preferenceFrequencyMissing');
+        }
+        if (!Object.keys(STAFF_REMINDER_CHANNELS).includes(data.channel)) {
+            return localize('setting.preferenceChannelMissing');
+        }
+        if (data.channel === 'chat' && !ReminderNotifier.isValidWebhookUrl(data.webhookUrl)) {
+            return localize('setting.preferenceWebhookUrlInvalid');
+        }
+        return null;
+    }
+
+    /**
+     * Returns the weekday the weekly reminder is sent on: the last of the selected weekdays, counting the week from Monday.
+     *
+     * @returns {number} The weekday in the numbering of Date.getDay().
+     */
+    getWeeklyWeekday() {
+        // Sunday is counted as the last day of the week, as the weekly reminder covers the coming week
+        return this.weekdays.slice().sort((a, b) => (a + 6) % 7 - (b + 6) % 7).pop();
+    }
+
+    /**
+     * Returns the reminders due at the hour of a given time: 'today' for the daily reminder and 'week' for the weekly one.
+     *
+     * @param {Date} now - The time the dispatcher runs at.
+     * @returns {Array<string>} The names of the built-in reminder profiles that are due.
+     */
+    getDuePeriods(now) {
+        if (now.getHours() !== this.hour || !this.weekdays.includes(now.getDay())) {
+            return [];
+        }
+        let periods = [];
+        if (this.frequency === 'daily' || this.frequency === 'both') {
+            periods.push('today');
+        }
+        if ((this.frequency === 'weekly' || this.frequency === 'both') && now.getDay() === this.getWeeklyWeekday()) {
+            periods.push('week');
+        }
+        return periods;
+    }
+
+    /**
+     * Lists the staff whose reminder of a period is due at the hour of a given time.
+     *
+     * @param {Array<Object>} staffBasedReminderData - The staff-based reminder data stored in script properties.
+     * @param {string} period - 'today' or 'week'.
+     * @param {Date} now - The time the dispatcher runs at.
+     * @returns {Array<string>} The names of the staff.
+     */
+    static listDueStaff(staffBasedReminderData, period, now) {
+        return staffBasedReminderData
+            .filter(staffObject => {
+                let staffInfo = Object.values(staffObject)[0];
+                return staffInfo.preferences && new StaffReminderPreferences(staffInfo.preferences).getDuePeriods(now).includes(period);
+            })
+            .map(staffObject => Object.keys(staffObject)[0]);
+    }
+}
+
+/**
+ * Sends the staff-based reminders due at the current hour according to the preferences of each staff member.
+ * It is run every hour by its trigger. When it is run by the trigger that continues a paused reminder,
+ * the reminder is continued for the staff it was started for.
+ *
+ * @param {GoogleAppsScript.Events.TimeDriven} [e] - The time-driven trigger event.
+ */
+function runStaffReminderDispatcher(e) {
+    let scriptProperties = PropertiesService.getScriptProperties();
+    let triggerInfo = e && e.triggerUid ? JSON.parse(scriptProperties.getProperty(e.triggerUid) || 'null') : null;
+    if (triggerInfo && triggerInfo.type === 'continuation') {
+        let continuedReminder = new ReminderManager(triggerInfo.target, triggerInfo.period, false, []);
+        continuedReminder.shareRemindersByDoc();
+        return;
+    }
+
+    let staffBasedReminderData = JSON.parse(scriptProperties.getProperty(SCRIPT_PROPERTY_KEY_STAFFBASED_REM_DATA) || '[]');
+    let now = new Date();
+    ['today', 'week'].forEach(period => {
+        let staffNames = StaffReminderPreferences.listDueStaff(staffBasedReminderData, period, now);
+        if (staffNames.length === 0) {
+            return;
+        }
+        console.log(`The ${period} reminder is due for ${staffNames.join(', ')}.`);
+        let staffReminder = new ReminderManager('staffBased', period, false, staffNames);
+        staffReminder.shareRemindersByDoc();
+    });
+}
@@ -0,0 +1,216 @@
+/**
+ * Lists the changes in reminder Docs that conflicted with the task sheets in the "Sync Conflicts" sheet, so that they can be
+ * resolved one by one instead of being overwritten by updateCompletionStatusToSheet.
+ * Each row holds a conflict and its status, which is "Open" until the Doc value is applied or the sheet value is kept.
+ */
+class SyncConflictSheet {
+    /**
+     * Returns the sync conflict sheet.
+     *
+     * @param {boolean} [create=false] - Whether to create the sheet at the end of the spreadsheet if it does not exist.
+     * @returns {GoogleAppsScript.Spreadsheet.Sheet|null} The sheet, or null if it does not exist and is not created.
+     */
+    static getSheet(create = false) {
+        let ss = SpreadsheetApp.getActiveSpreadsheet();
+        let sheet = ss.getSheetByName(SYNC_CONFLICT_SHEET_NAME);
+        if (!sheet && create) {
+            sheet = ss.insertSheet(SYNC_CONFLICT_SHEET_NAME, ss.getNumSheets());
+            sheet.getRange(1, 1, 1, SYNC_CONFLICT_HEADERS.length).setValues([SYNC_CONFLICT_HEADERS])
+                                                                .setBackground("#D3D3D3")
+                                                                .setFontWeight("bold")
+                                                                .setHorizontalAlignment("center");
+            // Keep values such as dates as they were written in the Doc and the sheet
+            sheet.getRange('F2:G').setNumberFormat('@');
+            sheet.setFrozenRows(1);
+        }
+        return sheet;
+    }
+
+    /**
+     * Adds conflicts to the sync conflict sheet. A conflict already listed for the same Doc, task, field and Doc value,
+     * whether open or resolved, is not added again, since the Doc is synced every day until it is created again.
+     *
+     * @param {Array<Object>} conflicts - The conflicts as { sheetName, taskId, item, field, docValue, sheetValue, docUrl }.
+     * @returns {number} The number of conflicts added.
+     */
+    static record(conflicts) {
+        if (conflicts.length === 0) {
+            return 0;
+        }
+        let sheet = SyncConflictSheet.getSheet(true);
+        let conflictKey = (docUrl, taskId, item, field, docValue) => [docUrl, taskId || item, field, docValue].join('\n');
+        let listedKeys = new Set(SyncConflictSheet.readConflicts(sheet).map(conflict =>
+            conflictKey(conflict.docUrl, conflict.taskId, conflict.item, conflict.field, conflict.docValue)));
+
+        let now = new Date();
+        let newRows = [];
+        conflicts.forEach(conflict => {
+            let key = conflictKey(conflict.docUrl, conflict.taskId, conflict.item, conflict.field, conflict.docValue);
+            if (!listedKeys.has(key)) {
+                listedKeys.add(key);
+                newRows.push([now, conflict.sheetName, conflict.taskId, conflict.item, conflict.field, conflict.docValue,
+                    conflict.sheetValue, conflict.docUrl, SYNC_CONFLICT_STATUSES.open]);
+            }
+        });
+
+        if (newRows.length > 0) {
+            sheet.getRange(sheet.getLastRow() + 1, 1, newRows.length, SYNC_CONFLICT_HEADERS.length).setValues(newRows);
+            console.log(`${newRows.length} sync conflict(s) were added to ${SYNC_CONFLICT_SHEET_NAME}.`);
+        }
+        return newRows.length;
+    }
+
+    /**
+     * Reads the conflicts listed in the sync conflict sheet.
+     *
+     * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The sync conflict sheet.
+     * @returns {Array<Object>} The conflicts as { row, detected, sheetName, taskId, item, field, docValue, sheetValue, docUrl, status }.
+     */
+    static readConflicts(sheet) {
+        let lastRow = sheet.getLastRow();
+        if (lastRow < 2) {
+            return [];
+        }
+        return sheet.getRange(2, 1, lastRow - 1, SYNC_CONFLICT_HEADERS.length).getValues().map((values, i) => ({
+            row: i + 2,
+            detected: values[0],
+            sheetName: String(values[1]),
+            taskId: String(values[2]),
+            item: String(values[3]),
+            field: String(values[4]),
+            docValue: String(values[5]),
+            sheetValue: String(values[6]),
+            docUrl: String(values[7]),
+            status: String(values[8])
+        }));
+    }
+
+    /**
+     * Returns the open conflicts, oldest first.
+     *
+     * @returns {Array<Object>} The open conflicts, as returned by readConflicts.
+     */
+    static getOpenConflicts() {
+        let sheet = SyncConflictSheet.getSheet();
+        if (!sheet) {
+            return [];
+        }
+        return SyncConflictSheet.readConflicts(sheet).filter(conflict => conflict.status === SYNC_CONFLICT_STATUSES.open);
+    }
+
+    /**
+     * Resolves an open conflict by writing the Doc value to the task row, or by keeping the value in the sheet.
+     * The Doc value is written as updateCompletionStatusToSheet would: dates must be real dates and values must be allowed
+     * by the data validation rule of the cell. Completing a recurring task appends its next occurrence.
+     *
+     * @param {number} row - The row of the conflict in the sync conflict sheet.
+     * @param {string} choice - 'doc' to apply the Doc value or 'sheet' to keep the sheet value.
+     * @returns {Object} { resolved: boolean, message: string }.
+     */
+    static resolve(row, choice) {
+        let conflictSheet = SyncConflictSheet.getSheet();
+        let conflict = conflictSheet ? SyncConflictSheet.readConflicts(conflictSheet).find(candidate => candidate.row === row) : null;
+        if (!conflict || conflict.status !== SYNC_CONFLICT_STATUSES.open) {
+            return { resolved: false, message: localize('syncConflict.notFound') };
+        }
+
+        if (choice === 'doc') {
+            let error = SyncConflictSheet.applyDocValue(conflict);
+            if (error) {
+                return { resolved: false, message: error };
+            }
+        }
+
+        let status = choice === 'doc' ? SYNC_CONFLICT_STATUSES.docApplied : SYNC_CONFLICT_STATUSES.sheetKept;
+        conflictSheet.getRange(row, SYNC_CONFLICT_HEADERS.indexOf('Status') + 1).setValue(status);
+        console.log(`The sync conflict of ${conflict.item} in ${conflict.sheetName} was resolved: ${status}.`);
+        ActivityLog.record({
+            action: `Resolve sync conflict of ${conflict.field}`,
+            sheetName: conflict.sheetName,
+            before: conflict.sheetValue,
+            after: choice === 'doc' ? conflict.docValue : conflict.sheetValue
+        });
+        return { resolved: true, message: localize('syncConflict.resolved', { field: conflict.field, item: conflict.item, status: status }) };
+    }
+
+    /**
+     * Writes the Doc value of a conflict to its task row.
+     *
+     * @param {Object} conflict - The conflict, as returned by readConflicts.
+     * @returns {string|null} The reason the value could not be written, or null if it was written.
+     */
+    static applyDocValue(conflict) {
+        let sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(conflict.sheetName);
+        let schema = TaskSheetSchema.load();
+        let columns = sheet ? schema.resolveColumns(sheet) : null;
+        let row = columns ? findRowByTaskId_(sheet, columns, conflict.taskId) : null;
+        if (!row) {
+            return localize('syncConflict.rowNotFound', { item: conflict.item, sheetName: conflict.sheetName });
+        }
+
+        let field = Object.keys(schema.headers).find(key => schema.headers[key] === conflict.field);
+        if (field === 'complete') {
+            let completeRange = sheet.getRange(row, columns.complete);
+            if (completeRange.getValue() !== true) {
+                completeRange.setValue(true);
+                appendNextOccurrence_(sheet, row, columns);
+            }
+            return null;
+        }
+        if (!['date', 'staff', 'comment'].includes(field)) {
+            return localize('syncConflict.cannotApply', { field: conflict.field });
+        }
+
+        let value = field === 'date' ? parseDocDate_(conflict.docValue) : conflict.docValue;
+        if (field === 'date' && !value) {
+            return localize('syncConflict.invalidDate', { value: conflict.docValue });
+        }
+        if (!columns[field]) {
+            columns = schema.appendColumn(sheet, columns, field);
+        }
+        let range = sheet.getRange(row, columns[field]);
+        if (!isAllowedByValidation_(range, value)) {
+            return localize('syncConflict.notAllowed', { value: conflict.docValue, field: conflict.field });
+        }
+        range.setValue(value);
+        return null;
+    }
+}
+
+/**
+ * Opens a modal dialog showing the oldest open sync conflict, where it can be resolved.
+ * A message is shown instead if there is no open conflict.
+ *
+ * @param {string} [resultMessage=''] - The result of the previous resolution, shown above the conflict.
+ */
+function showSyncConflictModal(resultMessage = '') {
+    let openConflicts = SyncConflictSheet.getOpenConflicts();
+    if (openConflicts.length === 0) {
+        Browser.msgBox(`${resultMessage ? resultMessage + ' ' : ''}${localize('message.noOpenSyncConflicts')}`);
+        return;
+    }
+
+    let htmlTemplate = HtmlService.createTemplateFromFile('show-sync-conflict');
+    htmlTemplate.conflict = openConflicts[0];
+    htmlTemplate.openCount = openConflicts.length;
+    htmlTemplate.resultMessage = resultMessage;
+    let localizer = Localizer.load();
+    htmlTemplate.t = (key, params) => localizer.t(key, params);
+
+    let html = htmlTemplate
+        .evaluate()
+        .setWidth(600)
+        .setHeight(500);
+    SpreadsheetApp.getUi().showModalDialog(html, localize('dialog.syncConflicts'));
+}
+
+/**
+ * Resolves a sync conflict with the choice made in the dialog and shows the next open conflict.
+ *
+ * @param {number} row - The row of the conflict in the sync conflict sheet.
+ * @param {string} choice - 'doc' to apply the Doc value or 'sheet' to keep the sheet value.
+ */
+function resolveSyncConflict(row, choice) {
+    let result = SyncConflictSheet.resolve(row, choice);
+    showSyncConflictModal(result.message);
+}
@@ -0,0 +1,78 @@
+/**
+ * Creates a new task ID.
+ * IDs are short random strings that are kept in the hidden "Task ID" column of task sheets
+ * and identify a task row regardless of its item, summary or position in the sheet.
+ *
+ * @returns {string} The new ID, e.g. "T3F9A1C2B7E".
+ */
+function createTaskId_() {
+    return 'T' + Utilities.getUuid().replace(/-/g, '').slice(0, 10).toUpperCase();
+}
+
+/**
+ * Makes sure that every task row of a task sheet has a unique ID.
+ * The hidden "Task ID" column is added after the last column if the sheet does not have it yet, e.g. for sheets
+ * created before task IDs existed. Rows without an ID, and rows whose ID duplicates an earlier row (e.g. a copied row),
+ * get a new ID.
+ *
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The task sheet.
+ * @param {Object} columns - Column number for each field, as resolved by TaskSheetSchema.
+ * @returns {Object} The columns, including the column of the task ID.
+ */
+function ensureTaskIds_(sheet, columns) {
+    if (!columns.id) {
+        columns = TaskSheetSchema.load().appendColumn(sheet, columns, 'id');
+        sheet.hideColumns(columns.id);
+    }
+
+    let lastRow = sheet.getRange(sheet.getMaxRows(), columns.item).getNextDataCell(SpreadsheetApp.Direction.UP).getRow();
+    if (lastRow < 2) {
+        return columns;
+    }
+
+    let items = sheet.getRange(2, columns.item, lastRow - 1, 1).getValues();
+    let idRange = sheet.getRange(2, columns.id, lastRow - 1, 1);
+    let ids = idRange.getValues();
+    let seenIds = new Set();
+    let changed = false;
+
+    ids.forEach((row, i) => {
+        let id = String(row[0]).trim();
+        if (!items[i][0]) {
+            return;
+        }
+        if (!id || seenIds.has(id)) {
+            id = createTaskId_();
+            row[0] = id;
+            changed = true;
+        }
+        seenIds.add(id);
+    });
+
+    if (changed) {
+        idRange.setValues(ids);
+    }
+    return columns;
+}
+
+/**
+ * Finds the row of a task by its ID.
+ *
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The task sheet.
+ * @param {Object} columns - Column number for each field, as resolved by TaskSheetSchema.
+ * @param {string} taskId - The ID of the task.
+ * @returns {number|null} The 1-based row number, or null if no row has the ID.
+ */
+function findRowByTaskId_(sheet, columns, taskId) {
+    let lastRow = sheet.getLastRow();
+    if (!columns.id || !taskId || lastRow < 2) {
+        return null;
+    }
+    let ids = sheet.getRange(2, columns.id, lastRow - 1, 1).getValues();
+    for (let i = 0; i < ids.length; i++) {
+        if (String(ids[i][0]).trim() === taskId) {
+            return i + 2;
+        }
+    }
+    return null;
+}
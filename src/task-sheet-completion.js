@@ -0,0 +1,214 @@
+/**
+ * Completes task sheets whose tasks are all checked, as set in the Automatic Completion setting, and reopens completed task sheets.
+ * A completed sheet has the completion flag of the index sheet settings before its name, is moved to the end of the spreadsheet,
+ * is only editable by the owner and, if an archive spreadsheet is set, is copied to it.
+ * What is changed is kept in the developer metadata of the sheet, so that reopening it restores the sheet as it was.
+ */
+class TaskSheetCompletion {
+    /**
+     * Reads the Automatic Completion setting.
+     *
+     * @returns {Object} { enabled: boolean, archiveSpreadsheetUrl: string }. Automatic completion is off if nothing is stored.
+     */
+    static loadSettings() {
+        let settings = JSON.parse(PropertiesService.getScriptProperties().getProperty(SCRIPT_PROPERTY_KEY_AUTO_COMPLETION) || '{}');
+        return {
+            enabled: settings.enabled === true,
+            archiveSpreadsheetUrl: settings.archiveSpreadsheetUrl || ''
+        };
+    }
+
+    /**
+     * Completes an ongoing task sheet if all of its tasks are checked, unless it was reopened and none of its tasks has been opened since.
+     * Called by updateAllTaskIndexSheets for each task sheet before it is listed in an index sheet.
+     *
+     * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - An ongoing task sheet.
+     * @param {Object} metrics - The metrics of the sheet, as returned by ProjectDashboard.measureSheet.
+     * @param {string} completionFlag - The completion flag of the index sheet settings.
+     * @param {Object} settings - The Automatic Completion setting, as returned by loadSettings.
+     * @returns {string} The name of the sheet, with the completion flag if it was completed.
+     */
+    static completeIfDone(sheet, metrics, completionFlag, settings) {
+        if (metrics.open > 0) {
+            TaskSheetCompletion.findMetadata(sheet, TASK_SHEET_REOPENED_METADATA_KEY).forEach(metadata => metadata.remove());
+            return sheet.getName();
+        }
+        if (metrics.total === 0 || TaskSheetCompletion.findMetadata(sheet, TASK_SHEET_REOPENED_METADATA_KEY).length > 0) {
+            return sheet.getName();
+        }
+        return TaskSheetCompletion.complete(sheet, completionFlag, settings.archiveSpreadsheetUrl);
+    }
+
+    /**
+     * Completes a task sheet: copies it to the archive spreadsheet if one is set, adds the completion flag to its name,
+     * moves it to the end of the spreadsheet and removes the editors of its protection.
+     *
+     * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The task sheet.
+     * @param {string} completionFlag - The completion flag of the index sheet settings.
+     * @param {string} [archiveSpreadsheetUrl=''] - The URL of the spreadsheet the sheet is copied to, or '' not to archive it.
+     * @returns {string} The new name of the sheet.
+     */
+    static complete(sheet, completionFlag, archiveSpreadsheetUrl = '') {
+        let ss = sheet.getParent();
+        let sheetName = sheet.getName();
+        let completedName = completionFlag + sheetName;
+        let protection = sheet.getProtections(SpreadsheetApp.ProtectionType.SHEET)[0];
+        let record = {
+            sheetName: sheetName,
+            position: sheet.getIndex(),
+            editors: protection ? protection.getEditors().map(editor => editor.getEmail()) : [],
+            archive: null
+        };
+
+        if (archiveSpreadsheetUrl) {
+            let archiveSpreadsheet = SpreadsheetApp.openByUrl(archiveSpreadsheetUrl);
+            let copy = sheet.copyTo(archiveSpreadsheet);
+            copy.setName(TaskSheetCompletion.getUniqueSheetName(archiveSpreadsheet, completedName));
+            record.archive = { url: archiveSpreadsheetUrl, sheetId: copy.getSheetId() };
+        }
+
+        sheet.setName(completedName);
+        ss.setActiveSheet(sheet);
+        ss.moveActiveSheet(ss.getNumSheets());
+
+        // Only the owner and the script can edit a completed sheet
+        if (protection) {
+            protection.removeEditors(protection.getEditors());
+            protection.addEditor(Session.getEffectiveUser());
+        }
+        sheet.addDeveloperMetadata(TASK_SHEET_COMPLETION_METADATA_KEY, JSON.stringify(record));
+        sheet.addDeveloperMetadata(TASK_SHEET_COMPLETED_TIME_METADATA_KEY, String(new Date().getTime()));
+
+        ActivityLog.record({
+            action: 'Complete task sheet',
+            sheetName: completedName,
+            before: record.editors,
+            after: record.archive ? `Archived to ${archiveSpreadsheetUrl}` : ''
+        });
+        return completedName;
+    }
+
+    /**
+     * Reopens a completed task sheet. A sheet completed automatically gets back its name, position and editors,
+     * and its copy in the archive spreadsheet is deleted. A sheet completed by renaming it only loses the completion flag.
+     * The sheet is marked as reopened so that it is not completed again before one of its tasks is open.
+     *
+     * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The completed task sheet.
+     * @param {string} completionFlag - The completion flag of the index sheet settings.
+     * @returns {string} The new name of the sheet.
+     */
+    static reopen(sheet, completionFlag) {
+        let ss = sheet.getParent();
+        let completedName = sheet.getName();
+        let metadata = TaskSheetCompletion.findMetadata(sheet, TASK_SHEET_COMPLETION_METADATA_KEY)[0];
+        let record = metadata ? JSON.parse(metadata.getValue()) : null;
+        let sheetName = record ? record.sheetName : completedName.replace(completionFlag, '');
+
+        sheet.setName(sheetName);
+        if (record) {
+            ss.setActiveSheet(sheet);
+            ss.moveActiveSheet(Math.min(record.position, ss.getNumSheets()));
+
+            let protection = sheet.getProtections(SpreadsheetApp.ProtectionType.SHEET)[0];
+            if (protection && record.editors.length > 0) {
+                protection.removeEditors(protection.getEditors());
+                protection.addEditors(record.editors);
+            }
+            if (record.archive) {
+                TaskSheetCompletion.deleteArchiveCopy(record.archive);
+            }
+            metadata.remove();
+        }
+        TaskSheetCompletion.findMetadata(sheet, TASK_SHEET_COMPLETED_TIME_METADATA_KEY).forEach(metadata => metadata.remove());
+        sheet.addDeveloperMetadata(TASK_SHEET_REOPENED_METADATA_KEY, 'true');
+
+        ActivityLog.record({
+            action: 'Reopen task sheet',
+            sheetName: sheetName,
+            before: completedName,
+            after: sheetName
+        });
+        return sheetName;
+    }
+
+    /**
+     * Returns the time a completed task sheet was completed. A sheet completed by renaming it is given the current time
+     * the first time it is asked, so that its age is counted from when it was first found completed.
+     *
+     * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The completed task sheet.
+     * @returns {number} The time the sheet was completed.
+     */
+    static getCompletedTime(sheet) {
+        let metadata = TaskSheetCompletion.findMetadata(sheet, TASK_SHEET_COMPLETED_TIME_METADATA_KEY)[0];
+        if (metadata) {
+            return Number(metadata.getValue());
+        }
+        let completedTime = new Date().getTime();
+        sheet.addDeveloperMetadata(TASK_SHEET_COMPLETED_TIME_METADATA_KEY, String(completedTime));
+        return completedTime;
+    }
+
+    /**
+     * Deletes the copy of a task sheet in the archive spreadsheet. A copy that was already deleted or moved is left as it is.
+     *
+     * @param {Object} archive - { url, sheetId } of the copy.
+     */
+    static deleteArchiveCopy(archive) {
+        try {
+            let archiveSpreadsheet = SpreadsheetApp.openByUrl(archive.url);
+            let copy = archiveSpreadsheet.getSheetById(archive.sheetId);
+            if (copy) {
+                archiveSpreadsheet.deleteSheet(copy);
+            }
+        } catch (e) {
+            console.error(`Failed to delete the archived copy of the sheet: ${e.toString()}`);
+        }
+    }
+
+    /**
+     * Lists the developer metadata of a sheet with a key.
+     *
+     * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The sheet.
+     * @param {string} key - The key of the metadata.
+     * @returns {Array<GoogleAppsScript.Spreadsheet.DeveloperMetadata>} The metadata.
+     */
+    static findMetadata(sheet, key) {
+        return sheet.getDeveloperMetadata().filter(metadata => metadata.getKey() === key);
+    }
+
+    /**
+     * Returns a sheet name that is not used in a spreadsheet, adding " (2)", " (3)"... to the name if it is.
+     *
+     * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet - The spreadsheet.
+     * @param {string} name - The name wanted.
+     * @returns {string} The name, or the first numbered name that is free.
+     */
+    static getUniqueSheetName(spreadsheet, name) {
+        let uniqueName = name;
+        for (let i = 2; spreadsheet.getSheetByName(uniqueName); i++) {
+            uniqueName = `${name} (${i})`;
+        }
+        return uniqueName;
+    }
+}
+
+/**
+ * Reopens the active sheet if it is a completed task sheet and updates the index sheets,
+ * so that the sheet is listed in the ongoing task index again.
+ */
+function reopenTaskSheet() {
+    try {
+        let sheet = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet();
+        let indexSheetInfo = JSON.parse(PropertiesService.getScriptProperties().getProperty(SCRIPT_PROPERTY_INDEX_SHEET));
+        let completionFlag = indexSheetInfo.completionFlag;
+        if (!completionFlag || !sheet.getName().includes(completionFlag)) {
+            Browser.msgBox(localize('message.sheetNotCompleted', { sheetName: sheet.getName() }));
+            return;
+        }
+        let sheetName = TaskSheetCompletion.reopen(sheet, completionFlag);
+        updateAllTaskIndexSheets();
+        Browser.msgBox(localize('message.sheetReopened', { sheetName: sheetName }));
+    } catch (e) {
+        TaskSheetManager.displayError(e);
+    }
+}
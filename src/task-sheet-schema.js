@@ -0,0 +1,124 @@
+/**
+ * Maps the logical fields of a task (item, summary, date, staff, priority, recurrence, complete, comment, id) to the header names used in task sheets.
+ * Columns are found by their header text in the first row, so columns can be inserted or moved
+ * and extra user columns are simply ignored.
+ */
+class TaskSheetSchema {
+    /**
+     * @param {Object} [headers={}] - Header name for each logical field. Missing fields fall back to DEFAULT_TASK_SHEET_HEADERS.
+     */
+    constructor(headers = {}) {
+        this.headers = Object.assign({}, DEFAULT_TASK_SHEET_HEADERS, headers);
+    }
+
+    /**
+     * Creates a schema from the header names stored in script properties.
+     *
+     * @returns {TaskSheetSchema} The stored schema, or the default one if none is stored.
+     */
+    static load() {
+        let storedHeaders = PropertiesService.getScriptProperties().getProperty(SCRIPT_PROPERTY_KEY_TASK_SHEET_SCHEMA);
+        return new TaskSheetSchema(JSON.parse(storedHeaders || '{}'));
+    }
+
+    /**
+     * Converts a 1-based column number into its A1 column letter.
+     *
+     * @param {number} column - The 1-based column number.
+     * @returns {string} The column letter.
+     *
+     * @example
+     * TaskSheetSchema.columnToLetter(28); // "AB"
+     */
+    static columnToLetter(column) {
+        let letter = '';
+        while (column > 0) {
+            let remainder = (column - 1) % 26;
+            letter = String.fromCharCode(65 + remainder) + letter;
+            column = Math.floor((column - 1) / 26);
+        }
+        return letter;
+    }
+
+    /**
+     * Returns the header names in the order the columns are created in a new task sheet.
+     *
+     * @returns {Array<string>} The header names.
+     */
+    getHeaderRow() {
+        return TASK_SHEET_FIELDS.map(field => this.headers[field]);
+    }
+
+    /**
+     * Returns the column numbers of a new task sheet whose headers start at the given column.
+     *
+     * @param {number} firstColumn - The 1-based column of the first header.
+     * @returns {Object} Column number for each logical field, e.g. { item: 2, summary: 3, ... }.
+     */
+    getLayout(firstColumn) {
+        let columns = {};
+        TASK_SHEET_FIELDS.forEach((field, i) => {
+            columns[field] = firstColumn + i;
+        });
+        return columns;
+    }
+
+    /**
+     * Finds the column of each logical field in a header row.
+     * Headers are compared case-insensitively, ignoring surrounding spaces.
+     * Optional fields (TASK_SHEET_OPTIONAL_FIELDS) whose header is missing are set to null.
+     *
+     * @param {Array<*>} headerRow - The values of the header row.
+     * @returns {Object|null} Column number (1-based) for each field, or null if any required field's header is missing.
+     */
+    resolveColumnsFromHeaderRow(headerRow) {
+        let normalizedHeaders = headerRow.map(header => String(header).trim().toLowerCase());
+        let columns = {};
+
+        for (let field of TASK_SHEET_FIELDS) {
+            let index = normalizedHeaders.indexOf(String(this.headers[field]).trim().toLowerCase());
+            if (index === -1) {
+                if (TASK_SHEET_OPTIONAL_FIELDS.includes(field)) {
+                    columns[field] = null;
+                    continue;
+                }
+                return null;
+            }
+            columns[field] = index + 1;
+        }
+        return columns;
+    }
+
+    /**
+     * Finds the column of each logical field in the first row of a task sheet.
+     *
+     * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The task sheet.
+     * @returns {Object|null} Column number (1-based) for each field, or null if the sheet does not follow the schema.
+     */
+    resolveColumns(sheet) {
+        let lastCol = sheet.getLastColumn();
+        if (lastCol === 0) {
+            return null;
+        }
+        let headerRow = sheet.getRange(1, 1, 1, lastCol).getValues()[0];
+        return this.resolveColumnsFromHeaderRow(headerRow);
+    }
+
+    /**
+     * Adds the column of an optional field after the last column of a task sheet that does not have it yet.
+     *
+     * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The task sheet.
+     * @param {Object} columns - Column number for each field, as resolved by resolveColumns.
+     * @param {string} field - The optional field, e.g. 'id'.
+     * @returns {Object} The columns, including the column of the added field.
+     */
+    appendColumn(sheet, columns, field) {
+        let column = sheet.getLastColumn() + 1;
+        if (column > sheet.getMaxColumns()) {
+            sheet.insertColumnsAfter(sheet.getMaxColumns(), 1);
+        }
+        sheet.getRange(1, column).setValue(this.headers[field]);
+        console.log(`The ${this.headers[field]} column was added to ${sheet.getName()}.`);
+        return Object.assign({}, columns, { [field]: column });
+    }
+}
@@ -0,0 +1,273 @@
+/**
+ * Represents a task sheet template: a list of tasks that are repeated in many projects, such as onboarding or month-end close.
+ * Each template is kept in a hidden sheet named TASK_SHEET_TEMPLATE_PREFIX + the template name, with one task per row:
+ *  - Item and Summary, copied to the new task sheet as they are
+ *  - Due, relative to the start date chosen when the task sheet is created, e.g. "Start + 3 business days"
+ *  - Role, assigned to the default staff of the role set in the setting, or to the staff member of the same name
+ */
+class TaskSheetTemplate {
+    /**
+     * @param {string} name - The name of the template.
+     * @param {Array<Object>} tasks - The tasks as { item, summary, due, role }, in the order of the template sheet.
+     */
+    constructor(name, tasks) {
+        this.name = name;
+        this.tasks = tasks;
+    }
+
+    /**
+     * Lists the names of the templates, in the order of their sheets.
+     *
+     * @returns {Array<string>} The template names.
+     */
+    static list() {
+        return SpreadsheetApp.getActiveSpreadsheet().getSheets()
+            .map(sheet => sheet.getName())
+            .filter(sheetName => sheetName.startsWith(TASK_SHEET_TEMPLATE_PREFIX))
+            .map(sheetName => sheetName.substring(TASK_SHEET_TEMPLATE_PREFIX.length));
+    }
+
+    /**
+     * Reads a template from its sheet. Rows without an item are skipped.
+     *
+     * @param {string} name - The name of the template.
+     * @returns {TaskSheetTemplate|null} The template, or null if there is no template sheet of that name.
+     */
+    static load(name) {
+        let sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(TASK_SHEET_TEMPLATE_PREFIX + name);
+        if (!sheet) {
+            return null;
+        }
+        let lastRow = sheet.getLastRow();
+        let rows = lastRow < 2 ? [] : sheet.getRange(2, 1, lastRow - 1, TASK_SHEET_TEMPLATE_HEADERS.length).getValues();
+        let tasks = rows
+            .filter(row => String(row[0]).trim() !== '')
+            .map(row => ({ item: row[0], summary: row[1], due: String(row[2]).trim(), role: String(row[3]).trim() }));
+        return new TaskSheetTemplate(name, tasks);
+    }
+
+    /**
+     * Reads the default staff of each role stored in the setting.
+     *
+     * @returns {Object} The staff name of each role, e.g. { "HR": "Aki" }.
+     */
+    static loadRoles() {
+        return JSON.parse(PropertiesService.getScriptProperties().getProperty(SCRIPT_PROPERTY_KEY_TEMPLATE_ROLES) || '{}');
+    }
+
+    /**
+     * Reads a due date written relative to the start date (case-insensitive).
+     *
+     * @param {string} text - The value of the "Due" cell.
+     * @returns {Object|null} { amount: number, unit: 'days'|'weeks'|'businessDays' }, or null if the cell is empty or not supported.
+     *
+     * @example
+     * TaskSheetTemplate.parseDue('Start + 3 business days'); // { amount: 3, unit: 'businessDays' }
+     */
+    static parseDue(text) {
+        let due = String(text || '').trim().toLowerCase().replace(/\s+/g, ' ');
+        if (due === 'start') {
+            return { amount: 0, unit: 'days' };
+        }
+        let match = due.match(/^start ?\+ ?(\d+) ?(days?|weeks?|business days?)$/);
+        if (!match) {
+            return null;
+        }
+        let unit = match[2].startsWith('business') ? 'businessDays' : match[2].startsWith('week') ? 'weeks' : 'days';
+        return { amount: parseInt(match[1]), unit: unit };
+    }
+
+    /**
+     * Calculates a due date from the start date.
+     *
+     * @param {Date} startDate - The start date.
+     * @param {Object} due - The due date relative to the start date, as returned by parseDue.
+     * @param {WorkingCalendar} [calendar=new WorkingCalendar()] - The calendar that decides business days.
+     * @returns {Date} The due date, at midnight.
+     */
+    static getDueDate(startDate, due, calendar = new WorkingCalendar()) {
+        let dueDate = new Date(startDate.getFullYear(), startDate.getMonth(), startDate.getDate());
+        if (due.unit === 'businessDays') {
+            for (let i = 0; i < due.amount; i++) {
+                dueDate = calendar.getNextWorkingDay(dueDate);
+            }
+        } else {
+            dueDate.setDate(dueDate.getDate() + due.amount * (due.unit === 'weeks' ? 7 : 1));
+        }
+        return dueDate;
+    }
+
+    /**
+     * Writes the due date of a task relative to the start date, in business days if the task is due on a working day.
+     *
+     * @param {Date} startDate - The start date, at midnight.
+     * @param {Date} date - The due date of the task.
+     * @param {WorkingCalendar} calendar - The calendar that decides business days.
+     * @returns {string} The text of the "Due" cell, e.g. "Start + 3 business days".
+     */
+    static describeDue(startDate, date, calendar) {
+        let dueDate = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+        let businessDays = 0;
+        let workingDay = startDate;
+        while (workingDay < dueDate) {
+            workingDay = calendar.getNextWorkingDay(workingDay);
+            businessDays++;
+        }
+        if (workingDay.getTime() === dueDate.getTime()) {
+            return businessDays === 0 ? 'Start' : `Start + ${businessDays} business day${businessDays === 1 ? '' : 's'}`;
+        }
+        let days = Math.round((dueDate.getTime() - startDate.getTime()) / (24 * 60 * 60 * 1000));
+        return `Start + ${days} day${days === 1 ? '' : 's'}`;
+    }
+
+    /**
+     * Saves the tasks of a task sheet as a template, replacing the template of the same name if there is one.
+     * Due dates are counted from the earliest due date of the sheet, and the staff of each task becomes its role.
+     *
+     * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The task sheet.
+     * @param {Object} columns - Column number for each field, as resolved by TaskSheetSchema.
+     * @param {string} name - The name of the template.
+     * @returns {number} The number of tasks saved.
+     */
+    static saveFromSheet(sheet, columns, name) {
+        let ss = sheet.getParent();
+        let lastRow = sheet.getLastRow();
+        let data = lastRow < 2 ? [] : sheet.getRange(2, 1, lastRow - 1, sheet.getLastColumn()).getValues();
+        let rows = data.filter(row => String(row[columns.item - 1]).trim() !== '');
+        let dates = rows.map(row => row[columns.date - 1]).filter(date => date instanceof Date);
+        let startDate = dates.length > 0 ? WorkingCalendar.parseDate(new Date(Math.min(...dates.map(date => date.getTime())))) : null;
+        let calendar = WorkingCalendar.load();
+        let templateRows = rows.map(row => {
+            let date = row[columns.date - 1];
+            return [
+                row[columns.item - 1],
+                row[columns.summary - 1],
+                date instanceof Date ? TaskSheetTemplate.describeDue(startDate, date, calendar) : '',
+                row[columns.staff - 1]
+            ];
+        });
+
+        let templateSheet = ss.getSheetByName(TASK_SHEET_TEMPLATE_PREFIX + name);
+        if (templateSheet) {
+            templateSheet.clearContents();
+        } else {
+            templateSheet = ss.insertSheet(TASK_SHEET_TEMPLATE_PREFIX + name, ss.getNumSheets());
+            templateSheet.getRange(1, 3).setNote(TASK_SHEET_TEMPLATE_DUE_NOTE);
+            templateSheet.setFrozenRows(1);
+            templateSheet.hideSheet();
+            ss.setActiveSheet(sheet);
+        }
+        templateSheet.getRange(1, 1, 1, TASK_SHEET_TEMPLATE_HEADERS.length).setValues([TASK_SHEET_TEMPLATE_HEADERS])
+                                                                          .setBackground("#D3D3D3")
+                                                                          .setFontWeight("bold")
+                                                                          .setHorizontalAlignment("center");
+        if (templateRows.length > 0) {
+            templateSheet.getRange(2, 1, templateRows.length, TASK_SHEET_TEMPLATE_HEADERS.length).setValues(templateRows);
+        }
+        return templateRows.length;
+    }
+
+    /**
+     * Lists the roles of the template, in the order they first appear.
+     *
+     * @returns {Array<string>} The roles.
+     */
+    listRoles() {
+        return this.tasks.map(task => task.role).filter((role, i, roles) => role && roles.indexOf(role) === i);
+    }
+
+    /**
+     * Creates the tasks of a new task sheet from the template.
+     * A role is assigned to its default staff if set, or else to the staff member of the same name. Other roles are left unassigned.
+     *
+     * @param {Date} startDate - The start date the due dates are counted from.
+     * @param {WorkingCalendar} calendar - The calendar that decides business days.
+     * @param {Object} roles - The staff name of each role, as returned by loadRoles.
+     * @param {Array<string>} staffNames - The names in the staff list.
+     * @returns {Array<Object>} The tasks as { item, summary, date, staff }. Tasks without a supported due have '' as date.
+     */
+    createTasks(startDate, calendar, roles, staffNames) {
+        return this.tasks.map(task => {
+            let due = TaskSheetTemplate.parseDue(task.due);
+            let staff = roles[task.role] || task.role;
+            return {
+                item: task.item,
+                summary: task.summary,
+                date: due ? TaskSheetTemplate.getDueDate(startDate, due, calendar) : '',
+                staff: staffNames.includes(staff) ? staff : ''
+            };
+        });
+    }
+}
+
+/**
+ * Opens a modal dialog for creating a new task sheet from a template.
+ */
+function createSheetFromTemplateModal() {
+    let templateNames = TaskSheetTemplate.list();
+    if (templateNames.length === 0) {
+        Browser.msgBox(localize('message.noTemplates'));
+        return;
+    }
+    let roles = TaskSheetTemplate.loadRoles();
+    let htmlTemplate = HtmlService.createTemplateFromFile('show-template-choice');
+    htmlTemplate.existingStaffData = new TaskSheetManager().existingStaffData;
+    // The staff of the roles of each template are checked as editors when the template is chosen
+    htmlTemplate.templates = templateNames.map(name => ({
+        name: name,
+        staffNames: TaskSheetTemplate.load(name).listRoles().map(role => roles[role] || role)
+    }));
+    htmlTemplate.today = Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'yyyy-MM-dd');
+    let localizer = Localizer.load();
+    htmlTemplate.t = (key, params) => localizer.t(key, params);
+
+    let htmlOutput = htmlTemplate.evaluate().setWidth(500).setHeight(600);
+    SpreadsheetApp.getUi().showModalDialog(htmlOutput, localize('dialog.createFromTemplate'));
+}
+
+/**
+ * Wrapper function for creating a new sheet from a template, called by the template dialog.
+ * @param {string} templateName - The name of the template.
+ * @param {string} sheetName - The name of the new sheet.
+ * @param {string} startDate - The start date, e.g. "2024-01-15".
+ * @param {Array} checkedStaff - Array of selected staff members.
+ */
+function createSheetFromTemplateWrapper(templateName, sheetName, startDate, checkedStaff) {
+    let manager = new TaskSheetManager();
+    manager.createSheetFromTemplate(templateName, sheetName, startDate, checkedStaff);
+}
+
+/**
+ * Saves the tasks of the active task sheet as a template, after asking for the name of the template.
+ */
+function saveActiveSheetAsTemplate() {
+    try {
+        let sheet = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet();
+        let columns = TaskSheetSchema.load().resolveColumns(sheet);
+        if (!columns) {
+            Browser.msgBox(localize('message.notTaskSheet', { sheetName: sheet.getName() }));
+            return;
+        }
+
+        let templateName = Browser.inputBox(localize('message.inputTemplateName'));
+        if (templateName === 'cancel') {
+            return;
+        }
+        templateName = templateName.trim();
+        if (!templateName || templateName.includes(':')) {
+            Browser.msgBox(localize('message.invalidTemplateName'));
+            return;
+        }
+        if (TaskSheetTemplate.list().includes(templateName)) {
+            let confirmation = Browser.msgBox(localize('message.confirmReplaceTemplate', { templateName: templateName }), Browser.Buttons.YES_NO);
+            if (confirmation !== 'yes') {
+                return;
+            }
+        }
+
+        let count = TaskSheetTemplate.saveFromSheet(sheet, columns, templateName);
+        Browser.msgBox(localize('message.templateSaved', { templateName: templateName, count: count }));
+    } catch (e) {
+        TaskSheetManager.displayError(e);
+    }
+}
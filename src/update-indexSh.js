@@ -1,6 +1,11 @@
 /**
- * Updates index sheets for ongoing and completed tasks.
+ * Updates index sheets for ongoing and completed tasks, and the dashboard.
  * This function organizes tasks into categories and updates the corresponding index sheets.
+ * Each index entry shows the progress, next due date, staff and overdue tasks of its task sheet, coloured by its health.
+ * Categories are listed in the category order of the index sheet settings, followed by the other categories in the order they are found.
+ * If automatic completion is on, ongoing task sheets whose tasks are all checked are completed first (see TaskSheetCompletion).
+ * Task sheets moved to the archive spreadsheets are listed in the completed task index with a link to their archived copy.
+ * The task sheets are sorted, categorized and measured as a BatchJob, which continues from a trigger if it runs out of time.
  */
 function updateAllTaskIndexSheets() {
   let ss = SpreadsheetApp.getActiveSpreadsheet();
@@ -8,40 +13,82 @@ function updateAllTaskIndexSheets() {
   let ongoingTaskIndexSh = ss.getSheetByName(indexSheetInfo.ongoingTaskSheetName);
   let completedTaskIndexSh = ss.getSheetByName(indexSheetInfo.completedTaskSheetName);
   let completionFlag = indexSheetInfo.completionFlag;
+  let autoCompletion = TaskSheetCompletion.loadSettings();
+  let today = new Date();
+  today.setHours(0, 0, 0, 0);
   try {
-    let allSheets = ss.getSheets();
-    let ongoingTasks = {};
-    let completedTasks = {};
+    let sheetsById = {};
+    let job = new BatchJob('INDEX_SHEETS', 'updateAllTaskIndexSheets');
 
     // Fetching and organizing tasks
-    allSheets.forEach(sheet => {
-      let sheetName = sheet.getName();
-      sortTaskSheetByDate(sheet, sheetName);
-      if (sheetName.includes(":") && !sheet.isSheetHidden()) {
-        let category, task;
-        let sheetGID = sheet.getSheetId();
-        let sheetURL = `${ss.getUrl()}#gid=${sheetGID}`;
-        let taskInfo = { url: sheetURL };
-
-        if (sheetName.includes(completionFlag)) {
-          [category, task] = sheetName.replace(completionFlag,"").split(":").map(part => part.trim());
-          completedTasks[category] = completedTasks[category] || [];
-          taskInfo.task = task;
-          completedTasks[category].push(taskInfo);
-        } else {
-          [category, task] = sheetName.split(":").map(part => part.trim());
-          ongoingTasks[category] = ongoingTasks[category] || [];
-          taskInfo.task = task;
-          ongoingTasks[category].push(taskInfo);
+    let state = job.run({
+      createState: () => ({ ongoingTasks: {}, completedTasks: {}, sheetMetrics: [] }),
+      listKeys: () => ss.getSheets().map(sheet => {
+        sheetsById[sheet.getSheetId()] = sheet;
+        return String(sheet.getSheetId());
+      }),
+      processItem: (sheetId, state) => {
+        let sheet = sheetsById[sheetId];
+        let sheetName = sheet.getName();
+        // Hidden sheets, such as templates, and sheets that are not task sheets are left in their order
+        if (sheetName.includes(":") && !sheet.isSheetHidden()) {
+          sortTaskSheetByDate(sheet, sheetName);
+          let category, task;
+          let sheetGID = sheet.getSheetId();
+          let sheetURL = `${ss.getUrl()}#gid=${sheetGID}`;
+          let columns = TaskSheetSchema.load().resolveColumns(sheet);
+          let metrics = columns ? ProjectDashboard.measureSheet(sheet, columns, today) : null;
+          let taskInfo = { url: sheetURL, metrics: metrics };
+
+          if (autoCompletion.enabled && metrics && !sheetName.includes(completionFlag)) {
+            try {
+              sheetName = TaskSheetCompletion.completeIfDone(sheet, metrics, completionFlag, autoCompletion);
+            } catch (e) {
+              console.error(`Failed to complete ${sheetName}: ${e.toString()}`);
+            }
+          }
+
+          if (sheetName.includes(completionFlag)) {
+            // Counts the age of sheets completed by renaming them from when they are first found, for the archive
+            TaskSheetCompletion.getCompletedTime(sheet);
+            [category, task] = sheetName.replace(completionFlag,"").split(":").map(part => part.trim());
+            state.completedTasks[category] = state.completedTasks[category] || [];
+            taskInfo.task = task;
+            state.completedTasks[category].push(taskInfo);
+          } else {
+            [category, task] = sheetName.split(":").map(part => part.trim());
+            state.ongoingTasks[category] = state.ongoingTasks[category] || [];
+            taskInfo.task = task;
+            state.ongoingTasks[category].push(taskInfo);
+          }
+
+          if (metrics) {
+            state.sheetMetrics.push(Object.assign({ category: category, task: task, sheetName: sheetName, url: sheetURL }, metrics));
+          }
         }
       }
     });
+    if (!state) {
+      console.log(`Not all sheets have been read, so the index sheets are updated when the job is continued.`);
+      return;
+    }
+
+    CompletedSheetArchive.readArchivedSheets().forEach(archived => {
+      state.completedTasks[archived.category] = state.completedTasks[archived.category] || [];
+      state.completedTasks[archived.category].push({ task: archived.task, url: archived.url, metrics: null, archivedTime: archived.archivedTime });
+    });
+
+    let categoryOrder = indexSheetInfo.categoryOrder || [];
 
     // Update the ongoing task index sheet
-    updateSheetWithTaskData_(ongoingTaskIndexSh, ongoingTasks, "#FF8C00");
+    updateSheetWithTaskData_(ongoingTaskIndexSh, orderCategories_(state.ongoingTasks, categoryOrder), "#FF8C00", today);
 
     // Update the completed task index sheet
-    updateSheetWithTaskData_(completedTaskIndexSh, completedTasks, "#696969");
+    updateSheetWithTaskData_(completedTaskIndexSh, orderCategories_(state.completedTasks, categoryOrder), "#696969", today);
+
+    // Update the dashboard from the task sheets measured above, with its categories in the same order
+    let categoryRank = category => categoryOrder.includes(category) ? categoryOrder.indexOf(category) : categoryOrder.length;
+    ProjectDashboard.update(state.sheetMetrics.slice().sort((a, b) => categoryRank(a.category) - categoryRank(b.category)));
 
   } catch (error) {
     Logger.log("Error updating task index sheets: " + error.message);
@@ -50,15 +97,36 @@ function updateAllTaskIndexSheets() {
 }
 
 
+/**
+ * Orders the categories of index sheet data: the categories of the category order first, in that order,
+ * followed by the other categories in the order they were found.
+ *
+ * @param {Object} categoryData - The task sheets of each category.
+ * @param {Array<string>} categoryOrder - Category names in the order they are listed, from the index sheet settings.
+ * @returns {Object} The same data with its keys in the new order.
+ */
+function orderCategories_(categoryData, categoryOrder) {
+  let categories = Object.keys(categoryData);
+  let orderedCategories = categoryOrder.filter(category => categories.includes(category))
+    .concat(categories.filter(category => !categoryOrder.includes(category)));
+  let orderedData = {};
+  orderedCategories.forEach(category => orderedData[category] = categoryData[category]);
+  return orderedData;
+}
+
 /**
  * Updates a specified sheet with task data, formatting, and hyperlinks.
  * It adjusts the number of columns as needed and applies formatting to display tasks categorically.
  * 
  * @param {GoogleAppsScript.Spreadsheet.Sheet} sheetToUpdate - The sheet to be updated with task data.
  * @param {Object} categoryData - An object containing task data categorized.
+ *                                Each task sheet has { task, url, metrics }, where metrics are returned by ProjectDashboard.measureSheet,
+ *                                or null if the sheet does not have the task sheet headers or was archived.
+ *                                Archived sheets also have archivedTime and link to their archived copy.
  * @param {string} tabColor - The color code for the sheet's tab.
+ * @param {Date} today - Today at midnight, for the health of each task sheet.
  */
-function updateSheetWithTaskData_(sheetToUpdate, categoryData, tabColor) {
+function updateSheetWithTaskData_(sheetToUpdate, categoryData, tabColor, today) {
   sheetToUpdate.clear();
   let lastColNum = sheetToUpdate.getMaxColumns();
   let needColNum = Object.keys(categoryData).length;
@@ -74,16 +142,20 @@ function updateSheetWithTaskData_(sheetToUpdate, categoryData, tabColor) {
     // console.log(`${columnsToInsert} columns were inserted.`);
   }
 
+  let localizer = Localizer.load();
   let currentCol = 1;
   for (let category in categoryData) {
       let updates = [];
       updates.push([category]);
 
       let hyperlinkUpdates = [['']];  // Top cell is the category, no hyperlink for it.
+      let backgrounds = [];
       
       for (let taskInfo of categoryData[category]) {
+        let label = formatIndexEntry_(taskInfo, localizer).replace(/"/g, '""');
         updates.push([taskInfo.task]);
-        hyperlinkUpdates.push(['=HYPERLINK("' + taskInfo.url + '","' + taskInfo.task + '")']);
+        hyperlinkUpdates.push(['=HYPERLINK("' + taskInfo.url + '","' + label + '")']);
+        backgrounds.push([taskInfo.metrics ? INDEX_HEALTH_COLORS[getIndexEntryHealth_(taskInfo.metrics, today)] : null]);
       }
 
       // Apply the updates in batches
@@ -101,6 +173,7 @@ function updateSheetWithTaskData_(sheetToUpdate, categoryData, tabColor) {
                                                     .setWrap(true)
                                                     .setVerticalAlignment("middle")
                                                     .setHorizontalAlignment("center");
+      sheetToUpdate.getRange(2, currentCol, backgrounds.length).setBackgrounds(backgrounds);
       
       sheetToUpdate.setColumnWidth(currentCol, 150);
       currentCol += 1;
@@ -111,9 +184,66 @@ function updateSheetWithTaskData_(sheetToUpdate, categoryData, tabColor) {
   
 }
 
+/**
+ * Builds the text of the index entry of a task sheet: the task name, followed by a line for the open and total tasks and
+ * the next due date, a line for the staff with open tasks and, if any, a line for the overdue tasks.
+ * The entry of an archived sheet has the date it was archived instead. The labels and dates are written in the language of the localizer.
+ *
+ * @param {Object} taskInfo - { task, url, metrics, archivedTime } of the task sheet.
+ * @param {Localizer} localizer - The localizer of the Language setting.
+ * @returns {string} The text of the entry, e.g. "Budget\nOpen 2/3 · Next 2024/1/12\nAki, Ben\n⚠ 1 overdue".
+ */
+function formatIndexEntry_(taskInfo, localizer) {
+  let formatDate = time => Utilities.formatDate(new Date(time), Session.getScriptTimeZone(), localizer.t('index.dateFormat'));
+  let metrics = taskInfo.metrics;
+  if (taskInfo.archivedTime) {
+    return `${taskInfo.task}\n${localizer.t('index.archived', { date: formatDate(taskInfo.archivedTime) })}`;
+  }
+  if (!metrics) {
+    return taskInfo.task;
+  }
+  let progress = localizer.t('index.open', { open: metrics.open, total: metrics.total });
+  if (metrics.nextDueTime !== null) {
+    progress += ` · ${localizer.t('index.nextDue', { date: formatDate(metrics.nextDueTime) })}`;
+  }
+  let lines = [taskInfo.task, progress];
+  let staffNames = Object.keys(metrics.staff)
+    .map(staffName => staffName === DASHBOARD_UNASSIGNED_STAFF ? localizer.t('dashboard.unassigned') : staffName);
+  if (staffNames.length > 0) {
+    lines.push(staffNames.join(', '));
+  }
+  if (metrics.overdue > 0) {
+    lines.push(`${INDEX_OVERDUE_MARKER} ${localizer.t('index.overdue', { count: metrics.overdue })}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Decides the health of a task sheet, which gives the colour of its index entry (see INDEX_HEALTH_COLORS).
+ *
+ * @param {Object} metrics - The metrics of the task sheet, as returned by ProjectDashboard.measureSheet.
+ * @param {Date} today - Today at midnight.
+ * @returns {string} 'overdue' if it has overdue tasks, 'dueSoon' if an open task is due within INDEX_DUE_SOON_DAYS,
+ *                   'done' if all of its tasks are completed, and 'onTrack' otherwise, including sheets without tasks.
+ */
+function getIndexEntryHealth_(metrics, today) {
+  if (metrics.overdue > 0) {
+    return 'overdue';
+  }
+  let dueSoonLimit = new Date(today.getFullYear(), today.getMonth(), today.getDate() + INDEX_DUE_SOON_DAYS).getTime();
+  if (metrics.nextDueTime !== null && metrics.nextDueTime <= dueSoonLimit) {
+    return 'dueSoon';
+  }
+  if (metrics.total > 0 && metrics.open === 0) {
+    return 'done';
+  }
+  return 'onTrack';
+}
+
 /**
  * Sorts a given task sheet by date.
- * Only sorts sheets that are not index sheets and have more than one row of data.
+ * Only sorts sheets that are not index sheets, have the task sheet headers and have more than one row of data.
+ * The date column is found by its header, so inserted or moved columns do not break sorting.
  * 
  * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The task sheet to be sorted.
  * @param {string} sheetName - The name of the sheet.
@@ -125,7 +255,11 @@ function sortTaskSheetByDate(sheet, sheetName) {
 
   if (sheetName !== indexSheetInfo.ongoingTaskSheetName && sheetName !== indexSheetInfo.completedTaskSheetName && lastRow > 1) {
     // console.log(`sheetName is ${sheetName}`);
+    let columns = TaskSheetSchema.load().resolveColumns(sheet);
+    if (!columns) {
+      return;
+    }
     let range = sheet.getRange(2, 1, lastRow - 1, lastCol);
-    range.sort({ column: 4, ascending: true });
+    range.sort({ column: columns.date, ascending: true });
   }
 }
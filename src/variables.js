@@ -5,17 +5,1341 @@ SCRIPT_PROPERTY_KEY_STAFF: Key for storing staff information in script propertie
 SCRIPT_PROPERTY_KEY_GENERAL_REMINDER_EMAILS: Key for storing email addresses for general reminders.
 SCRIPT_PROPERTY_KEY_DESIG_STAFF: Key for storing designated staff information for staff-based reminders.
 SCRIPT_PROPERTY_KEY_GENERAL_REM_DOC_URL: Key for storing URLs of Google Docs for general reminders.
-SCRIPT_PROPERTY_KEY_STAFFBASED_REM_DATA: Key for storing data related to staff-based reminders.
-SCRIPT_PROPERTY_KEY_CURRENT_SHEET_INDEX: Key to store the index of the current sheet being processed.
-SCRIPT_PROPERRY_KEY_STORED_REMINDERS: Key to store temporarily saved reminder data.
-SCRIPT_PROPERRY_KEY_COMPLETION_STATUS: Key to track the completion status of a task or operation.
+SCRIPT_PROPERTY_KEY_GENERAL_REM_WEBHOOK_URL: Key for storing the incoming webhook URLs of the chat spaces that general reminders are posted to.
+SCRIPT_PROPERTY_KEY_STAFFBASED_REM_DATA: Key for storing data related to staff-based reminders, including the delivery preferences of each staff member.
+SCRIPT_PROPERTY_KEY_TASK_SHEET_SCHEMA: Key for storing the header names that identify each column of task sheets.
+SCRIPT_PROPERTY_KEY_WORKING_CALENDAR: Key for storing the working weekdays and the name of the holiday sheet.
+SCRIPT_PROPERTY_KEY_REMINDER_PROFILES: Key for storing custom reminder profiles (look-ahead window, Doc URL, recipients and schedule).
+SCRIPT_PROPERTY_KEY_OVERDUE_ESCALATION: Key for storing the manager's email and the number of days overdue after which tasks are escalated.
+SCRIPT_PROPERTY_KEY_LAST_ESCALATION_DATE: Key for storing the date the escalation email was last sent, so that it is sent once a day.
+SCRIPT_PROPERTY_KEY_REMINDER_EMAIL_FORMAT: Key for storing whether reminder emails show the tasks inline or only link to the Google Doc.
+SCRIPT_PROPERTY_KEY_REMINDER_TEMPLATES: Key for storing the templates of the email subject, Doc title, intro text, table columns and email body of reminders.
+SCRIPT_PROPERTY_KEY_LOCALE: Key for storing the language of the menus, dialogs, reminder Docs and emails.
+SCRIPT_PROPERTY_KEY_WEB_APP_SECRET: Key for storing the secret that signs the "Mark complete" links in reminder emails.
+SCRIPT_PROPERTY_KEY_ACTIVITY_LOG_RETENTION: Key for storing the number of days entries are kept in the activity log.
+SCRIPT_PROPERTY_KEY_AUTO_COMPLETION: Key for storing whether task sheets whose tasks are all completed are completed automatically, and the spreadsheet they are archived to.
+SCRIPT_PROPERTY_KEY_SHEET_ARCHIVE: Key for storing the number of days after which completed task sheets are moved to the yearly archive spreadsheets.
+SCRIPT_PROPERTY_KEY_ARCHIVE_SPREADSHEETS: Key for storing the URL of the archive spreadsheet of each year.
+SCRIPT_PROPERTY_KEY_TEMPLATE_ROLES: Key for storing the staff member assigned by default to each role of the task sheet templates.
+SCRIPT_PROPERTY_KEY_DOC_SYNC_SNAPSHOT: Prefix of the keys under which the state of the tasks in each reminder Doc was stored before it moved to the
+    Doc sync snapshot sheet, followed by the Doc ID. Snapshots still stored there are read until the Doc is created again.
+SCRIPT_PROPERTY_KEY_BATCH_JOB: Prefix of the keys for storing the progress of each batch job, followed by the name of the job.
+SCRIPT_PROPERTY_KEY_ACTIVITY_LOG_PENDING: Prefix of the keys for storing activity log entries of users who cannot edit the activity log sheet,
+    followed by the time of the entry and a unique ID. The entries are appended to the sheet when the owner next writes to it.
 */
 const SCRIPT_PROPERTY_INDEX_SHEET = 'INDEX_SHEET';
 const SCRIPT_PROPERTY_KEY_STAFF = 'STAFF_DATA';
 const SCRIPT_PROPERTY_KEY_GENERAL_REMINDER_EMAILS = 'GENERAL_REMINDER_EMAILS';
 const SCRIPT_PROPERTY_KEY_DESIG_STAFF = 'DESIG_STAFF';
 const SCRIPT_PROPERTY_KEY_GENERAL_REM_DOC_URL = 'GENERAL_REM_DOC_URL';
+const SCRIPT_PROPERTY_KEY_GENERAL_REM_WEBHOOK_URL = 'GENERAL_REM_WEBHOOK_URL';
 const SCRIPT_PROPERTY_KEY_STAFFBASED_REM_DATA = 'STAFFBASED_REM_DATA';
+const SCRIPT_PROPERTY_KEY_TASK_SHEET_SCHEMA = 'TASK_SHEET_SCHEMA';
+const SCRIPT_PROPERTY_KEY_WORKING_CALENDAR = 'WORKING_CALENDAR';
+const SCRIPT_PROPERTY_KEY_REMINDER_PROFILES = 'REMINDER_PROFILES';
+const SCRIPT_PROPERTY_KEY_OVERDUE_ESCALATION = 'OVERDUE_ESCALATION';
+const SCRIPT_PROPERTY_KEY_LAST_ESCALATION_DATE = 'LAST_ESCALATION_DATE';
+const SCRIPT_PROPERTY_KEY_REMINDER_EMAIL_FORMAT = 'REMINDER_EMAIL_FORMAT';
+const SCRIPT_PROPERTY_KEY_REMINDER_TEMPLATES = 'REMINDER_TEMPLATES';
+const SCRIPT_PROPERTY_KEY_LOCALE = 'LOCALE';
+const SCRIPT_PROPERTY_KEY_WEB_APP_SECRET = 'WEB_APP_SECRET';
+const SCRIPT_PROPERTY_KEY_DOC_SYNC_SNAPSHOT = 'DOC_SYNC_SNAPSHOT';
+const SCRIPT_PROPERTY_KEY_ACTIVITY_LOG_RETENTION = 'ACTIVITY_LOG_RETENTION';
+const SCRIPT_PROPERTY_KEY_AUTO_COMPLETION = 'AUTO_COMPLETION';
+const SCRIPT_PROPERTY_KEY_SHEET_ARCHIVE = 'SHEET_ARCHIVE';
+const SCRIPT_PROPERTY_KEY_ARCHIVE_SPREADSHEETS = 'ARCHIVE_SPREADSHEETS';
+const SCRIPT_PROPERTY_KEY_TEMPLATE_ROLES = 'TEMPLATE_ROLES';
+const SCRIPT_PROPERTY_KEY_BATCH_JOB = 'BATCH_JOB';
+const SCRIPT_PROPERTY_KEY_ACTIVITY_LOG_PENDING = 'ACTIVITY_LOG_PENDING';
+
+/*
+Task Sheet Columns
+TASK_SHEET_FIELDS: Logical fields of a task row, in the order their columns are created in a new task sheet.
+TASK_SHEET_OPTIONAL_FIELDS: Fields whose column may be missing, e.g. in task sheets created before the field existed.
+    The hidden "Task ID" column is added to such sheets when their reminders are collected,
+    and the "Comment" column when a comment is first written back from a reminder Doc.
+DEFAULT_TASK_SHEET_HEADERS: Header names used for each field unless other names are set in the setting.
+TASK_PRIORITIES: Values of the "Priority" dropdown, from the highest to the lowest priority.
+RECURRENCE_WEEKDAYS: Weekday names accepted in the "Recurrence" column, e.g. "Weekly on Monday", in the order of Date.getDay().
+RECURRENCE_HELP_NOTE: Note added to the "Recurrence" header of a new task sheet to explain the supported rules.
+*/
+const TASK_SHEET_FIELDS = ['item', 'summary', 'date', 'staff', 'priority', 'recurrence', 'complete', 'comment', 'id'];
+const TASK_SHEET_OPTIONAL_FIELDS = ['priority', 'recurrence', 'comment', 'id'];
+const DEFAULT_TASK_SHEET_HEADERS = {
+    item: 'Item',
+    summary: 'Summary',
+    date: 'Date',
+    staff: 'Staff',
+    priority: 'Priority',
+    recurrence: 'Recurrence',
+    complete: 'Complete',
+    comment: 'Comment',
+    id: 'Task ID'
+};
+const TASK_PRIORITIES = ['High', 'Medium', 'Low'];
+const RECURRENCE_WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const RECURRENCE_HELP_NOTE = 'Leave empty for a one-off task, or input one of the following:\n' +
+    'Daily\n' +
+    'Weekly on Monday\n' +
+    'Monthly on day 15\n' +
+    'Every 3 business days\n' +
+    'When the task is completed, the next occurrence is added at the bottom of the sheet.';
+
+/*
+Working Calendar
+DEFAULT_WORKING_WEEKDAYS: Working weekdays used unless other weekdays are set in the setting, in the numbering of Date.getDay() (0 = Sunday).
+DEFAULT_HOLIDAY_SHEET_NAME: Name suggested for the sheet that lists holidays (Date and Name columns).
+*/
+const DEFAULT_WORKING_WEEKDAYS = [1, 2, 3, 4, 5];
+const DEFAULT_HOLIDAY_SHEET_NAME = 'Holidays';
+
+/*
+Reminder Profiles
+REMINDER_LOOK_AHEAD_TYPES: Look-ahead windows that a custom reminder profile can cover, with the label shown in the setting.
+    'businessDays' and 'calendarDays' also need the number of days.
+*/
+const REMINDER_LOOK_AHEAD_TYPES = {
+    overdue: 'Overdue only',
+    today: 'Due today or before',
+    businessDays: 'Due in the next N business days or before',
+    calendarDays: 'Due in the next N days or before',
+    thisMonth: 'Due this month or before'
+};
+
+/*
+Overdue Escalation
+DEFAULT_ESCALATION_THRESHOLD_DAYS: Days overdue suggested in the setting, after which tasks are escalated to the manager.
+*/
+const DEFAULT_ESCALATION_THRESHOLD_DAYS = 3;
+
+/*
+Reminder Emails
+REMINDER_EMAIL_FORMATS: Formats of reminder emails, with the label shown in the setting. 'link' is used unless another format is set.
+*/
+const REMINDER_EMAIL_FORMATS = {
+    link: 'Link to the Google Doc only',
+    inline: 'Task tables with "Mark complete" links in the email body (with a plain-text version) and a link to the Google Doc'
+};
+
+/*
+Mark Complete Links
+TASK_COMPLETION_LINK_VALID_DAYS: Number of days a "Mark complete" link in a reminder email can be used after the email is sent.
+*/
+const TASK_COMPLETION_LINK_VALID_DAYS = 14;
+
+/*
+Reminder Templates
+REMINDER_TEMPLATE_TEXTS: Texts of reminders that can be customized with placeholders, with the label shown in the setting.
+    The intro text is shown at the top of reminder Docs that take completion input.
+REMINDER_TEMPLATE_PLACEHOLDERS: Placeholders that can be written as {{name}} in the texts, with their description.
+    {{docLink}} can only be used in the email body, where it becomes the link to the reminder Doc.
+REMINDER_TABLE_COLUMNS: Columns of the task tables in reminder Docs, in their order. 'comment' and 'complete' are only in Docs that take completion input.
+DEFAULT_REMINDER_TEMPLATES: Templates used unless others are set. Each column has its label, its width in Docs without and with
+    completion input and its font size.
+*/
+const REMINDER_TEMPLATE_TEXTS = {
+    subject: 'Email subject',
+    docTitle: 'Doc title',
+    introText: 'Intro text of the Doc',
+    emailBody: 'Email body'
+};
+const REMINDER_TEMPLATE_PLACEHOLDERS = {
+    reminderName: 'Name of the reminder, e.g. "Today\'s General Reminder" or "Today\'s Reminder for Aki"',
+    staffName: 'Staff member the reminder is for (staff-based reminders only)',
+    date: 'Date the reminder is sent, e.g. "Wednesday, January 10, 2024"',
+    taskCount: 'Number of tasks in the reminder',
+    overdueCount: 'Number of overdue tasks in the reminder',
+    highPriorityOverdueCount: 'Number of overdue high-priority tasks in the reminder',
+    docUrl: 'URL of the reminder Doc',
+    docLink: 'Link to the reminder Doc, shown as "HERE" (email body only)'
+};
+const REMINDER_TABLE_COLUMNS = ['item', 'summary', 'date', 'staff', 'comment', 'complete', 'id'];
+const DEFAULT_REMINDER_TEMPLATES = {
+    subject: '{{reminderName}} on {{date}}',
+    docTitle: '{{reminderName}} on {{date}}',
+    introText: '*Once the item is completed, input "C"! You can also change its Date, Staff and Comment here.',
+    emailBody: "Click {{docLink}} to view target reminders and start your today's work.",
+    columns: {
+        item: { label: 'Item', width: 100, completionWidth: 90, fontSize: 9 },
+        summary: { label: 'Summary', width: 220, completionWidth: 140, fontSize: 7 },
+        date: { label: 'Date', width: 70, completionWidth: 70, fontSize: 8 },
+        staff: { label: 'Staff', width: 70, completionWidth: 50, fontSize: 8 },
+        comment: { label: 'Comment', width: 80, completionWidth: 80, fontSize: 8 },
+        complete: { label: 'Complete', width: 50, completionWidth: 50, fontSize: 10 },
+        id: { label: 'ID', width: 50, completionWidth: 40, fontSize: 7 }
+    }
+};
+
+/*
+Localization
+SUPPORTED_LOCALES: Languages the menus, dialogs, reminder Docs and emails can be shown in, with the name shown in the setting.
+DEFAULT_LOCALE: Language used unless another one is set in the setting.
+LOCALIZED_REMINDER_TEMPLATES: Texts and column labels of DEFAULT_REMINDER_TEMPLATES in each language other than English.
+    Reminder templates changed in the setting are used for all languages; the ones left as the defaults follow the language of each reminder.
+LOCALIZED_MESSAGES: Message catalog of each language, looked up by Localizer.t. Messages can contain parameters written as {name}.
+    Messages missing in a language fall back to English.
+*/
+const SUPPORTED_LOCALES = {
+    en: 'English',
+    ja: '日本語'
+};
+const DEFAULT_LOCALE = 'en';
+const LOCALIZED_REMINDER_TEMPLATES = {
+    ja: {
+        subject: '{{reminderName}}（{{date}}）',
+        docTitle: '{{reminderName}}（{{date}}）',
+        introText: '※完了した項目には「C」を入力してください。期日・担当者・コメントもここで変更できます。',
+        emailBody: '{{docLink}}をクリックして対象のリマインダーを確認し、今日の業務を始めてください。',
+        columnLabels: {
+            item: '項目',
+            summary: '概要',
+            date: '期日',
+            staff: '担当者',
+            comment: 'コメント',
+            complete: '完了',
+            id: 'ID'
+        }
+    }
+};
+const LOCALIZED_MESSAGES = {
+    en: {
+        // Custom menu
+        'menu.custom': 'Custom Menu',
+        'menu.settings': 'SETTINGS',
+        'menu.setPreDefinedInfo': 'Set Pre-Defined Info',
+        'menu.resetAll': 'Reset All Pre-Defined Info & Triggers',
+        'menu.updateIndexSheets': 'Update Index Sheets and Sort Task Sheets',
+        'menu.taskSheets': 'TASK SHEETS',
+        'menu.createTaskSheet': 'Create a New Task Sheet',
+        'menu.createFromTemplate': 'Create a Task Sheet from a Template',
+        'menu.saveAsTemplate': 'Save the Current Sheet as a Template',
+        'menu.modifyEditors': 'Modify Editors of the Current Sheet',
+        'menu.reopenTaskSheet': 'Reopen the Current Completed Sheet',
+        'menu.archiveCompletedSheets': 'Archive Old Completed Sheets',
+        'menu.resolveSyncConflicts': 'Resolve Sync Conflicts',
+        'menu.viewActivityLog': 'View Activity Log',
+        'menu.preview': 'PREVIEW',
+        'menu.previewGeneralToday': "Preview General Today's Reminder",
+        'menu.previewGeneralWeek': "Preview General Next Week's Reminder",
+        'menu.previewStaffBasedToday': "Preview Staff-Based Today's Reminder",
+        'menu.previewStaffBasedWeek': "Preview Staff-Based Next Week's Reminder",
+        'menu.test': 'TEST',
+        'menu.sendGeneralToday': "Send General Today's Reminder",
+        'menu.sendGeneralWeek': "Send General Next Week's Reminder",
+        'menu.sendStaffBasedToday': "Send Staff-Based Today's Reminder",
+        'menu.sendStaffBasedWeek': "Send Staff-Based Next Week's Reminder",
+        'menu.updateCompletionStatus': 'Update Completion Status',
+        'menu.viewReminderHistory': 'View Reminder History',
+        'menu.beforeFirstUse': 'BEFORE FIRST USE',
+        'menu.authorize': 'Conduct Authorization',
+        'menu.returnToOriginalFormat': 'Return to Original Format',
+
+        // Titles of dialogs
+        'dialog.settingLists': 'Lists of Settings',
+        'dialog.indexSheet': 'Index Sheet Information',
+        'dialog.taskSheetSchema': 'Task Sheet Columns',
+        'dialog.workingCalendar': 'Working Days & Holidays',
+        'dialog.staffInfo': 'Lists of Staff Information',
+        'dialog.updateStaffNames': 'Update Name(s) of the Staff',
+        'dialog.emailFormat': 'Reminder Email Format',
+        'dialog.reminderTemplates': 'Reminder Templates',
+        'dialog.locale': 'Language',
+        'dialog.overdueEscalation': 'Overdue Escalation',
+        'dialog.activityLogRetention': 'Activity Log Retention',
+        'dialog.autoCompletion': 'Automatic Completion of Task Sheets',
+        'dialog.sheetArchive': 'Archive of Completed Task Sheets',
+        'dialog.createFromTemplate': 'Create a Task Sheet from a Template',
+        'dialog.templateRoles': 'Default Staff of Template Roles',
+        'dialog.generalReminderEmails': 'General reminder email will be sent to staff with checked.',
+        'dialog.designatedStaff': 'Staff-based reminder email will be sent to each staff with checked.',
+        'dialog.reminderUrls': 'Set Reminder URLs',
+        'dialog.reminderProfiles': 'Custom Reminder Profiles',
+        'dialog.activityLog': 'Activity Log',
+        'dialog.reminderHistory': 'Reminder History',
+        'dialog.syncConflicts': 'Resolve Sync Conflicts',
+        'dialog.chooseEditors': 'Choose relevant staff as editors',
+        'dialog.modifyEditors': 'Modify Editors of {sheetName}',
+
+        // Message boxes
+        'message.proceedToAnotherSetting': '{description} Do you want to proceed with another setting?',
+        'message.retrySetting': '{description} Please try the setting again.',
+        'message.returnedToOriginalFormat': "Return to the original format (All sheets except 'New Sheet' deleted/ Pre-defined information reset/ Pre-set triggers deleted).",
+        'message.inputStaffName': 'Input name for the email: {email}',
+        'message.staffNameInputCancelled': 'Inputting name was cancelled. Retry setting designated user information.',
+        'message.staffNameInUse': 'The name "{name}" is already in use. Please use a different name.',
+        'message.confirmResetAll': 'Are you SURE to reset ALL Pre-Defined Information and Triggers?',
+        'message.resetCancelled': 'Reset was cancelled.',
+        'message.resetAllDone': 'All of the pre-defined information and triggers have been reset.',
+        'message.noOpenSyncConflicts': 'There are no open sync conflicts.',
+        'message.errorOccurred': 'The following error occurred: {message}\nStack Trace:\n{stack}',
+        'message.inputSheetName': "Enter the sheet name (e.g., Category Name: Task Name) *INCLUDE ' : ' and a space (Half size)",
+        'message.invalidSheetName': "The sheet name is not set as instructed 'Category Name: Task Name'. Try again.",
+        'message.sheetNameInputCancelled': 'Inputting a sheet name was cancelled.',
+        'message.inputRowNum': 'Enter the number of rows to set the pulldown for staff name',
+        'message.sheetNameMissingColon': 'The data is not input or does not include " : " (Half size). Try again.',
+        'message.sheetNameExists': 'The sheet name already exists. Please input a different name.',
+        'message.notANumber': 'The input data is not a number. Please try again.',
+        'message.nonEditorEmails': 'The following email(s) are not current editors of the spreadsheet: {emails}. Operation cancelled.',
+        'message.sheetCreated': 'New sheet {sheetName} was created successfully.',
+        'message.notTaskSheet': '{sheetName} does not have the headers of a task sheet. Check the header row and try again.',
+        'message.editorsModified': 'Editors for {sheetName} were modified successfully.',
+        'message.sheetNotCompleted': '{sheetName} is not a completed task sheet.',
+        'message.sheetReopened': '{sheetName} was reopened and moved back to the ongoing task index.',
+        'message.confirmArchive': 'Completed task sheets completed more than {retentionDays} day(s) ago will be copied to the archive spreadsheet of their year and deleted from this spreadsheet. Continue?',
+        'message.sheetsArchived': '{count} completed task sheet(s) were archived. The completed task index links to them.',
+        'message.archiveContinues': 'There are too many sheets to archive at once, so the archive continues in the background.',
+        'message.archiveNotAllowed': 'Only the owner of the spreadsheet can archive completed task sheets, since the "Archived Task Sheets" sheet is protected.',
+        'message.noTemplates': 'There are no task sheet templates yet. Open a task sheet and use "Save the Current Sheet as a Template" first.',
+        'message.templateNotFound': 'The template {templateName} was not found.',
+        'message.startDateInvalid': 'The start date is not valid. Choose a date and try again.',
+        'message.sheetCreatedFromTemplate': 'New sheet {sheetName} was created with {count} task(s) from the template {templateName}.',
+        'message.inputTemplateName': 'Enter the name of the template (e.g., Onboarding). Do not include " : ".',
+        'message.invalidTemplateName': 'The template name is empty or includes " : ". Try again.',
+        'message.confirmReplaceTemplate': 'The template {templateName} already exists. Replace it with the tasks of this sheet?',
+        'message.templateSaved': 'The template {templateName} was saved with {count} task(s). It is kept in a hidden sheet, which can be shown from View > Hidden sheets to edit it.',
+        'message.executionError': 'Action was {action}. But neither create a new sheet nor modify editors of the sheeet has been executed. Check the codes and try again.',
+
+        // Results of the settings
+        'setting.indexSheetSet': 'Index sheet information were successfully set.',
+        'setting.indexSheetFailed': 'Failed to set index sheet information.',
+        'setting.taskSheetSchemaInvalid': 'Header names of task sheet columns must be filled in and different from each other.',
+        'setting.taskSheetSchemaSet': 'Header names of task sheet columns were successfully set.',
+        'setting.taskSheetSchemaFailed': 'Failed to set header names of task sheet columns.',
+        'setting.workingWeekdayMissing': 'At least one working weekday must be selected.',
+        'setting.holidaySheetMissing': 'The holiday sheet name must be filled in to import an ICS file.',
+        'setting.workingCalendarSet': 'Working days and holidays were successfully set.',
+        'setting.workingCalendarFailed': 'Failed to set working days and holidays.',
+        'setting.showUpdatedStaffFailed': 'Failed to show UI where updated staff info is listed.',
+        'setting.emailFormatMissing': 'The email format is not selected.',
+        'setting.emailFormatSet': 'Reminder emails will be sent as: {format}.',
+        'setting.emailFormatFailed': 'Failed to set the format of reminder emails.',
+        'setting.reminderTemplatesInvalid': 'Invalid reminder templates: {description}',
+        'setting.reminderTemplatesSet': 'Reminder templates were successfully set.',
+        'setting.reminderTemplatesFailed': 'Failed to set the templates of reminders.',
+        'setting.localeMissing': 'The language is not selected.',
+        'setting.localeSet': 'The language was set to {language}.',
+        'setting.localeFailed': 'Failed to set the language.',
+        'setting.managerEmailInvalid': "The manager's email is not valid.",
+        'setting.thresholdDaysInvalid': 'The number of days overdue must be 0 or more.',
+        'setting.overdueEscalationSet': 'Tasks overdue by more than {thresholdDays} day(s) will be escalated to {managerEmail}.',
+        'setting.overdueEscalationFailed': 'Failed to set the overdue escalation.',
+        'setting.retentionDaysInvalid': 'The number of days to keep activity log entries must be 1 or more.',
+        'setting.activityLogRetentionSet': 'Activity log entries will be kept for {retentionDays} day(s).',
+        'setting.activityLogRetentionFailed': 'Failed to set the activity log retention.',
+        'setting.autoCompletionOn': 'Task sheets whose tasks are all completed will be completed when the index sheets are updated.',
+        'setting.autoCompletionArchived': 'Task sheets whose tasks are all completed will be completed when the index sheets are updated, and copied to {archiveSpreadsheetName}.',
+        'setting.autoCompletionOff': 'Task sheets will only be completed by renaming them.',
+        'setting.archiveUrlInvalid': 'The archive spreadsheet cannot be opened. Check the URL and your access to it.',
+        'setting.autoCompletionFailed': 'Failed to set the automatic completion of task sheets.',
+        'setting.sheetArchiveSet': 'Completed task sheets will be archived {retentionDays} day(s) after they are completed.',
+        'setting.archiveRetentionDaysInvalid': 'The number of days must be a whole number of 1 or more.',
+        'setting.sheetArchiveFailed': 'Failed to set the archive of completed task sheets.',
+        'setting.templateRolesInvalid': 'The following staff are not in the staff list: {staffNames}.',
+        'setting.templateRolesSet': 'Default staff of template roles were successfully set.',
+        'setting.templateRolesFailed': 'Failed to set the default staff of template roles.',
+        'setting.showGeneralReminderStaffFailed': 'Failed to show UI where staff for General Reminder is listed.',
+        'setting.generalReminderEmailsSet': 'Emails to send general reminders were successfully set.',
+        'setting.generalReminderEmailsFailed': 'Failed to set emails for General Reminder.',
+        'setting.showDesignatedStaffFailed': 'Failed to show UI where desigated staff for staff-based reminder is listed.',
+        'setting.designatedStaffSet': 'Designated staff for staff-based reminders was successfully set.',
+        'setting.designatedStaffFailed': 'Failed to set designated staff for staff-based reminders.',
+        'setting.reminderPreferencesInvalid': 'Invalid reminder preferences: {descriptions}',
+        'setting.webhookUrlsInvalid': 'Invalid chat webhook URLs detected: {urls}. Webhook URLs must start with https://.',
+        'setting.reminderUrlsSet': 'URLs of Google Docs for Reminder were successfully set.',
+        'setting.reminderUrlsInvalid': 'Invalid or duplicate URLs detected: {urls}. ',
+        'setting.reminderUrlsFailed': 'Failed to set URLs of Google Docs for reminder.',
+        'setting.triggerSet': 'Trigger for {functionName} was successfully set.',
+        'setting.triggerDeleted': 'Trigger for {functionName} was successfully deleted.',
+        'setting.triggerNotFound': 'No trigger for {functionName} was found.',
+        'setting.profileDocUrlInvalid': 'URL for {name} is not for Google Doc.',
+        'setting.profileNameInvalid': "The profile name must be 1 to 50 letters, numbers, spaces, '-' or '_'.",
+        'setting.profileNameReserved': '"{name}" is reserved for a built-in reminder.',
+        'setting.lookAheadMissing': 'The look-ahead window is not selected.',
+        'setting.lookAheadDaysInvalid': 'The number of days of the look-ahead window must be 1 or more.',
+        'setting.recipientsMissing': 'At least one recipient must be selected.',
+        'setting.scheduleHourInvalid': 'The hour of the schedule must be between 0 and 23.',
+        'setting.scheduleWeekdayInvalid': 'The weekday of the schedule is not valid.',
+        'setting.preferenceHourInvalid': 'The hour must be between 0 and 23.',
+        'setting.preferenceWeekdaysMissing': 'At least one weekday must be selected.',
+        'setting.preferenceFrequencyMissing': 'The frequency is not selected.',
+        'setting.preferenceChannelMissing': 'The channel is not selected.',
+        'setting.preferenceWebhookUrlInvalid': 'The chat webhook URL must start with https://.',
+        'setting.templateTextMissing': 'The {text} is not entered.',
+        'setting.templateTextEmpty': 'The {text} must not be empty.',
+        'setting.templatePlaceholderNotAllowed': '{{{placeholder}}} cannot be used in the {text}.',
+        'setting.templateColumnLabelEmpty': 'The label of the "{label}" column must not be empty.',
+        'setting.templateColumnWidthInvalid': 'The widths of the "{label}" column must be between 20 and 500.',
+        'setting.templateColumnFontSizeInvalid': 'The font size of the "{label}" column must be between 6 and 24.',
+        'setting.templateColumnLabelsDuplicate': 'The labels of the table columns must be different from each other.',
+        'setting.docUrlDuplicate': 'Duplicate URL found for {reminderName}',
+        'setting.docUrlNotDoc': 'URL for {reminderName} is not for Google Doc',
+        'setting.reminderProfileSet': 'Reminder profile {name} and its trigger were successfully set.',
+        'setting.reminderProfileFailed': 'Failed to set the reminder profile.',
+        'setting.reminderProfileDeleted': 'Reminder profile {name} and its trigger were deleted.',
+        'setting.reminderProfileNotSet': 'Reminder profile {name} has not been set.',
+        'setting.reminderProfilesReset': 'Custom reminder profiles were reset.',
+        'setting.propertyReset': '{settingType} was reset.',
+        'setting.propertyNotSet': '{settingType} has not been set.',
+
+        // Lists of Settings
+        'settings.type': 'Type',
+        'settings.description': 'Description',
+        'settings.action': 'Action',
+        'settings.set': 'Set',
+        'settings.update': 'Update',
+        'settings.reset': 'Reset',
+        'settings.delete': 'Delete',
+        'settings.generalSetting': 'General Setting',
+        'settings.eachReminder': 'Setting for Each Type of Reminder',
+        'settings.generalReminder': 'General Reminder Settings: Reminds designated staff of ALL incompleted tasks',
+        'settings.staffBasedReminder': 'Staff-Based Reminder Settings: Separately reminds each designated staff of imcompleted tasks assigned to the individual.',
+        'settings.reminderProfiles': 'Custom Reminder Profiles: Reminds designated staff of incompleted tasks in any look-ahead window, e.g. the next 2 business days, this month or overdue only.',
+        'settings.others': 'Others',
+        'settings.dailyTriggerDetails': '【Trigger Details】Time-drive/ Daily timer/ 8am/ ONLY WORKING DAYS',
+        'settings.weeklyTriggerDetails': '【Trigger Details】Time-drive/ Week timer/ Every Friday/ 4pm',
+        'settings.hourlyTriggerDetails': '【Trigger Details】Time-drive/ Hour timer/ Every hour',
+        'settings.completionTriggerDetails': '【Trigger Details】Time-drive/ Daily timer/ 5pm',
+        'settings.archiveTriggerDetails': '【Trigger Details】Time-drive/ Week timer/ Every Sunday/ 2am',
+        'settings.currentProfiles': '【Current Profiles】{names}',
+        'settings.none': 'None',
+        'settings.indexSheets.type': 'Index Sheets',
+        'settings.indexSheets.description': 'Configure information for index sheets (for ongoing and completed tasks) such as setting sheet name.',
+        'settings.taskSheetSchema.type': 'Task Sheet Columns',
+        'settings.taskSheetSchema.description': 'Configure header names that identify the Item, Summary, Date, Staff, Priority, Recurrence, Complete, Comment and Task ID columns of task sheets. Columns are found by these headers, so other columns can be inserted freely.',
+        'settings.workingCalendar.type': 'Working Days & Holidays',
+        'settings.workingCalendar.description': "Configure the weekdays the office works on and the sheet that lists holidays (holidays can be imported from an ICS file). Today's reminders are not sent on non-working days, and next week's reminders cover the next 5 working days.",
+        'settings.emailFormat.type': 'Reminder Email Format',
+        'settings.emailFormat.description': 'Choose whether reminder emails only link to the reminder Google Doc (default) or also show the tasks as tables in the email body, which is easier to read on phones.',
+        'settings.reminderTemplates.type': 'Reminder Templates',
+        'settings.reminderTemplates.description': 'Customize the email subject, Doc title, intro text and email body of reminders with placeholders such as {{reminderName}} and {{date}}, and the labels, widths and font sizes of the table columns in reminder Docs. A preview is shown from sample data while you edit.',
+        'settings.locale.type': 'Language',
+        'settings.locale.description': 'Choose the language of the custom menu, dialogs, reminder Docs and emails. Staff can also be given their own language for staff-based reminders in "Google Doc for Staff-Based Reminders".',
+        'settings.staff.type': 'Staff of this Spreadsheet',
+        'settings.staff.description': 'Configure staff information for this Google Sheet (names and email addresses).',
+        'settings.generalReminderEmails.type': 'Staff for General Reminder',
+        'settings.generalReminderEmails.description': 'Specify email(s) of staff to receive general reminder.',
+        'settings.generalReminderDocs.type': 'Google Doc for General Reminder',
+        'settings.generalReminderDocs.description': 'URL to the Google Doc that displays general reminders.',
+        'settings.generalReminderWebhooks.type': 'Chat Webhooks for General Reminder',
+        'settings.generalReminderWebhooks.description': 'Incoming webhook URLs of the Google Chat or Slack-compatible spaces that general reminders are also posted to as a card with task counts, overdue tasks and links. Set them in the same dialog as the Google Docs.',
+        'settings.generalTodayTrigger.type': "Trigger for Today's General Reminder",
+        'settings.generalTodayTrigger.description': 'Sets a trigger to send reminder through Gmail/Google Doc showing all incomplete tasks whose dates are today or before.',
+        'settings.generalWeekTrigger.type': "Trigger for Next Week's General Reminder",
+        'settings.generalWeekTrigger.description': 'Sets a trigger to send reminder through Gmail/Google Doc showing all incomplete tasks whose dates are in the next 5 working days or before.',
+        'settings.designatedStaff.type': 'Staff for Staff-Based Reminders',
+        'settings.designatedStaff.description': 'Specify staff to receive staff-based reminder emails.',
+        'settings.staffBasedReminderDocs.type': 'Google Doc for Staff-Based Reminders',
+        'settings.staffBasedReminderDocs.description': 'URL to the Google Doc that shows reminders tailored to individual staff members, and optionally the hour, weekdays, frequency, channel and language each of them receives reminders in.',
+        'settings.staffBasedTodayTrigger.type': "Trigger for Today's Staff-Based Reminder",
+        'settings.staffBasedTodayTrigger.description': 'Sets a trigger for reminder of a specific staff through Gmail/Google Doc showing all incomplete tasks whose dates are today or before.',
+        'settings.staffBasedWeekTrigger.type': "Trigger for Next Week's Staff-Based Reminder",
+        'settings.staffBasedWeekTrigger.description': 'Sets a trigger to send reminder of a specific staff through Gmail/Google Doc showing all incomplete tasks whose dates are in the next 5 working days or before.',
+        'settings.dispatcherTrigger.type': 'Trigger for Staff Reminder Preferences',
+        'settings.dispatcherTrigger.description': 'Sets a trigger to send each staff who has set preferences in "Google Doc for Staff-Based Reminders" the reminders due at their hour, weekdays and frequency, through their channel. Such staff are not sent reminders by the two triggers above.',
+        'settings.reminderProfiles.type': 'Reminder Profiles',
+        'settings.reminderProfiles.description': 'Configure named reminders, each with its own look-ahead window, Google Doc, recipients and trigger schedule.',
+        'settings.completionTrigger.type': 'Trigger to Update Completion Status for Tasks',
+        'settings.completionTrigger.description': 'Transfer completion status from reminder docs into spreadsheet (unchecked to checked).',
+        'settings.overdueEscalation.type': 'Overdue Escalation',
+        'settings.overdueEscalation.description': 'Configure the manager to whom tasks overdue by more than a set number of days are escalated by email. The email is sent once a working day with the first reminder shared on that day.',
+        'settings.activityLogRetention.type': 'Activity Log Retention',
+        'settings.activityLogRetention.description': 'Configure how many days entries are kept in the Activity Log sheet, which records task changes, task sheets created, editors modified and emails sent by the script. Entries are kept for a year unless set.',
+        'settings.sheetArchive.type': 'Archive of Completed Task Sheets',
+        'settings.sheetArchive.description': 'Configure how many days completed task sheets stay in this spreadsheet. Older ones are copied with their formatting to an archive spreadsheet for the year they were completed and deleted from this spreadsheet, leaving a link in the completed task index. Sheets are kept for 90 days unless set.',
+        'settings.archiveTrigger.type': 'Trigger to Archive Completed Task Sheets',
+        'settings.archiveTrigger.description': 'Sets a trigger to archive the completed task sheets older than the number of days set above, as "Archive Old Completed Sheets" in TASK SHEETS does.',
+        'settings.autoCompletion.type': 'Automatic Completion of Task Sheets',
+        'settings.autoCompletion.description': 'Configure whether task sheets whose tasks are all checked are completed when the index sheets are updated: the completion flag is added to the name, the tab is moved to the end, the editors are removed and, optionally, the sheet is copied to an archive spreadsheet. "Reopen the Current Completed Sheet" in TASK SHEETS reverses this.',
+        'settings.templateRoles.type': 'Default Staff of Template Roles',
+        'settings.templateRoles.description': 'Configure the staff member assigned to the tasks of each role in the task sheet templates when a task sheet is created from a template. Roles that are staff names are assigned to that staff member unless set.',
+
+        // Language dialog
+        'locale.heading': 'Language Settings',
+        'locale.instruction': 'Choose the language of the custom menu, dialogs, reminder Docs and emails. The custom menu is shown in the new language the next time the spreadsheet is opened.',
+        'locale.save': 'Save Settings',
+        'locale.staffDefault': 'Same as the spreadsheet',
+        'locale.staffLabel': 'Language of the reminders',
+
+        // Buttons shared by dialogs
+        'common.saveSettings': 'Save Settings',
+        'common.submit': 'Submit',
+
+        // Activity Log dialog
+        'activityLog.heading': 'Activity Log',
+        'activityLog.viewLimit': 'The {viewLimit} most recent entries are shown, newest first.',
+        'activityLog.openSheet': 'All entries are in the Activity Log sheet.',
+        'activityLog.staff': 'Staff',
+        'activityLog.allStaff': 'All staff',
+        'activityLog.sheet': 'Sheet',
+        'activityLog.allSheets': 'All sheets',
+        'activityLog.filter': 'Filter',
+        'activityLog.noEntries': 'No entries were found.',
+        'activityLog.timestamp': 'Timestamp',
+        'activityLog.actor': 'Actor',
+        'activityLog.action': 'Action',
+        'activityLog.targetSheet': 'Target Sheet',
+        'activityLog.targetRow': 'Target Row',
+        'activityLog.before': 'Before',
+        'activityLog.after': 'After',
+
+        // Activity Log Retention dialog
+        'activityLogRetention.heading': 'Activity Log Retention',
+        'activityLogRetention.instruction': 'The Activity Log sheet records task changes, task sheets created, editors modified and emails sent by the script. Entries older than the number of days below are deleted when a scheduled job, such as sending reminders or updating the index sheets, finishes.',
+        'activityLogRetention.days': 'Keep Entries for (Days)',
+        'activityLogRetention.daysMissing': 'Please input the number of days.',
+
+        // Overdue Escalation dialog
+        'overdueEscalation.heading': 'Overdue Escalation Settings',
+        'overdueEscalation.instruction': 'Tasks overdue by more than the number of days below are listed in an email to the manager, with the staff member, the sheet and the days late. The email is sent once a working day when the first reminder of the day is shared.',
+        'overdueEscalation.managerEmail': "Manager's Email",
+        'overdueEscalation.thresholdDays': 'Escalate Tasks Overdue by More Than (Days)',
+        'overdueEscalation.managerEmailMissing': "Please input the manager's email.",
+
+        // Reminder History dialog
+        'reminderHistory.heading': 'Reminder History',
+        'reminderHistory.instruction': "A reminder is sent to each recipient only once a day. To send it again anyway, choose it and click 'Send Again'.",
+        'reminderHistory.reminder': 'Reminder',
+        'reminderHistory.sendAgain': 'Send Again',
+        'reminderHistory.viewLimit': 'The {viewLimit} most recent deliveries are shown, newest first.',
+        'reminderHistory.noDeliveries': 'No reminders have been sent yet.',
+        'reminderHistory.sent': 'Sent',
+        'reminderHistory.target': 'Target',
+        'reminderHistory.recipient': 'Recipient',
+        'reminderHistory.subject': 'Subject',
+        'reminderHistory.result': 'Result',
+        'reminderHistory.details': 'Details',
+        'reminderHistory.generalToday': "General Today's Reminder",
+        'reminderHistory.generalWeek': "General Next Week's Reminder",
+        'reminderHistory.staffBasedToday': "Staff-Based Today's Reminder",
+        'reminderHistory.staffBasedWeek': "Staff-Based Next Week's Reminder",
+        'reminderHistory.resent': '{reminderName} was run again regardless of the history. Its deliveries are listed below.',
+
+        // Reminder Templates dialog
+        'reminderTemplates.heading': 'Reminder Template Settings',
+        'reminderTemplates.instruction': 'Edit the texts of reminders. Placeholders written as {{name}} are replaced when reminders are sent. The intro text is shown at the top of reminder Docs where staff input "C" for completed tasks; leave it empty to show no intro text.',
+        'reminderTemplates.text.subject': 'Email subject',
+        'reminderTemplates.text.docTitle': 'Doc title',
+        'reminderTemplates.text.introText': 'Intro text of the Doc',
+        'reminderTemplates.text.emailBody': 'Email body',
+        'reminderTemplates.placeholder.reminderName': 'Name of the reminder, e.g. "Today\'s General Reminder" or "Today\'s Reminder for Aki"',
+        'reminderTemplates.placeholder.staffName': 'Staff member the reminder is for (staff-based reminders only)',
+        'reminderTemplates.placeholder.date': 'Date the reminder is sent, e.g. "Wednesday, January 10, 2024"',
+        'reminderTemplates.placeholder.taskCount': 'Number of tasks in the reminder',
+        'reminderTemplates.placeholder.overdueCount': 'Number of overdue tasks in the reminder',
+        'reminderTemplates.placeholder.highPriorityOverdueCount': 'Number of overdue high-priority tasks in the reminder',
+        'reminderTemplates.placeholder.docUrl': 'URL of the reminder Doc',
+        'reminderTemplates.placeholder.docLink': 'Link to the reminder Doc, shown as "HERE" (email body only)',
+        'reminderTemplates.columns': 'Table columns of reminder Docs',
+        'reminderTemplates.column': 'Column',
+        'reminderTemplates.label': 'Label',
+        'reminderTemplates.width': 'Width',
+        'reminderTemplates.completionWidth': 'Width (with "Complete")',
+        'reminderTemplates.fontSize': 'Font size',
+        'reminderTemplates.preview': 'Preview (sample data)',
+        'reminderTemplates.previewSubject': 'Email subject: {subject}',
+        'reminderTemplates.previewDocTitle': 'Doc title: {docTitle}',
+
+        // Sync Conflict dialog
+        'syncConflict.heading': 'Sync Conflict ({openCount} Open)',
+        'syncConflict.instruction': 'This change in a reminder Doc was not written because the task sheet had also changed since the Doc was created. Choose which value to keep.',
+        'syncConflict.taskSheet': 'Task Sheet',
+        'syncConflict.item': 'Item',
+        'syncConflict.field': 'Field',
+        'syncConflict.docValue': 'Doc Value',
+        'syncConflict.sheetValue': 'Sheet Value',
+        'syncConflict.reminderDoc': 'Reminder Doc',
+        'syncConflict.openDoc': 'Open the Doc',
+        'syncConflict.applyDocValue': 'Apply Doc Value',
+        'syncConflict.keepSheetValue': 'Keep Sheet Value',
+        'syncConflict.notFound': 'The conflict was not found or has already been resolved.',
+        'syncConflict.resolved': '{field} of {item}: {status}.',
+        'syncConflict.rowNotFound': '{item} was not found in {sheetName}, so the Doc value cannot be applied.',
+        'syncConflict.cannotApply': 'The Doc value of {field} cannot be applied.',
+        'syncConflict.invalidDate': '"{value}" is not a valid date.',
+        'syncConflict.notAllowed': '"{value}" is not allowed in the {field} column.',
+
+        // Page of the "Mark complete" links
+        'completionPage.confirmHeading': 'Complete Task',
+        'completionPage.completedHeading': 'Task Completed',
+        'completionPage.notCompletedHeading': 'Task Not Completed',
+        'completionPage.markComplete': 'Mark complete',
+        'completionPage.closePage': 'You can close this page.',
+        'completionPage.confirm': 'Do you want to mark {item} as complete?',
+        'completionPage.notFromEmail': 'This page can only be opened from a link in a reminder email.',
+        'completionPage.invalid': 'This link is not valid. Please use the link in the latest reminder email.',
+        'completionPage.expired': 'This link has expired. Please use the link in the latest reminder email.',
+        'completionPage.sheetNotFound': 'The task sheet was not found. It may have been deleted.',
+        'completionPage.taskNotFound': '{item} was not found in {sheetName}. Its row may have been deleted.',
+        'completionPage.alreadyCompleted': '{item} in {sheetName} has already been completed.',
+        'completionPage.completed': '{item} in {sheetName} was marked as complete.',
+
+        // Automatic Completion dialog
+        'autoCompletion.heading': 'Automatic Completion of Task Sheets',
+        'autoCompletion.instruction': 'When the index sheets are updated, task sheets whose tasks are all checked get the completion flag, are moved to the end of the spreadsheet and can only be edited by the owner. "Reopen the Current Completed Sheet" in TASK SHEETS reverses this.',
+        'autoCompletion.enabled': 'Complete task sheets automatically',
+        'autoCompletion.archiveSpreadsheetUrl': 'Archive Spreadsheet URL (optional)',
+
+        // Archive of Completed Task Sheets dialog and archive spreadsheets
+        'sheetArchive.heading': 'Archive of Completed Task Sheets',
+        'sheetArchive.instruction': 'Completed task sheets completed more than the number of days below ago are copied with their formatting to an archive spreadsheet for the year they were completed, and deleted from this spreadsheet. The completed task index keeps a link to each archived copy.',
+        'sheetArchive.days': 'Keep Completed Sheets for (Days)',
+        'sheetArchive.daysMissing': 'Please input the number of days.',
+        'sheetArchive.spreadsheetName': '{spreadsheetName} Archive {year}',
+        'sheetArchive.archivedFrom': 'Task sheets completed in {year} and archived from:',
+
+        // Create from Template and Default Staff of Template Roles dialogs
+        'templateChoice.template': 'Template',
+        'templateChoice.sheetName': 'Sheet Name (e.g., Category Name: Task Name)',
+        'templateChoice.sheetNamePlaceholder': 'HR: Onboarding of Dana',
+        'templateChoice.startDate': 'Start Date',
+        'templateChoice.editors': 'Editors',
+        'templateRoles.heading': 'Default Staff of Template Roles',
+        'templateRoles.instruction': 'When a task sheet is created from a template, the tasks of each role below are assigned to the chosen staff member. Roles without a staff member are assigned to the staff member of the same name, or left unassigned.',
+        'templateRoles.noRoles': 'No template has roles yet. Fill in the "Role" column of the template sheets first.',
+        'templateRoles.role': 'Role',
+        'templateRoles.staff': 'Staff',
+
+        // Entries of the index sheets
+        'index.open': 'Open {open}/{total}',
+        'index.nextDue': 'Next {date}',
+        'index.overdue': '{count} overdue',
+        'index.archived': 'Archived {date}',
+        'index.dateFormat': 'yyyy/M/d',
+
+        // Dashboard sheet
+        'dashboard.title': 'Project Dashboard',
+        'dashboard.updated': 'Updated',
+        'dashboard.byCategory': 'By Category',
+        'dashboard.byTaskSheet': 'By Task Sheet',
+        'dashboard.byStaff': 'By Staff',
+        'dashboard.staffChart': 'Open and Overdue Tasks by Staff',
+        'dashboard.categoryChart': 'Progress by Category',
+        'dashboard.unassigned': 'Unassigned',
+        'dashboard.column.category': 'Category',
+        'dashboard.column.taskSheets': 'Task Sheets',
+        'dashboard.column.taskSheet': 'Task Sheet',
+        'dashboard.column.staff': 'Staff',
+        'dashboard.column.total': 'Total',
+        'dashboard.column.open': 'Open',
+        'dashboard.column.completed': 'Completed',
+        'dashboard.column.overdue': 'Overdue',
+        'dashboard.column.percentComplete': '% Complete',
+        'dashboard.column.nextDue': 'Next Due',
+
+        // Reminders
+        'reminder.generalToday': "Today's General Reminder",
+        'reminder.generalWeek': "Next Week's General Reminder",
+        'reminder.staffBasedToday': "Today's Reminder for {staffName}",
+        'reminder.staffBasedWeek': "Next Week's Reminder for {staffName}",
+        'reminder.profile': '{name} Reminder',
+        'section.overdue': 'Overdue',
+        'section.dueToday': 'Due today',
+        'section.upcoming': 'Upcoming',
+        'email.docLink': 'HERE',
+        'email.markComplete': 'Mark complete',
+        'email.highPriorityOverdue.one': '{count} high-priority item is overdue.',
+        'email.highPriorityOverdue.other': '{count} high-priority items are overdue.',
+        'email.noHighPriorityOverdue': 'No high-priority items are overdue.',
+        'email.docNotSet': "Google Document to display {period}'s {target} reminders is NOT set. Go to Setting from Custom Menu in {spreadsheetLink} and set the URL for the Doc.",
+        'email.thisSpreadsheet': 'this Spreadsheet',
+        'email.plainMarkComplete': '  Mark complete: {url}',
+        'email.plainReminderDoc': 'Reminder Doc: {url}',
+        'email.settingMissingSubject': 'Error on Sharing General Reminders (Today or Next Week)',
+        'email.settingMissingBody': 'Necessary information such as emails and Google Doc URLs is not set in the setting. Go to "Setting" from Custom Menu and conduct necessary setting.',
+        'escalation.subject': 'Overdue Escalation on {date}',
+        'escalation.intro': 'The following tasks are overdue past the escalation threshold.',
+        'escalation.staff': 'Staff',
+        'escalation.item': 'Item',
+        'escalation.sheet': 'Sheet',
+        'escalation.daysLate': 'Days Late',
+        'escalation.unassigned': 'Unassigned',
+        'email.syncProblemsSubject': 'Changes Not Applied When Updating Task Sheets from Reminder Docs',
+        'email.syncConflictsAdded': '{count} change(s) in reminder Docs conflicted with the task sheets and were not written. They are listed in the "{sheetName}" sheet: {url}\nResolve them one by one from Custom Menu > TASK SHEETS > Resolve Sync Conflicts.',
+        'email.editsRejected': 'The following edits in reminder Docs were not written to the task sheets. Correct them in the task sheets if they are still needed.',
+        'email.rejectedTask': '{item} in {sheetName}',
+        'email.rejectedTaskWithId': '{item} (ID: {taskId}) in {sheetName}',
+        'email.rejectedEdit.invalidDate': '- {task}: {field} "{value}" is not a valid date.',
+        'email.rejectedEdit.notAllowed': '- {task}: {field} "{value}" is not allowed in the {field} column.',
+        'chat.counts.one': '{total} task: {overdue} overdue, {dueToday} due today, {upcoming} upcoming',
+        'chat.counts.other': '{total} tasks: {overdue} overdue, {dueToday} due today, {upcoming} upcoming',
+        'chat.highPriorityOverdue': ' ({count} high-priority overdue)',
+        'chat.daysOverdue.one': '{count} day overdue',
+        'chat.daysOverdue.other': '{count} days overdue',
+        'chat.overdue': 'Overdue',
+        'chat.moreOverdue': '...and {count} more overdue',
+        'chat.links': 'Links',
+        'chat.taskSheets': 'Task sheets',
+        'chat.openDoc': 'Open reminder Doc',
+        'preview.notice': 'This is a preview. No email or chat message is sent and the reminder Docs are not changed.',
+        'preview.summary': '{emails} email(s) and {chats} chat message(s) would be sent.',
+        'preview.noTasks': 'There are no tasks to remind, so nothing would be sent.',
+        'preview.to': 'To',
+        'preview.subject': 'Subject',
+        'preview.docTitle': 'Doc title',
+        'preview.email': 'Email',
+        'preview.chat': 'Chat message to the webhook of {email}',
+        'preview.escalation': 'Overdue escalation',
+        'preview.status.ready': 'Would be sent.',
+        'preview.status.docNotSet': 'The Google Doc is not set, so a failure notice would be emailed.',
+        'preview.status.alreadySent': 'Already sent today, so it would be skipped.',
+        'preview.status.nonWorkingDay': 'Today is not a working day, so it would be skipped.',
+        'preview.status.byPreferences': 'Sent at the hour in the preferences of the staff member instead.',
+        'preview.status.settingMissing': 'Emails or Google Doc URLs are not set, so an error email would be sent to you.'
+    },
+    ja: {
+        // Custom menu
+        'menu.custom': 'カスタムメニュー',
+        'menu.settings': '設定',
+        'menu.setPreDefinedInfo': '事前情報を設定',
+        'menu.resetAll': 'すべての事前情報とトリガーをリセット',
+        'menu.updateIndexSheets': 'インデックスシートを更新してタスクシートを並べ替え',
+        'menu.taskSheets': 'タスクシート',
+        'menu.createTaskSheet': '新しいタスクシートを作成',
+        'menu.createFromTemplate': 'テンプレートからタスクシートを作成',
+        'menu.saveAsTemplate': '現在のシートをテンプレートとして保存',
+        'menu.modifyEditors': '現在のシートの編集者を変更',
+        'menu.reopenTaskSheet': '現在の完了済みシートを再開',
+        'menu.archiveCompletedSheets': '古い完了済みシートをアーカイブ',
+        'menu.resolveSyncConflicts': '同期の競合を解決',
+        'menu.viewActivityLog': 'アクティビティログを表示',
+        'menu.preview': 'プレビュー',
+        'menu.previewGeneralToday': '本日の全体リマインダーをプレビュー',
+        'menu.previewGeneralWeek': '来週の全体リマインダーをプレビュー',
+        'menu.previewStaffBasedToday': '本日のスタッフ別リマインダーをプレビュー',
+        'menu.previewStaffBasedWeek': '来週のスタッフ別リマインダーをプレビュー',
+        'menu.test': 'テスト',
+        'menu.sendGeneralToday': '本日の全体リマインダーを送信',
+        'menu.sendGeneralWeek': '来週の全体リマインダーを送信',
+        'menu.sendStaffBasedToday': '本日のスタッフ別リマインダーを送信',
+        'menu.sendStaffBasedWeek': '来週のスタッフ別リマインダーを送信',
+        'menu.updateCompletionStatus': '完了状況を更新',
+        'menu.viewReminderHistory': 'リマインダー履歴を表示',
+        'menu.beforeFirstUse': '初回利用前',
+        'menu.authorize': '承認を実行',
+        'menu.returnToOriginalFormat': '初期状態に戻す',
+
+        // Titles of dialogs
+        'dialog.settingLists': '設定一覧',
+        'dialog.indexSheet': 'インデックスシート情報',
+        'dialog.taskSheetSchema': 'タスクシートの列',
+        'dialog.workingCalendar': '営業日と休日',
+        'dialog.staffInfo': 'スタッフ情報一覧',
+        'dialog.updateStaffNames': 'スタッフ名の更新',
+        'dialog.emailFormat': 'リマインダーメールの形式',
+        'dialog.reminderTemplates': 'リマインダーテンプレート',
+        'dialog.locale': '言語',
+        'dialog.overdueEscalation': '期限超過のエスカレーション',
+        'dialog.activityLogRetention': 'アクティビティログの保存期間',
+        'dialog.autoCompletion': 'タスクシートの自動完了',
+        'dialog.sheetArchive': '完了済みタスクシートのアーカイブ',
+        'dialog.createFromTemplate': 'テンプレートからタスクシートを作成',
+        'dialog.templateRoles': 'テンプレートの役割の担当者',
+        'dialog.generalReminderEmails': 'チェックしたスタッフに全体リマインダーメールが送信されます。',
+        'dialog.designatedStaff': 'チェックした各スタッフにスタッフ別リマインダーメールが送信されます。',
+        'dialog.reminderUrls': 'リマインダーのURLを設定',
+        'dialog.reminderProfiles': 'カスタムリマインダープロファイル',
+        'dialog.activityLog': 'アクティビティログ',
+        'dialog.reminderHistory': 'リマインダー履歴',
+        'dialog.syncConflicts': '同期の競合を解決',
+        'dialog.chooseEditors': '編集者にするスタッフを選択',
+        'dialog.modifyEditors': '{sheetName}の編集者を変更',
+
+        // Message boxes
+        'message.proceedToAnotherSetting': '{description} 続けて別の設定を行いますか？',
+        'message.retrySetting': '{description} もう一度設定してください。',
+        'message.returnedToOriginalFormat': '初期状態に戻しました（「New Sheet」以外のシートを削除／事前情報をリセット／設定済みのトリガーを削除）。',
+        'message.inputStaffName': '次のメールアドレスの名前を入力してください：{email}',
+        'message.staffNameInputCancelled': '名前の入力がキャンセルされました。担当者情報の設定をやり直してください。',
+        'message.staffNameInUse': '名前「{name}」はすでに使われています。別の名前を入力してください。',
+        'message.confirmResetAll': 'すべての事前情報とトリガーを本当にリセットしますか？',
+        'message.resetCancelled': 'リセットはキャンセルされました。',
+        'message.resetAllDone': 'すべての事前情報とトリガーをリセットしました。',
+        'message.noOpenSyncConflicts': '未解決の同期の競合はありません。',
+        'message.errorOccurred': '次のエラーが発生しました：{message}\nスタックトレース：\n{stack}',
+        'message.inputSheetName': 'シート名を入力してください（例：カテゴリー名: タスク名）※半角の「:」とスペースを含めてください',
+        'message.invalidSheetName': 'シート名が「カテゴリー名: タスク名」の形式になっていません。もう一度入力してください。',
+        'message.sheetNameInputCancelled': 'シート名の入力がキャンセルされました。',
+        'message.inputRowNum': '担当者のプルダウンを設定する行数を入力してください',
+        'message.sheetNameMissingColon': '入力されていないか、半角の「 : 」が含まれていません。もう一度入力してください。',
+        'message.sheetNameExists': 'そのシート名はすでに存在します。別の名前を入力してください。',
+        'message.notANumber': '入力された値が数値ではありません。もう一度入力してください。',
+        'message.nonEditorEmails': '次のメールアドレスはスプレッドシートの編集者ではありません：{emails}。処理を中止しました。',
+        'message.sheetCreated': '新しいシート{sheetName}を作成しました。',
+        'message.notTaskSheet': '{sheetName}にはタスクシートの見出しがありません。見出し行を確認してもう一度実行してください。',
+        'message.editorsModified': '{sheetName}の編集者を変更しました。',
+        'message.sheetNotCompleted': '{sheetName}は完了済みのタスクシートではありません。',
+        'message.sheetReopened': '{sheetName}を再開し、進行中のタスクのインデックスに戻しました。',
+        'message.confirmArchive': '完了してから{retentionDays}日より経過した完了済みタスクシートを、完了した年のアーカイブ用スプレッドシートにコピーし、このスプレッドシートから削除します。続けますか？',
+        'message.sheetsArchived': '{count}件の完了済みタスクシートをアーカイブしました。完了済みタスクのインデックスからリンクしています。',
+        'message.archiveContinues': '一度にアーカイブできないシートがあるため、バックグラウンドでアーカイブを続けます。',
+        'message.archiveNotAllowed': '「Archived Task Sheets」シートは保護されているため、完了済みタスクシートをアーカイブできるのはスプレッドシートのオーナーだけです。',
+        'message.noTemplates': 'タスクシートのテンプレートがまだありません。先にタスクシートを開いて「現在のシートをテンプレートとして保存」を実行してください。',
+        'message.templateNotFound': 'テンプレート{templateName}が見つかりません。',
+        'message.startDateInvalid': '開始日が正しくありません。日付を選んでもう一度お試しください。',
+        'message.sheetCreatedFromTemplate': 'テンプレート{templateName}から{count}件のタスクを含む新しいシート{sheetName}を作成しました。',
+        'message.inputTemplateName': 'テンプレートの名前を入力してください（例：入社手続き）。「 : 」は含めないでください。',
+        'message.invalidTemplateName': 'テンプレートの名前が空か「 : 」を含んでいます。もう一度お試しください。',
+        'message.confirmReplaceTemplate': 'テンプレート{templateName}はすでにあります。このシートのタスクで置き換えますか？',
+        'message.templateSaved': 'テンプレート{templateName}を{count}件のタスクで保存しました。テンプレートは非表示のシートに保存されており、編集するには［表示］＞［非表示のシート］から表示してください。',
+        'message.executionError': '操作は{action}でしたが、シートの作成も編集者の変更も実行されませんでした。コードを確認してもう一度実行してください。',
+
+        // Results of the settings
+        'setting.indexSheetSet': 'インデックスシート情報を設定しました。',
+        'setting.indexSheetFailed': 'インデックスシート情報を設定できませんでした。',
+        'setting.taskSheetSchemaInvalid': 'タスクシートの列の見出し名は、すべて入力し、互いに異なるものにしてください。',
+        'setting.taskSheetSchemaSet': 'タスクシートの列の見出し名を設定しました。',
+        'setting.taskSheetSchemaFailed': 'タスクシートの列の見出し名を設定できませんでした。',
+        'setting.workingWeekdayMissing': '営業日の曜日を1つ以上選択してください。',
+        'setting.holidaySheetMissing': 'ICSファイルを取り込むには休日シート名を入力してください。',
+        'setting.workingCalendarSet': '営業日と休日を設定しました。',
+        'setting.workingCalendarFailed': '営業日と休日を設定できませんでした。',
+        'setting.showUpdatedStaffFailed': '更新したスタッフ情報の一覧を表示できませんでした。',
+        'setting.emailFormatMissing': 'メールの形式が選択されていません。',
+        'setting.emailFormatSet': 'リマインダーメールは次の形式で送信されます：{format}。',
+        'setting.emailFormatFailed': 'リマインダーメールの形式を設定できませんでした。',
+        'setting.reminderTemplatesInvalid': 'リマインダーテンプレートが正しくありません：{description}',
+        'setting.reminderTemplatesSet': 'リマインダーテンプレートを設定しました。',
+        'setting.reminderTemplatesFailed': 'リマインダーテンプレートを設定できませんでした。',
+        'setting.localeMissing': '言語が選択されていません。',
+        'setting.localeSet': '言語を{language}に設定しました。',
+        'setting.localeFailed': '言語を設定できませんでした。',
+        'setting.managerEmailInvalid': '管理者のメールアドレスが正しくありません。',
+        'setting.thresholdDaysInvalid': '超過日数は0以上にしてください。',
+        'setting.overdueEscalationSet': '期限を{thresholdDays}日より多く超過したタスクは{managerEmail}にエスカレーションされます。',
+        'setting.overdueEscalationFailed': '期限超過のエスカレーションを設定できませんでした。',
+        'setting.retentionDaysInvalid': 'アクティビティログの保存日数は1以上にしてください。',
+        'setting.activityLogRetentionSet': 'アクティビティログは{retentionDays}日間保存されます。',
+        'setting.activityLogRetentionFailed': 'アクティビティログの保存期間を設定できませんでした。',
+        'setting.autoCompletionOn': 'すべてのタスクが完了したタスクシートは、インデックスシートの更新時に完了済みになります。',
+        'setting.autoCompletionArchived': 'すべてのタスクが完了したタスクシートは、インデックスシートの更新時に完了済みになり、{archiveSpreadsheetName}にコピーされます。',
+        'setting.autoCompletionOff': 'タスクシートは名前を変更した場合のみ完了済みになります。',
+        'setting.archiveUrlInvalid': 'アーカイブ用のスプレッドシートを開けません。URLとアクセス権を確認してください。',
+        'setting.autoCompletionFailed': 'タスクシートの自動完了を設定できませんでした。',
+        'setting.sheetArchiveSet': '完了済みタスクシートは完了から{retentionDays}日後にアーカイブされます。',
+        'setting.archiveRetentionDaysInvalid': '日数は1以上の整数で入力してください。',
+        'setting.sheetArchiveFailed': '完了済みタスクシートのアーカイブを設定できませんでした。',
+        'setting.templateRolesInvalid': '次の担当者は担当者リストにありません：{staffNames}。',
+        'setting.templateRolesSet': 'テンプレートの役割の担当者を設定しました。',
+        'setting.templateRolesFailed': 'テンプレートの役割の担当者を設定できませんでした。',
+        'setting.showGeneralReminderStaffFailed': '全体リマインダーのスタッフ一覧を表示できませんでした。',
+        'setting.generalReminderEmailsSet': '全体リマインダーの送信先メールアドレスを設定しました。',
+        'setting.generalReminderEmailsFailed': '全体リマインダーの送信先メールアドレスを設定できませんでした。',
+        'setting.showDesignatedStaffFailed': 'スタッフ別リマインダーの対象スタッフ一覧を表示できませんでした。',
+        'setting.designatedStaffSet': 'スタッフ別リマインダーの対象スタッフを設定しました。',
+        'setting.designatedStaffFailed': 'スタッフ別リマインダーの対象スタッフを設定できませんでした。',
+        'setting.reminderPreferencesInvalid': 'リマインダーの受信設定が正しくありません：{descriptions}',
+        'setting.webhookUrlsInvalid': '正しくないチャットWebhook URLがあります：{urls}。Webhook URLはhttps://で始まる必要があります。',
+        'setting.reminderUrlsSet': 'リマインダー用GoogleドキュメントのURLを設定しました。',
+        'setting.reminderUrlsInvalid': '正しくないか重複しているURLがあります：{urls}。',
+        'setting.reminderUrlsFailed': 'リマインダー用GoogleドキュメントのURLを設定できませんでした。',
+        'setting.triggerSet': '{functionName}のトリガーを設定しました。',
+        'setting.triggerDeleted': '{functionName}のトリガーを削除しました。',
+        'setting.triggerNotFound': '{functionName}のトリガーは見つかりませんでした。',
+        'setting.profileDocUrlInvalid': '{name}のURLはGoogleドキュメントのものではありません。',
+        'setting.profileNameInvalid': 'プロファイル名は1～50文字の英数字、スペース、「-」、「_」で入力してください。',
+        'setting.profileNameReserved': '「{name}」は組み込みのリマインダーの名前のため使えません。',
+        'setting.lookAheadMissing': '対象期間が選択されていません。',
+        'setting.lookAheadDaysInvalid': '対象期間の日数は1以上にしてください。',
+        'setting.recipientsMissing': '宛先を1人以上選択してください。',
+        'setting.scheduleHourInvalid': '送信時刻は0～23の間にしてください。',
+        'setting.scheduleWeekdayInvalid': '送信する曜日が正しくありません。',
+        'setting.preferenceHourInvalid': '時刻は0～23の間にしてください。',
+        'setting.preferenceWeekdaysMissing': '曜日を1つ以上選択してください。',
+        'setting.preferenceFrequencyMissing': '頻度が選択されていません。',
+        'setting.preferenceChannelMissing': '送信方法が選択されていません。',
+        'setting.preferenceWebhookUrlInvalid': 'チャットのWebhook URLは https:// で始めてください。',
+        'setting.templateTextMissing': '{text}が入力されていません。',
+        'setting.templateTextEmpty': '{text}を空にすることはできません。',
+        'setting.templatePlaceholderNotAllowed': '{text}には{{{placeholder}}}を使えません。',
+        'setting.templateColumnLabelEmpty': '「{label}」列の見出しを空にすることはできません。',
+        'setting.templateColumnWidthInvalid': '「{label}」列の幅は20～500の間にしてください。',
+        'setting.templateColumnFontSizeInvalid': '「{label}」列のフォントサイズは6～24の間にしてください。',
+        'setting.templateColumnLabelsDuplicate': '表の列の見出しはそれぞれ異なるものにしてください。',
+        'setting.docUrlDuplicate': '{reminderName}のURLが重複しています',
+        'setting.docUrlNotDoc': '{reminderName}のURLはGoogleドキュメントのものではありません',
+        'setting.reminderProfileSet': 'リマインダープロファイル{name}とそのトリガーを設定しました。',
+        'setting.reminderProfileFailed': 'リマインダープロファイルを設定できませんでした。',
+        'setting.reminderProfileDeleted': 'リマインダープロファイル{name}とそのトリガーを削除しました。',
+        'setting.reminderProfileNotSet': 'リマインダープロファイル{name}は設定されていません。',
+        'setting.reminderProfilesReset': 'カスタムリマインダープロファイルをリセットしました。',
+        'setting.propertyReset': '{settingType}をリセットしました。',
+        'setting.propertyNotSet': '{settingType}は設定されていません。',
+
+        // Lists of Settings
+        'settings.type': '種類',
+        'settings.description': '説明',
+        'settings.action': '操作',
+        'settings.set': '設定',
+        'settings.update': '更新',
+        'settings.reset': 'リセット',
+        'settings.delete': '削除',
+        'settings.generalSetting': '全般設定',
+        'settings.eachReminder': 'リマインダーの種類ごとの設定',
+        'settings.generalReminder': '全体リマインダーの設定：指定したスタッフに未完了のすべてのタスクをリマインドします',
+        'settings.staffBasedReminder': 'スタッフ別リマインダーの設定：指定した各スタッフに、その人が担当する未完了のタスクを個別にリマインドします。',
+        'settings.reminderProfiles': 'カスタムリマインダープロファイル：翌2営業日、今月、期限超過のみなど、任意の期間の未完了タスクを指定したスタッフにリマインドします。',
+        'settings.others': 'その他',
+        'settings.dailyTriggerDetails': '【トリガーの詳細】時間主導型／日付ベースのタイマー／午前8時／営業日のみ',
+        'settings.weeklyTriggerDetails': '【トリガーの詳細】時間主導型／週ベースのタイマー／毎週金曜日／午後4時',
+        'settings.hourlyTriggerDetails': '【トリガーの詳細】時間主導型／時間ベースのタイマー／1時間ごと',
+        'settings.completionTriggerDetails': '【トリガーの詳細】時間主導型／日付ベースのタイマー／午後5時',
+        'settings.archiveTriggerDetails': '【トリガーの詳細】時間主導型／週ベースのタイマー／毎週日曜日／午前2時',
+        'settings.currentProfiles': '【現在のプロファイル】{names}',
+        'settings.none': 'なし',
+        'settings.indexSheets.type': 'インデックスシート',
+        'settings.indexSheets.description': 'インデックスシート（進行中と完了済みのタスク用）のシート名などの情報を設定します。',
+        'settings.taskSheetSchema.type': 'タスクシートの列',
+        'settings.taskSheetSchema.description': 'タスクシートの項目・概要・期日・担当者・優先度・繰り返し・完了・コメント・タスクIDの列を見分ける見出し名を設定します。列は見出しで探すため、他の列を自由に挿入できます。',
+        'settings.workingCalendar.type': '営業日と休日',
+        'settings.workingCalendar.description': '営業する曜日と休日を一覧にしたシートを設定します（休日はICSファイルから取り込めます）。本日のリマインダーは営業日以外には送信されず、来週のリマインダーは次の5営業日を対象にします。',
+        'settings.emailFormat.type': 'リマインダーメールの形式',
+        'settings.emailFormat.description': 'リマインダーメールをGoogleドキュメントへのリンクのみ（既定）にするか、スマートフォンでも読みやすいようにメール本文にもタスクの表を表示するかを選びます。',
+        'settings.reminderTemplates.type': 'リマインダーテンプレート',
+        'settings.reminderTemplates.description': 'リマインダーのメールの件名、ドキュメントのタイトル、冒頭の文、メール本文を{{reminderName}}や{{date}}などのプレースホルダーを使って変更し、ドキュメントの表の列の見出し・幅・文字サイズを設定します。編集中はサンプルデータでプレビューが表示されます。',
+        'settings.locale.type': '言語',
+        'settings.locale.description': 'カスタムメニュー、ダイアログ、リマインダーのドキュメントとメールの言語を選びます。スタッフ別リマインダーでは「スタッフ別リマインダー用のGoogleドキュメント」でスタッフごとに言語を設定することもできます。',
+        'settings.staff.type': 'このスプレッドシートのスタッフ',
+        'settings.staff.description': 'このGoogleスプレッドシートのスタッフ情報（名前とメールアドレス）を設定します。',
+        'settings.generalReminderEmails.type': '全体リマインダーのスタッフ',
+        'settings.generalReminderEmails.description': '全体リマインダーを受け取るスタッフのメールアドレスを指定します。',
+        'settings.generalReminderDocs.type': '全体リマインダー用のGoogleドキュメント',
+        'settings.generalReminderDocs.description': '全体リマインダーを表示するGoogleドキュメントのURLです。',
+        'settings.generalReminderWebhooks.type': '全体リマインダー用のチャットWebhook',
+        'settings.generalReminderWebhooks.description': '全体リマインダーを、タスク数・期限超過のタスク・リンクを含むカードとしても投稿するGoogle ChatまたはSlack互換スペースの受信WebhookのURLです。Googleドキュメントと同じダイアログで設定します。',
+        'settings.generalTodayTrigger.type': '本日の全体リマインダーのトリガー',
+        'settings.generalTodayTrigger.description': '期日が本日以前の未完了タスクをすべて表示するリマインダーをGmail／Googleドキュメントで送るトリガーを設定します。',
+        'settings.generalWeekTrigger.type': '来週の全体リマインダーのトリガー',
+        'settings.generalWeekTrigger.description': '期日が次の5営業日以内またはそれ以前の未完了タスクをすべて表示するリマインダーをGmail／Googleドキュメントで送るトリガーを設定します。',
+        'settings.designatedStaff.type': 'スタッフ別リマインダーのスタッフ',
+        'settings.designatedStaff.description': 'スタッフ別リマインダーのメールを受け取るスタッフを指定します。',
+        'settings.staffBasedReminderDocs.type': 'スタッフ別リマインダー用のGoogleドキュメント',
+        'settings.staffBasedReminderDocs.description': 'スタッフごとのリマインダーを表示するGoogleドキュメントのURLと、必要に応じて各スタッフがリマインダーを受け取る時刻・曜日・頻度・チャネル・言語を設定します。',
+        'settings.staffBasedTodayTrigger.type': '本日のスタッフ別リマインダーのトリガー',
+        'settings.staffBasedTodayTrigger.description': '期日が本日以前の各スタッフの未完了タスクをすべて表示するリマインダーをGmail／Googleドキュメントで送るトリガーを設定します。',
+        'settings.staffBasedWeekTrigger.type': '来週のスタッフ別リマインダーのトリガー',
+        'settings.staffBasedWeekTrigger.description': '期日が次の5営業日以内またはそれ以前の各スタッフの未完了タスクをすべて表示するリマインダーをGmail／Googleドキュメントで送るトリガーを設定します。',
+        'settings.dispatcherTrigger.type': 'スタッフの受信設定のトリガー',
+        'settings.dispatcherTrigger.description': '「スタッフ別リマインダー用のGoogleドキュメント」で受信設定をしたスタッフに、その時刻・曜日・頻度に当たるリマインダーをそのチャネルで送るトリガーを設定します。これらのスタッフには上の2つのトリガーからはリマインダーが送られません。',
+        'settings.reminderProfiles.type': 'リマインダープロファイル',
+        'settings.reminderProfiles.description': '対象期間、Googleドキュメント、受信者、トリガーのスケジュールをそれぞれに持つ名前付きのリマインダーを設定します。',
+        'settings.completionTrigger.type': 'タスクの完了状況を更新するトリガー',
+        'settings.completionTrigger.description': 'リマインダーのドキュメントの完了状況をスプレッドシートに反映します（未チェックからチェック済みへ）。',
+        'settings.overdueEscalation.type': '期限超過のエスカレーション',
+        'settings.overdueEscalation.description': '設定した日数より長く期限を超過したタスクをメールでエスカレーションする管理者を設定します。メールは営業日ごとに1回、その日最初に共有されるリマインダーと一緒に送られます。',
+        'settings.activityLogRetention.type': 'アクティビティログの保存期間',
+        'settings.activityLogRetention.description': 'タスクの変更、作成したタスクシート、変更した編集者、スクリプトが送信したメールを記録するアクティビティログシートの保存日数を設定します。設定しない場合は1年間保存されます。',
+        'settings.sheetArchive.type': '完了済みタスクシートのアーカイブ',
+        'settings.sheetArchive.description': '完了済みタスクシートをこのスプレッドシートに残す日数を設定します。それより古いシートは書式ごと完了した年のアーカイブ用スプレッドシートにコピーされ、このスプレッドシートから削除されます。完了済みタスクのインデックスにはリンクが残ります。設定しない場合は90日間残します。',
+        'settings.archiveTrigger.type': '完了済みタスクシートをアーカイブするトリガー',
+        'settings.archiveTrigger.description': '上で設定した日数より古い完了済みタスクシートを、「タスクシート」の「古い完了済みシートをアーカイブ」と同じようにアーカイブするトリガーを設定します。',
+        'settings.autoCompletion.type': 'タスクシートの自動完了',
+        'settings.autoCompletion.description': 'すべてのタスクにチェックが入ったタスクシートを、インデックスシートの更新時に完了済みにするかを設定します。名前に完了フラグを付け、タブを末尾に移動し、編集者を削除し、必要に応じてアーカイブ用のスプレッドシートにコピーします。「タスクシート」の「現在の完了済みシートを再開」で元に戻せます。',
+        'settings.templateRoles.type': 'テンプレートの役割の担当者',
+        'settings.templateRoles.description': 'テンプレートからタスクシートを作成するときに、テンプレートの各役割のタスクに割り当てる担当者を設定します。設定しない場合、担当者名と同じ役割はその担当者に割り当てられます。',
+
+        // Language dialog
+        'locale.heading': '言語の設定',
+        'locale.instruction': 'カスタムメニュー、ダイアログ、リマインダーのドキュメントとメールの言語を選んでください。カスタムメニューは次にスプレッドシートを開いたときに新しい言語で表示されます。',
+        'locale.save': '設定を保存',
+        'locale.staffDefault': 'スプレッドシートと同じ',
+        'locale.staffLabel': 'リマインダーの言語',
+
+        // Buttons shared by dialogs
+        'common.saveSettings': '設定を保存',
+        'common.submit': '送信',
+
+        // Activity Log dialog
+        'activityLog.heading': 'アクティビティログ',
+        'activityLog.viewLimit': '最新の{viewLimit}件を新しい順に表示しています。',
+        'activityLog.openSheet': 'すべての記録はアクティビティログのシートにあります。',
+        'activityLog.staff': '担当者',
+        'activityLog.allStaff': 'すべての担当者',
+        'activityLog.sheet': 'シート',
+        'activityLog.allSheets': 'すべてのシート',
+        'activityLog.filter': '絞り込む',
+        'activityLog.noEntries': '記録が見つかりませんでした。',
+        'activityLog.timestamp': '日時',
+        'activityLog.actor': '実行者',
+        'activityLog.action': '操作',
+        'activityLog.targetSheet': '対象のシート',
+        'activityLog.targetRow': '対象の行',
+        'activityLog.before': '変更前',
+        'activityLog.after': '変更後',
+
+        // Activity Log Retention dialog
+        'activityLogRetention.heading': 'アクティビティログの保存期間',
+        'activityLogRetention.instruction': 'アクティビティログのシートには、スクリプトによるタスクの変更、タスクシートの作成、編集者の変更、メールの送信が記録されます。下の日数より古い記録は、リマインダーの送信やインデックスシートの更新などの定期処理が終わるときに削除されます。',
+        'activityLogRetention.days': '記録の保存期間（日）',
+        'activityLogRetention.daysMissing': '日数を入力してください。',
+
+        // Overdue Escalation dialog
+        'overdueEscalation.heading': '期限超過のエスカレーションの設定',
+        'overdueEscalation.instruction': '下の日数を超えて期限を過ぎたタスクは、担当者、シート、超過日数とともにマネージャーへのメールに記載されます。メールは営業日ごとに1回、その日の最初のリマインダーが共有されるときに送信されます。',
+        'overdueEscalation.managerEmail': 'マネージャーのメールアドレス',
+        'overdueEscalation.thresholdDays': 'エスカレーションする期限超過の日数（この日数を超えたもの）',
+        'overdueEscalation.managerEmailMissing': 'マネージャーのメールアドレスを入力してください。',
+
+        // Reminder History dialog
+        'reminderHistory.heading': 'リマインダー履歴',
+        'reminderHistory.instruction': 'リマインダーは各宛先に1日1回だけ送信されます。それでも再送信する場合は、リマインダーを選んで「再送信」をクリックしてください。',
+        'reminderHistory.reminder': 'リマインダー',
+        'reminderHistory.sendAgain': '再送信',
+        'reminderHistory.viewLimit': '最新の{viewLimit}件の送信を新しい順に表示しています。',
+        'reminderHistory.noDeliveries': 'まだリマインダーは送信されていません。',
+        'reminderHistory.sent': '送信日時',
+        'reminderHistory.target': '対象',
+        'reminderHistory.recipient': '宛先',
+        'reminderHistory.subject': '件名',
+        'reminderHistory.result': '結果',
+        'reminderHistory.details': '詳細',
+        'reminderHistory.generalToday': '本日の全体リマインダー',
+        'reminderHistory.generalWeek': '来週の全体リマインダー',
+        'reminderHistory.staffBasedToday': '本日のスタッフ別リマインダー',
+        'reminderHistory.staffBasedWeek': '来週のスタッフ別リマインダー',
+        'reminderHistory.resent': '履歴にかかわらず{reminderName}を再実行しました。送信結果は下の一覧のとおりです。',
+
+        // Reminder Templates dialog
+        'reminderTemplates.heading': 'リマインダーテンプレートの設定',
+        'reminderTemplates.instruction': 'リマインダーの文面を編集します。{{name}}と書いたプレースホルダーは、リマインダーの送信時に置き換えられます。導入文は、完了したタスクに「C」を入力するリマインダーのドキュメントの先頭に表示されます。空にすると導入文は表示されません。',
+        'reminderTemplates.text.subject': 'メールの件名',
+        'reminderTemplates.text.docTitle': 'ドキュメントのタイトル',
+        'reminderTemplates.text.introText': 'ドキュメントの導入文',
+        'reminderTemplates.text.emailBody': 'メールの本文',
+        'reminderTemplates.placeholder.reminderName': 'リマインダーの名前（例：「本日の全体リマインダー」「Akiさんの本日のリマインダー」）',
+        'reminderTemplates.placeholder.staffName': 'リマインダーの対象のスタッフ（スタッフ別リマインダーのみ）',
+        'reminderTemplates.placeholder.date': 'リマインダーを送信する日付（例：「2024年1月10日(水)」）',
+        'reminderTemplates.placeholder.taskCount': 'リマインダーのタスクの数',
+        'reminderTemplates.placeholder.overdueCount': 'リマインダーの期限超過のタスクの数',
+        'reminderTemplates.placeholder.highPriorityOverdueCount': 'リマインダーの優先度の高い期限超過のタスクの数',
+        'reminderTemplates.placeholder.docUrl': 'リマインダーのドキュメントのURL',
+        'reminderTemplates.placeholder.docLink': '「こちら」と表示されるリマインダーのドキュメントへのリンク（メールの本文のみ）',
+        'reminderTemplates.columns': 'リマインダーのドキュメントの表の列',
+        'reminderTemplates.column': '列',
+        'reminderTemplates.label': 'ラベル',
+        'reminderTemplates.width': '幅',
+        'reminderTemplates.completionWidth': '幅（「完了」列ありの場合）',
+        'reminderTemplates.fontSize': 'フォントサイズ',
+        'reminderTemplates.preview': 'プレビュー（サンプルデータ）',
+        'reminderTemplates.previewSubject': 'メールの件名：{subject}',
+        'reminderTemplates.previewDocTitle': 'ドキュメントのタイトル：{docTitle}',
+
+        // Sync Conflict dialog
+        'syncConflict.heading': '同期の競合（未解決{openCount}件）',
+        'syncConflict.instruction': 'ドキュメントの作成後にタスクシートも変更されていたため、リマインダーのドキュメントでのこの変更は書き込まれませんでした。残す値を選んでください。',
+        'syncConflict.taskSheet': 'タスクシート',
+        'syncConflict.item': '項目',
+        'syncConflict.field': '列',
+        'syncConflict.docValue': 'ドキュメントの値',
+        'syncConflict.sheetValue': 'シートの値',
+        'syncConflict.reminderDoc': 'リマインダーのドキュメント',
+        'syncConflict.openDoc': 'ドキュメントを開く',
+        'syncConflict.applyDocValue': 'ドキュメントの値を反映',
+        'syncConflict.keepSheetValue': 'シートの値を残す',
+        'syncConflict.notFound': '競合が見つからないか、すでに解決されています。',
+        'syncConflict.resolved': '{item}の{field}：{status}。',
+        'syncConflict.rowNotFound': '{sheetName}に{item}が見つからないため、ドキュメントの値を反映できません。',
+        'syncConflict.cannotApply': '{field}のドキュメントの値は反映できません。',
+        'syncConflict.invalidDate': '「{value}」は有効な日付ではありません。',
+        'syncConflict.notAllowed': '「{value}」は{field}列に入力できません。',
+
+        // Page of the "Mark complete" links
+        'completionPage.confirmHeading': 'タスクの完了',
+        'completionPage.completedHeading': 'タスクが完了しました',
+        'completionPage.notCompletedHeading': 'タスクは完了していません',
+        'completionPage.markComplete': '完了にする',
+        'completionPage.closePage': 'このページは閉じてかまいません。',
+        'completionPage.confirm': '{item}を完了にしますか？',
+        'completionPage.notFromEmail': 'このページはリマインダーメールのリンクからのみ開けます。',
+        'completionPage.invalid': 'このリンクは無効です。最新のリマインダーメールのリンクを使ってください。',
+        'completionPage.expired': 'このリンクは有効期限が切れています。最新のリマインダーメールのリンクを使ってください。',
+        'completionPage.sheetNotFound': 'タスクシートが見つかりませんでした。削除された可能性があります。',
+        'completionPage.taskNotFound': '{sheetName}に{item}が見つかりませんでした。行が削除された可能性があります。',
+        'completionPage.alreadyCompleted': '{sheetName}の{item}はすでに完了しています。',
+        'completionPage.completed': '{sheetName}の{item}を完了にしました。',
+
+        // Automatic Completion dialog
+        'autoCompletion.heading': 'タスクシートの自動完了',
+        'autoCompletion.instruction': 'インデックスシートの更新時に、すべてのタスクにチェックが入ったタスクシートには完了フラグが付き、スプレッドシートの末尾に移動され、オーナーのみが編集できるようになります。タスクシートメニューの「現在の完了済みシートを再開」で元に戻せます。',
+        'autoCompletion.enabled': 'タスクシートを自動で完了にする',
+        'autoCompletion.archiveSpreadsheetUrl': 'アーカイブ用スプレッドシートのURL（任意）',
+
+        // Archive of Completed Task Sheets dialog and archive spreadsheets
+        'sheetArchive.heading': '完了済みタスクシートのアーカイブ',
+        'sheetArchive.instruction': '完了してから下の日数より長く経った完了済みタスクシートは、完了した年のアーカイブ用スプレッドシートに書式ごとコピーされ、このスプレッドシートから削除されます。完了済みタスクのインデックスには、アーカイブしたコピーへのリンクが残ります。',
+        'sheetArchive.days': '完了済みシートの保存期間（日）',
+        'sheetArchive.daysMissing': '日数を入力してください。',
+        'sheetArchive.spreadsheetName': '{spreadsheetName} アーカイブ {year}',
+        'sheetArchive.archivedFrom': '{year}年に完了し、次のスプレッドシートからアーカイブされたタスクシート：',
+
+        // Create from Template and Default Staff of Template Roles dialogs
+        'templateChoice.template': 'テンプレート',
+        'templateChoice.sheetName': 'シート名（例：カテゴリ名: タスク名）',
+        'templateChoice.sheetNamePlaceholder': '人事: Danaの入社手続き',
+        'templateChoice.startDate': '開始日',
+        'templateChoice.editors': '編集者',
+        'templateRoles.heading': 'テンプレートの役割の担当者',
+        'templateRoles.instruction': 'テンプレートからタスクシートを作成すると、下の各役割のタスクは選択した担当者に割り当てられます。担当者を選択していない役割は同じ名前のスタッフに割り当てられ、該当するスタッフがいなければ未割り当てになります。',
+        'templateRoles.noRoles': '役割のあるテンプレートはまだありません。先にテンプレートシートの「Role」列を入力してください。',
+        'templateRoles.role': '役割',
+        'templateRoles.staff': '担当者',
+
+        // Entries of the index sheets
+        'index.open': '未完了 {open}/{total}',
+        'index.nextDue': '次の期限 {date}',
+        'index.overdue': '期限切れ {count}件',
+        'index.archived': 'アーカイブ {date}',
+        'index.dateFormat': 'yyyy/M/d',
+
+        // Dashboard sheet
+        'dashboard.title': 'プロジェクトダッシュボード',
+        'dashboard.updated': '更新日時',
+        'dashboard.byCategory': 'カテゴリ別',
+        'dashboard.byTaskSheet': 'タスクシート別',
+        'dashboard.byStaff': '担当者別',
+        'dashboard.staffChart': '担当者別の未完了・期限切れタスク',
+        'dashboard.categoryChart': 'カテゴリ別の進捗',
+        'dashboard.unassigned': '未割り当て',
+        'dashboard.column.category': 'カテゴリ',
+        'dashboard.column.taskSheets': 'タスクシート数',
+        'dashboard.column.taskSheet': 'タスクシート',
+        'dashboard.column.staff': '担当者',
+        'dashboard.column.total': '合計',
+        'dashboard.column.open': '未完了',
+        'dashboard.column.completed': '完了',
+        'dashboard.column.overdue': '期限切れ',
+        'dashboard.column.percentComplete': '完了率',
+        'dashboard.column.nextDue': '次の期限',
+
+        // Reminders
+        'reminder.generalToday': '本日の全体リマインダー',
+        'reminder.generalWeek': '来週の全体リマインダー',
+        'reminder.staffBasedToday': '{staffName}さんの本日のリマインダー',
+        'reminder.staffBasedWeek': '{staffName}さんの来週のリマインダー',
+        'reminder.profile': '{name}リマインダー',
+        'section.overdue': '期限超過',
+        'section.dueToday': '本日期限',
+        'section.upcoming': '今後の予定',
+        'email.docLink': 'こちら',
+        'email.markComplete': '完了にする',
+        'email.highPriorityOverdue.one': '優先度の高い項目が{count}件期限を超過しています。',
+        'email.highPriorityOverdue.other': '優先度の高い項目が{count}件期限を超過しています。',
+        'email.noHighPriorityOverdue': '期限を超過している優先度の高い項目はありません。',
+        'email.docNotSet': '{reminderName}を表示するGoogleドキュメントが設定されていません。{spreadsheetLink}のカスタムメニューから設定を開き、ドキュメントのURLを設定してください。',
+        'email.thisSpreadsheet': 'このスプレッドシート',
+        'email.plainMarkComplete': '  完了にする：{url}',
+        'email.plainReminderDoc': 'リマインダーのドキュメント：{url}',
+        'email.settingMissingSubject': 'リマインダー共有時のエラー（本日または来週）',
+        'email.settingMissingBody': 'メールアドレスやGoogleドキュメントのURLなどの必要な情報が設定されていません。カスタムメニューの「設定」から必要な設定を行ってください。',
+        'escalation.subject': '期限超過のエスカレーション（{date}）',
+        'escalation.intro': '次のタスクはエスカレーションの基準を超えて期限を超過しています。',
+        'escalation.staff': '担当者',
+        'escalation.item': '項目',
+        'escalation.sheet': 'シート',
+        'escalation.daysLate': '超過日数',
+        'escalation.unassigned': '未割り当て',
+        'email.syncProblemsSubject': 'リマインダーのドキュメントからタスクシートへの更新で反映されなかった変更',
+        'email.syncConflictsAdded': 'リマインダーのドキュメントでの{count}件の変更がタスクシートと競合したため、書き込まれませんでした。「{sheetName}」シートに一覧があります：{url}\nカスタムメニュー > タスクシート > 同期の競合を解決 から1件ずつ解決してください。',
+        'email.editsRejected': 'リマインダーのドキュメントでの次の編集はタスクシートに書き込まれませんでした。必要な場合はタスクシートで修正してください。',
+        'email.rejectedTask': '{sheetName}の{item}',
+        'email.rejectedTaskWithId': '{sheetName}の{item}（ID：{taskId}）',
+        'email.rejectedEdit.invalidDate': '- {task}：{field}の「{value}」は有効な日付ではありません。',
+        'email.rejectedEdit.notAllowed': '- {task}：{field}の「{value}」は{field}列に入力できません。',
+        'chat.counts.one': 'タスク{total}件：期限超過{overdue}件、本日期限{dueToday}件、今後{upcoming}件',
+        'chat.counts.other': 'タスク{total}件：期限超過{overdue}件、本日期限{dueToday}件、今後{upcoming}件',
+        'chat.highPriorityOverdue': '（優先度の高い期限超過{count}件）',
+        'chat.daysOverdue.one': '{count}日超過',
+        'chat.daysOverdue.other': '{count}日超過',
+        'chat.overdue': '期限超過',
+        'chat.moreOverdue': '…ほか期限超過{count}件',
+        'chat.links': 'リンク',
+        'chat.taskSheets': 'タスクシート',
+        'chat.openDoc': 'リマインダーのドキュメントを開く',
+        'preview.notice': 'これはプレビューです。メールやチャットのメッセージは送信されず、リマインダーのドキュメントも変更されません。',
+        'preview.summary': 'メール{emails}件とチャットのメッセージ{chats}件が送信されます。',
+        'preview.noTasks': 'リマインドするタスクがないため、何も送信されません。',
+        'preview.to': '宛先',
+        'preview.subject': '件名',
+        'preview.docTitle': 'ドキュメントのタイトル',
+        'preview.email': 'メール',
+        'preview.chat': '{email}のWebhookへのチャットのメッセージ',
+        'preview.escalation': '期限超過のエスカレーション',
+        'preview.status.ready': '送信されます。',
+        'preview.status.docNotSet': 'Googleドキュメントが設定されていないため、失敗の通知がメールで送信されます。',
+        'preview.status.alreadySent': '本日は送信済みのため、スキップされます。',
+        'preview.status.nonWorkingDay': '本日は営業日ではないため、スキップされます。',
+        'preview.status.byPreferences': 'スタッフの設定した時刻に送信されます。',
+        'preview.status.settingMissing': 'メールアドレスやGoogleドキュメントのURLが設定されていないため、エラーのメールがあなたに送信されます。'
+    }
+};
+
+/*
+Chat Notifications
+CHAT_OVERDUE_HIGHLIGHT_LIMIT: Maximum number of overdue tasks highlighted in the card posted to a chat webhook.
+*/
+const CHAT_OVERDUE_HIGHLIGHT_LIMIT = 5;
+
+/*
+Staff Reminder Preferences
+STAFF_REMINDER_FREQUENCIES: Staff-based reminders a staff member can choose to receive, with the label shown in the setting.
+    The weekly reminder is sent on the last of the selected weekdays.
+STAFF_REMINDER_CHANNELS: Channels a staff member can choose to receive staff-based reminders through, with the label shown in the setting.
+DEFAULT_STAFF_REMINDER_PREFERENCES: Preferences suggested in the setting for staff who have not chosen their own.
+*/
+const STAFF_REMINDER_FREQUENCIES = {
+    daily: "Daily (today's reminder)",
+    weekly: "Weekly (next week's reminder)",
+    both: 'Daily and weekly'
+};
+const STAFF_REMINDER_CHANNELS = {
+    doc: 'Email with a link to the Google Doc',
+    inline: 'Email with the tasks inline',
+    chat: 'Chat webhook'
+};
+const DEFAULT_STAFF_REMINDER_PREFERENCES = {
+    hour: 8,
+    weekdays: [1, 2, 3, 4, 5],
+    frequency: 'both',
+    channel: 'doc',
+    webhookUrl: ''
+};
+
+/*
+Sync Conflicts
+SYNC_CONFLICT_SHEET_NAME: Name of the sheet that lists the conflicts between edits in reminder Docs and changes in task sheets.
+DOC_SYNC_SNAPSHOT_SHEET_NAME: Name of the hidden sheet that holds the state of the tasks in each reminder Doc when it was created,
+    a row for each Doc, as the state of a Doc with many tasks is too large for script properties.
+SYNC_CONFLICT_HEADERS: Headers of the sync conflict sheet.
+SYNC_CONFLICT_STATUSES: Values of the "Status" column of the sync conflict sheet.
+*/
+const SYNC_CONFLICT_SHEET_NAME = 'Sync Conflicts';
+const DOC_SYNC_SNAPSHOT_SHEET_NAME = 'Doc Sync Snapshots';
+const SYNC_CONFLICT_HEADERS = ['Detected', 'Task Sheet', 'Task ID', 'Item', 'Field', 'Doc Value', 'Sheet Value', 'Reminder Doc', 'Status'];
+const SYNC_CONFLICT_STATUSES = {
+    open: 'Open',
+    docApplied: 'Doc value applied',
+    sheetKept: 'Sheet value kept'
+};
+
+/*
+Activity Log
+ACTIVITY_LOG_SHEET_NAME: Name of the sheet that records what the script did.
+ACTIVITY_LOG_HEADERS: Headers of the activity log sheet.
+DEFAULT_ACTIVITY_LOG_RETENTION_DAYS: Number of days entries are kept unless another period is set in the setting.
+ACTIVITY_LOG_VIEW_LIMIT: Maximum number of recent entries shown in the activity log dialog.
+*/
+const ACTIVITY_LOG_SHEET_NAME = 'Activity Log';
+const ACTIVITY_LOG_HEADERS = ['Timestamp', 'Actor', 'Action', 'Target Sheet', 'Target Row', 'Staff', 'Before', 'After'];
+const DEFAULT_ACTIVITY_LOG_RETENTION_DAYS = 365;
+const ACTIVITY_LOG_VIEW_LIMIT = 100;
+
+/*
+Reminder History
+REMINDER_HISTORY_SHEET_NAME: Name of the sheet that records each reminder email sent to each recipient.
+REMINDER_HISTORY_HEADERS: Headers of the reminder history sheet.
+REMINDER_DELIVERY_RESULTS: Values of the "Result" column of the reminder history sheet.
+REMINDER_HISTORY_VIEW_LIMIT: Maximum number of recent deliveries shown in the reminder history dialog.
+REMINDER_HISTORY_READ_ROWS: Number of rows read at a time when the deliveries of today are read backward from the last row.
+*/
+const REMINDER_HISTORY_SHEET_NAME = 'Reminder History';
+const REMINDER_HISTORY_HEADERS = ['Sent', 'Target', 'Reminder', 'Date', 'Recipient', 'Subject', 'Result', 'Details'];
+const REMINDER_DELIVERY_RESULTS = {
+    success: 'Success',
+    failure: 'Failure'
+};
+const REMINDER_HISTORY_VIEW_LIMIT = 100;
+const REMINDER_HISTORY_READ_ROWS = 200;
+
+/*
+Task Sheet Completion
+TASK_SHEET_COMPLETION_METADATA_KEY: Key of the developer metadata in which a task sheet completed automatically keeps its name, position,
+    editors and archive copy before completion, so that reopening it restores them.
+TASK_SHEET_REOPENED_METADATA_KEY: Key of the developer metadata that marks a reopened task sheet, which is not completed automatically again
+    until one of its tasks is open.
+TASK_SHEET_COMPLETED_TIME_METADATA_KEY: Key of the developer metadata that holds the time a task sheet was completed, from which its age is counted
+    for the archive. Sheets completed by renaming them get the time the index sheets or the archive first found them completed.
+*/
+const TASK_SHEET_COMPLETION_METADATA_KEY = 'TASK_SHEET_COMPLETION';
+const TASK_SHEET_REOPENED_METADATA_KEY = 'TASK_SHEET_REOPENED';
+const TASK_SHEET_COMPLETED_TIME_METADATA_KEY = 'TASK_SHEET_COMPLETED_TIME';
+
+/*
+Completed Sheet Archive
+DEFAULT_ARCHIVE_RETENTION_DAYS: Number of days completed task sheets stay in the spreadsheet before they are archived, unless set in the setting.
+ARCHIVED_TASK_SHEETS_SHEET_NAME: Name of the sheet that lists the archived task sheets, from which the completed task index links to them.
+ARCHIVED_TASK_SHEETS_HEADERS: Headers of the archived task sheets sheet, in the order of its columns.
+*/
+const DEFAULT_ARCHIVE_RETENTION_DAYS = 90;
+const ARCHIVED_TASK_SHEETS_SHEET_NAME = 'Archived Task Sheets';
+const ARCHIVED_TASK_SHEETS_HEADERS = ['Archived', 'Category', 'Task Sheet', 'Completed', 'Archive URL'];
+
+/*
+Task Sheet Templates
+TASK_SHEET_TEMPLATE_PREFIX: Prefix of the names of the hidden sheets that hold task sheet templates, followed by the name of the template.
+    Template names cannot include " : ", so that template sheets are never taken for task sheets.
+TASK_SHEET_TEMPLATE_HEADERS: Headers of a template sheet, in the order of its columns.
+TASK_SHEET_TEMPLATE_DUE_NOTE: Note added to the "Due" header of a template sheet to explain how due dates are written.
+TASK_SHEET_TEMPLATE_EXTRA_ROWS: Number of empty rows with dropdowns and checkboxes added below the tasks of a sheet created from a template.
+*/
+const TASK_SHEET_TEMPLATE_PREFIX = '【Template】';
+const TASK_SHEET_TEMPLATE_HEADERS = ['Item', 'Summary', 'Due', 'Role'];
+const TASK_SHEET_TEMPLATE_DUE_NOTE = 'Due dates relative to the start date chosen when a task sheet is created from this template:\n' +
+    '- Start\n' +
+    '- Start + 3 days\n' +
+    '- Start + 2 weeks\n' +
+    '- Start + 5 business days (days that are not working days are skipped)\n' +
+    'Tasks with an empty or unsupported Due have no date.';
+const TASK_SHEET_TEMPLATE_EXTRA_ROWS = 10;
+
+/*
+Index Sheets
+INDEX_DUE_SOON_DAYS: Number of days within which the next due date of a task sheet makes its index entry "due soon".
+INDEX_HEALTH_COLORS: Background of the index entry of a task sheet for each health: with overdue tasks, with a task due soon,
+    with open tasks that are not due soon, and with no open tasks left.
+INDEX_OVERDUE_MARKER: Marker written before the number of overdue tasks in an index entry.
+*/
+const INDEX_DUE_SOON_DAYS = 3;
+const INDEX_HEALTH_COLORS = {
+    overdue: '#F4CCCC',
+    dueSoon: '#FFF2CC',
+    onTrack: '#FFFFFF',
+    done: '#D9EAD3'
+};
+const INDEX_OVERDUE_MARKER = '⚠';
+
+/*
+Dashboard
+DASHBOARD_SHEET_NAME: Name of the sheet that updateAllTaskIndexSheets fills with the progress of each category, task sheet and staff member.
+DASHBOARD_CATEGORY_COLUMNS: Columns of the table of categories in the dashboard. The header of each column is the message 'dashboard.column.' + the column.
+DASHBOARD_TASK_SHEET_COLUMNS: Columns of the table of task sheets in the dashboard.
+DASHBOARD_STAFF_COLUMNS: Columns of the table of the workload of each staff member in the dashboard.
+DASHBOARD_UNASSIGNED_STAFF: Key under which open tasks without staff are counted. They are shown as the message 'dashboard.unassigned'.
+*/
+const DASHBOARD_SHEET_NAME = 'Dashboard';
+const DASHBOARD_CATEGORY_COLUMNS = ['category', 'taskSheets', 'total', 'open', 'completed', 'overdue', 'percentComplete', 'nextDue'];
+const DASHBOARD_TASK_SHEET_COLUMNS = ['category', 'taskSheet', 'total', 'open', 'completed', 'overdue', 'percentComplete', 'nextDue'];
+const DASHBOARD_STAFF_COLUMNS = ['staff', 'open', 'overdue'];
+const DASHBOARD_UNASSIGNED_STAFF = 'Unassigned';
+
+/*
+Batch Jobs
+BATCH_JOB_MAX_RUN_MILLIS: Time a batch job runs before it saves its progress and continues from a trigger, leaving a buffer before the 6-minute execution limit.
+BATCH_JOB_CONTINUATION_DELAY_MILLIS: Time after which the trigger continues a paused batch job.
+BATCH_JOB_EXECUTION_LIMIT_MILLIS: Maximum time an execution of Apps Script runs, after which a job marked as running is known to have stopped.
+BATCH_JOB_STALE_MILLIS: Time after which the saved progress of a batch job that has not continued is discarded and the job starts over.
+BATCH_JOB_LOCK_WAIT_MILLIS: Time to wait for another batch job to release the script lock.
+BATCH_JOB_PROPERTY_STATE_LIMIT: Maximum size in bytes of the progress kept in the script property, below the 9 KB limit of a property value.
+    Larger progress is written to the batch job state sheet.
+BATCH_JOB_STATE_SHEET_NAME: Name of the hidden sheet that holds the progress too large for script properties.
+BATCH_JOB_STATE_CELL_LENGTH: Length of the pieces the progress is split into in the state sheet, below the 50,000-character limit of a cell.
+*/
+const BATCH_JOB_MAX_RUN_MILLIS = 300000;
+const BATCH_JOB_CONTINUATION_DELAY_MILLIS = 10000;
+const BATCH_JOB_EXECUTION_LIMIT_MILLIS = 360000;
+const BATCH_JOB_STALE_MILLIS = 60 * 60 * 1000;
+const BATCH_JOB_LOCK_WAIT_MILLIS = 30000;
+const BATCH_JOB_PROPERTY_STATE_LIMIT = 8000;
+const BATCH_JOB_STATE_SHEET_NAME = 'Batch Job State';
+const BATCH_JOB_STATE_CELL_LENGTH = 40000;
 
 /* Lookup object for script property keys
   This object maps the string identifiers (used in client-side interactions)
@@ -30,5 +1354,16 @@ const PROPERTY_KEYS = {
     'SCRIPT_PROPERTY_KEY_DESIG_STAFF': SCRIPT_PROPERTY_KEY_DESIG_STAFF, // Maps to the property key for designated staff data
     'SCRIPT_PROPERTY_KEY_GENERAL_REMINDER_EMAILS': SCRIPT_PROPERTY_KEY_GENERAL_REMINDER_EMAILS, // Maps to the property key for general reminder emails
     'SCRIPT_PROPERTY_KEY_GENERAL_REM_DOC_URL': SCRIPT_PROPERTY_KEY_GENERAL_REM_DOC_URL,
-    'SCRIPT_PROPERTY_KEY_STAFFBASED_REM_DATA': SCRIPT_PROPERTY_KEY_STAFFBASED_REM_DATA
+    'SCRIPT_PROPERTY_KEY_GENERAL_REM_WEBHOOK_URL': SCRIPT_PROPERTY_KEY_GENERAL_REM_WEBHOOK_URL, // Maps to the property key for the chat webhooks of general reminders
+    'SCRIPT_PROPERTY_KEY_STAFFBASED_REM_DATA': SCRIPT_PROPERTY_KEY_STAFFBASED_REM_DATA,
+    'SCRIPT_PROPERTY_KEY_TASK_SHEET_SCHEMA': SCRIPT_PROPERTY_KEY_TASK_SHEET_SCHEMA, // Maps to the property key for task sheet column headers
+    'SCRIPT_PROPERTY_KEY_WORKING_CALENDAR': SCRIPT_PROPERTY_KEY_WORKING_CALENDAR, // Maps to the property key for working weekdays and the holiday sheet
+    'SCRIPT_PROPERTY_KEY_OVERDUE_ESCALATION': SCRIPT_PROPERTY_KEY_OVERDUE_ESCALATION, // Maps to the property key for the overdue escalation
+    'SCRIPT_PROPERTY_KEY_REMINDER_EMAIL_FORMAT': SCRIPT_PROPERTY_KEY_REMINDER_EMAIL_FORMAT, // Maps to the property key for the format of reminder emails
+    'SCRIPT_PROPERTY_KEY_REMINDER_TEMPLATES': SCRIPT_PROPERTY_KEY_REMINDER_TEMPLATES, // Maps to the property key for the templates of reminders
+    'SCRIPT_PROPERTY_KEY_LOCALE': SCRIPT_PROPERTY_KEY_LOCALE, // Maps to the property key for the language
+    'SCRIPT_PROPERTY_KEY_ACTIVITY_LOG_RETENTION': SCRIPT_PROPERTY_KEY_ACTIVITY_LOG_RETENTION, // Maps to the property key for the retention period of the activity log
+    'SCRIPT_PROPERTY_KEY_AUTO_COMPLETION': SCRIPT_PROPERTY_KEY_AUTO_COMPLETION, // Maps to the property key for the automatic completion of task sheets
+    'SCRIPT_PROPERTY_KEY_SHEET_ARCHIVE': SCRIPT_PROPERTY_KEY_SHEET_ARCHIVE, // Maps to the property key for the archive of completed task sheets
+    'SCRIPT_PROPERTY_KEY_TEMPLATE_ROLES': SCRIPT_PROPERTY_KEY_TEMPLATE_ROLES // Maps to the property key for the default staff of template roles
 };
@@ -0,0 +1,197 @@
+/**
+ * Creates and checks the signed "Mark complete" links in reminder emails.
+ * A link identifies a task by its sheet and task ID, and carries its expiry time and an HMAC signature made with a secret
+ * stored in script properties, so that only links sent by this script can tick the "Complete" checkbox through the web app.
+ * Opening a link only shows a confirmation page: the checkbox is ticked when the button on the page is clicked,
+ * so that mail scanners and link previews that open the link do not complete the task.
+ */
+class TaskCompletionLink {
+    /**
+     * Returns the URL of the web app that handles the links.
+     *
+     * @returns {string|null} The URL, or null if the script is not deployed as a web app.
+     */
+    static getWebAppUrl() {
+        return ScriptApp.getService().getUrl() || null;
+    }
+
+    /**
+     * Returns the secret used to sign the links, creating it on first use.
+     * Deleting the secret from script properties invalidates all links sent so far.
+     *
+     * @returns {string} The secret.
+     */
+    static getSecret() {
+        let scriptProperties = PropertiesService.getScriptProperties();
+        let secret = scriptProperties.getProperty(SCRIPT_PROPERTY_KEY_WEB_APP_SECRET);
+        if (!secret) {
+            secret = Utilities.getUuid();
+            scriptProperties.setProperty(SCRIPT_PROPERTY_KEY_WEB_APP_SECRET, secret);
+        }
+        return secret;
+    }
+
+    /**
+     * Signs the fields that identify a task and the expiry time of the link.
+     * The item is signed as well since it is shown on the confirmation page.
+     *
+     * @param {Object} params - { sheet: string, id: string, item: string, expires: string }.
+     * @returns {string} The web-safe Base64 signature.
+     */
+    static sign(params) {
+        let message = [params.sheet, params.id, params.item, params.expires].join('\n');
+        let signature = Utilities.computeHmacSha256Signature(message, TaskCompletionLink.getSecret());
+        return Utilities.base64EncodeWebSafe(signature);
+    }
+
+    /**
+     * Creates the "Mark complete" link of a task, which expires TASK_COMPLETION_LINK_VALID_DAYS days from now.
+     *
+     * @param {string} webAppUrl - The URL of the web app.
+     * @param {number} sheetId - The ID of the task sheet (the gid in its URL), which does not change when the sheet is renamed.
+     * @param {Reminder} task - The task to complete.
+     * @returns {string} The link.
+     */
+    static create(webAppUrl, sheetId, task) {
+        let params = {
+            action: 'complete',
+            sheet: String(sheetId),
+            id: String(task.id),
+            item: String(task.item),
+            expires: String(new Date().getTime() + TASK_COMPLETION_LINK_VALID_DAYS * 24 * 60 * 60 * 1000)
+        };
+        params.sig = TaskCompletionLink.sign(params);
+        let query = Object.keys(params).map(key => `${key}=${encodeURIComponent(params[key])}`).join('&');
+        return `${webAppUrl}?${query}`;
+    }
+
+    /**
+     * Checks the signature of a link.
+     *
+     * @param {Object} params - The query parameters of the request.
+     * @returns {boolean} True if the link was created by this script and has not been altered.
+     */
+    static verify(params) {
+        if (!params.sig || params.sheet === undefined || !params.id || params.item === undefined || !params.expires) {
+            return false;
+        }
+        let expected = TaskCompletionLink.sign({
+            sheet: params.sheet,
+            id: params.id,
+            item: params.item,
+            expires: params.expires
+        });
+        // Compare every character so that the time taken does not reveal how much of the signature matched
+        if (expected.length !== params.sig.length) {
+            return false;
+        }
+        let difference = 0;
+        for (let i = 0; i < expected.length; i++) {
+            difference |= expected.charCodeAt(i) ^ params.sig.charCodeAt(i);
+        }
+        return difference === 0;
+    }
+
+    /**
+     * Checks that a link can be used: it was created by this script, has not been altered and has not expired.
+     *
+     * @param {Object} params - The query parameters of the request.
+     * @returns {Object|null} The result shown on the page if the link cannot be used: { status: 'invalid'|'expired', message: string },
+     *     or null if it can.
+     */
+    static check(params) {
+        if (!TaskCompletionLink.verify(params)) {
+            return { status: 'invalid', message: localize('completionPage.invalid') };
+        }
+        if (new Date().getTime() > Number(params.expires)) {
+            return { status: 'expired', message: localize('completionPage.expired') };
+        }
+        return null;
+    }
+
+    /**
+     * Ticks the "Complete" checkbox of the task a verified link points to.
+     * The next occurrence of a recurring task is appended as when the checkbox is ticked by hand.
+     *
+     * @param {Object} params - The query parameters of the link.
+     * @returns {Object} The result shown on the confirmation page:
+     *     { status: 'completed'|'alreadyCompleted'|'notFound'|'invalid'|'expired', message: string }.
+     */
+    static completeTask(params) {
+        let error = TaskCompletionLink.check(params);
+        if (error) {
+            return error;
+        }
+
+        let sheet = SpreadsheetApp.getActiveSpreadsheet().getSheets().find(candidate => String(candidate.getSheetId()) === params.sheet);
+        let columns = sheet ? TaskSheetSchema.load().resolveColumns(sheet) : null;
+        if (!columns) {
+            return { status: 'notFound', message: localize('completionPage.sheetNotFound') };
+        }
+
+        let row = findRowByTaskId_(sheet, columns, params.id);
+        if (!row) {
+            return { status: 'notFound', message: localize('completionPage.taskNotFound', { item: params.item, sheetName: sheet.getName() }) };
+        }
+
+        let task = { item: params.item, sheetName: sheet.getName() };
+        let completeRange = sheet.getRange(row, columns.complete);
+        if (completeRange.getValue() === true) {
+            return { status: 'alreadyCompleted', message: localize('completionPage.alreadyCompleted', task) };
+        }
+        completeRange.setValue(true);
+        console.log(`${task.item} in ${task.sheetName} was completed from the reminder email.`);
+        ActivityLog.record({
+            action: 'Complete task from email link',
+            sheetName: sheet.getName(),
+            row: row,
+            staff: sheet.getRange(row, columns.staff).getValue(),
+            before: 'Not complete',
+            after: 'Complete'
+        });
+        appendNextOccurrence_(sheet, row, columns);
+        return { status: 'completed', message: localize('completionPage.completed', task) };
+    }
+}
+
+/**
+ * Handles GET requests to the web app.
+ * Shows the page that asks to confirm the task of a "Mark complete" link in a reminder email. The task is not changed until it is confirmed.
+ *
+ * @param {GoogleAppsScript.Events.DoGet} e - The request event.
+ * @returns {GoogleAppsScript.HTML.HtmlOutput} The confirmation page.
+ */
+function doGet(e) {
+    let parameter = (e && e.parameter) || {};
+    let params = {
+        sheet: parameter.sheet,
+        id: parameter.id,
+        item: parameter.item,
+        expires: parameter.expires,
+        sig: parameter.sig
+    };
+    let result;
+    if (parameter.action === 'complete') {
+        result = TaskCompletionLink.check(params) || { status: 'confirm', message: localize('completionPage.confirm', { item: params.item }) };
+    } else {
+        result = { status: 'invalid', message: localize('completionPage.notFromEmail') };
+    }
+
+    let template = HtmlService.createTemplateFromFile('task-completion-page');
+    template.status = result.status;
+    template.message = result.message;
+    template.params = params;
+    let localizer = Localizer.load();
+    template.t = (key, params) => localizer.t(key, params);
+    return template.evaluate().setTitle('SheetTasker');
+}
+
+/**
+ * Completes the task of a "Mark complete" link, called by the button on the confirmation page.
+ *
+ * @param {Object} params - The query parameters of the link.
+ * @returns {Object} The result shown on the confirmation page, as returned by TaskCompletionLink.completeTask.
+ */
+function completeTaskFromLink(params) {
+    return TaskCompletionLink.completeTask(params);
+}
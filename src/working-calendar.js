@@ -0,0 +1,151 @@
+/**
+ * Represents the working days of the office: the weekdays the office works on and the holidays it observes.
+ * Used for the look-ahead of next week's reminders, for skipping today's reminders on non-working days
+ * and for recurring tasks repeated every N business days.
+ */
+class WorkingCalendar {
+    /**
+     * @param {Array<number>} [workingWeekdays=DEFAULT_WORKING_WEEKDAYS] - Working weekdays in the numbering of Date.getDay() (0 = Sunday).
+     * @param {Array<Date>} [holidays=[]] - Dates on which the office is closed.
+     */
+    constructor(workingWeekdays = DEFAULT_WORKING_WEEKDAYS, holidays = []) {
+        this.workingWeekdays = workingWeekdays.length > 0 ? workingWeekdays : DEFAULT_WORKING_WEEKDAYS;
+        this.holidayKeys = new Set(holidays.map(holiday => WorkingCalendar.toDateKey(holiday)));
+    }
+
+    /**
+     * Creates a calendar from the working weekdays stored in script properties and the holidays listed in the holiday sheet.
+     *
+     * @returns {WorkingCalendar} The stored calendar, or Monday to Friday without holidays if nothing is stored.
+     */
+    static load() {
+        let settings = JSON.parse(PropertiesService.getScriptProperties().getProperty(SCRIPT_PROPERTY_KEY_WORKING_CALENDAR) || '{}');
+        let holidays = [];
+        if (settings.holidaySheetName) {
+            let holidaySheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(settings.holidaySheetName);
+            if (holidaySheet) {
+                holidays = WorkingCalendar.readHolidaySheet(holidaySheet);
+            } else {
+                console.log(`The holiday sheet ${settings.holidaySheetName} was not found, so no holidays are observed.`);
+            }
+        }
+        return new WorkingCalendar(settings.workingWeekdays || DEFAULT_WORKING_WEEKDAYS, holidays);
+    }
+
+    /**
+     * Reads the holidays from the first column of a holiday sheet. The first row is the header.
+     * Cells can hold dates or text such as "2024-01-01" or "2024/1/1". Other cells are ignored.
+     *
+     * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The holiday sheet.
+     * @returns {Array<Date>} The holidays.
+     */
+    static readHolidaySheet(sheet) {
+        let lastRow = sheet.getLastRow();
+        if (lastRow < 2) {
+            return [];
+        }
+        return sheet.getRange(2, 1, lastRow - 1, 1).getValues()
+            .map(row => WorkingCalendar.parseDate(row[0]))
+            .filter(date => date !== null);
+    }
+
+    /**
+     * Converts a cell value into a date at midnight.
+     *
+     * @param {*} value - A Date or text such as "2024-01-01" or "2024/1/1".
+     * @returns {Date|null} The date, or null if the value is not a date.
+     */
+    static parseDate(value) {
+        if (value instanceof Date) {
+            return new Date(value.getFullYear(), value.getMonth(), value.getDate());
+        }
+        let match = String(value).trim().match(/^(\d{4})[-\/](\d{1,2})[-\/](\d{1,2})$/);
+        return match ? new Date(parseInt(match[1]), parseInt(match[2]) - 1, parseInt(match[3])) : null;
+    }
+
+    /**
+     * Reads all-day events from the text of an ICS (iCalendar) file, such as a public holiday calendar.
+     * Events spanning several days are expanded into one holiday per day.
+     *
+     * @param {string} icsText - The content of the ICS file.
+     * @returns {Array<Object>} The holidays as { date: Date, name: string }, in the order they appear in the file.
+     *
+     * @example
+     * WorkingCalendar.parseIcs('BEGIN:VEVENT\r\nDTSTART;VALUE=DATE:20240101\r\nSUMMARY:New Year\r\nEND:VEVENT');
+     * // [{ date: new Date(2024, 0, 1), name: 'New Year' }]
+     */
+    static parseIcs(icsText) {
+        // Long lines are folded into several lines that start with a space or a tab
+        let lines = String(icsText).replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+        let holidays = [];
+        let event = null;
+
+        for (let line of lines) {
+            if (line === 'BEGIN:VEVENT') {
+                event = {};
+            } else if (line === 'END:VEVENT') {
+                if (event && event.start) {
+                    let date = new Date(event.start.getTime());
+                    do {
+                        holidays.push({ date: new Date(date.getTime()), name: event.name || '' });
+                        date.setDate(date.getDate() + 1);
+                    } while (event.end && date < event.end);
+                }
+                event = null;
+            } else if (event) {
+                let separator = line.indexOf(':');
+                let name = line.substring(0, separator).split(';')[0].toUpperCase();
+                let value = line.substring(separator + 1);
+                if (name === 'DTSTART' || name === 'DTEND') {
+                    let match = value.match(/^(\d{4})(\d{2})(\d{2})/);
+                    if (match) {
+                        event[name === 'DTSTART' ? 'start' : 'end'] = new Date(parseInt(match[1]), parseInt(match[2]) - 1, parseInt(match[3]));
+                    }
+                } else if (name === 'SUMMARY') {
+                    event.name = value.replace(/\\n/gi, ' ').replace(/\\([,;\\])/g, '$1');
+                }
+            }
+        }
+        return holidays;
+    }
+
+    /**
+     * Returns a key that identifies the calendar day of a date, regardless of its time.
+     *
+     * @param {Date} date - The date.
+     * @returns {string} The key, e.g. "2024-1-1".
+     */
+    static toDateKey(date) {
+        return `${date.getFullYear()}-${date.getMonth() + 1}-${date.getDate()}`;
+    }
+
+    /**
+     * @param {Date} date - The date to check.
+     * @returns {boolean} True if the date is listed as a holiday.
+     */
+    isHoliday(date) {
+        return this.holidayKeys.has(WorkingCalendar.toDateKey(date));
+    }
+
+    /**
+     * @param {Date} date - The date to check.
+     * @returns {boolean} True if the date is a working weekday and not a holiday.
+     */
+    isWorkingDay(date) {
+        return this.workingWeekdays.includes(date.getDay()) && !this.isHoliday(date);
+    }
+
+    /**
+     * Returns the first working day after the given date.
+     *
+     * @param {Date} date - The date to start from.
+     * @returns {Date} The next working day, at the same time of day as the given date.
+     */
+    getNextWorkingDay(date) {
+        let nextDate = new Date(date.getTime());
+        do {
+            nextDate.setDate(nextDate.getDate() + 1);
+        } while (!this.isWorkingDay(nextDate));
+        return nextDate;
+    }
+}
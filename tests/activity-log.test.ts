@@ -0,0 +1,147 @@
+// Tests for src/activity-log.js
+
+import { createGasEnvironment, GasEnvironment } from './gas/environment';
+import {
+  addTaskSheet,
+  day,
+  setupGeneralReminders,
+  setupProject,
+} from './gas/fixtures';
+
+// Wednesday, January 10, 2024
+const NOW = new Date(2024, 0, 10, 8, 0, 0);
+
+describe('ActivityLog', () => {
+  let env: GasEnvironment;
+
+  beforeEach(() => {
+    env = createGasEnvironment({ now: NOW });
+    setupProject(env);
+    addTaskSheet(env, 'Admin: Budget', [
+      {
+        item: 'Report',
+        summary: 'draft',
+        date: day(2024, 1, 10),
+        staff: 'Aki',
+      },
+    ]);
+    addTaskSheet(env, 'Sales: Leads', [
+      {
+        item: 'Call',
+        summary: 'follow up',
+        date: day(2024, 1, 10),
+        staff: 'Ben',
+      },
+    ]);
+  });
+
+  const logRows = () => {
+    const logSheet = env.spreadsheet.getSheetByName('Activity Log');
+    if (!logSheet) return [];
+    return logSheet.getRange(2, 2, logSheet.getLastRow() - 1, 7).getValues();
+  };
+
+  it('records reminder emails and completions written from reminder Docs', () => {
+    const docs = setupGeneralReminders(env, ['aki@example.com']);
+    env.call('runGeneralReminderToday');
+    docs.today.getBody().getTables()[0].getCell(1, 5).setText('C');
+    env.call('updateCompletionStatusToSheet');
+
+    expect(logRows()).toEqual([
+      [
+        'owner@example.com',
+        'Send reminder email (success)',
+        '',
+        '',
+        'Aki',
+        '',
+        expect.stringContaining('to aki@example.com'),
+      ],
+      [
+        'owner@example.com',
+        'Complete task from reminder Doc',
+        'Admin: Budget',
+        2,
+        'Aki',
+        'Not complete',
+        'Complete',
+      ],
+    ]);
+  });
+
+  it('protects the log sheet from staff and adds their entries when the owner next writes', () => {
+    env.run('ActivityLog.record({ action: "Test" })');
+    const protection = env.spreadsheet
+      .getSheetByName('Activity Log')
+      .getProtections()[0];
+    expect(protection.isWarningOnly()).toBe(false);
+    expect(protection.getEditors().map((user: any) => user.getEmail())).toEqual(
+      ['owner@example.com']
+    );
+
+    env.setActiveUser('aki@example.com');
+    env.run('ActivityLog.record({ action: "Edit by staff" })');
+    expect(logRows().map((row: any[]) => row[1])).toEqual(['Test']);
+
+    env.setActiveUser('owner@example.com');
+    env.call('updateAllTaskIndexSheets');
+    expect(logRows().map((row: any[]) => row.slice(0, 2))).toEqual([
+      ['owner@example.com', 'Test'],
+      ['aki@example.com', 'Edit by staff'],
+    ]);
+    expect(
+      env.properties
+        .getKeys()
+        .filter((key: string) => key.startsWith('ACTIVITY_LOG_PENDING'))
+    ).toEqual([]);
+  });
+
+  it('deletes entries older than the retention period when a job finishes', () => {
+    env.call('setActivityLogRetention', '30');
+    env.run('ActivityLog.record({ action: "Test" })');
+    const logSheet = env.spreadsheet.getSheetByName('Activity Log');
+    logSheet.getRange('A2').setValue(new Date(2023, 11, 1, 9, 0, 0));
+    logSheet.appendRow([new Date(2023, 11, 20, 9, 0, 0), 'x', 'Recent']);
+
+    env.run('ActivityLog.record({ action: "New" })');
+    expect(logRows().map((row: any[]) => row[1])).toEqual([
+      'Test',
+      'Recent',
+      'New',
+    ]);
+
+    env.call('updateAllTaskIndexSheets');
+    expect(logRows().map((row: any[]) => row[1])).toEqual(['Recent', 'New']);
+  });
+
+  it('shows the newest entries filtered by staff or sheet', () => {
+    env.run(
+      'ActivityLog.record({ action: "First", sheetName: "Admin: Budget", staff: "Aki" })'
+    );
+    env.run(
+      'ActivityLog.record({ action: "Second", sheetName: "Sales: Leads", staff: "Ben" })'
+    );
+
+    env.call('showActivityLogModal');
+    const allContent = env.ui.record.dialogs[0].content;
+    expect(env.ui.record.dialogs[0].title).toBe('Activity Log');
+    expect(allContent.indexOf('Second')).toBeLessThan(
+      allContent.indexOf('First')
+    );
+
+    env.call('showActivityLogModal', { staff: 'Ben' });
+    expect(env.ui.record.dialogs[1].content).toContain('Second');
+    expect(env.ui.record.dialogs[1].content).not.toContain('First');
+
+    env.call('showActivityLogModal', { sheetName: 'Admin: Budget' });
+    expect(env.ui.record.dialogs[2].content).toContain('First');
+    expect(env.ui.record.dialogs[2].content).not.toContain('Second');
+  });
+
+  it('rejects a retention period of less than a day', () => {
+    env.call('setActivityLogRetention', '0');
+
+    expect(env.properties.getProperty('ACTIVITY_LOG_RETENTION')).toBeNull();
+    expect(env.browser.messages[0].prompt).toContain('must be 1 or more.');
+  });
+});
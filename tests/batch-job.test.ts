@@ -0,0 +1,92 @@
+// Tests for src/batch-job.js
+
+import { createGasEnvironment, GasEnvironment } from './gas/environment';
+
+// Wednesday, January 10, 2024
+const NOW = new Date(2024, 0, 10, 8, 0, 0);
+
+describe('BatchJob', () => {
+  let env: GasEnvironment;
+
+  beforeEach(() => {
+    env = createGasEnvironment({ now: NOW });
+    env.run(`var testKeys = ['a', 'b', 'c']; var testText = '';`);
+  });
+
+  // With no time to run, each execution processes one item and pauses
+  const runJob = () =>
+    env.run(`new BatchJob('TEST', 'continueTest', { purpose: 'test' }, 0).run({
+      createState: () => ({ processed: [], text: testText }),
+      listKeys: () => testKeys.slice(),
+      processItem: (key, state) => state.processed.push(key)
+    })`);
+
+  it('continues from a trigger by key, including items added or reordered in between', () => {
+    expect(runJob()).toBeNull();
+    expect(env.triggers.map((t) => t.getHandlerFunction())).toEqual([
+      'continueTest',
+    ]);
+    expect(
+      JSON.parse(env.properties.getProperty(env.triggers[0].getUniqueId()))
+    ).toMatchObject({ type: 'continuation', job: 'TEST', purpose: 'test' });
+
+    env.run(`testKeys = ['d', 'c', 'b', 'a']`);
+    expect(runJob()).toBeNull();
+    expect(runJob()).toBeNull();
+    const state = runJob();
+
+    expect(state.processed).toEqual(['a', 'd', 'c', 'b']);
+    expect(env.properties.getProperty('BATCH_JOB_TEST')).toBeNull();
+    expect(env.triggers).toHaveLength(0);
+  });
+
+  it('keeps progress too large for a script property in a hidden sheet', () => {
+    env.run(`testText = '0123456789'.repeat(5000)`);
+    runJob();
+
+    const stateSheet = env.spreadsheet.getSheetByName('Batch Job State');
+    expect(stateSheet.isSheetHidden()).toBe(true);
+    expect(stateSheet.getRange('A1').getValue()).toBe('TEST');
+    expect(
+      JSON.parse(env.properties.getProperty('BATCH_JOB_TEST')).data
+    ).toBeNull();
+
+    runJob();
+    const state = runJob();
+
+    expect(state.text).toHaveLength(50000);
+    expect(state.processed).toEqual(['a', 'b', 'c']);
+    expect(stateSheet.getLastRow()).toBe(0);
+  });
+
+  it('starts over when the saved progress is stale', () => {
+    runJob();
+    env.setNow(new Date(2024, 0, 10, 10, 0, 0));
+    env.run(`testKeys = ['a']`);
+
+    expect(runJob().processed).toEqual(['a']);
+  });
+
+  it('retries later while another job holds the lock, but not while the same job runs', () => {
+    env.scriptLock.tryLock();
+
+    expect(runJob()).toBeNull();
+    expect(env.triggers).toHaveLength(1);
+
+    env.properties.setProperty(
+      'BATCH_JOB_TEST',
+      JSON.stringify({
+        startedAt: NOW.getTime(),
+        updatedAt: NOW.getTime(),
+        runningSince: NOW.getTime(),
+        data: null,
+      })
+    );
+    env.run(
+      `new BatchJob('TEST', 'continueTest').deleteContinuationTriggers()`
+    );
+
+    expect(runJob()).toBeNull();
+    expect(env.triggers).toHaveLength(0);
+  });
+});
@@ -0,0 +1,158 @@
+// Tests for src/completed-sheet-archive.js
+
+import { createGasEnvironment, GasEnvironment } from './gas/environment';
+import {
+  addTaskSheet,
+  day,
+  INDEX_SHEET_INFO,
+  setupProject,
+} from './gas/fixtures';
+
+const FLAG = INDEX_SHEET_INFO.completionFlag;
+
+describe('CompletedSheetArchive', () => {
+  let env: GasEnvironment;
+  let budget: any;
+
+  beforeEach(() => {
+    env = createGasEnvironment({ now: new Date(2023, 8, 1) });
+    setupProject(env);
+    budget = addTaskSheet(env, 'Admin: Budget', [
+      { item: 'Report', date: day(2023, 8, 20), staff: 'Aki', complete: true },
+    ]);
+    budget.getRange('B2').setBackground('#FFF2CC');
+    addTaskSheet(env, 'Admin: Payroll', [
+      { item: 'Check', date: day(2023, 9, 12), staff: 'Ben' },
+    ]);
+    env.properties.setJson('AUTO_COMPLETION', { enabled: true });
+    env.call('updateAllTaskIndexSheets');
+  });
+
+  const archiveNamed = (name: string) =>
+    [...env.spreadsheets.values()].find((ss) => ss.getName() === name);
+
+  it('moves sheets completed longer ago than the retention period to the archive of their year', () => {
+    env.setNow(new Date(2024, 0, 10));
+
+    env.call('archiveCompletedTaskSheets');
+
+    expect(env.spreadsheet.getSheetByName(`${FLAG}Admin: Budget`)).toBeNull();
+    const archive = archiveNamed(`${env.spreadsheet.getName()} Archive 2023`)!;
+    const copy = archive.getSheetByName(`${FLAG}Admin: Budget`)!;
+    expect(copy.getRange('B2').getValue()).toBe('Report');
+    expect(copy.getRange('B2').getBackground()).toBe('#FFF2CC');
+    expect(
+      JSON.parse(env.properties.getProperty('ARCHIVE_SPREADSHEETS')!)
+    ).toEqual({ 2023: archive.getUrl() });
+
+    const list = env.spreadsheet.getSheetByName('Archived Task Sheets')!;
+    expect(list.getRange('B2:C2').getValues()).toEqual([['Admin', 'Budget']]);
+    expect(list.getRange('E2').getValue()).toBe(
+      `${archive.getUrl()}#gid=${copy.getSheetId()}`
+    );
+  });
+
+  it('keeps the archived sheets listed in the completed task index', () => {
+    env.setNow(new Date(2024, 0, 10));
+
+    env.call('archiveCompletedTaskSheets');
+
+    const index = env.spreadsheet.getSheetByName(
+      INDEX_SHEET_INFO.completedTaskSheetName
+    )!;
+    const entry = index.getRange('A2');
+    expect(entry.getValue()).toBe('Budget\nArchived 2024/1/10');
+    expect(entry.getFormula()).toContain(
+      archiveNamed(`${env.spreadsheet.getName()} Archive 2023`)!.getUrl()
+    );
+  });
+
+  it('keeps sheets completed within the retention period', () => {
+    env.properties.setJson('SHEET_ARCHIVE', { retentionDays: 365 });
+    env.setNow(new Date(2024, 0, 10));
+
+    env.call('archiveCompletedTaskSheets');
+
+    expect(
+      env.spreadsheet.getSheetByName(`${FLAG}Admin: Budget`)
+    ).not.toBeNull();
+    expect(env.spreadsheet.getSheetByName('Archived Task Sheets')).toBeNull();
+  });
+
+  it('counts the age of sheets completed by renaming them from when they are first found', () => {
+    const plan = addTaskSheet(env, `${FLAG}Sales: Q4 Plan`, []);
+    env.setNow(new Date(2024, 0, 10));
+
+    env.call('archiveCompletedTaskSheets');
+    expect(plan.getName()).toBe(`${FLAG}Sales: Q4 Plan`);
+
+    env.setNow(new Date(2024, 5, 1));
+    env.call('archiveCompletedTaskSheets');
+    expect(env.spreadsheet.getSheetByName(`${FLAG}Sales: Q4 Plan`)).toBeNull();
+    expect(
+      archiveNamed(`${env.spreadsheet.getName()} Archive 2024`)!.getSheetByName(
+        `${FLAG}Sales: Q4 Plan`
+      )
+    ).not.toBeNull();
+  });
+
+  it('asks before archiving from the menu and reports how many sheets were archived', () => {
+    env.setNow(new Date(2024, 0, 10));
+
+    env.call('archiveCompletedTaskSheetsFromMenu');
+
+    expect(env.browser.messages[0].prompt).toContain('more than 90 day(s) ago');
+    expect(env.browser.messages[1].prompt).toBe(
+      '1 completed task sheet(s) were archived. The completed task index links to them.'
+    );
+  });
+
+  it('shows the setting and names the archive in the language of the setting', () => {
+    env.properties.setJson('LOCALE', { locale: 'ja' });
+    env.call('showSheetArchiveModal');
+
+    expect(env.ui.record.dialogs[0].content).toContain(
+      '完了済みシートの保存期間（日）'
+    );
+
+    env.setNow(new Date(2024, 0, 10));
+    env.call('archiveCompletedTaskSheets');
+
+    expect(
+      archiveNamed(`${env.spreadsheet.getName()} アーカイブ 2023`)
+    ).toBeDefined();
+    const log = env.spreadsheet.getSheetByName('Activity Log')!;
+    expect(
+      log.getRange(2, 3, log.getLastRow() - 1, 1).getValues()
+    ).toContainEqual(['Archive task sheet']);
+  });
+
+  it('does not copy any sheet when the user cannot edit the list of archived sheets', () => {
+    env.run('CompletedSheetArchive.getListSheet(true)');
+    env.setNow(new Date(2024, 0, 10));
+    env.setActiveUser('aki@example.com');
+
+    env.call('archiveCompletedTaskSheetsFromMenu');
+    env.call('archiveCompletedTaskSheets');
+
+    expect(env.browser.messages[0].prompt).toContain(
+      'Only the owner of the spreadsheet can archive completed task sheets'
+    );
+    expect(
+      env.spreadsheet.getSheetByName(`${FLAG}Admin: Budget`)
+    ).not.toBeNull();
+    expect(
+      archiveNamed(`${env.spreadsheet.getName()} Archive 2023`)
+    ).toBeUndefined();
+  });
+
+  it('rejects a retention period that is not a whole number of days', () => {
+    env.call('setSheetArchive', '0');
+    expect(env.properties.getProperty('SHEET_ARCHIVE')).toBeNull();
+
+    env.call('setSheetArchive', '30');
+    expect(JSON.parse(env.properties.getProperty('SHEET_ARCHIVE')!)).toEqual({
+      retentionDays: 30,
+    });
+  });
+});
@@ -0,0 +1,141 @@
+// Tests for src/dashboard.js
+
+import { createGasEnvironment, GasEnvironment } from './gas/environment';
+import {
+  addTaskSheet,
+  day,
+  INDEX_SHEET_INFO,
+  setupProject,
+} from './gas/fixtures';
+
+describe('ProjectDashboard', () => {
+  let env: GasEnvironment;
+
+  beforeEach(() => {
+    env = createGasEnvironment({ now: new Date(2024, 0, 10, 9, 0, 0) });
+    setupProject(env);
+    addTaskSheet(env, 'Admin: Budget', [
+      { item: 'Report', date: day(2024, 1, 5), staff: 'Aki' },
+      { item: 'Call', date: day(2024, 1, 12), staff: 'Aki' },
+      { item: 'Filing', date: day(2024, 1, 3), staff: 'Ben', complete: true },
+    ]);
+    addTaskSheet(env, 'Admin: Payroll', [
+      { item: 'Check', date: day(2024, 1, 11), staff: 'Carol' },
+      { item: 'Pay', date: day(2024, 1, 9) },
+    ]);
+    addTaskSheet(env, `${INDEX_SHEET_INFO.completionFlag}Sales: Q4 Plan`, [
+      { item: 'Review', date: day(2023, 12, 1), staff: 'Ben', complete: true },
+    ]);
+  });
+
+  const dashboard = () => env.spreadsheet.getSheetByName('Dashboard')!;
+
+  it('is built by the index sheet update, right after the index sheets', () => {
+    env.call('updateAllTaskIndexSheets');
+
+    const names = env.spreadsheet.getSheets().map((sheet) => sheet.getName());
+    expect(names.indexOf('Dashboard')).toBe(
+      names.indexOf(INDEX_SHEET_INFO.completedTaskSheetName) + 1
+    );
+    expect(dashboard().getTabColor()).toBe('#1E88E5');
+  });
+
+  it('shows the progress of each category and task sheet', () => {
+    env.call('updateAllTaskIndexSheets');
+
+    const sheet = dashboard();
+    expect(sheet.getRange('A3').getValue()).toBe('By Category');
+    expect(sheet.getRange('A5:H6').getValues()).toEqual([
+      ['Admin', 2, 5, 4, 1, 2, 0.2, day(2024, 1, 11)],
+      ['Sales', 1, 1, 0, 1, 0, 1, ''],
+    ]);
+    expect(sheet.getRange('G5').getNumberFormat()).toBe('0%');
+
+    expect(sheet.getRange('A8').getValue()).toBe('By Task Sheet');
+    expect(sheet.getRange('A10:H12').getValues()).toEqual([
+      ['Admin', 'Budget', 3, 2, 1, 1, 1 / 3, day(2024, 1, 12)],
+      ['Admin', 'Payroll', 2, 2, 0, 1, 0, day(2024, 1, 11)],
+      ['Sales', 'Q4 Plan', 1, 0, 1, 0, 1, ''],
+    ]);
+    expect(sheet.getRange('B10').getFormula()).toMatch(
+      /^=HYPERLINK\(".*#gid=\d+","Budget"\)$/
+    );
+  });
+
+  it('shows the open and overdue tasks of each staff member with charts', () => {
+    env.call('updateAllTaskIndexSheets');
+
+    const sheet = dashboard();
+    expect(sheet.getRange('A14').getValue()).toBe('By Staff');
+    expect(sheet.getRange('A15:C19').getValues()).toEqual([
+      ['Staff', 'Open', 'Overdue'],
+      ['Aki', 2, 1],
+      ['Ben', 0, 0],
+      ['Carol', 1, 0],
+      ['Unassigned', 1, 1],
+    ]);
+
+    const charts = sheet.getCharts();
+    expect(charts.map((chart: any) => chart.chartType)).toEqual([
+      'COLUMN',
+      'BAR',
+    ]);
+    expect(charts[0].getRanges()).toEqual(['A15:C19']);
+    expect(charts[1].getRanges()).toEqual(['A4:A6', 'D4:E6']);
+  });
+
+  it('links to task sheets whose names have quotes', () => {
+    addTaskSheet(env, 'Sales: "Big" Deal', [
+      { item: 'Visit', date: day(2024, 1, 15), staff: 'Aki' },
+    ]);
+
+    env.call('updateAllTaskIndexSheets');
+
+    expect(dashboard().getRange('B13').getFormula()).toMatch(
+      /^=HYPERLINK\(".*#gid=\d+","""Big"" Deal"\)$/
+    );
+  });
+
+  it('writes the titles and headers in the language of the setting', () => {
+    env.properties.setJson('LOCALE', { locale: 'ja' });
+
+    env.call('updateAllTaskIndexSheets');
+
+    const sheet = dashboard();
+    expect(sheet.getRange('A1:B1').getValues()).toEqual([
+      ['プロジェクトダッシュボード', '更新日時'],
+    ]);
+    expect(sheet.getRange('A4:H4').getValues()).toEqual([
+      [
+        'カテゴリ',
+        'タスクシート数',
+        '合計',
+        '未完了',
+        '完了',
+        '期限切れ',
+        '完了率',
+        '次の期限',
+      ],
+    ]);
+    expect(sheet.getRange('G5').getNumberFormat()).toBe('0%');
+    expect(sheet.getRange('H5').getNumberFormat()).toBe('yyyy/M/d');
+    expect(sheet.getRange('A19').getValue()).toBe('未割り当て');
+    expect(sheet.getCharts()[1].getRanges()).toEqual(['A4:A6', 'D4:E6']);
+  });
+
+  it('replaces the tables and charts when it is updated again', () => {
+    env.call('updateAllTaskIndexSheets');
+    env.spreadsheet.deleteSheet(
+      env.spreadsheet.getSheetByName('Admin: Payroll')!
+    );
+
+    env.call('updateAllTaskIndexSheets');
+
+    const sheet = dashboard();
+    expect(sheet.getRange('A5:C6').getValues()).toEqual([
+      ['Admin', 1, 3],
+      ['Sales', 1, 1],
+    ]);
+    expect(sheet.getCharts()).toHaveLength(2);
+  });
+});
@@ -0,0 +1,156 @@
+// Tests for src/doc-sync.js
+
+import { createGasEnvironment, GasEnvironment } from './gas/environment';
+import {
+  addTaskSheet,
+  day,
+  setupGeneralReminders,
+  setupProject,
+} from './gas/fixtures';
+
+// Wednesday, January 10, 2024
+const NOW = new Date(2024, 0, 10, 8, 0, 0);
+
+const REPORT_SUBJECT =
+  'Changes Not Applied When Updating Task Sheets from Reminder Docs';
+
+describe('Doc sync', () => {
+  let env: GasEnvironment;
+  let sheet: any;
+  let docs: any;
+  let table: any;
+
+  beforeEach(() => {
+    env = createGasEnvironment({ now: NOW });
+    setupProject(env);
+    sheet = addTaskSheet(env, 'Admin: Budget', [
+      {
+        item: 'Report',
+        summary: 'draft',
+        date: day(2024, 1, 10),
+        staff: 'Aki',
+      },
+    ]);
+    sheet
+      .getRange('E2')
+      .setDataValidation(
+        env.run(
+          'SpreadsheetApp.newDataValidation().requireValueInList(["Aki", "Ben"]).build()'
+        )
+      );
+    docs = setupGeneralReminders(env);
+    env.call('runGeneralReminderToday');
+    table = docs.today.getBody().getTables()[0];
+    env.outbox.length = 0;
+  });
+
+  it('parses the dates accepted in the Doc and rejects unreal ones', () => {
+    const parse = (text: string) =>
+      env.run(`parseDocDate_(${JSON.stringify(text)})`);
+
+    expect(parse('Friday, January 12, 2024')).toEqual(day(2024, 1, 12));
+    expect(parse('Jan 12, 2024')).toEqual(day(2024, 1, 12));
+    expect(parse('2024/1/12')).toEqual(day(2024, 1, 12));
+    expect(parse('2024-01-12')).toEqual(day(2024, 1, 12));
+    expect(parse('February 30, 2024')).toBeNull();
+    expect(parse('next Friday')).toBeNull();
+  });
+
+  it('writes edited Date, Staff and Comment to the task sheet', () => {
+    table.getCell(1, 2).setText('Friday, January 12, 2024');
+    table.getCell(1, 3).setText('Ben');
+    table.getCell(1, 4).setText('Waiting for figures');
+    env.call('updateCompletionStatusToSheet');
+
+    expect(sheet.getRange('D2:F2').getValues()).toEqual([
+      [day(2024, 1, 12), 'Ben', false],
+    ]);
+    // The sheet had no "Comment" column, so it is added after the Task ID column
+    expect(sheet.getRange('H1:H2').getValues()).toEqual([
+      ['Comment'],
+      ['Waiting for figures'],
+    ]);
+    expect(env.outbox).toHaveLength(0);
+  });
+
+  it('shows the comment in the next Doc and leaves unedited rows alone', () => {
+    table.getCell(1, 4).setText('Waiting for figures');
+    env.call('updateCompletionStatusToSheet');
+    sheet.getRange('D2').setValue(day(2024, 1, 9));
+
+    env.call('runGeneralReminderToday');
+    expect(docs.today.getBody().getTables()[0].toArray()[1][4]).toBe(
+      'Waiting for figures'
+    );
+    env.call('updateCompletionStatusToSheet');
+
+    expect(sheet.getRange('D2').getValue()).toEqual(day(2024, 1, 9));
+    expect(sheet.getRange('H2').getValue()).toBe('Waiting for figures');
+  });
+
+  it('rejects an invalid date and staff outside the dropdown and reports them', () => {
+    table.getCell(1, 2).setText('February 30, 2024');
+    table.getCell(1, 3).setText('Carl');
+    table.getCell(1, 5).setText('C');
+    env.call('updateCompletionStatusToSheet');
+
+    expect(sheet.getRange('D2:F2').getValues()).toEqual([
+      [day(2024, 1, 10), 'Aki', true],
+    ]);
+    expect(env.outbox).toHaveLength(1);
+    expect(env.outbox[0].subject).toBe(REPORT_SUBJECT);
+    expect(env.outbox[0].body).toContain(
+      'in Admin: Budget: Date "February 30, 2024" is not a valid date.'
+    );
+    expect(env.outbox[0].body).toContain(
+      'in Admin: Budget: Staff "Carl" is not allowed in the Staff column.'
+    );
+  });
+});
+
+describe('DocSyncSnapshot', () => {
+  let env: GasEnvironment;
+  let docs: any;
+
+  beforeEach(() => {
+    env = createGasEnvironment({ now: NOW });
+    setupProject(env);
+    docs = setupGeneralReminders(env);
+  });
+
+  it('keeps the snapshot of a Doc with more tasks than a script property can hold', () => {
+    const tasks = Array.from({ length: 150 }, (_, i) => ({
+      item: `Task ${i + 1}`,
+      summary: 'Check the daily figures and file them',
+      date: day(2024, 1, 10),
+      staff: 'Ben',
+    }));
+    const ops = addTaskSheet(env, 'Ops: Daily Checks', tasks);
+
+    env.call('runGeneralReminderToday');
+
+    expect(env.outbox).toHaveLength(1);
+    const snapshotSheet = env.spreadsheet.getSheetByName('Doc Sync Snapshots')!;
+    expect(snapshotSheet.isSheetHidden()).toBe(true);
+    expect(
+      String(snapshotSheet.getRange('B1').getValue()).length
+    ).toBeGreaterThan(9 * 1024);
+
+    const opsTable = docs.today
+      .getBody()
+      .getTables()
+      .find((t: any) => t.getCell(1, 0).getText() === 'Task 1');
+    opsTable.getCell(150, 5).setText('C');
+    ops.getRange('E151').setValue('Aki');
+    opsTable.getCell(150, 3).setText('Carl');
+    env.call('updateCompletionStatusToSheet');
+
+    expect(ops.getRange('E151:F151').getValues()).toEqual([['Aki', true]]);
+    expect(
+      env.spreadsheet
+        .getSheetByName('Sync Conflicts')!
+        .getRange('E2')
+        .getValue()
+    ).toBe('Staff');
+  });
+});
@@ -0,0 +1,483 @@
+// In-memory fake of the parts of DocumentApp used by the project.
+
+import { GasValue } from './types';
+
+export const ElementType = {
+  PARAGRAPH: 'PARAGRAPH',
+  TABLE: 'TABLE',
+  LIST_ITEM: 'LIST_ITEM',
+  HORIZONTAL_RULE: 'HORIZONTAL_RULE',
+};
+
+export const ParagraphHeading = {
+  NORMAL: 'NORMAL',
+  TITLE: 'TITLE',
+  SUBTITLE: 'SUBTITLE',
+  HEADING1: 'HEADING1',
+  HEADING2: 'HEADING2',
+  HEADING3: 'HEADING3',
+  HEADING4: 'HEADING4',
+};
+
+/**
+ * Holds text plus the character attributes the project sets on it.
+ */
+class FakeText {
+  constructor(
+    private owner: { text: string; attributes: Record<string, GasValue> }
+  ) {}
+
+  getText() {
+    return this.owner.text;
+  }
+
+  setText(text: string) {
+    this.owner.text = text;
+    return this;
+  }
+
+  appendText(text: string) {
+    this.owner.text += text;
+    return this;
+  }
+
+  setForegroundColor(color: string) {
+    this.owner.attributes.foregroundColor = color;
+    return this;
+  }
+
+  getForegroundColor() {
+    return this.owner.attributes.foregroundColor || null;
+  }
+
+  setBackgroundColor(color: string) {
+    this.owner.attributes.backgroundColor = color;
+    return this;
+  }
+
+  setBold(bold: boolean) {
+    this.owner.attributes.bold = bold;
+    return this;
+  }
+
+  isBold() {
+    return !!this.owner.attributes.bold;
+  }
+
+  setFontSize(size: number) {
+    this.owner.attributes.fontSize = size;
+    return this;
+  }
+
+  getFontSize() {
+    return this.owner.attributes.fontSize;
+  }
+
+  setLinkUrl(url: string) {
+    this.owner.attributes.linkUrl = url;
+    return this;
+  }
+
+  getLinkUrl() {
+    return this.owner.attributes.linkUrl || null;
+  }
+}
+
+abstract class FakeTextElement {
+  text = '';
+  attributes: Record<string, GasValue> = {};
+
+  getText() {
+    return this.text;
+  }
+
+  setText(text: string) {
+    this.text = text;
+    return this;
+  }
+
+  appendText(text: string) {
+    this.text += text;
+    return this;
+  }
+
+  editAsText() {
+    return new FakeText(this);
+  }
+
+  setBold(bold: boolean) {
+    this.attributes.bold = bold;
+    return this;
+  }
+
+  isBold() {
+    return !!this.attributes.bold;
+  }
+
+  setFontSize(size: number) {
+    this.attributes.fontSize = size;
+    return this;
+  }
+
+  getFontSize() {
+    return this.attributes.fontSize;
+  }
+
+  setForegroundColor(color: string) {
+    this.attributes.foregroundColor = color;
+    return this;
+  }
+
+  getForegroundColor() {
+    return this.attributes.foregroundColor || null;
+  }
+
+  setBackgroundColor(color: string) {
+    this.attributes.backgroundColor = color;
+    return this;
+  }
+
+  getBackgroundColor() {
+    return this.attributes.backgroundColor || null;
+  }
+
+  setLinkUrl(url: string) {
+    this.attributes.linkUrl = url;
+    return this;
+  }
+
+  getLinkUrl() {
+    return this.attributes.linkUrl || null;
+  }
+
+  setAttributes(attributes: Record<string, GasValue>) {
+    Object.assign(this.attributes, attributes);
+    return this;
+  }
+
+  getAttributes() {
+    return { ...this.attributes };
+  }
+}
+
+export class FakeParagraph extends FakeTextElement {
+  private heading = ParagraphHeading.NORMAL;
+  private alignment: string | null = null;
+
+  constructor(text = '') {
+    super();
+    this.text = text;
+  }
+
+  getType() {
+    return ElementType.PARAGRAPH;
+  }
+
+  asParagraph() {
+    return this;
+  }
+
+  setHeading(heading: string) {
+    this.heading = heading;
+    return this;
+  }
+
+  getHeading() {
+    return this.heading;
+  }
+
+  setAlignment(alignment: string) {
+    this.alignment = alignment;
+    return this;
+  }
+
+  getAlignment() {
+    return this.alignment;
+  }
+}
+
+export class FakeListItem extends FakeParagraph {
+  getType() {
+    return ElementType.LIST_ITEM;
+  }
+
+  asListItem() {
+    return this;
+  }
+
+  setGlyphType() {
+    return this;
+  }
+}
+
+export class FakeTableCell extends FakeTextElement {
+  constructor(text = '') {
+    super();
+    this.text = text;
+  }
+
+  setWidth(width: number) {
+    this.attributes.width = width;
+    return this;
+  }
+
+  getWidth() {
+    return this.attributes.width;
+  }
+
+  setPaddingLeft(padding: number) {
+    this.attributes.paddingLeft = padding;
+    return this;
+  }
+}
+
+export class FakeTableRow {
+  constructor(public cells: FakeTableCell[]) {}
+
+  getCell(index: number) {
+    const cell = this.cells[index];
+    if (!cell)
+      throw new Error(
+        `Child index (${index}) must be less than the number of child elements (${this.cells.length}).`
+      );
+    return cell;
+  }
+
+  getNumCells() {
+    return this.cells.length;
+  }
+
+  appendTableCell(text = '') {
+    const cell = new FakeTableCell(text);
+    this.cells.push(cell);
+    return cell;
+  }
+}
+
+export class FakeTable {
+  attributes: Record<string, GasValue> = {};
+  rows: FakeTableRow[];
+
+  constructor(cells: string[][] = []) {
+    this.rows = cells.map(
+      (row) =>
+        new FakeTableRow(row.map((text) => new FakeTableCell(String(text))))
+    );
+  }
+
+  getType() {
+    return ElementType.TABLE;
+  }
+
+  asTable() {
+    return this;
+  }
+
+  getNumRows() {
+    return this.rows.length;
+  }
+
+  getRow(index: number) {
+    const row = this.rows[index];
+    if (!row)
+      throw new Error(
+        `Child index (${index}) must be less than the number of child elements (${this.rows.length}).`
+      );
+    return row;
+  }
+
+  getCell(row: number, column: number) {
+    return this.getRow(row).getCell(column);
+  }
+
+  appendTableRow() {
+    const row = new FakeTableRow([]);
+    this.rows.push(row);
+    return row;
+  }
+
+  setBorderWidth(width: number) {
+    this.attributes.borderWidth = width;
+    return this;
+  }
+
+  setBorderColor(color: string) {
+    this.attributes.borderColor = color;
+    return this;
+  }
+
+  setColumnWidth(column: number, width: number) {
+    this.rows.forEach(
+      (row) => row.cells[column] && row.cells[column].setWidth(width)
+    );
+    return this;
+  }
+
+  getText() {
+    return this.rows
+      .map((row) => row.cells.map((cell) => cell.getText()).join('\t'))
+      .join('\n');
+  }
+
+  /**
+   * Convenience for tests: returns the table contents as a 2D string array.
+   */
+  toArray() {
+    return this.rows.map((row) => row.cells.map((cell) => cell.getText()));
+  }
+}
+
+export class FakeHorizontalRule {
+  getType() {
+    return ElementType.HORIZONTAL_RULE;
+  }
+}
+
+type BodyChild = FakeParagraph | FakeTable | FakeHorizontalRule;
+
+export class FakeBody {
+  children: BodyChild[] = [new FakeParagraph()];
+
+  clear() {
+    // Like Apps Script, a cleared body still holds one empty paragraph.
+    this.children = [new FakeParagraph()];
+    return this;
+  }
+
+  appendParagraph(text: string) {
+    const paragraph = new FakeParagraph(text);
+    this.children.push(paragraph);
+    return paragraph;
+  }
+
+  insertParagraph(childIndex: number, text: string) {
+    const paragraph = new FakeParagraph(text);
+    this.children.splice(childIndex, 0, paragraph);
+    return paragraph;
+  }
+
+  appendListItem(text: string) {
+    const item = new FakeListItem(text);
+    this.children.push(item);
+    return item;
+  }
+
+  appendTable(cells?: string[][]) {
+    const table = new FakeTable(cells);
+    this.children.push(table);
+    return table;
+  }
+
+  appendHorizontalRule() {
+    const rule = new FakeHorizontalRule();
+    this.children.push(rule);
+    return rule;
+  }
+
+  getNumChildren() {
+    return this.children.length;
+  }
+
+  getChild(index: number) {
+    return this.children[index];
+  }
+
+  getChildIndex(child: BodyChild) {
+    return this.children.indexOf(child);
+  }
+
+  removeChild(child: BodyChild) {
+    this.children = this.children.filter((c) => c !== child);
+    return this;
+  }
+
+  getParagraphs() {
+    return this.children.filter(
+      (c): c is FakeParagraph => c instanceof FakeParagraph
+    );
+  }
+
+  getTables() {
+    return this.children.filter((c): c is FakeTable => c instanceof FakeTable);
+  }
+
+  getText() {
+    return this.children
+      .map((c) =>
+        c instanceof FakeParagraph || c instanceof FakeTable ? c.getText() : ''
+      )
+      .join('\n');
+  }
+
+  /**
+   * Convenience for tests: headings and tables in document order.
+   */
+  outline() {
+    return this.children
+      .filter((c) => !(c instanceof FakeParagraph) || c.getText() !== '')
+      .map((c) => {
+        if (c instanceof FakeTable) return { table: c.toArray() };
+        if (c instanceof FakeParagraph)
+          return { heading: c.getHeading(), text: c.getText() };
+        return { rule: true };
+      });
+  }
+}
+
+export class FakeDocument {
+  private body = new FakeBody();
+
+  constructor(private id: string, private name: string) {}
+
+  getId() {
+    return this.id;
+  }
+
+  getName() {
+    return this.name;
+  }
+
+  setName(name: string) {
+    this.name = name;
+    return this;
+  }
+
+  getUrl() {
+    return `https://docs.google.com/document/d/${this.id}/edit`;
+  }
+
+  getBody() {
+    return this.body;
+  }
+
+  saveAndClose() {
+    return undefined;
+  }
+}
+
+export function createDocumentApp(env: {
+  documents: Map<string, FakeDocument>;
+  createDocument: (name: string) => FakeDocument;
+}) {
+  return {
+    ElementType,
+    ParagraphHeading,
+    HorizontalAlignment: { LEFT: 'LEFT', CENTER: 'CENTER', RIGHT: 'RIGHT' },
+    GlyphType: { BULLET: 'BULLET', NUMBER: 'NUMBER' },
+    openById: (id: string) => {
+      const doc = env.documents.get(id);
+      if (!doc)
+        throw new Error(
+          `Document ${id} is missing (perhaps it was deleted, or you don't have read access?)`
+        );
+      return doc;
+    },
+    openByUrl: (url: string) => {
+      const match = url.match(/\/d\/([a-zA-Z0-9-_]+)/);
+      const doc = match && env.documents.get(match[1]);
+      if (!doc) throw new Error(`Document ${url} is missing.`);
+      return doc;
+    },
+    create: (name: string) => env.createDocument(name),
+  };
+}
@@ -0,0 +1,234 @@
+// Builds a fake Apps Script runtime and evaluates the project's src/*.js
+// globals into it, so that the server-side code can be exercised in Jest.
+
+import * as fs from 'fs';
+import * as path from 'path';
+import * as vm from 'vm';
+
+import { createDocumentApp, FakeDocument } from './document';
+import {
+  createDriveApp,
+  createGmailApp,
+  createHtmlService,
+  createLockService,
+  createLogRecorder,
+  createPropertiesService,
+  createScriptApp,
+  createSession,
+  createUrlFetchApp,
+  createUtilities,
+  FakeBrowser,
+  FakeLock,
+  FakeProperties,
+  FakeTrigger,
+  FetchRequest,
+  SentMail,
+} from './services';
+import { createSpreadsheetApp, FakeSpreadsheet, FakeUi } from './spreadsheet';
+import { GasValue } from './types';
+
+export const SRC_DIR = path.resolve(__dirname, '../../src');
+
+export interface GasEnvironmentOptions {
+  /** Frozen "current time" seen by `new Date()` inside the project. */
+  now?: Date;
+  /** Owner and active user of the spreadsheet. */
+  owner?: string;
+  /** Additional editors of the spreadsheet. */
+  editors?: string[];
+  timeZone?: string;
+  srcDir?: string;
+}
+
+/**
+ * A Date subclass whose zero-argument constructor and `Date.now()` return the
+ * environment's clock instead of the real time.
+ */
+function createClockDate(clock: { now: number }) {
+  class ClockDate extends Date {
+    constructor(...args: GasValue[]) {
+      if (args.length === 0) {
+        super(clock.now);
+      } else if (args.length === 1) {
+        super(args[0]);
+      } else {
+        super(...(args as [number, number, ...number[]]));
+      }
+    }
+
+    static now() {
+      return clock.now;
+    }
+
+    // Dates read from the fake sheets are host Dates, as sheet values are
+    // real Dates in Apps Script
+    static [Symbol.hasInstance](value: unknown) {
+      return value instanceof Date;
+    }
+  }
+  return ClockDate;
+}
+
+export class GasEnvironment {
+  readonly context: vm.Context;
+  readonly outbox: SentMail[] = [];
+  /** Requests made with UrlFetchApp; add a URL to `failingUrls` to make its requests fail. */
+  readonly fetches: FetchRequest[] = [];
+  readonly failingUrls = new Set<string>();
+  readonly triggers: FakeTrigger[] = [];
+  readonly properties = new FakeProperties();
+  readonly userProperties = new FakeProperties();
+  readonly documents = new Map<string, FakeDocument>();
+  readonly spreadsheets = new Map<string, FakeSpreadsheet>();
+  readonly ui = new FakeUi();
+  readonly browser = new FakeBrowser();
+  readonly scriptLock = new FakeLock();
+  readonly logs = createLogRecorder();
+  readonly spreadsheet: FakeSpreadsheet;
+  readonly webAppUrl =
+    'https://script.google.com/macros/s/fake-deployment/exec';
+
+  private clock: { now: number };
+  private session: { activeUser: string; timeZone: string };
+  private nextFileId = 1;
+
+  constructor(options: GasEnvironmentOptions = {}) {
+    const owner = options.owner || 'owner@example.com';
+    const timeZone = options.timeZone || 'Asia/Tokyo';
+    const srcDir = options.srcDir || SRC_DIR;
+    this.clock = { now: (options.now || new Date()).getTime() };
+    this.session = { activeUser: owner, timeZone };
+
+    this.spreadsheet = new FakeSpreadsheet(
+      this.newFileId('ss'),
+      'Task Spreadsheet',
+      owner,
+      options.editors
+    );
+    this.spreadsheets.set(this.spreadsheet.getId(), this.spreadsheet);
+
+    const globals: Record<string, GasValue> = {
+      console: this.logs,
+      Logger: { log: this.logs.log },
+      Date: createClockDate(this.clock),
+      SpreadsheetApp: createSpreadsheetApp({
+        getActive: () => this.spreadsheet,
+        spreadsheets: this.spreadsheets,
+        ui: this.ui,
+        createSpreadsheet: (name: string) => this.createSpreadsheet(name),
+      }),
+      DocumentApp: createDocumentApp({
+        documents: this.documents,
+        createDocument: (name: string) => this.createDocument(name),
+      }),
+      GmailApp: createGmailApp(this.outbox),
+      MailApp: createGmailApp(this.outbox),
+      PropertiesService: createPropertiesService(
+        this.properties,
+        this.userProperties
+      ),
+      ScriptApp: createScriptApp(this.triggers, { serviceUrl: this.webAppUrl }),
+      HtmlService: createHtmlService(srcDir, (code) => this.run(code)),
+      Session: createSession(this.session),
+      DriveApp: createDriveApp((id) => this.lookupFile(id)),
+      LockService: createLockService(this.scriptLock),
+      Browser: this.browser,
+      Utilities: createUtilities(),
+      UrlFetchApp: createUrlFetchApp(this.fetches, this.failingUrls),
+    };
+    this.context = vm.createContext(globals);
+
+    fs.readdirSync(srcDir)
+      .filter((file) => file.endsWith('.js'))
+      .sort()
+      .forEach((file) => {
+        const filename = path.join(srcDir, file);
+        new vm.Script(fs.readFileSync(filename, 'utf8'), {
+          filename,
+        }).runInContext(this.context);
+      });
+  }
+
+  /**
+   * Evaluates an expression inside the project scope. Top-level `class` and
+   * `const` declarations are only reachable this way, not as context keys.
+   */
+  run(code: string): GasValue {
+    return vm.runInContext(code, this.context);
+  }
+
+  /** Returns a top-level binding (function, class or constant) by name. */
+  get(name: string): GasValue {
+    return this.run(name);
+  }
+
+  /** Calls a global project function, e.g. `call('updateAllTaskIndexSheets')`. */
+  call(name: string, ...args: GasValue[]): GasValue {
+    return this.get(name)(...args);
+  }
+
+  setNow(date: Date) {
+    this.clock.now = date.getTime();
+  }
+
+  /**
+   * Runs the following calls as another user, e.g. a staff member using the
+   * menu. Their edits of sheets protected against them fail.
+   */
+  setActiveUser(email: string) {
+    this.session.activeUser = email;
+    this.spreadsheet.setActiveUserEmail(email);
+  }
+
+  createDocument(name = 'Untitled document') {
+    const doc = new FakeDocument(this.newFileId('doc'), name);
+    this.documents.set(doc.getId(), doc);
+    return doc;
+  }
+
+  createSpreadsheet(name = 'Untitled spreadsheet') {
+    const ss = new FakeSpreadsheet(
+      this.newFileId('ss'),
+      name,
+      this.spreadsheet.getOwnerEmail()
+    );
+    this.spreadsheets.set(ss.getId(), ss);
+    return ss;
+  }
+
+  /** Returns the document a reminder URL points at. */
+  documentByUrl(url: string) {
+    const match = url.match(/\/d\/([a-zA-Z0-9-_]+)/);
+    const doc = match && this.documents.get(match[1]);
+    if (!doc) throw new Error(`No fake document for ${url}`);
+    return doc;
+  }
+
+  private newFileId(prefix: string) {
+    return `${prefix}${this.nextFileId++}FAKEID`;
+  }
+
+  private lookupFile(id: string) {
+    const doc = this.documents.get(id);
+    if (doc) {
+      return {
+        mimeType: 'application/vnd.google-apps.document',
+        name: doc.getName(),
+        url: doc.getUrl(),
+      };
+    }
+    const ss = this.spreadsheets.get(id);
+    if (ss) {
+      return {
+        mimeType: 'application/vnd.google-apps.spreadsheet',
+        name: ss.getName(),
+        url: ss.getUrl(),
+      };
+    }
+    return null;
+  }
+}
+
+export function createGasEnvironment(options: GasEnvironmentOptions = {}) {
+  return new GasEnvironment(options);
+}
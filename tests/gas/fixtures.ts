@@ -0,0 +1,134 @@
+// Shared fixtures that put a fake spreadsheet into the state the project
+// expects after its settings have been configured.
+
+import { GasEnvironment } from './environment';
+import { GasValue } from './types';
+
+export const INDEX_SHEET_INFO = {
+  ongoingTaskSheetName: 'Ongoing Index',
+  completedTaskSheetName: 'Completed Index',
+  backToIndexPhrase: 'Back to Index',
+  completionFlag: '【Completed】',
+};
+
+export const STAFF = [
+  { name: 'Aki', email: 'aki@example.com' },
+  { name: 'Ben', email: 'ben@example.com' },
+];
+
+export interface TaskRow {
+  item: string;
+  summary?: string;
+  date?: Date | '';
+  staff?: string;
+  complete?: boolean;
+  priority?: string;
+  recurrence?: string;
+}
+
+/**
+ * Creates the index sheets and stores index sheet and staff settings.
+ */
+export function setupProject(env: GasEnvironment) {
+  const ss = env.spreadsheet;
+  ss.insertSheet(INDEX_SHEET_INFO.ongoingTaskSheetName);
+  ss.insertSheet(INDEX_SHEET_INFO.completedTaskSheetName);
+  env.properties.setJson('INDEX_SHEET', INDEX_SHEET_INFO);
+  env.properties.setJson('STAFF_DATA', STAFF);
+  STAFF.forEach((staff) => ss.addEditor(staff.email));
+}
+
+/**
+ * Adds a task sheet with a link back to the index in A1, headers in B1:F1
+ * and one task per row. "Priority" and "Recurrence" columns are added after
+ * F only when some task uses them; otherwise the sheet looks like one created
+ * before those columns existed.
+ */
+export function addTaskSheet(
+  env: GasEnvironment,
+  name: string,
+  tasks: TaskRow[]
+) {
+  const sheet = env.spreadsheet.insertSheet(name);
+  sheet
+    .getRange('A1')
+    .setFormula(
+      `=HYPERLINK("${env.spreadsheet.getUrl()}#gid=0", "${
+        INDEX_SHEET_INFO.backToIndexPhrase
+      }")`
+    );
+  sheet
+    .getRange('B1:F1')
+    .setValues([['Item', 'Summary', 'Date', 'Staff', 'Complete']]);
+  tasks.forEach((task, i) => {
+    sheet
+      .getRange(i + 2, 2, 1, 5)
+      .setValues([
+        [
+          task.item,
+          task.summary || '',
+          task.date || '',
+          task.staff || '',
+          !!task.complete,
+        ],
+      ]);
+  });
+  if (tasks.length > 0)
+    sheet.getRange(2, 6, tasks.length, 1).insertCheckboxes();
+  let column = 7;
+  (['priority', 'recurrence'] as const).forEach((field) => {
+    if (!tasks.some((task) => task[field] !== undefined)) return;
+    sheet
+      .getRange(1, column)
+      .setValue(field === 'priority' ? 'Priority' : 'Recurrence');
+    tasks.forEach((task, i) =>
+      sheet.getRange(i + 2, column).setValue(task[field] || '')
+    );
+    column++;
+  });
+  return sheet;
+}
+
+/**
+ * Creates reminder Docs and stores their URLs as the settings dialog would.
+ */
+export function setupGeneralReminders(
+  env: GasEnvironment,
+  emails: string[] = ['lead@example.com']
+) {
+  const today = env.createDocument('Today');
+  const week = env.createDocument('Week');
+  env.properties.setJson('GENERAL_REMINDER_EMAILS', emails);
+  env.properties.setJson('GENERAL_REM_DOC_URL', {
+    generalTodayReminderDocUrl: today.getUrl(),
+    generalWeekReminderDocUrl: week.getUrl(),
+  });
+  return { today, week };
+}
+
+/**
+ * Creates per-staff reminder Docs for every fixture staff member.
+ */
+export function setupStaffBasedReminders(env: GasEnvironment) {
+  const docs: Record<string, GasValue> = {};
+  const data = STAFF.map((staff) => {
+    const today = env.createDocument(`${staff.name} Today`);
+    const week = env.createDocument(`${staff.name} Week`);
+    docs[staff.name] = { today, week };
+    return {
+      [staff.name]: {
+        email: staff.email,
+        todayReminderUrl: today.getUrl(),
+        nextWeekReminderUrl: week.getUrl(),
+      },
+    };
+  });
+  env.properties.setJson('DESIG_STAFF', STAFF);
+  env.properties.setJson('STAFFBASED_REM_DATA', data);
+  return docs;
+}
+
+/** Local-midnight date helper. */
+export function day(year: number, month: number, date: number) {
+  return new Date(year, month - 1, date);
+}
@@ -0,0 +1,649 @@
+// In-memory fakes for the smaller Apps Script services: Gmail, properties,
+// triggers, HTML templates, dialogs and utilities.
+
+import { execFileSync } from 'child_process';
+import * as crypto from 'crypto';
+import * as fs from 'fs';
+import * as path from 'path';
+
+import { GasValue } from './types';
+
+export interface SentMail {
+  to: string;
+  subject: string;
+  body: string;
+  options: Record<string, GasValue>;
+}
+
+export function createGmailApp(outbox: SentMail[]) {
+  return {
+    sendEmail(
+      recipient: GasValue,
+      subject: string,
+      body: string,
+      options: Record<string, GasValue> = {}
+    ) {
+      outbox.push({
+        to: String(recipient),
+        subject,
+        body,
+        options: { ...options },
+      });
+    },
+  };
+}
+
+export interface FetchRequest {
+  url: string;
+  options: Record<string, GasValue>;
+}
+
+/** URLs of servers started by the tests on this machine, e.g. a stub webhook. */
+const LOCAL_URL = /^http:\/\/(127\.0\.0\.1|localhost)(:\d+)?\//;
+
+/**
+ * Sends a request to a local server and waits for the response. UrlFetchApp
+ * is synchronous, so the request is made by a child process; the server must
+ * run in another process as well, since this one is blocked meanwhile.
+ */
+function fetchFromLocalServer(url: string, options: Record<string, GasValue>) {
+  const script = `
+    const [url, options] = JSON.parse(process.argv[1]);
+    fetch(url, {
+      method: (options.method || 'get').toUpperCase(),
+      headers: { 'Content-Type': options.contentType || 'application/x-www-form-urlencoded', ...(options.headers || {}) },
+      body: options.payload,
+    })
+      .then(async (response) => process.stdout.write(JSON.stringify({ code: response.status, text: await response.text() })))
+      .catch((error) => { process.stderr.write(String(error)); process.exit(1); });`;
+  const output = execFileSync(
+    process.execPath,
+    ['-e', script, JSON.stringify([url, options])],
+    { encoding: 'utf8', timeout: 10000 }
+  );
+  return JSON.parse(output) as { code: number; text: string };
+}
+
+/**
+ * Records every request made with UrlFetchApp.fetch. Requests to local
+ * servers are really sent; other requests get 200 OK unless `failUrls` lists
+ * the URL. Error responses throw like UrlFetchApp does without
+ * muteHttpExceptions.
+ */
+export function createUrlFetchApp(
+  requests: FetchRequest[],
+  failUrls: Set<string>
+) {
+  return {
+    fetch(url: string, options: Record<string, GasValue> = {}) {
+      requests.push({ url, options: { ...options } });
+      let response = { code: 200, text: '' };
+      if (LOCAL_URL.test(url)) {
+        response = fetchFromLocalServer(url, options);
+      } else if (failUrls.has(url)) {
+        response = { code: 500, text: 'Internal Server Error' };
+      }
+      if (response.code >= 400 && !options.muteHttpExceptions) {
+        throw new Error(
+          `Request failed for ${url} returned code ${response.code}. Truncated server response: ${response.text}`
+        );
+      }
+      return {
+        getResponseCode: () => response.code,
+        getContentText: () => response.text,
+      };
+    },
+  };
+}
+
+/** Apps Script rejects a property value larger than 9 KB. */
+export const PROPERTY_VALUE_LIMIT_BYTES = 9 * 1024;
+
+export class FakeProperties {
+  private store = new Map<string, string>();
+
+  getProperty(key: string) {
+    return this.store.has(key) ? (this.store.get(key) as string) : null;
+  }
+
+  setProperty(key: string, value: GasValue) {
+    if (Buffer.byteLength(String(value), 'utf8') > PROPERTY_VALUE_LIMIT_BYTES) {
+      throw new Error('Argument too large: value');
+    }
+    this.store.set(key, String(value));
+    return this;
+  }
+
+  deleteProperty(key: string) {
+    this.store.delete(key);
+    return this;
+  }
+
+  getProperties() {
+    return Object.fromEntries(this.store);
+  }
+
+  setProperties(properties: Record<string, GasValue>, deleteAllOthers = false) {
+    if (deleteAllOthers) this.store.clear();
+    Object.entries(properties).forEach(([key, value]) =>
+      this.setProperty(key, value)
+    );
+    return this;
+  }
+
+  getKeys() {
+    return Array.from(this.store.keys());
+  }
+
+  deleteAllProperties() {
+    this.store.clear();
+    return this;
+  }
+
+  /**
+   * Convenience for tests: stores a value as JSON, like the project does.
+   */
+  setJson(key: string, value: GasValue) {
+    return this.setProperty(key, JSON.stringify(value));
+  }
+
+  /**
+   * Convenience for tests: reads a JSON property back.
+   */
+  getJson(key: string) {
+    const value = this.getProperty(key);
+    return value === null ? null : JSON.parse(value);
+  }
+}
+
+export function createPropertiesService(
+  scriptProperties: FakeProperties,
+  userProperties = new FakeProperties()
+) {
+  return {
+    getScriptProperties: () => scriptProperties,
+    getUserProperties: () => userProperties,
+    getDocumentProperties: () => scriptProperties,
+  };
+}
+
+export interface FakeTrigger {
+  getUniqueId(): string;
+  getHandlerFunction(): string;
+  getEventType(): string;
+  getTriggerSource(): string;
+  config: Record<string, GasValue>;
+}
+
+export const WeekDay = {
+  SUNDAY: 'SUNDAY',
+  MONDAY: 'MONDAY',
+  TUESDAY: 'TUESDAY',
+  WEDNESDAY: 'WEDNESDAY',
+  THURSDAY: 'THURSDAY',
+  FRIDAY: 'FRIDAY',
+  SATURDAY: 'SATURDAY',
+};
+
+export function createScriptApp(
+  triggers: FakeTrigger[],
+  options: { serviceUrl: string }
+) {
+  let nextId = 1;
+
+  function makeTrigger(
+    handler: string,
+    eventType: string,
+    source: string,
+    config: Record<string, GasValue>
+  ) {
+    const id = String(nextId++);
+    const trigger: FakeTrigger = {
+      getUniqueId: () => id,
+      getHandlerFunction: () => handler,
+      getEventType: () => eventType,
+      getTriggerSource: () => source,
+      config,
+    };
+    triggers.push(trigger);
+    return trigger;
+  }
+
+  function clockBuilder(handler: string) {
+    const config: Record<string, GasValue> = {};
+    const builder: GasValue = {};
+    const setter = (key: string) => (value: GasValue) => {
+      config[key] = value;
+      return builder;
+    };
+    [
+      'after',
+      'at',
+      'atHour',
+      'nearMinute',
+      'everyMinutes',
+      'everyHours',
+      'everyDays',
+      'everyWeeks',
+      'onWeekDay',
+      'onMonthDay',
+      'inTimezone',
+    ].forEach((key) => (builder[key] = setter(key)));
+    builder.create = () => makeTrigger(handler, 'CLOCK', 'CLOCK', config);
+    return builder;
+  }
+
+  function spreadsheetBuilder(handler: string) {
+    const builder: GasValue = {};
+    ['onEdit', 'onOpen', 'onChange', 'onFormSubmit'].forEach((eventType) => {
+      builder[eventType] = () => ({
+        create: () =>
+          makeTrigger(
+            handler,
+            eventType.replace(/^on/, 'ON_').toUpperCase(),
+            'SPREADSHEETS',
+            {}
+          ),
+      });
+    });
+    return builder;
+  }
+
+  return {
+    WeekDay,
+    EventType: {
+      CLOCK: 'CLOCK',
+      ON_EDIT: 'ON_EDIT',
+      ON_OPEN: 'ON_OPEN',
+      ON_CHANGE: 'ON_CHANGE',
+    },
+    TriggerSource: { CLOCK: 'CLOCK', SPREADSHEETS: 'SPREADSHEETS' },
+    newTrigger: (handler: string) => ({
+      timeBased: () => clockBuilder(handler),
+      forSpreadsheet: () => spreadsheetBuilder(handler),
+    }),
+    getProjectTriggers: () => triggers.slice(),
+    deleteTrigger: (trigger: FakeTrigger) => {
+      const index = triggers.indexOf(trigger);
+      if (index !== -1) triggers.splice(index, 1);
+    },
+    getService: () => ({ getUrl: () => options.serviceUrl }),
+    getScriptId: () => 'fake-script-id',
+  };
+}
+
+function escapeHtml(value: GasValue) {
+  if (value === null || value === undefined) return '';
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Mirrors the contextual escaping of printing scriptlets: values printed
+ * inside a <script> block are emitted as JavaScript literals.
+ */
+function contextualEscape(value: GasValue, output: string) {
+  const lastOpen = output.lastIndexOf('<script');
+  const lastClose = output.lastIndexOf('</script');
+  if (lastOpen > lastClose) {
+    return value === undefined ? 'undefined' : JSON.stringify(value);
+  }
+  return escapeHtml(value);
+}
+
+/**
+ * Compiles an Apps Script HTML template (`<? ?>`, `<?= ?>`, `<?!= ?>`) into
+ * the source of a function taking the template data.
+ */
+export function compileTemplate(source: string) {
+  let code = 'var __out = "";\n';
+  const pattern = /<\?(!=|=)?([\s\S]*?)\?>/g;
+  let cursor = 0;
+  let match: RegExpExecArray | null;
+  while ((match = pattern.exec(source)) !== null) {
+    code += `__out += ${JSON.stringify(source.slice(cursor, match.index))};\n`;
+    if (match[1] === '=') {
+      code += `__out += __escape((${match[2]}), __out);\n`;
+    } else if (match[1] === '!=') {
+      code += `__out += String((${match[2]}));\n`;
+    } else {
+      code += `${match[2]}\n`;
+    }
+    cursor = pattern.lastIndex;
+  }
+  code += `__out += ${JSON.stringify(source.slice(cursor))};\nreturn __out;`;
+  return `(function (__data, __escape) { with (__data) {\n${code}\n} })`;
+}
+
+export class FakeHtmlOutput {
+  private title = '';
+  width = 0;
+  height = 0;
+
+  constructor(private content: string) {}
+
+  getContent() {
+    return this.content;
+  }
+
+  setContent(content: string) {
+    this.content = content;
+    return this;
+  }
+
+  append(content: string) {
+    this.content += content;
+    return this;
+  }
+
+  setTitle(title: string) {
+    this.title = title;
+    return this;
+  }
+
+  getTitle() {
+    return this.title;
+  }
+
+  setWidth(width: number) {
+    this.width = width;
+    return this;
+  }
+
+  setHeight(height: number) {
+    this.height = height;
+    return this;
+  }
+
+  setXFrameOptionsMode() {
+    return this;
+  }
+
+  addMetaTag() {
+    return this;
+  }
+}
+
+export function createHtmlService(
+  srcDir: string,
+  evaluate: (code: string) => GasValue
+) {
+  function readFile(name: string) {
+    const file = path.join(
+      srcDir,
+      name.endsWith('.html') ? name : `${name}.html`
+    );
+    return fs.readFileSync(file, 'utf8');
+  }
+
+  function createTemplate(source: string) {
+    const template: GasValue = {};
+    Object.defineProperty(template, 'evaluate', {
+      enumerable: false,
+      value: () => {
+        const render = evaluate(compileTemplate(source));
+        const data: Record<string, GasValue> = {};
+        Object.keys(template).forEach((key) => (data[key] = template[key]));
+        return new FakeHtmlOutput(render(data, contextualEscape));
+      },
+    });
+    Object.defineProperty(template, 'getRawContent', {
+      enumerable: false,
+      value: () => source,
+    });
+    return template;
+  }
+
+  return {
+    XFrameOptionsMode: { ALLOWALL: 'ALLOWALL', DEFAULT: 'DEFAULT' },
+    SandboxMode: { IFRAME: 'IFRAME' },
+    createTemplate,
+    createTemplateFromFile: (name: string) => createTemplate(readFile(name)),
+    createHtmlOutput: (html = '') => new FakeHtmlOutput(html),
+    createHtmlOutputFromFile: (name: string) =>
+      new FakeHtmlOutput(readFile(name)),
+  };
+}
+
+/**
+ * The script lock of LockService. Runs are not concurrent in tests, so a
+ * test takes the lock with `tryLock` itself to play another execution that
+ * holds it.
+ */
+export class FakeLock {
+  private locked = false;
+
+  tryLock(_timeoutInMillis?: number) {
+    if (this.locked) return false;
+    this.locked = true;
+    return true;
+  }
+
+  waitLock(timeoutInMillis?: number) {
+    if (!this.tryLock(timeoutInMillis)) {
+      throw new Error('Lock timeout: another process was holding the lock.');
+    }
+  }
+
+  hasLock() {
+    return this.locked;
+  }
+
+  releaseLock() {
+    this.locked = false;
+  }
+}
+
+export function createLockService(scriptLock: FakeLock) {
+  return {
+    getScriptLock: () => scriptLock,
+  };
+}
+
+/**
+ * Scripted replacement for Browser.msgBox / Browser.inputBox. Queue answers
+ * with `respond`; every prompt shown is recorded in `messages`.
+ */
+export class FakeBrowser {
+  messages: Array<{ kind: string; prompt: string }> = [];
+  private responses: string[] = [];
+
+  Buttons = {
+    OK: 'OK',
+    OK_CANCEL: 'OK_CANCEL',
+    YES_NO: 'YES_NO',
+    YES_NO_CANCEL: 'YES_NO_CANCEL',
+  };
+
+  respond(...responses: string[]) {
+    this.responses.push(...responses);
+    return this;
+  }
+
+  msgBox(...args: GasValue[]) {
+    const buttons =
+      args.length > 1 &&
+      Object.values(this.Buttons).includes(args[args.length - 1])
+        ? args.pop()
+        : this.Buttons.OK;
+    const prompt = args[args.length - 1];
+    this.messages.push({ kind: 'msgBox', prompt: String(prompt) });
+    if (this.responses.length) return this.responses.shift();
+    return buttons === this.Buttons.YES_NO ||
+      buttons === this.Buttons.YES_NO_CANCEL
+      ? 'yes'
+      : 'ok';
+  }
+
+  inputBox(...args: GasValue[]) {
+    const prompt =
+      typeof args[args.length - 1] === 'string' &&
+      !Object.values(this.Buttons).includes(args[args.length - 1])
+        ? args[args.length - 1]
+        : args[0];
+    this.messages.push({ kind: 'inputBox', prompt: String(prompt) });
+    return this.responses.length ? this.responses.shift() : 'cancel';
+  }
+}
+
+export function createSession(options: {
+  activeUser: string;
+  timeZone: string;
+}) {
+  const user = { getEmail: () => options.activeUser };
+  return {
+    getActiveUser: () => user,
+    getEffectiveUser: () => user,
+    getScriptTimeZone: () => options.timeZone,
+    getActiveUserLocale: () => 'en',
+  };
+}
+
+export function createDriveApp(
+  lookup: (id: string) => { mimeType: string; name: string; url: string } | null
+) {
+  return {
+    getFileById: (id: string) => {
+      const file = lookup(id);
+      if (!file)
+        throw new Error(`No item with the given ID could be found: ${id}`);
+      return {
+        getId: () => id,
+        getName: () => file.name,
+        getUrl: () => file.url,
+        getMimeType: () => file.mimeType,
+      };
+    },
+  };
+}
+
+function pad(value: number, length = 2) {
+  return String(value).padStart(length, '0');
+}
+
+/**
+ * Supports the SimpleDateFormat tokens the project uses.
+ */
+export function formatDate(date: Date, timeZone: string, format: string) {
+  const parts: Record<string, string> = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+    weekday: 'short',
+    hourCycle: 'h23',
+  })
+    .formatToParts(date)
+    .forEach((part) => (parts[part.type] = part.value));
+  const tokens: Record<string, string> = {
+    yyyy: parts.year,
+    yy: parts.year.slice(-2),
+    MM: pad(Number(parts.month)),
+    M: String(Number(parts.month)),
+    dd: pad(Number(parts.day)),
+    d: String(Number(parts.day)),
+    HH: pad(Number(parts.hour)),
+    H: String(Number(parts.hour)),
+    mm: pad(Number(parts.minute)),
+    ss: pad(Number(parts.second)),
+    EEE: parts.weekday,
+  };
+  return format.replace(
+    /'([^']*)'|yyyy|yy|MM|M|dd|d|HH|H|mm|ss|EEE/g,
+    (token, literal) => (literal !== undefined ? literal : tokens[token])
+  );
+}
+
+function toSignedBytes(buffer: Buffer) {
+  return Array.from(buffer).map((b) => (b > 127 ? b - 256 : b));
+}
+
+function toBuffer(value: GasValue) {
+  return Array.isArray(value)
+    ? Buffer.from(value.map((b: number) => b & 0xff))
+    : Buffer.from(String(value), 'utf8');
+}
+
+export function createUtilities() {
+  return {
+    Charset: { UTF_8: 'UTF_8' },
+    DigestAlgorithm: { SHA_256: 'sha256', MD5: 'md5', SHA_1: 'sha1' },
+    sleep: () => undefined,
+    formatDate,
+    getUuid: () => crypto.randomUUID(),
+    computeDigest: (algorithm: string, value: GasValue) =>
+      toSignedBytes(
+        crypto.createHash(algorithm).update(toBuffer(value)).digest()
+      ),
+    computeHmacSha256Signature: (value: GasValue, key: GasValue) =>
+      toSignedBytes(
+        crypto
+          .createHmac('sha256', toBuffer(key))
+          .update(toBuffer(value))
+          .digest()
+      ),
+    base64Encode: (value: GasValue) => toBuffer(value).toString('base64'),
+    base64EncodeWebSafe: (value: GasValue) =>
+      toBuffer(value)
+        .toString('base64')
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_'),
+    base64Decode: (value: string) =>
+      toSignedBytes(Buffer.from(value, 'base64')),
+    base64DecodeWebSafe: (value: string) =>
+      toSignedBytes(
+        Buffer.from(value.replace(/-/g, '+').replace(/_/g, '/'), 'base64')
+      ),
+    newBlob: (data: GasValue, contentType = 'text/plain', name = '') => ({
+      getDataAsString: () => toBuffer(data).toString('utf8'),
+      getBytes: () => toSignedBytes(toBuffer(data)),
+      getContentType: () => contentType,
+      getName: () => name,
+      setName(newName: string) {
+        name = newName;
+        return this;
+      },
+    }),
+  };
+}
+
+export interface LogRecorder {
+  entries: Array<{ level: string; message: string }>;
+  log(...args: GasValue[]): void;
+  info(...args: GasValue[]): void;
+  warn(...args: GasValue[]): void;
+  error(...args: GasValue[]): void;
+}
+
+/**
+ * Stands in for both `console` and `Logger` so project logging does not
+ * flood the test output; entries can be inspected in assertions.
+ */
+export function createLogRecorder(): LogRecorder {
+  const entries: Array<{ level: string; message: string }> = [];
+  const record =
+    (level: string) =>
+    (...args: GasValue[]) => {
+      entries.push({
+        level,
+        message: args
+          .map((a) => (typeof a === 'string' ? a : JSON.stringify(a)))
+          .join(' '),
+      });
+    };
+  return {
+    entries,
+    log: record('log'),
+    info: record('info'),
+    warn: record('warn'),
+    error: record('error'),
+  };
+}
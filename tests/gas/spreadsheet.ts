@@ -0,0 +1,1375 @@
+// In-memory fake of the parts of SpreadsheetApp used by the project.
+
+import { GasValue } from './types';
+
+export type CellValue = GasValue;
+
+export interface FakeUser {
+  getEmail(): string;
+}
+
+export function fakeUser(email: string): FakeUser {
+  return { getEmail: () => email };
+}
+
+const DEFAULT_MAX_ROWS = 1000;
+const DEFAULT_MAX_COLUMNS = 26;
+
+export const DataValidationCriteria = {
+  CHECKBOX: 'CHECKBOX',
+  DATE_IS_VALID_DATE: 'DATE_IS_VALID_DATE',
+  VALUE_IN_LIST: 'VALUE_IN_LIST',
+  VALUE_IN_RANGE: 'VALUE_IN_RANGE',
+};
+
+export class FakeDataValidation {
+  constructor(
+    private criteriaType: string,
+    private criteriaValues: GasValue[],
+    private allowInvalid: boolean,
+    private helpText: string
+  ) {}
+
+  getCriteriaType() {
+    return this.criteriaType;
+  }
+
+  getCriteriaValues() {
+    return this.criteriaValues.slice();
+  }
+
+  getAllowInvalid() {
+    return this.allowInvalid;
+  }
+
+  getHelpText() {
+    return this.helpText;
+  }
+
+  copy() {
+    const builder = new FakeDataValidationBuilder();
+    builder.criteriaType = this.criteriaType;
+    builder.criteriaValues = this.criteriaValues.slice();
+    builder.allowInvalid = this.allowInvalid;
+    builder.helpText = this.helpText;
+    return builder;
+  }
+}
+
+export class FakeDataValidationBuilder {
+  criteriaType = '';
+  criteriaValues: GasValue[] = [];
+  allowInvalid = true;
+  helpText = '';
+
+  requireDate() {
+    this.criteriaType = DataValidationCriteria.DATE_IS_VALID_DATE;
+    this.criteriaValues = [];
+    return this;
+  }
+
+  requireValueInList(values: GasValue[], showDropdown = true) {
+    this.criteriaType = DataValidationCriteria.VALUE_IN_LIST;
+    this.criteriaValues = [values.slice(), showDropdown];
+    return this;
+  }
+
+  requireCheckbox() {
+    this.criteriaType = DataValidationCriteria.CHECKBOX;
+    this.criteriaValues = [];
+    return this;
+  }
+
+  setAllowInvalid(allowInvalid: boolean) {
+    this.allowInvalid = allowInvalid;
+    return this;
+  }
+
+  setHelpText(helpText: string) {
+    this.helpText = helpText;
+    return this;
+  }
+
+  build() {
+    return new FakeDataValidation(
+      this.criteriaType,
+      this.criteriaValues,
+      this.allowInvalid,
+      this.helpText
+    );
+  }
+}
+
+/**
+ * Converts a column label such as "AB" into a 1-based column number.
+ */
+export function columnToNumber(label: string): number {
+  let num = 0;
+  for (const ch of label.toUpperCase()) {
+    num = num * 26 + (ch.charCodeAt(0) - 64);
+  }
+  return num;
+}
+
+/**
+ * Converts a 1-based column number into a column label such as "AB".
+ */
+export function numberToColumn(num: number): string {
+  let label = '';
+  while (num > 0) {
+    const rem = (num - 1) % 26;
+    label = String.fromCharCode(65 + rem) + label;
+    num = Math.floor((num - 1) / 26);
+  }
+  return label;
+}
+
+function isBlank(value: CellValue) {
+  return value === '' || value === null || value === undefined;
+}
+
+/**
+ * Evaluates the handful of formulas the project writes. Anything else
+ * evaluates to an empty string.
+ */
+function evaluateFormula(formula: string): CellValue {
+  const hyperlink = formula.match(
+    /^=HYPERLINK\(\s*"([^"]*)"\s*[,;]\s*"((?:[^"]|"")*)"\s*\)$/i
+  );
+  if (hyperlink) {
+    return hyperlink[2].replace(/""/g, '"');
+  }
+  return '';
+}
+
+function compareForSort(a: CellValue, b: CellValue) {
+  if (isBlank(a) && isBlank(b)) return 0;
+  if (isBlank(a)) return 1;
+  if (isBlank(b)) return -1;
+  const av = a instanceof Date ? a.getTime() : a;
+  const bv = b instanceof Date ? b.getTime() : b;
+  if (typeof av === 'number' && typeof bv === 'number') return av - bv;
+  if (typeof av === 'boolean' && typeof bv === 'boolean')
+    return Number(av) - Number(bv);
+  return String(av).localeCompare(String(bv));
+}
+
+interface Cell {
+  value: CellValue;
+  formula: string;
+  format: Record<string, GasValue>;
+  validation: FakeDataValidation | null;
+  note: string;
+}
+
+function emptyCell(): Cell {
+  return { value: '', formula: '', format: {}, validation: null, note: '' };
+}
+
+export class FakeProtection {
+  private editors: string[];
+  private description = '';
+  private warningOnly = false;
+  removed = false;
+
+  constructor(private sheet: FakeSheet, owners: string[]) {
+    this.editors = owners.slice();
+  }
+
+  setDescription(description: string) {
+    this.description = description;
+    return this;
+  }
+
+  getDescription() {
+    return this.description;
+  }
+
+  setWarningOnly(warningOnly: boolean) {
+    this.warningOnly = warningOnly;
+    return this;
+  }
+
+  isWarningOnly() {
+    return this.warningOnly;
+  }
+
+  /** Whether the active user can edit what is protected. */
+  canEdit() {
+    const spreadsheet = this.sheet.getParent();
+    const user = spreadsheet.getActiveUserEmail();
+    return user === spreadsheet.getOwnerEmail() || this.editors.includes(user);
+  }
+
+  /** Whether the user can edit what is protected without being stopped. */
+  allows(email: string) {
+    return this.warningOnly || this.editors.includes(email);
+  }
+
+  getEditors() {
+    return this.editors.map(fakeUser);
+  }
+
+  addEditor(emailOrUser: string | FakeUser) {
+    return this.addEditors([emailOrUser]);
+  }
+
+  addEditors(emailsOrUsers: Array<string | FakeUser>) {
+    for (const entry of emailsOrUsers) {
+      const email = typeof entry === 'string' ? entry : entry.getEmail();
+      if (!this.editors.includes(email)) this.editors.push(email);
+    }
+    return this;
+  }
+
+  removeEditor(emailOrUser: string | FakeUser) {
+    return this.removeEditors([emailOrUser]);
+  }
+
+  removeEditors(emailsOrUsers: Array<string | FakeUser>) {
+    const emails = emailsOrUsers.map((entry) =>
+      typeof entry === 'string' ? entry : entry.getEmail()
+    );
+    this.editors = this.editors.filter((email) => !emails.includes(email));
+    return this;
+  }
+
+  getRange() {
+    return this.sheet.getRange(
+      1,
+      1,
+      this.sheet.getMaxRows(),
+      this.sheet.getMaxColumns()
+    );
+  }
+
+  remove() {
+    this.removed = true;
+    this.sheet.removeProtection(this);
+  }
+}
+
+export class FakeFilter {
+  constructor(private range: FakeRange) {}
+
+  getRange() {
+    return this.range;
+  }
+
+  remove() {
+    this.range.getSheet().removeFilter();
+  }
+}
+
+export class FakeRange {
+  constructor(
+    private sheet: FakeSheet,
+    private row: number,
+    private column: number,
+    private numRows: number,
+    private numColumns: number
+  ) {}
+
+  getSheet() {
+    return this.sheet;
+  }
+
+  getRow() {
+    return this.row;
+  }
+
+  getColumn() {
+    return this.column;
+  }
+
+  getLastRow() {
+    return this.row + this.numRows - 1;
+  }
+
+  getLastColumn() {
+    return this.column + this.numColumns - 1;
+  }
+
+  getNumRows() {
+    return this.numRows;
+  }
+
+  getNumColumns() {
+    return this.numColumns;
+  }
+
+  getA1Notation() {
+    const start = `${numberToColumn(this.column)}${this.row}`;
+    if (this.numRows === 1 && this.numColumns === 1) return start;
+    return `${start}:${numberToColumn(
+      this.getLastColumn()
+    )}${this.getLastRow()}`;
+  }
+
+  private cells(): Cell[][] {
+    const rows: Cell[][] = [];
+    for (let r = 0; r < this.numRows; r++) {
+      const row: Cell[] = [];
+      for (let c = 0; c < this.numColumns; c++) {
+        row.push(this.sheet.cellAt(this.row + r, this.column + c));
+      }
+      rows.push(row);
+    }
+    return rows;
+  }
+
+  private forEachCell(fn: (cell: Cell, r: number, c: number) => void) {
+    this.cells().forEach((row, r) => row.forEach((cell, c) => fn(cell, r, c)));
+    return this;
+  }
+
+  private checkDimensions(values: GasValue[][], method: string) {
+    if (
+      values.length !== this.numRows ||
+      values.some((row) => row.length !== this.numColumns)
+    ) {
+      throw new Error(
+        `${method}: The number of rows or columns in the data does not match the range ${this.getA1Notation()}.`
+      );
+    }
+  }
+
+  getValue() {
+    return this.getValues()[0][0];
+  }
+
+  getValues() {
+    return this.cells().map((row) =>
+      row.map((cell) => {
+        const value = cell.formula ? evaluateFormula(cell.formula) : cell.value;
+        return value instanceof Date ? new Date(value.getTime()) : value;
+      })
+    );
+  }
+
+  getDisplayValue() {
+    return this.getDisplayValues()[0][0];
+  }
+
+  getDisplayValues() {
+    return this.getValues().map((row) =>
+      row.map((value) => (isBlank(value) ? '' : String(value)))
+    );
+  }
+
+  setValue(value: CellValue) {
+    this.sheet.assertEditable();
+    return this.forEachCell((cell) => {
+      cell.value = value;
+      cell.formula = '';
+    });
+  }
+
+  setValues(values: CellValue[][]) {
+    this.checkDimensions(values, 'setValues');
+    this.sheet.assertEditable();
+    return this.forEachCell((cell, r, c) => {
+      const value = values[r][c];
+      if (typeof value === 'string' && value.startsWith('=')) {
+        cell.formula = value;
+        cell.value = '';
+      } else {
+        cell.value = value;
+        cell.formula = '';
+      }
+    });
+  }
+
+  getFormula() {
+    return this.getFormulas()[0][0];
+  }
+
+  getFormulas() {
+    return this.cells().map((row) => row.map((cell) => cell.formula));
+  }
+
+  setFormula(formula: string) {
+    return this.forEachCell((cell) => {
+      cell.formula = formula;
+      cell.value = '';
+    });
+  }
+
+  setFormulas(formulas: string[][]) {
+    this.checkDimensions(formulas, 'setFormulas');
+    return this.forEachCell((cell, r, c) => {
+      cell.formula = formulas[r][c];
+      cell.value = '';
+    });
+  }
+
+  getNote() {
+    return this.sheet.cellAt(this.row, this.column).note;
+  }
+
+  setNote(note: string) {
+    return this.forEachCell((cell) => {
+      cell.note = note;
+    });
+  }
+
+  isBlank() {
+    return this.getValues().every((row) => row.every(isBlank));
+  }
+
+  clear() {
+    return this.forEachCell((cell) => Object.assign(cell, emptyCell()));
+  }
+
+  clearContent() {
+    return this.forEachCell((cell) => {
+      cell.value = '';
+      cell.formula = '';
+    });
+  }
+
+  clearFormat() {
+    return this.forEachCell((cell) => {
+      cell.format = {};
+    });
+  }
+
+  clearDataValidations() {
+    return this.setDataValidation(null);
+  }
+
+  getDataValidation() {
+    return this.sheet.cellAt(this.row, this.column).validation;
+  }
+
+  getDataValidations() {
+    return this.cells().map((row) => row.map((cell) => cell.validation));
+  }
+
+  setDataValidation(rule: FakeDataValidation | null) {
+    return this.forEachCell((cell) => {
+      cell.validation = rule;
+    });
+  }
+
+  setDataValidations(rules: Array<Array<FakeDataValidation | null>>) {
+    this.checkDimensions(rules, 'setDataValidations');
+    return this.forEachCell((cell, r, c) => {
+      cell.validation = rules[r][c];
+    });
+  }
+
+  insertCheckboxes() {
+    const rule = new FakeDataValidationBuilder().requireCheckbox().build();
+    return this.forEachCell((cell) => {
+      cell.validation = rule;
+      if (isBlank(cell.value)) cell.value = false;
+    });
+  }
+
+  removeCheckboxes() {
+    return this.forEachCell((cell) => {
+      if (
+        cell.validation &&
+        cell.validation.getCriteriaType() === DataValidationCriteria.CHECKBOX
+      ) {
+        cell.validation = null;
+        cell.value = '';
+      }
+    });
+  }
+
+  check() {
+    return this.setValue(true);
+  }
+
+  uncheck() {
+    return this.setValue(false);
+  }
+
+  /**
+   * Returns the stored format attribute of the top-left cell, e.g.
+   * `getFormat('background')`.
+   */
+  getFormat(name: string) {
+    return this.sheet.cellAt(this.row, this.column).format[name];
+  }
+
+  private setFormat(name: string, value: GasValue) {
+    return this.forEachCell((cell) => {
+      cell.format[name] = value;
+    });
+  }
+
+  getBackground() {
+    return this.getFormat('background') || '#ffffff';
+  }
+
+  getBackgrounds() {
+    return this.cells().map((row) =>
+      row.map((cell) => cell.format.background || '#ffffff')
+    );
+  }
+
+  setBackground(color: string | null) {
+    return this.setFormat('background', color);
+  }
+
+  setBackgrounds(colors: string[][]) {
+    this.checkDimensions(colors, 'setBackgrounds');
+    return this.forEachCell((cell, r, c) => {
+      cell.format.background = colors[r][c];
+    });
+  }
+
+  getFontColor() {
+    return this.getFormat('fontColor') || '#000000';
+  }
+
+  setFontColor(color: string) {
+    return this.setFormat('fontColor', color);
+  }
+
+  setFontColors(colors: string[][]) {
+    this.checkDimensions(colors, 'setFontColors');
+    return this.forEachCell((cell, r, c) => {
+      cell.format.fontColor = colors[r][c];
+    });
+  }
+
+  getFontWeight() {
+    return this.getFormat('fontWeight') || 'normal';
+  }
+
+  setFontWeight(weight: string) {
+    return this.setFormat('fontWeight', weight);
+  }
+
+  setFontWeights(weights: string[][]) {
+    this.checkDimensions(weights, 'setFontWeights');
+    return this.forEachCell((cell, r, c) => {
+      cell.format.fontWeight = weights[r][c];
+    });
+  }
+
+  setFontSize(size: number) {
+    return this.setFormat('fontSize', size);
+  }
+
+  setFontLine(line: string) {
+    return this.setFormat('fontLine', line);
+  }
+
+  setHorizontalAlignment(alignment: string) {
+    return this.setFormat('horizontalAlignment', alignment);
+  }
+
+  setVerticalAlignment(alignment: string) {
+    return this.setFormat('verticalAlignment', alignment);
+  }
+
+  setWrap(wrap: boolean) {
+    return this.setFormat('wrap', wrap);
+  }
+
+  getNumberFormat() {
+    return this.getFormat('numberFormat') || '0.###############';
+  }
+
+  setNumberFormat(format: string) {
+    return this.setFormat('numberFormat', format);
+  }
+
+  setBorder(...args: GasValue[]) {
+    return this.setFormat('border', args);
+  }
+
+  merge() {
+    return this.setFormat('merged', true);
+  }
+
+  createFilter() {
+    return this.sheet.setFilter(new FakeFilter(this));
+  }
+
+  activate() {
+    this.sheet.activate();
+    return this;
+  }
+
+  offset(
+    rowOffset: number,
+    columnOffset: number,
+    numRows?: number,
+    numColumns?: number
+  ) {
+    return new FakeRange(
+      this.sheet,
+      this.row + rowOffset,
+      this.column + columnOffset,
+      numRows || this.numRows,
+      numColumns || this.numColumns
+    );
+  }
+
+  /**
+   * Mimics Ctrl+Arrow navigation for the directions the project uses.
+   */
+  getNextDataCell(direction: string) {
+    const col = this.column;
+    if (direction === 'UP') {
+      for (let r = this.row - 1; r >= 1; r--) {
+        if (!this.sheet.isCellEmpty(r, col)) return this.sheet.getRange(r, col);
+      }
+      return this.sheet.getRange(1, col);
+    }
+    if (direction === 'DOWN') {
+      for (let r = this.row + 1; r <= this.sheet.getMaxRows(); r++) {
+        if (!this.sheet.isCellEmpty(r, col)) return this.sheet.getRange(r, col);
+      }
+      return this.sheet.getRange(this.sheet.getMaxRows(), col);
+    }
+    throw new Error(
+      `getNextDataCell: direction ${direction} is not supported by the fake.`
+    );
+  }
+
+  sort(spec: GasValue) {
+    const specs = (Array.isArray(spec) ? spec : [spec]).map((s: GasValue) =>
+      typeof s === 'number' ? { column: s, ascending: true } : s
+    );
+    const rows = this.cells().map((row) => row.map((cell) => ({ ...cell })));
+    rows.sort((a, b) => {
+      for (const s of specs) {
+        const idx = s.column - this.column;
+        const av = a[idx].formula
+          ? evaluateFormula(a[idx].formula)
+          : a[idx].value;
+        const bv = b[idx].formula
+          ? evaluateFormula(b[idx].formula)
+          : b[idx].value;
+        let result = compareForSort(av, bv);
+        if (s.ascending === false && !isBlank(av) && !isBlank(bv))
+          result = -result;
+        if (result !== 0) return result;
+      }
+      return 0;
+    });
+    this.forEachCell((cell, r, c) => Object.assign(cell, rows[r][c]));
+    return this;
+  }
+
+  copyTo(destination: FakeRange) {
+    const source = this.cells();
+    source.forEach((row, r) =>
+      row.forEach((cell, c) => {
+        const target = destination
+          .getSheet()
+          .cellAt(destination.getRow() + r, destination.getColumn() + c);
+        Object.assign(target, { ...cell, format: { ...cell.format } });
+      })
+    );
+  }
+}
+
+/** Embedded chart as built by FakeEmbeddedChartBuilder. */
+export class FakeEmbeddedChart {
+  constructor(
+    readonly chartType: string,
+    readonly ranges: string[],
+    readonly position: { row: number; column: number },
+    readonly options: Record<string, GasValue>
+  ) {}
+
+  getRanges() {
+    return this.ranges;
+  }
+
+  getOptions() {
+    return { get: (key: string) => this.options[key] };
+  }
+}
+
+/** Records what a chart is built from; charts are not drawn. */
+export class FakeEmbeddedChartBuilder {
+  private chartType = '';
+  private ranges: string[] = [];
+  private position = { row: 1, column: 1 };
+  private options: Record<string, GasValue> = {};
+
+  setChartType(type: string) {
+    this.chartType = type;
+    return this;
+  }
+
+  asColumnChart() {
+    return this.setChartType('COLUMN');
+  }
+
+  asBarChart() {
+    return this.setChartType('BAR');
+  }
+
+  addRange(range: { getA1Notation(): string }) {
+    this.ranges.push(range.getA1Notation());
+    return this;
+  }
+
+  setPosition(row: number, column: number, _offsetX = 0, _offsetY = 0) {
+    this.position = { row, column };
+    return this;
+  }
+
+  setOption(key: string, value: GasValue) {
+    this.options[key] = value;
+    return this;
+  }
+
+  build() {
+    return new FakeEmbeddedChart(
+      this.chartType,
+      this.ranges,
+      this.position,
+      this.options
+    );
+  }
+}
+
+export class FakeSheet {
+  private grid: Cell[][] = [];
+  private maxRows: number;
+  private maxColumns: number;
+  private hidden = false;
+  private protections: FakeProtection[] = [];
+  private filter: FakeFilter | null = null;
+  private tabColor: string | null = null;
+  private frozenRows = 0;
+  private columnWidths: Record<number, number> = {};
+  private hiddenColumns = new Set<number>();
+  private developerMetadata: Array<{ key: string; value: string }> = [];
+  private charts: FakeEmbeddedChart[] = [];
+
+  constructor(
+    private spreadsheet: FakeSpreadsheet,
+    private name: string,
+    private sheetId: number,
+    maxRows = DEFAULT_MAX_ROWS,
+    maxColumns = DEFAULT_MAX_COLUMNS
+  ) {
+    this.maxRows = maxRows;
+    this.maxColumns = maxColumns;
+  }
+
+  cellAt(row: number, column: number): Cell {
+    if (
+      row < 1 ||
+      column < 1 ||
+      row > this.maxRows ||
+      column > this.maxColumns
+    ) {
+      throw new Error(
+        `Range (${row}, ${column}) is out of bounds of sheet ${this.name} (${this.maxRows}x${this.maxColumns}).`
+      );
+    }
+    while (this.grid.length < row) this.grid.push([]);
+    const gridRow = this.grid[row - 1];
+    while (gridRow.length < column) gridRow.push(emptyCell());
+    return gridRow[column - 1];
+  }
+
+  isCellEmpty(row: number, column: number) {
+    const gridRow = this.grid[row - 1];
+    if (!gridRow || !gridRow[column - 1]) return true;
+    const cell = gridRow[column - 1];
+    return isBlank(cell.value) && !cell.formula;
+  }
+
+  getParent() {
+    return this.spreadsheet;
+  }
+
+  getName() {
+    return this.name;
+  }
+
+  getSheetName() {
+    return this.name;
+  }
+
+  setName(name: string) {
+    if (this.spreadsheet.getSheetByName(name) && name !== this.name) {
+      throw new Error(`A sheet with the name "${name}" already exists.`);
+    }
+    this.name = name;
+    return this;
+  }
+
+  getSheetId() {
+    return this.sheetId;
+  }
+
+  getIndex() {
+    return this.spreadsheet.getSheets().indexOf(this) + 1;
+  }
+
+  getMaxRows() {
+    return this.maxRows;
+  }
+
+  getMaxColumns() {
+    return this.maxColumns;
+  }
+
+  getLastRow() {
+    for (let r = this.grid.length; r >= 1; r--) {
+      const row = this.grid[r - 1];
+      if (row.some((cell) => !isBlank(cell.value) || cell.formula)) return r;
+    }
+    return 0;
+  }
+
+  getLastColumn() {
+    let last = 0;
+    this.grid.forEach((row) =>
+      row.forEach((cell, c) => {
+        if ((!isBlank(cell.value) || cell.formula) && c + 1 > last)
+          last = c + 1;
+      })
+    );
+    return last;
+  }
+
+  getDataRange() {
+    return this.getRange(
+      1,
+      1,
+      Math.max(this.getLastRow(), 1),
+      Math.max(this.getLastColumn(), 1)
+    );
+  }
+
+  getRange(
+    a1OrRow: string | number,
+    column?: number,
+    numRows = 1,
+    numColumns = 1
+  ): FakeRange {
+    if (typeof a1OrRow === 'number') {
+      if (column === undefined)
+        throw new Error('getRange: column is required.');
+      if (numRows < 1 || numColumns < 1) {
+        throw new Error(
+          'The number of rows and columns in the range must be at least 1.'
+        );
+      }
+      this.cellAt(a1OrRow + numRows - 1, column + numColumns - 1);
+      return new FakeRange(this, a1OrRow, column, numRows, numColumns);
+    }
+    const a1 = a1OrRow.includes('!') ? a1OrRow.split('!')[1] : a1OrRow;
+    const match = a1.toUpperCase().match(/^([A-Z]*)(\d*)(?::([A-Z]*)(\d*))?$/);
+    if (!match || (!match[1] && !match[2])) {
+      throw new Error(`Range not found: ${a1OrRow}`);
+    }
+    const [, startCol, startRow, endCol, endRow] = match;
+    const hasEnd = a1.includes(':');
+    const row = startRow ? parseInt(startRow, 10) : 1;
+    const col = startCol ? columnToNumber(startCol) : 1;
+    let lastRow: number;
+    let lastCol: number;
+    if (hasEnd) {
+      lastRow = endRow ? parseInt(endRow, 10) : this.maxRows;
+      lastCol = endCol ? columnToNumber(endCol) : this.maxColumns;
+    } else {
+      lastRow = startRow ? row : this.maxRows;
+      lastCol = startCol ? col : this.maxColumns;
+    }
+    return this.getRange(row, col, lastRow - row + 1, lastCol - col + 1);
+  }
+
+  /**
+   * Convenience for tests: returns the whole used area as values.
+   */
+  dump() {
+    if (this.getLastRow() === 0) return [];
+    return this.getDataRange().getValues();
+  }
+
+  appendRow(values: CellValue[]) {
+    const row = this.getLastRow() + 1;
+    this.getRange(row, 1, 1, values.length).setValues([values]);
+    return this;
+  }
+
+  insertRowsAfter(afterPosition: number, howMany: number) {
+    const rows = Array.from({ length: howMany }, () => [] as Cell[]);
+    while (this.grid.length < afterPosition) this.grid.push([]);
+    this.grid.splice(afterPosition, 0, ...rows);
+    this.maxRows += howMany;
+    return this;
+  }
+
+  insertRowBefore(beforePosition: number) {
+    return this.insertRowsAfter(beforePosition - 1, 1);
+  }
+
+  deleteRow(rowPosition: number) {
+    return this.deleteRows(rowPosition, 1);
+  }
+
+  deleteRows(rowPosition: number, howMany: number) {
+    this.assertEditable();
+    this.grid.splice(rowPosition - 1, howMany);
+    this.maxRows -= howMany;
+    return this;
+  }
+
+  insertColumnsAfter(afterPosition: number, howMany: number) {
+    this.grid.forEach((row) => {
+      while (row.length < afterPosition) row.push(emptyCell());
+      row.splice(
+        afterPosition,
+        0,
+        ...Array.from({ length: howMany }, emptyCell)
+      );
+    });
+    this.maxColumns += howMany;
+    return this;
+  }
+
+  insertColumnBefore(beforePosition: number) {
+    return this.insertColumnsAfter(beforePosition - 1, 1);
+  }
+
+  deleteColumn(columnPosition: number) {
+    this.grid.forEach((row) => row.splice(columnPosition - 1, 1));
+    this.maxColumns -= 1;
+    return this;
+  }
+
+  clear() {
+    this.grid = [];
+    return this;
+  }
+
+  clearContents() {
+    this.grid.forEach((row) =>
+      row.forEach((cell) => {
+        cell.value = '';
+        cell.formula = '';
+      })
+    );
+    return this;
+  }
+
+  setColumnWidth(column: number, width: number) {
+    this.columnWidths[column] = width;
+    return this;
+  }
+
+  getColumnWidth(column: number) {
+    return this.columnWidths[column] || 100;
+  }
+
+  hideColumns(column: number, numColumns = 1) {
+    for (let c = column; c < column + numColumns; c++)
+      this.hiddenColumns.add(c);
+  }
+
+  showColumns(column: number, numColumns = 1) {
+    for (let c = column; c < column + numColumns; c++)
+      this.hiddenColumns.delete(c);
+  }
+
+  isColumnHiddenByUser(column: number) {
+    return this.hiddenColumns.has(column);
+  }
+
+  setFrozenRows(rows: number) {
+    this.frozenRows = rows;
+  }
+
+  getFrozenRows() {
+    return this.frozenRows;
+  }
+
+  setTabColor(color: string | null) {
+    this.tabColor = color;
+    return this;
+  }
+
+  getTabColor() {
+    return this.tabColor;
+  }
+
+  hideSheet() {
+    this.hidden = true;
+    return this;
+  }
+
+  newChart() {
+    return new FakeEmbeddedChartBuilder();
+  }
+
+  insertChart(chart: FakeEmbeddedChart) {
+    this.charts.push(chart);
+  }
+
+  removeChart(chart: FakeEmbeddedChart) {
+    this.charts = this.charts.filter((c) => c !== chart);
+  }
+
+  getCharts() {
+    return this.charts.slice();
+  }
+
+  showSheet() {
+    this.hidden = false;
+    return this;
+  }
+
+  isSheetHidden() {
+    return this.hidden;
+  }
+
+  activate() {
+    this.spreadsheet.setActiveSheet(this);
+    return this;
+  }
+
+  protect() {
+    const existing = this.protections.find((p) => !p.removed);
+    if (existing) return existing;
+    const protection = new FakeProtection(this, [
+      this.spreadsheet.getOwnerEmail(),
+    ]);
+    this.protections.push(protection);
+    return protection;
+  }
+
+  /**
+   * Throws like Apps Script when the active user, other than the owner, edits
+   * a sheet protected against them.
+   */
+  assertEditable() {
+    const user = this.spreadsheet.getActiveUserEmail();
+    if (user === this.spreadsheet.getOwnerEmail()) return;
+    if (this.getProtections().some((p) => !p.allows(user))) {
+      throw new Error(
+        'You are trying to edit a protected cell or object. Please contact the spreadsheet owner to remove protection if you need to edit.'
+      );
+    }
+  }
+
+  getProtections(_type?: string) {
+    return this.protections.filter((p) => !p.removed);
+  }
+
+  removeProtection(protection: FakeProtection) {
+    this.protections = this.protections.filter((p) => p !== protection);
+  }
+
+  setFilter(filter: FakeFilter) {
+    if (this.filter) {
+      throw new Error(
+        "You can't create a filter in a sheet that already has a filter."
+      );
+    }
+    this.filter = filter;
+    return filter;
+  }
+
+  getFilter() {
+    return this.filter;
+  }
+
+  removeFilter() {
+    this.filter = null;
+  }
+
+  addDeveloperMetadata(key: string, value = '') {
+    this.developerMetadata.push({ key, value });
+    return this;
+  }
+
+  getDeveloperMetadata() {
+    return this.developerMetadata.map((entry) => ({
+      getKey: () => entry.key,
+      getValue: () => entry.value,
+      setValue: (value: string) => {
+        entry.value = value;
+      },
+      remove: () => {
+        this.developerMetadata = this.developerMetadata.filter(
+          (e) => e !== entry
+        );
+      },
+    }));
+  }
+
+  /**
+   * Copies the sheet including values, formats and validations into the
+   * target spreadsheet, like Sheet.copyTo.
+   */
+  copyTo(target: FakeSpreadsheet) {
+    const copy = target.insertSheet(
+      `Copy of ${this.name}`,
+      target.getSheets().length,
+      {
+        maxRows: this.maxRows,
+        maxColumns: this.maxColumns,
+      }
+    );
+    copy.grid = this.grid.map((row) =>
+      row.map((cell) => ({ ...cell, format: { ...cell.format } }))
+    );
+    copy.columnWidths = { ...this.columnWidths };
+    copy.frozenRows = this.frozenRows;
+    copy.tabColor = this.tabColor;
+    return copy;
+  }
+}
+
+export class FakeSpreadsheet {
+  private sheets: FakeSheet[] = [];
+  private activeSheet: FakeSheet | null = null;
+  private nextSheetId = 0;
+  private editors: string[];
+  private activeUserEmail: string;
+
+  constructor(
+    private id: string,
+    private name: string,
+    private ownerEmail: string,
+    editors: string[] = []
+  ) {
+    this.editors = [ownerEmail, ...editors.filter((e) => e !== ownerEmail)];
+    this.activeUserEmail = ownerEmail;
+  }
+
+  getId() {
+    return this.id;
+  }
+
+  getName() {
+    return this.name;
+  }
+
+  rename(name: string) {
+    this.name = name;
+  }
+
+  getUrl() {
+    return `https://docs.google.com/spreadsheets/d/${this.id}/edit`;
+  }
+
+  getOwnerEmail() {
+    return this.ownerEmail;
+  }
+
+  getOwner() {
+    return fakeUser(this.ownerEmail);
+  }
+
+  getActiveUserEmail() {
+    return this.activeUserEmail;
+  }
+
+  setActiveUserEmail(email: string) {
+    this.activeUserEmail = email;
+  }
+
+  getEditors() {
+    return this.editors.map(fakeUser);
+  }
+
+  addEditor(email: string) {
+    if (!this.editors.includes(email)) this.editors.push(email);
+    return this;
+  }
+
+  getSheets() {
+    return this.sheets.slice();
+  }
+
+  getNumSheets() {
+    return this.sheets.length;
+  }
+
+  getSheetByName(name: string) {
+    return this.sheets.find((sheet) => sheet.getName() === name) || null;
+  }
+
+  getSheetById(id: number) {
+    return this.sheets.find((sheet) => sheet.getSheetId() === id) || null;
+  }
+
+  insertSheet(
+    name?: string | number,
+    index?: number,
+    options: { maxRows?: number; maxColumns?: number } = {}
+  ) {
+    if (typeof name === 'number') {
+      index = name;
+      name = undefined;
+    }
+    const sheetName = (name as string) || `Sheet${this.sheets.length + 1}`;
+    if (this.getSheetByName(sheetName)) {
+      throw new Error(
+        `A sheet with the name "${sheetName}" already exists. Please enter another name.`
+      );
+    }
+    const sheet = new FakeSheet(
+      this,
+      sheetName,
+      this.nextSheetId++,
+      options.maxRows,
+      options.maxColumns
+    );
+    const position =
+      index === undefined
+        ? this.sheets.length
+        : Math.min(index, this.sheets.length);
+    this.sheets.splice(position, 0, sheet);
+    this.activeSheet = sheet;
+    return sheet;
+  }
+
+  deleteSheet(sheet: FakeSheet) {
+    if (this.sheets.length === 1) {
+      throw new Error("You can't remove all the sheets in a document.");
+    }
+    this.sheets = this.sheets.filter((s) => s !== sheet);
+    if (this.activeSheet === sheet) this.activeSheet = this.sheets[0];
+  }
+
+  getActiveSheet() {
+    return this.activeSheet || this.sheets[0] || null;
+  }
+
+  setActiveSheet(sheet: FakeSheet) {
+    this.activeSheet = sheet;
+    return sheet;
+  }
+
+  moveActiveSheet(pos: number) {
+    const sheet = this.getActiveSheet();
+    if (!sheet) return;
+    this.sheets = this.sheets.filter((s) => s !== sheet);
+    this.sheets.splice(pos - 1, 0, sheet);
+  }
+
+  getRange(a1: string) {
+    const [sheetName, range] = a1.split('!');
+    const sheet = this.getSheetByName(sheetName.replace(/^'|'$/g, ''));
+    if (!sheet) throw new Error(`Range not found: ${a1}`);
+    return sheet.getRange(range);
+  }
+}
+
+export interface FakeUiRecord {
+  menus: Array<{ name: string; items: GasValue[] }>;
+  dialogs: Array<{ kind: string; title: string; content: string }>;
+  alerts: string[];
+}
+
+class FakeMenu {
+  items: GasValue[] = [];
+
+  constructor(private ui: FakeUi, public name: string) {}
+
+  addItem(caption: string, functionName: string) {
+    this.items.push({ caption, functionName });
+    return this;
+  }
+
+  addSeparator() {
+    this.items.push({ separator: true });
+    return this;
+  }
+
+  addSubMenu(menu: FakeMenu) {
+    this.items.push({ subMenu: menu.name, items: menu.items });
+    return this;
+  }
+
+  addToUi() {
+    this.ui.record.menus.push({ name: this.name, items: this.items });
+  }
+}
+
+export class FakeUi {
+  record: FakeUiRecord = { menus: [], dialogs: [], alerts: [] };
+  responses: GasValue[] = [];
+
+  ButtonSet = {
+    OK: 'OK',
+    OK_CANCEL: 'OK_CANCEL',
+    YES_NO: 'YES_NO',
+    YES_NO_CANCEL: 'YES_NO_CANCEL',
+  };
+  Button = { OK: 'OK', CANCEL: 'CANCEL', YES: 'YES', NO: 'NO', CLOSE: 'CLOSE' };
+
+  createMenu(name: string) {
+    return new FakeMenu(this, name);
+  }
+
+  showModalDialog(output: GasValue, title: string) {
+    this.record.dialogs.push({
+      kind: 'modal',
+      title,
+      content: output.getContent(),
+    });
+  }
+
+  showModelessDialog(output: GasValue, title: string) {
+    this.record.dialogs.push({
+      kind: 'modeless',
+      title,
+      content: output.getContent(),
+    });
+  }
+
+  showSidebar(output: GasValue) {
+    this.record.dialogs.push({
+      kind: 'sidebar',
+      title: output.getTitle ? output.getTitle() : '',
+      content: output.getContent(),
+    });
+  }
+
+  alert(message: string) {
+    this.record.alerts.push(message);
+    return this.responses.length ? this.responses.shift() : this.Button.OK;
+  }
+}
+
+export function createSpreadsheetApp(env: {
+  getActive: () => FakeSpreadsheet;
+  spreadsheets: Map<string, FakeSpreadsheet>;
+  ui: FakeUi;
+  createSpreadsheet: (name: string) => FakeSpreadsheet;
+}) {
+  return {
+    Direction: { UP: 'UP', DOWN: 'DOWN', NEXT: 'NEXT', PREVIOUS: 'PREVIOUS' },
+    ProtectionType: { SHEET: 'SHEET', RANGE: 'RANGE' },
+    DataValidationCriteria,
+    getActiveSpreadsheet: () => env.getActive(),
+    getActive: () => env.getActive(),
+    getActiveSheet: () => env.getActive().getActiveSheet(),
+    getUi: () => env.ui,
+    newDataValidation: () => new FakeDataValidationBuilder(),
+    flush: () => undefined,
+    create: (name: string) => env.createSpreadsheet(name),
+    openById: (id: string) => {
+      const ss = env.spreadsheets.get(id);
+      if (!ss) throw new Error(`Spreadsheet ${id} not found.`);
+      return ss;
+    },
+    openByUrl: (url: string) => {
+      const match = url.match(/\/d\/([a-zA-Z0-9-_]+)/);
+      const ss = match && env.spreadsheets.get(match[1]);
+      if (!ss) throw new Error(`Spreadsheet ${url} not found.`);
+      return ss;
+    },
+  };
+}
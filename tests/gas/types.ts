@@ -0,0 +1,8 @@
+// Types shared by the fakes of the Apps Script services.
+
+/**
+ * A value passed between the project's code and the fakes. The project is
+ * plain JavaScript evaluated in a sandbox, so the values it passes to the
+ * fakes and reads back from them are not typed.
+ */
+export type GasValue = any;
@@ -0,0 +1,63 @@
+// A stub incoming-webhook server for testing notifiers over real HTTP. It
+// runs in a child process because UrlFetchApp requests block this process
+// until they are answered.
+
+import { ChildProcess, spawn } from 'child_process';
+
+export interface ReceivedRequest {
+  method: string;
+  path: string;
+  contentType: string;
+  body: string;
+}
+
+export interface WebhookStubServer {
+  /** Base URL of the server, e.g. `http://127.0.0.1:1234`. */
+  url: string;
+  /** Requests received so far, except those to `/requests`. */
+  requests(): Promise<ReceivedRequest[]>;
+  stop(): Promise<void>;
+}
+
+// Paths starting with /fail are answered with 500 like a rejected message
+const SERVER_SCRIPT = `
+  const http = require('http');
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => {
+      if (req.url === '/requests') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(received));
+        return;
+      }
+      received.push({ method: req.method, path: req.url, contentType: req.headers['content-type'] || '', body });
+      res.writeHead(req.url.startsWith('/fail') ? 500 : 200);
+      res.end(req.url.startsWith('/fail') ? 'invalid payload' : 'ok');
+    });
+  });
+  server.listen(0, '127.0.0.1', () => process.stdout.write(String(server.address().port) + '\\n'));
+`;
+
+/** Starts the stub server and resolves once it is listening. */
+export function startWebhookStubServer(): Promise<WebhookStubServer> {
+  const child: ChildProcess = spawn(process.execPath, ['-e', SERVER_SCRIPT], {
+    stdio: ['ignore', 'pipe', 'inherit'],
+  });
+  return new Promise((resolve, reject) => {
+    child.once('error', reject);
+    child.stdout!.once('data', (data: Buffer) => {
+      const url = `http://127.0.0.1:${parseInt(String(data), 10)}`;
+      resolve({
+        url,
+        requests: async () => (await fetch(`${url}/requests`)).json(),
+        stop: () =>
+          new Promise((done) => {
+            child.once('exit', () => done());
+            child.kill();
+          }),
+      });
+    });
+  });
+}
@@ -0,0 +1,166 @@
+// Tests for src/localization.js
+
+import { createGasEnvironment, GasEnvironment } from './gas/environment';
+import {
+  addTaskSheet,
+  day,
+  setupProject,
+  setupStaffBasedReminders,
+} from './gas/fixtures';
+
+// Wednesday, January 10, 2024
+const NOW = new Date(2024, 0, 10, 8, 0, 0);
+
+describe('Localizer', () => {
+  let env: GasEnvironment;
+  let sheet: any;
+
+  beforeEach(() => {
+    env = createGasEnvironment({ now: NOW });
+    setupProject(env);
+    sheet = addTaskSheet(env, 'Admin: Budget', [
+      { item: 'Report', summary: 'draft', date: day(2024, 1, 5), staff: 'Aki' },
+      { item: 'Call', summary: 'client', date: day(2024, 1, 10), staff: 'Ben' },
+    ]);
+  });
+
+  /** Stores the language of a staff member in the staff-based reminder data. */
+  const setStaffLocale = (staffIndex: number, locale: string) => {
+    const data = JSON.parse(env.properties.getProperty('STAFFBASED_REM_DATA'));
+    const staffName = Object.keys(data[staffIndex])[0];
+    data[staffIndex][staffName].locale = locale;
+    env.properties.setJson('STAFFBASED_REM_DATA', data);
+  };
+
+  it('looks up messages with parameters and falls back to English and then to the key', () => {
+    const ja = env.run(`new Localizer('ja')`);
+
+    expect(ja.t('dialog.modifyEditors', { sheetName: 'Admin: Budget' })).toBe(
+      'Admin: Budgetの編集者を変更'
+    );
+    expect(env.run(`new Localizer('fr')`).locale).toBe('en');
+    expect(ja.t('no.such.key')).toBe('no.such.key');
+    expect(
+      env.run(`new Localizer('en')`).t('email.highPriorityOverdue.other', {
+        count: 2,
+      })
+    ).toBe('2 high-priority items are overdue.');
+  });
+
+  it('has a Japanese message for every English message', () => {
+    const messages = env.run('LOCALIZED_MESSAGES');
+
+    expect(Object.keys(messages.ja).sort()).toEqual(
+      Object.keys(messages.en).sort()
+    );
+  });
+
+  it('shows dialogs and the Mark complete page in the language of the setting', () => {
+    env.properties.setJson('LOCALE', { locale: 'ja' });
+
+    env.call('showActivityLogModal');
+    env.call('showActivityLogRetentionModal');
+    env.call('showOverdueEscalationModal');
+    env.call('showReminderHistoryModal');
+    env.call('showReminderTemplatesModal');
+
+    const contents = env.ui.record.dialogs.map((dialog: any) => dialog.content);
+    expect(contents[0]).toContain('記録が見つかりませんでした。');
+    expect(contents[1]).toContain('記録の保存期間（日）');
+    expect(contents[2]).toContain('マネージャーのメールアドレス');
+    expect(contents[3]).toContain('本日の全体リマインダー');
+    expect(contents[4]).toContain('リマインダーのドキュメントの表の列');
+    expect(contents[4]).toContain('<td>項目</td>');
+    contents.forEach((content: string) =>
+      expect(content).not.toMatch(/>Save Settings<|<h2>[A-Za-z ]+<\/h2>/)
+    );
+
+    expect(env.call('doGet', { parameter: {} }).getContent()).toContain(
+      'このページはリマインダーメールのリンクからのみ開けます。'
+    );
+  });
+
+  it('writes server messages in the language of the setting', () => {
+    env.properties.setJson('LOCALE', { locale: 'ja' });
+
+    expect(env.run(`ReminderProfile.validate({ name: 'Today' })`)).toBe(
+      '「Today」は組み込みのリマインダーの名前のため使えません。'
+    );
+    expect(
+      env.run(`ReminderNotifier.describeCounts(
+        { total: 4, overdue: 3, dueToday: 1, upcoming: 0, highPriorityOverdue: 1 },
+        new Localizer('ja'))`)
+    ).toBe(
+      'タスク4件：期限超過3件、本日期限1件、今後0件（優先度の高い期限超過1件）'
+    );
+  });
+
+  it('builds the custom menu in the language of the setting', () => {
+    env.call('onOpen');
+    expect(env.ui.record.menus[0].name).toBe('Custom Menu');
+
+    env.properties.setJson('LOCALE', { locale: 'ja' });
+    env.call('onOpen');
+
+    const menu = env.ui.record.menus[1];
+    expect(menu.name).toBe('カスタムメニュー');
+    expect(menu.items[0].subMenu).toBe('設定');
+    expect(menu.items[0].items[0]).toEqual({
+      caption: '事前情報を設定',
+      functionName: 'showSettingListsModal',
+    });
+  });
+
+  it('saves the language and rejects unsupported ones', () => {
+    env.call('setLocale', 'fr');
+    expect(env.properties.getProperty('LOCALE')).toBeNull();
+
+    env.call('setLocale', 'ja');
+
+    expect(JSON.parse(env.properties.getProperty('LOCALE'))).toEqual({
+      locale: 'ja',
+    });
+    expect(env.browser.messages[1].prompt).toContain('日本語');
+  });
+
+  it("sends staff-based reminders in each staff member's language", () => {
+    const docs = setupStaffBasedReminders(env);
+    setStaffLocale(0, 'ja');
+
+    env.call('runStaffBasedReminderToday');
+
+    expect(env.outbox.map((mail) => mail.subject)).toEqual([
+      'Akiさんの本日のリマインダー（2024年1月10日(水)）',
+      "Today's Reminder for Ben on Wednesday, January 10, 2024",
+    ]);
+    expect(env.outbox[0].options.htmlBody).toContain('<strong>こちら</strong>');
+    const akiOutline = docs.Aki.today.getBody().outline();
+    expect(docs.Aki.today.getName()).toBe(
+      'Akiさんの本日のリマインダー（2024年1月10日(水)）'
+    );
+    expect(akiOutline.map((element: any) => element.text)).toContain(
+      '期限超過'
+    );
+    const akiTable = docs.Aki.today.getBody().getTables()[0];
+    expect(akiTable.getCell(0, 0).getText()).toBe('項目');
+    expect(akiTable.getCell(1, 2).getText()).toBe('2024年1月5日(金)');
+    expect(
+      docs.Ben.today.getBody().getTables()[0].getCell(0, 0).getText()
+    ).toBe('Item');
+  });
+
+  it('writes back completion and dates edited in Japanese reminder Docs', () => {
+    const docs = setupStaffBasedReminders(env);
+    setStaffLocale(0, 'ja');
+    env.call('runStaffBasedReminderToday');
+
+    const table = docs.Aki.today.getBody().getTables()[0];
+    table.getCell(1, 2).setText('2024年1月12日(金)');
+    env.call('updateCompletionStatusToSheet');
+    expect(sheet.getRange('D2').getValue()).toEqual(day(2024, 1, 12));
+
+    table.getCell(1, 5).setText('C');
+    env.call('updateCompletionStatusToSheet');
+    expect(sheet.getRange('F2').getValue()).toBe(true);
+  });
+});
@@ -0,0 +1,158 @@
+// Tests for src/manage-taskSheets.js
+
+import { createGasEnvironment, GasEnvironment } from './gas/environment';
+import {
+  addTaskSheet,
+  day,
+  INDEX_SHEET_INFO,
+  setupGeneralReminders,
+  setupProject,
+  STAFF,
+} from './gas/fixtures';
+
+const NOW = new Date(2024, 0, 10, 8, 0, 0);
+
+describe('TaskSheetManager', () => {
+  let env: GasEnvironment;
+
+  beforeEach(() => {
+    env = createGasEnvironment({ now: NOW });
+    setupProject(env);
+  });
+
+  describe('createNewSheet', () => {
+    it('creates a task sheet with headers, validations and protection', () => {
+      env.browser.respond('Admin: Payroll', '10');
+      env.call('createNewSheetWrapper', ['Aki|aki@example.com']);
+
+      const sheet = env.spreadsheet.getSheetByName('Admin: Payroll')!;
+      expect(sheet).not.toBeNull();
+      expect(sheet.getIndex()).toBe(3);
+      expect(sheet.getRange('B1:H1').getValues()).toEqual([
+        [
+          'Item',
+          'Summary',
+          'Date',
+          'Staff',
+          'Priority',
+          'Recurrence',
+          'Complete',
+        ],
+      ]);
+      expect(sheet.getRange('G1').getNote()).toContain('Weekly on Monday');
+      expect(sheet.getRange('I1:J1').getValues()).toEqual([
+        ['Comment', 'Task ID'],
+      ]);
+      expect(sheet.isColumnHiddenByUser(10)).toBe(true);
+      expect(sheet.getRange('A1').getValue()).toBe(
+        INDEX_SHEET_INFO.backToIndexPhrase
+      );
+      expect(sheet.getRange('D2').getDataValidation()!.getCriteriaType()).toBe(
+        'DATE_IS_VALID_DATE'
+      );
+      expect(
+        sheet.getRange('E2').getDataValidation()!.getCriteriaValues()[0]
+      ).toEqual(['Aki']);
+      expect(
+        sheet.getRange('F2').getDataValidation()!.getCriteriaValues()[0]
+      ).toEqual(['High', 'Medium', 'Low']);
+      expect(sheet.getRange('H10').getValue()).toBe(false);
+      expect(
+        sheet
+          .getProtections()[0]
+          .getEditors()
+          .map((u) => u.getEmail())
+      ).toContain('aki@example.com');
+      expect(env.browser.messages.pop()!.prompt).toBe(
+        'New sheet Admin: Payroll was created successfully.'
+      );
+    });
+
+    it('creates the columns from the stored header names', () => {
+      env.properties.setJson('TASK_SHEET_SCHEMA', {
+        item: 'Task',
+        summary: 'Details',
+        date: 'Due',
+        staff: 'Owner',
+        complete: 'Done',
+      });
+      env.browser.respond('Admin: Payroll', '10');
+      env.call('createNewSheetWrapper', ['Aki|aki@example.com']);
+
+      const sheet = env.spreadsheet.getSheetByName('Admin: Payroll')!;
+      expect(sheet.getRange('B1:H1').getValues()).toEqual([
+        ['Task', 'Details', 'Due', 'Owner', 'Priority', 'Recurrence', 'Done'],
+      ]);
+    });
+
+    it('refuses staff who are not editors of the spreadsheet', () => {
+      env.browser.respond('Admin: Payroll', '10');
+      env.call('createNewSheetWrapper', ['Zed|zed@example.com']);
+
+      expect(env.spreadsheet.getSheetByName('Admin: Payroll')).toBeNull();
+      expect(env.browser.messages.pop()!.prompt).toContain('zed@example.com');
+    });
+  });
+
+  describe('modifyEditors', () => {
+    it('replaces the staff dropdown and protection editors', () => {
+      env.browser.respond('Admin: Payroll', '5');
+      env.call('createNewSheetWrapper', ['Aki|aki@example.com']);
+      env.call(
+        'modifyEditorsWrapper',
+        STAFF.map((s) => `${s.name}|${s.email}`),
+        'Admin: Payroll'
+      );
+
+      const sheet = env.spreadsheet.getSheetByName('Admin: Payroll')!;
+      expect(
+        sheet.getRange('E2').getDataValidation()!.getCriteriaValues()[0]
+      ).toEqual(['Aki', 'Ben']);
+      expect(
+        sheet
+          .getProtections()[0]
+          .getEditors()
+          .map((u) => u.getEmail())
+      ).toEqual(expect.arrayContaining(['aki@example.com', 'ben@example.com']));
+    });
+  });
+
+  describe('updateCompletionStatusToSheet', () => {
+    it('ticks the tasks marked "C" in the reminder Doc', () => {
+      const sheet = addTaskSheet(env, 'Admin: Budget', [
+        { item: 'First', summary: 'one', date: day(2024, 1, 9), staff: 'Aki' },
+        {
+          item: 'Second',
+          summary: 'two',
+          date: day(2024, 1, 10),
+          staff: 'Ben',
+        },
+      ]);
+      const docs = setupGeneralReminders(env);
+      env.call('runGeneralReminderToday');
+
+      // 'Second' is in the "Due today" table after the "Overdue" one
+      const table = docs.today.getBody().getTables()[1];
+      table.getCell(1, 5).setText('C');
+      env.call('updateCompletionStatusToSheet');
+
+      expect(sheet.getRange('F2:F3').getValues()).toEqual([[false], [true]]);
+    });
+
+    it('writes completion into the Complete column wherever it has moved', () => {
+      const sheet = addTaskSheet(env, 'Admin: Budget', [
+        { item: 'First', summary: 'one', date: day(2024, 1, 9), staff: 'Aki' },
+      ]);
+      const docs = setupGeneralReminders(env);
+      env.call('runGeneralReminderToday');
+      sheet.insertColumnsAfter(4, 2);
+      sheet.getRange('E1:F1').setValues([['Budget', 'Notes']]);
+
+      docs.today.getBody().getTables()[0].getCell(1, 5).setText('C');
+      env.call('updateCompletionStatusToSheet');
+
+      expect(sheet.getRange('H2').getValue()).toBe(true);
+      expect(sheet.getRange('F2').getValue()).toBe('');
+    });
+  });
+});
@@ -0,0 +1,183 @@
+// Tests for src/notifiers.js
+
+import { createGasEnvironment, GasEnvironment } from './gas/environment';
+import {
+  addTaskSheet,
+  day,
+  setupGeneralReminders,
+  setupProject,
+} from './gas/fixtures';
+import {
+  startWebhookStubServer,
+  WebhookStubServer,
+} from './gas/webhook-server';
+
+// Wednesday, January 10, 2024
+const NOW = new Date(2024, 0, 10, 8, 0, 0);
+const GOOGLE_CHAT_URL =
+  'https://chat.googleapis.com/v1/spaces/AAA/messages?key=k&token=t';
+const SLACK_URL = 'https://hooks.slack.com/services/T0/B0/xyz';
+
+describe('WebhookNotifier', () => {
+  let env: GasEnvironment;
+
+  beforeEach(() => {
+    env = createGasEnvironment({ now: NOW });
+    setupProject(env);
+    addTaskSheet(env, 'Admin: Budget', [
+      {
+        item: 'Report',
+        summary: 'draft',
+        date: day(2024, 1, 5),
+        staff: 'Aki',
+        priority: 'High',
+      },
+      { item: 'Invoice', date: day(2024, 1, 8), staff: 'Ben', priority: '' },
+      { item: 'Call', date: day(2024, 1, 10), staff: 'Ben', priority: '' },
+    ]);
+    addTaskSheet(env, 'Sales: <Leads>', [
+      { item: 'Visit', date: day(2024, 1, 9), staff: 'Aki' },
+    ]);
+  });
+
+  const postedMessages = () =>
+    env.fetches.map((request) => JSON.parse(request.options.payload));
+
+  it('posts a Google Chat card with counts, overdue highlights and links after the general reminder', () => {
+    const docs = setupGeneralReminders(env);
+    env.properties.setJson('GENERAL_REM_WEBHOOK_URL', {
+      generalTodayWebhookUrl: GOOGLE_CHAT_URL,
+      generalWeekWebhookUrl: '',
+    });
+
+    env.call('runGeneralReminderToday');
+
+    expect(env.outbox).toHaveLength(1);
+    expect(env.fetches.map((request) => request.url)).toEqual([
+      GOOGLE_CHAT_URL,
+    ]);
+    const card = postedMessages()[0].cardsV2[0].card;
+    expect(card.header).toEqual({
+      title: "Today's General Reminder on Wednesday, January 10, 2024",
+      subtitle:
+        '4 tasks: 3 overdue, 1 due today, 0 upcoming (1 high-priority overdue)',
+    });
+    // High-priority tasks first, then the most overdue
+    expect(
+      card.sections[0].widgets.map((widget: any) => widget.decoratedText.text)
+    ).toEqual([
+      'Report [High] (Admin: Budget) - Friday, January 5, 2024 / Aki - 5 days overdue',
+      'Invoice (Admin: Budget) - Monday, January 8, 2024 / Ben - 2 days overdue',
+      'Visit (Sales: &lt;Leads&gt;) - Tuesday, January 9, 2024 / Aki - 1 day overdue',
+    ]);
+    const buttons = card.sections[1].widgets[0].buttonList.buttons;
+    expect(
+      buttons.map((button: any) => [button.text, button.onClick.openLink.url])
+    ).toEqual([
+      ['Admin: Budget (3)', expect.stringMatching(/#gid=\d+$/)],
+      ['Sales: <Leads> (1)', expect.stringMatching(/#gid=\d+$/)],
+      ['Open reminder Doc', docs.today.getUrl()],
+    ]);
+  });
+
+  it('posts Slack blocks to other webhooks', () => {
+    setupGeneralReminders(env);
+    env.properties.setJson('GENERAL_REM_WEBHOOK_URL', {
+      generalTodayWebhookUrl: '',
+      generalWeekWebhookUrl: SLACK_URL,
+    });
+
+    env.call('runGeneralReminderToday');
+    expect(env.fetches).toHaveLength(0);
+    env.call('runGeneralReminderWeek');
+
+    const message = postedMessages()[0];
+    expect(message.text).toBe(
+      "Next Week's General Reminder on Wednesday, January 10, 2024: 4 tasks: 3 overdue, 1 due today, 0 upcoming (1 high-priority overdue)"
+    );
+    expect(message.blocks.map((block: any) => block.type)).toEqual([
+      'header',
+      'section',
+      'section',
+      'section',
+      'actions',
+    ]);
+    expect(message.blocks[3].text.text).toContain('|Sales: &lt;Leads&gt;> (1)');
+  });
+
+  it('keeps the reminder emails when the chat webhook fails', () => {
+    setupGeneralReminders(env);
+    env.properties.setJson('GENERAL_REM_WEBHOOK_URL', {
+      generalTodayWebhookUrl: SLACK_URL,
+    });
+    env.failingUrls.add(SLACK_URL);
+
+    env.call('runGeneralReminderToday');
+
+    expect(env.outbox).toHaveLength(1);
+    const logSheet = env.spreadsheet.getSheetByName('Activity Log');
+    expect(
+      logSheet.getRange(2, 3, logSheet.getLastRow() - 1, 1).getValues()
+    ).toEqual([
+      ['Send reminder email (success)'],
+      ['Post reminder to chat (failure)'],
+    ]);
+  });
+
+  it('rejects general reminder webhooks that are not https URLs', () => {
+    env.call('storeReminderInfo', {
+      generalTodayReminderDocUrl: '',
+      generalWeekReminderDocUrl: '',
+      generalTodayWebhookUrl: 'http://hooks.example.com/x',
+      generalWeekWebhookUrl: '',
+      staffBasedReminderData: null,
+    });
+
+    expect(env.properties.getProperty('GENERAL_REM_WEBHOOK_URL')).toBeNull();
+    expect(env.browser.messages[0].prompt).toContain(
+      'Invalid chat webhook URLs detected: http://hooks.example.com/x.'
+    );
+  });
+
+  describe('against a stub webhook server', () => {
+    let server: WebhookStubServer;
+
+    beforeAll(async () => {
+      server = await startWebhookStubServer();
+    });
+
+    afterAll(async () => {
+      await server.stop();
+    });
+
+    it('posts the card as JSON and throws when the webhook rejects it', async () => {
+      env.run(
+        `var summary = ReminderNotifier.summarize('Daily', [new SheetReminder('Admin', 'https://sheet', [new Reminder('Report', '', 'Friday, January 5, 2024', 'Aki', '', 0, 5)])], 'https://doc')`
+      );
+
+      env.run(
+        `ReminderNotifier.forWebhook('${server.url}/hook').notify(summary)`
+      );
+      expect(() =>
+        env.run(
+          `ReminderNotifier.forWebhook('${server.url}/fail').notify(summary)`
+        )
+      ).toThrow('returned code 500');
+
+      const requests = await server.requests();
+      expect(requests.map((request) => request.path)).toEqual([
+        '/hook',
+        '/fail',
+      ]);
+      expect(requests[0].method).toBe('POST');
+      expect(requests[0].contentType).toBe('application/json; charset=UTF-8');
+      const message = JSON.parse(requests[0].body);
+      expect(message.text).toBe(
+        'Daily: 1 task: 1 overdue, 0 due today, 0 upcoming'
+      );
+      expect(message.blocks[2].text.text).toBe(
+        '*Overdue*\n• Report (Admin) - Friday, January 5, 2024 / Aki - 5 days overdue'
+      );
+    });
+  });
+});
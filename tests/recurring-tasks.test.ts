@@ -0,0 +1,189 @@
+// Tests for src/recurring-tasks.js
+
+import { createGasEnvironment, GasEnvironment } from './gas/environment';
+import {
+  addTaskSheet,
+  day,
+  setupGeneralReminders,
+  setupProject,
+} from './gas/fixtures';
+
+// Wednesday, January 10, 2024
+const NOW = new Date(2024, 0, 10, 8, 0, 0);
+
+describe('RecurrenceRule', () => {
+  let env: GasEnvironment;
+
+  beforeEach(() => {
+    env = createGasEnvironment({ now: NOW });
+  });
+
+  const nextDate = (rule: string, from: Date) =>
+    env.get('RecurrenceRule').parse(rule).getNextDate(from);
+
+  it('parses the supported rules and rejects anything else', () => {
+    const RecurrenceRule = env.get('RecurrenceRule');
+
+    expect(RecurrenceRule.parse(' daily ')).toMatchObject({ type: 'daily' });
+    expect(RecurrenceRule.parse('Weekly on Fri')).toMatchObject({
+      type: 'weekly',
+      value: 5,
+    });
+    expect(RecurrenceRule.parse('Monthly on day 31')).toMatchObject({
+      type: 'monthly',
+      value: 31,
+    });
+    expect(RecurrenceRule.parse('Every 3 business days')).toMatchObject({
+      type: 'businessDays',
+      value: 3,
+    });
+    expect(RecurrenceRule.parse('Every business day')).toMatchObject({
+      type: 'businessDays',
+      value: 1,
+    });
+    expect(RecurrenceRule.parse('')).toBeNull();
+    expect(RecurrenceRule.parse('Weekly on Mo')).toBeNull();
+    expect(RecurrenceRule.parse('Monthly on day 32')).toBeNull();
+    expect(RecurrenceRule.parse('Sometimes')).toBeNull();
+  });
+
+  it('calculates the next due date', () => {
+    expect(nextDate('Daily', day(2024, 1, 31))).toEqual(day(2024, 2, 1));
+    expect(nextDate('Weekly on Monday', day(2024, 1, 10))).toEqual(
+      day(2024, 1, 15)
+    );
+    expect(nextDate('Weekly on Wednesday', day(2024, 1, 10))).toEqual(
+      day(2024, 1, 17)
+    );
+    expect(nextDate('Monthly on day 15', day(2024, 1, 10))).toEqual(
+      day(2024, 1, 15)
+    );
+    expect(nextDate('Monthly on day 15', day(2024, 1, 15))).toEqual(
+      day(2024, 2, 15)
+    );
+    expect(nextDate('Monthly on day 31', day(2024, 1, 31))).toEqual(
+      day(2024, 2, 29)
+    );
+    expect(nextDate('Monthly on day 31', day(2024, 2, 29))).toEqual(
+      day(2024, 3, 31)
+    );
+    expect(nextDate('Every 3 business days', day(2024, 1, 11))).toEqual(
+      day(2024, 1, 16)
+    );
+  });
+});
+
+describe('recurring tasks', () => {
+  let env: GasEnvironment;
+
+  beforeEach(() => {
+    env = createGasEnvironment({ now: NOW });
+    setupProject(env);
+  });
+
+  const tick = (sheet: any, a1: string) => {
+    const range = sheet.getRange(a1);
+    range.setValue(true);
+    env.call('onEdit', { range, value: 'TRUE', oldValue: 'FALSE' });
+  };
+
+  it('appends the next occurrence when Complete is ticked on the sheet', () => {
+    const sheet = addTaskSheet(env, 'Admin: Office', [
+      {
+        item: 'Weekly report',
+        summary: 'to the board',
+        date: day(2024, 1, 10),
+        staff: 'Aki',
+        priority: 'High',
+        recurrence: 'Weekly on Wednesday',
+      },
+      { item: 'One-off', summary: 'once', date: day(2024, 1, 11) },
+    ]);
+
+    tick(sheet, 'F2');
+
+    expect(sheet.getRange('B2:H4').getValues()).toEqual([
+      [
+        'Weekly report',
+        'to the board',
+        day(2024, 1, 10),
+        'Aki',
+        true,
+        'High',
+        'Weekly on Wednesday',
+      ],
+      ['One-off', 'once', day(2024, 1, 11), '', false, '', ''],
+      [
+        'Weekly report',
+        'to the board',
+        day(2024, 1, 17),
+        'Aki',
+        false,
+        'High',
+        'Weekly on Wednesday',
+      ],
+    ]);
+    expect(sheet.getRange('F4').getDataValidation()!.getCriteriaType()).toBe(
+      'CHECKBOX'
+    );
+  });
+
+  it('does not append for one-off tasks or when the box is ticked again', () => {
+    const sheet = addTaskSheet(env, 'Admin: Office', [
+      { item: 'Daily check', date: day(2024, 1, 10), recurrence: 'Daily' },
+      { item: 'One-off', date: day(2024, 1, 11), recurrence: '' },
+    ]);
+
+    tick(sheet, 'F2');
+    sheet.getRange('F2').setValue(false);
+    tick(sheet, 'F2');
+    tick(sheet, 'F3');
+
+    expect(sheet.getRange('B2:D4').getValues()).toEqual([
+      ['Daily check', '', day(2024, 1, 10)],
+      ['One-off', '', day(2024, 1, 11)],
+      ['Daily check', '', day(2024, 1, 11)],
+    ]);
+    expect(sheet.getRange('B5').getValue()).toBe('');
+  });
+
+  it('ignores edits outside the Complete column and sheets without Recurrence', () => {
+    const recurring = addTaskSheet(env, 'Admin: Office', [
+      { item: 'Daily check', date: day(2024, 1, 10), recurrence: 'Daily' },
+    ]);
+    const plain = addTaskSheet(env, 'Admin: Budget', [
+      { item: 'Task', date: day(2024, 1, 10) },
+    ]);
+
+    env.call('onEdit', { range: recurring.getRange('C2'), value: 'x' });
+    tick(plain, 'F2');
+
+    expect(recurring.getRange('B3').getValue()).toBe('');
+    expect(plain.getRange('B3').getValue()).toBe('');
+  });
+
+  it('appends the next occurrence when completed through the reminder Doc', () => {
+    const sheet = addTaskSheet(env, 'Admin: Office', [
+      {
+        item: 'Backup',
+        summary: 'server',
+        date: day(2024, 1, 10),
+        staff: 'Ben',
+        recurrence: 'Monthly on day 10',
+      },
+    ]);
+    const docs = setupGeneralReminders(env);
+    env.call('runGeneralReminderToday');
+
+    docs.today.getBody().getTables()[0].getCell(1, 5).setText('C');
+    env.call('updateCompletionStatusToSheet');
+    // Processing the same Doc again neither ticks nor appends anything new
+    env.call('updateCompletionStatusToSheet');
+
+    expect(sheet.getRange('B2:G4').getValues()).toEqual([
+      ['Backup', 'server', day(2024, 1, 10), 'Ben', true, 'Monthly on day 10'],
+      ['Backup', 'server', day(2024, 2, 10), 'Ben', false, 'Monthly on day 10'],
+      ['', '', '', '', '', ''],
+    ]);
+  });
+});
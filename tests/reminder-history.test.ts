@@ -0,0 +1,185 @@
+// Tests for src/reminder-history.js
+
+import { createGasEnvironment, GasEnvironment } from './gas/environment';
+import {
+  addTaskSheet,
+  day,
+  setupGeneralReminders,
+  setupProject,
+  setupStaffBasedReminders,
+} from './gas/fixtures';
+
+// Wednesday, January 10, 2024
+const NOW = new Date(2024, 0, 10, 8, 0, 0);
+
+describe('ReminderDeliveryLedger', () => {
+  let env: GasEnvironment;
+
+  beforeEach(() => {
+    env = createGasEnvironment({ now: NOW });
+    setupProject(env);
+    addTaskSheet(env, 'Admin: Budget', [
+      {
+        item: 'Report',
+        summary: 'draft',
+        date: day(2024, 1, 10),
+        staff: 'Aki',
+      },
+      { item: 'Call', summary: 'client', date: day(2024, 1, 10), staff: 'Ben' },
+    ]);
+  });
+
+  const historyRows = () => {
+    const historySheet = env.spreadsheet.getSheetByName('Reminder History');
+    if (!historySheet) return [];
+    return historySheet
+      .getRange(2, 2, historySheet.getLastRow() - 1, 7)
+      .getValues()
+      .map((row: any[]) => [row[0], row[1], row[2], row[3], row[5]]);
+  };
+
+  it('records each recipient and does not send the same reminder twice a day', () => {
+    setupGeneralReminders(env, ['lead@example.com', 'aki@example.com']);
+    env.call('runGeneralReminderToday');
+    env.call('runGeneralReminderToday');
+
+    expect(env.outbox).toHaveLength(1);
+    expect(historyRows()).toEqual([
+      ['general', 'today', '2024-1-10', 'lead@example.com', 'Success'],
+      ['general', 'today', '2024-1-10', 'aki@example.com', 'Success'],
+    ]);
+
+    // The next day is a new delivery
+    env.setNow(new Date(2024, 0, 11, 8));
+    env.call('runGeneralReminderToday');
+    expect(env.outbox).toHaveLength(2);
+  });
+
+  it('sends a staff-based reminder only to staff who have not received it today', () => {
+    setupStaffBasedReminders(env);
+    env.call('runStaffBasedReminderToday');
+    const historySheet = env.spreadsheet.getSheetByName('Reminder History');
+    // Ben's delivery is lost, e.g. the run stopped after Aki's email
+    historySheet.deleteRow(3);
+    env.outbox.length = 0;
+
+    env.call('runStaffBasedReminderToday');
+
+    expect(env.outbox.map((mail) => mail.to)).toEqual(['ben@example.com']);
+  });
+
+  it('keeps sending failure notices, which do not count as deliveries', () => {
+    setupGeneralReminders(env);
+    env.properties.setJson('GENERAL_REM_DOC_URL', {
+      generalTodayReminderDocUrl: null,
+      generalWeekReminderDocUrl: null,
+    });
+    env.call('runGeneralReminderToday');
+    env.call('runGeneralReminderToday');
+
+    expect(env.outbox).toHaveLength(2);
+    expect(
+      env.spreadsheet
+        .getSheetByName('Reminder History')
+        .getRange('G2:H2')
+        .getValues()
+    ).toEqual([['Failure', 'The Google Doc is not set.']]);
+  });
+
+  it('sends a reminder again when it is forced, also from a continuation trigger', () => {
+    addTaskSheet(env, 'Sales: Leads', [
+      { item: 'Visit', date: day(2024, 1, 10), staff: 'Ben' },
+    ]);
+    setupGeneralReminders(env);
+    env.call('runGeneralReminderToday');
+
+    // Reading the first task sheet takes so long that the forced reminder is continued by a trigger
+    const budget = env.spreadsheet.getSheetByName('Admin: Budget');
+    const getLastColumn = budget.getLastColumn.bind(budget);
+    budget.getLastColumn = () => {
+      env.setNow(new Date(2024, 0, 10, 8, 6, 0));
+      return getLastColumn();
+    };
+    env.run(
+      `new ReminderManager('general', 'today', true).shareRemindersByDoc()`
+    );
+    expect(env.outbox).toHaveLength(1);
+    expect(env.triggers.map((t) => t.getHandlerFunction())).toEqual([
+      'runGeneralReminderToday',
+    ]);
+
+    env.call('runGeneralReminderToday');
+
+    expect(env.outbox).toHaveLength(2);
+    expect(env.triggers).toHaveLength(0);
+  });
+
+  it('does not send the reminder again when a trigger fires while it is being sent', () => {
+    setupGeneralReminders(env, ['lead@example.com']);
+    const gmail = env.get('GmailApp');
+    const sendEmail = gmail.sendEmail.bind(gmail);
+    let fired = false;
+    gmail.sendEmail = (...args: any[]) => {
+      sendEmail(...args);
+      if (!fired) {
+        fired = true;
+        env.call('runGeneralReminderToday');
+      }
+    };
+
+    env.call('runGeneralReminderToday');
+
+    expect(env.outbox).toHaveLength(1);
+    expect(historyRows()).toEqual([
+      ['general', 'today', '2024-1-10', 'lead@example.com', 'Success'],
+    ]);
+  });
+
+  it('reads the history backward only as far as the day being checked', () => {
+    const earlier = Array.from(
+      { length: 450 },
+      (_, i) => `staff${i}@example.com`
+    );
+    env.setNow(new Date(2024, 0, 9, 8));
+    env.run(
+      `ReminderDeliveryLedger.record({ target: 'general', period: 'today', recipients: ${JSON.stringify(
+        earlier
+      )}, subject: 'Tasks', result: 'Success' })`
+    );
+    env.setNow(NOW);
+    env.run(
+      "ReminderDeliveryLedger.record({ target: 'general', period: 'today', recipients: 'lead@example.com', subject: 'Tasks', result: 'Success' })"
+    );
+    const historySheet = env.spreadsheet.getSheetByName('Reminder History');
+    const getRange = historySheet.getRange.bind(historySheet);
+    let rowsRead = 0;
+    historySheet.getRange = (...args: any[]) => {
+      rowsRead += args[2];
+      return getRange(...args);
+    };
+    const delivered = (date: string) =>
+      JSON.parse(
+        env.run(
+          `JSON.stringify([...ReminderDeliveryLedger.getDeliveredRecipients('general', 'today', new Date(${date}))])`
+        )
+      );
+
+    expect(delivered('2024, 0, 10')).toEqual(['lead@example.com']);
+    expect(rowsRead).toBe(200);
+
+    expect(delivered('2024, 0, 9')).toEqual(earlier);
+  });
+
+  it('lists deliveries in the dialog and sends a reminder again from it', () => {
+    setupGeneralReminders(env);
+    env.call('runGeneralReminderToday');
+
+    env.call('resendReminder', 'general', 'today');
+
+    expect(env.outbox).toHaveLength(2);
+    const dialog = env.ui.record.dialogs[0];
+    expect(dialog.title).toBe('Reminder History');
+    expect(dialog.content).toContain('was run again regardless of the history');
+    expect(dialog.content.match(/lead@example\.com/g)).toHaveLength(2);
+  });
+});
@@ -0,0 +1,212 @@
+// Tests for src/reminder-profile.js
+
+import { createGasEnvironment, GasEnvironment } from './gas/environment';
+import { addTaskSheet, day, setupProject, STAFF } from './gas/fixtures';
+
+// Wednesday, January 10, 2024
+const NOW = new Date(2024, 0, 10, 8, 0, 0);
+
+const TASK_ID = expect.stringMatching(/^T[0-9A-F]{10}$/);
+
+describe('ReminderProfile', () => {
+  let env: GasEnvironment;
+  let sheet: any;
+
+  beforeEach(() => {
+    env = createGasEnvironment({ now: NOW });
+    setupProject(env);
+    sheet = addTaskSheet(env, 'Admin: Budget', [
+      { item: 'Overdue', summary: 'late', date: day(2024, 1, 5), staff: 'Aki' },
+      { item: 'Today', summary: 'now', date: day(2024, 1, 10), staff: 'Ben' },
+      { item: 'Friday', summary: 'soon', date: day(2024, 1, 12), staff: 'Aki' },
+      { item: 'Monday', summary: 'next', date: day(2024, 1, 15), staff: 'Ben' },
+      { item: 'Month end', date: day(2024, 1, 31) },
+      { item: 'February', date: day(2024, 2, 1) },
+    ]);
+  });
+
+  const saveProfile = (profile: Record<string, any>) =>
+    env.call('saveReminderProfile', {
+      docUrl: '',
+      recipients: ['lead@example.com'],
+      schedule: { hour: '9', weekDay: '' },
+      ...profile,
+    });
+
+  const itemsFor = (period: string) =>
+    env
+      .run(`new ReminderManager('general', ${JSON.stringify(period)})`)
+      .getReminderData()[0]
+      .taskData.map((t: any) => t.item);
+
+  it('covers the look-ahead window of each profile', () => {
+    saveProfile({ name: 'Overdue', lookAhead: { type: 'overdue' } });
+    saveProfile({
+      name: 'Next 2 Business Days',
+      lookAhead: { type: 'businessDays', days: '2' },
+    });
+    saveProfile({
+      name: 'Next 5 Days',
+      lookAhead: { type: 'calendarDays', days: '5' },
+    });
+    saveProfile({ name: 'This Month', lookAhead: { type: 'thisMonth' } });
+
+    expect(itemsFor('Overdue')).toEqual(['Overdue']);
+    expect(itemsFor('Next 2 Business Days')).toEqual([
+      'Overdue',
+      'Today',
+      'Friday',
+    ]);
+    expect(itemsFor('Next 5 Days')).toEqual([
+      'Overdue',
+      'Today',
+      'Friday',
+      'Monday',
+    ]);
+    expect(itemsFor('This Month')).toEqual([
+      'Overdue',
+      'Today',
+      'Friday',
+      'Monday',
+      'Month end',
+    ]);
+  });
+
+  it('rejects invalid profiles and reserved names', () => {
+    saveProfile({ name: 'Today', lookAhead: { type: 'today' } });
+    saveProfile({ name: 'Soon', lookAhead: { type: 'businessDays' } });
+    saveProfile({ name: 'Soon', lookAhead: { type: 'today' }, recipients: [] });
+
+    expect(env.properties.getProperty('REMINDER_PROFILES')).toBeNull();
+    expect(env.browser.messages.map((m) => m.prompt)).toEqual([
+      expect.stringContaining('"Today" is reserved for a built-in reminder.'),
+      expect.stringContaining('must be 1 or more.'),
+      expect.stringContaining('At least one recipient must be selected.'),
+    ]);
+  });
+
+  it('runs a custom profile from its own trigger with its Doc and recipients', () => {
+    const doc = env.createDocument('Soon');
+    saveProfile({
+      name: 'Next 2 Business Days',
+      lookAhead: { type: 'businessDays', days: 2 },
+      docUrl: doc.getUrl(),
+      recipients: STAFF.map((s) => s.email),
+      schedule: { hour: '7', weekDay: 'MONDAY' },
+    });
+
+    expect(env.triggers).toHaveLength(1);
+    expect(env.triggers[0].getHandlerFunction()).toBe('runReminderProfile');
+    expect(env.triggers[0].config).toMatchObject({
+      onWeekDay: 'MONDAY',
+      atHour: 7,
+    });
+
+    env.call('runReminderProfile', {
+      triggerUid: env.triggers[0].getUniqueId(),
+    });
+
+    expect(doc.getName()).toBe(
+      'Next 2 Business Days Reminder on Wednesday, January 10, 2024'
+    );
+    expect(doc.getBody().outline()).toEqual([
+      { heading: 'HEADING1', text: 'Admin: Budget' },
+      { heading: 'HEADING2', text: 'Overdue' },
+      {
+        table: [
+          ['Item', 'Summary', 'Date', 'Staff', 'ID'],
+          ['Overdue', 'late', 'Friday, January 5, 2024', 'Aki', TASK_ID],
+        ],
+      },
+      { heading: 'HEADING2', text: 'Due today' },
+      {
+        table: [
+          ['Item', 'Summary', 'Date', 'Staff', 'ID'],
+          ['Today', 'now', 'Wednesday, January 10, 2024', 'Ben', TASK_ID],
+        ],
+      },
+      { heading: 'HEADING2', text: 'Upcoming' },
+      {
+        table: [
+          ['Item', 'Summary', 'Date', 'Staff', 'ID'],
+          ['Friday', 'soon', 'Friday, January 12, 2024', 'Aki', TASK_ID],
+        ],
+      },
+    ]);
+    expect(env.outbox).toHaveLength(1);
+    expect(env.outbox[0].to).toBe('aki@example.com,ben@example.com');
+    expect(env.outbox[0].subject).toBe(doc.getName());
+    // The schedule trigger is kept after the reminder is sent
+    expect(env.triggers).toHaveLength(1);
+  });
+
+  it('replaces the trigger when a profile is updated and removes it when deleted', () => {
+    saveProfile({ name: 'Overdue', lookAhead: { type: 'overdue' } });
+    saveProfile({
+      name: 'overdue',
+      lookAhead: { type: 'overdue' },
+      schedule: { hour: '10', weekDay: '' },
+    });
+
+    expect(env.properties.getJson('REMINDER_PROFILES')).toEqual([
+      {
+        name: 'overdue',
+        lookAhead: { type: 'overdue', days: 0 },
+        docUrl: '',
+        recipients: ['lead@example.com'],
+        schedule: { hour: 10, weekDay: null },
+      },
+    ]);
+    expect(env.triggers.map((t) => t.config)).toEqual([
+      expect.objectContaining({ atHour: 10, everyDays: 1 }),
+    ]);
+
+    env.call('deleteReminderProfile', 'overdue');
+
+    expect(env.properties.getJson('REMINDER_PROFILES')).toEqual([]);
+    expect(env.triggers).toHaveLength(0);
+  });
+
+  it('takes completion input from the Doc of an overdue profile', () => {
+    const doc = env.createDocument('Overdue');
+    saveProfile({
+      name: 'Overdue',
+      lookAhead: { type: 'overdue' },
+      docUrl: doc.getUrl(),
+    });
+    env.call('runReminderProfile', {
+      triggerUid: env.triggers[0].getUniqueId(),
+    });
+
+    const table = doc.getBody().getTables()[0];
+    expect(table.toArray()[0]).toEqual([
+      'Item',
+      'Summary',
+      'Date',
+      'Staff',
+      'Comment',
+      'Complete',
+      'ID',
+    ]);
+    table.getCell(1, 5).setText('C');
+    env.call('updateCompletionStatusToSheet');
+
+    expect(sheet.getRange('F2').getValue()).toBe(true);
+  });
+
+  it('does not send a daily profile on a non-working day', () => {
+    const doc = env.createDocument('Overdue');
+    saveProfile({
+      name: 'Overdue',
+      lookAhead: { type: 'overdue' },
+      docUrl: doc.getUrl(),
+    });
+    env.setNow(new Date(2024, 0, 13, 9));
+
+    env.call('runReminderProfile', {
+      triggerUid: env.triggers[0].getUniqueId(),
+    });
+
+    expect(env.outbox).toHaveLength(0);
+  });
+});
@@ -0,0 +1,238 @@
+// Tests for src/reminder-templates.js
+
+import { createGasEnvironment, GasEnvironment } from './gas/environment';
+import {
+  addTaskSheet,
+  day,
+  setupGeneralReminders,
+  setupProject,
+  setupStaffBasedReminders,
+} from './gas/fixtures';
+
+// Wednesday, January 10, 2024
+const NOW = new Date(2024, 0, 10, 8, 0, 0);
+
+const COLUMNS = {
+  item: { label: 'Task', width: 120, completionWidth: 110, fontSize: 11 },
+  summary: { label: 'Details', width: 200, completionWidth: 130, fontSize: 9 },
+  date: { label: 'Due', width: 70, completionWidth: 70, fontSize: 8 },
+  staff: { label: 'Owner', width: 70, completionWidth: 60, fontSize: 8 },
+  comment: { label: 'Notes', width: 80, completionWidth: 80, fontSize: 8 },
+  complete: { label: 'Done', width: 50, completionWidth: 45, fontSize: 12 },
+  id: { label: 'Ref', width: 50, completionWidth: 40, fontSize: 7 },
+};
+
+const TEMPLATES = {
+  subject:
+    '[Tasks] {{reminderName}}: {{overdueCount}} of {{taskCount}} overdue',
+  docTitle: '{{reminderName}} ({{date}})',
+  introText: 'Hi {{staffName}}, mark finished tasks with "C".',
+  emailBody: 'Open {{docLink}} for {{taskCount}} tasks <b>now</b>.',
+  columns: COLUMNS,
+};
+
+describe('ReminderTemplates', () => {
+  let env: GasEnvironment;
+  let sheet: any;
+
+  beforeEach(() => {
+    env = createGasEnvironment({ now: NOW });
+    setupProject(env);
+    sheet = addTaskSheet(env, 'Admin: Budget', [
+      {
+        item: 'Report',
+        summary: 'draft',
+        date: day(2024, 1, 5),
+        staff: 'Aki',
+        priority: 'High',
+      },
+      { item: 'Call', summary: 'client', date: day(2024, 1, 10), staff: 'Aki' },
+    ]);
+  });
+
+  it('renders the subject, Doc title, intro text, table columns and email body from the templates', () => {
+    const docs = setupStaffBasedReminders(env);
+    env.properties.setJson('REMINDER_TEMPLATES', TEMPLATES);
+
+    env.call('runStaffBasedReminderToday');
+
+    expect(env.outbox[0].subject).toBe(
+      "[Tasks] Today's Reminder for Aki: 1 of 2 overdue"
+    );
+    const doc = docs.Aki.today;
+    expect(doc.getName()).toBe(
+      "Today's Reminder for Aki (Wednesday, January 10, 2024)"
+    );
+    const outline = doc.getBody().outline();
+    expect(outline[0].text).toBe('Hi Aki, mark finished tasks with "C".');
+    const table = doc.getBody().getTables()[0];
+    expect(outline[3].table[0]).toEqual([
+      'Task',
+      'Details',
+      'Due',
+      'Owner',
+      'Notes',
+      'Done',
+      'Ref',
+    ]);
+    expect(table.getCell(0, 0).getWidth()).toBe(110);
+    expect(table.getCell(0, 5).getWidth()).toBe(45);
+    expect(table.getCell(1, 0).getFontSize()).toBe(11);
+    expect(table.getCell(1, 5).getFontSize()).toBe(12);
+    expect(env.outbox[0].options.htmlBody).toContain(
+      `Open <a href="${docs.Aki.today.getUrl()}" target="_blank"><strong>HERE</strong></a> for 2 tasks &lt;b&gt;now&lt;/b&gt;.`
+    );
+  });
+
+  it('leaves out the intro text when it is empty and keeps the default texts otherwise', () => {
+    const docs = setupGeneralReminders(env);
+    env.properties.setJson('REMINDER_TEMPLATES', { introText: '' });
+
+    env.call('runGeneralReminderToday');
+
+    expect(env.outbox[0].subject).toBe(
+      "Today's General Reminder on Wednesday, January 10, 2024"
+    );
+    expect(env.outbox[0].options.htmlBody).toContain(
+      "to view target reminders and start your today's work."
+    );
+    expect(docs.today.getBody().outline()[0]).toEqual({
+      heading: 'HEADING1',
+      text: 'Admin: Budget',
+    });
+  });
+
+  it('writes back Docs with renamed columns and Docs created with the default labels', () => {
+    const docs = setupGeneralReminders(env);
+    env.call('runGeneralReminderToday');
+    // The columns are renamed after the Doc was created
+    env.properties.setJson('REMINDER_TEMPLATES', { columns: COLUMNS });
+    docs.today.getBody().getTables()[0].getCell(1, 5).setText('C');
+
+    env.call('updateCompletionStatusToSheet');
+    expect(sheet.getRange('F2:F3').getValues()).toEqual([[true], [false]]);
+
+    env.setNow(new Date(2024, 0, 11, 8, 0, 0));
+    env.call('runGeneralReminderToday');
+    const table = docs.today.getBody().getTables()[0];
+    expect(table.getCell(0, 5).getText()).toBe('Done');
+    table.getCell(1, 5).setText('C');
+    table.getCell(1, 3).setText('Ben');
+    env.call('updateCompletionStatusToSheet');
+
+    expect(sheet.getRange('F3').getValue()).toBe(true);
+    expect(sheet.getRange('E3').getValue()).toBe('Ben');
+  });
+
+  it('saves valid templates and rejects unknown placeholders', () => {
+    env.call('setReminderTemplates', {
+      ...TEMPLATES,
+      subject: '{{reminderName}} {{docLink}}',
+    });
+    expect(env.browser.messages[0].prompt).toContain(
+      'Invalid reminder templates: {{docLink}} cannot be used in the Email subject.'
+    );
+    expect(env.properties.getProperty('REMINDER_TEMPLATES')).toBeNull();
+
+    env.call('setReminderTemplates', {
+      ...TEMPLATES,
+      columns: { ...COLUMNS, item: { ...COLUMNS.item, width: '150' } },
+    });
+    expect(
+      JSON.parse(env.properties.getProperty('REMINDER_TEMPLATES')).columns.item
+    ).toEqual({
+      label: 'Task',
+      width: 150,
+      completionWidth: 110,
+      fontSize: 11,
+    });
+  });
+
+  it('stores only the templates changed from the defaults of the language of the setting', () => {
+    env.properties.setJson('LOCALE', { locale: 'ja' });
+    const defaults = env.run(`ReminderTemplates.getDefaults('ja')`);
+    env.call('setReminderTemplates', {
+      ...defaults,
+      subject: '[タスク] {{reminderName}}',
+      columns: {
+        ...defaults.columns,
+        item: { ...defaults.columns.item, width: '150' },
+      },
+    });
+
+    expect(
+      JSON.parse(env.properties.getProperty('REMINDER_TEMPLATES'))
+    ).toEqual({
+      subject: '[タスク] {{reminderName}}',
+      columns: { item: { width: 150 } },
+    });
+    const english = env.run(`ReminderTemplates.load('en')`);
+    expect(english.subject).toBe('[タスク] {{reminderName}}');
+    expect(english.introText).toBe(
+      '*Once the item is completed, input "C"! You can also change its Date, Staff and Comment here.'
+    );
+    expect(english.columns.item).toEqual({
+      label: 'Item',
+      width: 150,
+      completionWidth: 90,
+      fontSize: 9,
+    });
+  });
+
+  it('rejects templates with messages in the language of the setting', () => {
+    env.properties.setJson('LOCALE', { locale: 'ja' });
+    env.call('setReminderTemplates', {
+      ...TEMPLATES,
+      subject: '{{reminderName}} {{docLink}}',
+    });
+
+    expect(env.browser.messages[0].prompt).toContain(
+      'リマインダーテンプレートが正しくありません：メールの件名には{{docLink}}を使えません。'
+    );
+  });
+
+  it('previews the templates with sample data', () => {
+    const preview = env.call('previewReminderTemplates', TEMPLATES);
+
+    expect(preview.error).toBeNull();
+    expect(preview.subject).toBe(
+      "[Tasks] Today's Reminder for Sample Staff: 1 of 2 overdue"
+    );
+    expect(preview.introText).toBe(
+      'Hi Sample Staff, mark finished tasks with "C".'
+    );
+    expect(preview.columns.map((column: any) => column.label)).toEqual([
+      'Task',
+      'Details',
+      'Due',
+      'Owner',
+      'Notes',
+      'Done',
+      'Ref',
+    ]);
+    expect(preview.rows[0]).toMatchObject({
+      item: 'Monthly report',
+      date: 'Tuesday, January 9, 2024',
+    });
+    expect(
+      env.call('previewReminderTemplates', {
+        ...TEMPLATES,
+        columns: { ...COLUMNS, id: { ...COLUMNS.id, label: 'task' } },
+      })
+    ).toEqual({
+      error:
+        'The labels of the table columns must be different from each other.',
+    });
+  });
+
+  it('shows the stored templates in the setting', () => {
+    env.properties.setJson('REMINDER_TEMPLATES', TEMPLATES);
+
+    env.call('showReminderTemplatesModal');
+
+    const dialog = env.ui.record.dialogs[0];
+    expect(dialog.title).toBe('Reminder Templates');
+    expect(dialog.content).toContain('value="{{reminderName}} ({{date}})"');
+    expect(dialog.content).toContain('value="Done"');
+  });
+});
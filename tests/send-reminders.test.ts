@@ -0,0 +1,490 @@
+// Tests for src/send-reminders.js
+
+import { createGasEnvironment, GasEnvironment } from './gas/environment';
+import {
+  addTaskSheet,
+  day,
+  setupGeneralReminders,
+  setupProject,
+  setupStaffBasedReminders,
+} from './gas/fixtures';
+
+// Wednesday, January 10, 2024
+const NOW = new Date(2024, 0, 10, 8, 0, 0);
+
+describe('ReminderManager', () => {
+  let env: GasEnvironment;
+
+  beforeEach(() => {
+    env = createGasEnvironment({ now: NOW });
+    setupProject(env);
+    addTaskSheet(env, 'Admin: Budget', [
+      { item: 'Overdue', summary: 'late', date: day(2024, 1, 5), staff: 'Aki' },
+      {
+        item: 'Due today',
+        summary: 'now',
+        date: day(2024, 1, 10),
+        staff: 'Ben',
+      },
+      {
+        item: 'Done',
+        summary: 'finished',
+        date: day(2024, 1, 9),
+        staff: 'Aki',
+        complete: true,
+      },
+      {
+        item: 'Next Wed',
+        summary: 'in a week',
+        date: day(2024, 1, 17),
+        staff: 'Aki',
+      },
+      {
+        item: 'Far away',
+        summary: 'later',
+        date: day(2024, 2, 1),
+        staff: 'Ben',
+      },
+      { item: 'No date', summary: 'someday' },
+    ]);
+    addTaskSheet(env, 'Sales: Q1 Plan', [
+      {
+        item: 'Call',
+        summary: 'customer',
+        date: day(2024, 1, 12),
+        staff: 'Ben',
+      },
+    ]);
+  });
+
+  describe('getReminderData', () => {
+    it("collects incomplete tasks due today or earlier for the 'today' period", () => {
+      const manager = env.run(`new ReminderManager('general', 'today')`);
+      const data = manager.getReminderData();
+
+      expect(data).toHaveLength(1);
+      expect(data[0].sheetName).toBe('Admin: Budget');
+      expect(data[0].sheetURL).toMatch(/#gid=\d+$/);
+      expect(data[0].taskData.map((t: any) => t.item)).toEqual([
+        'Overdue',
+        'Due today',
+      ]);
+      expect(data[0].taskData[0]).toMatchObject({
+        note: 'late',
+        date: 'Friday, January 5, 2024',
+        staff: 'Aki',
+      });
+      // No progress is left behind once all sheets are read
+      expect(
+        env.properties.getProperty('BATCH_JOB_REMINDERS_GENERAL_TODAY')
+      ).toBeNull();
+    });
+
+    it("adds the next five business days for the 'week' period", () => {
+      const manager = env.run(`new ReminderManager('general', 'week')`);
+      const data = manager.getReminderData();
+
+      expect(data.map((s: any) => s.sheetName)).toEqual([
+        'Admin: Budget',
+        'Sales: Q1 Plan',
+      ]);
+      expect(data[0].taskData.map((t: any) => t.item)).toEqual([
+        'Overdue',
+        'Due today',
+        'Next Wed',
+      ]);
+    });
+  });
+
+  describe('task sheet columns', () => {
+    it('finds the task columns by header after a column is inserted', () => {
+      const sheet = env.spreadsheet.getSheetByName('Admin: Budget')!;
+      sheet.insertColumnsAfter(2, 1);
+      sheet.getRange('C1').setValue('Category');
+
+      const data = env
+        .run(`new ReminderManager('general', 'today')`)
+        .getReminderData();
+
+      expect(data[0].taskData.map((t: any) => [t.item, t.staff])).toEqual([
+        ['Overdue', 'Aki'],
+        ['Due today', 'Ben'],
+      ]);
+    });
+
+    it('skips sheets without the task sheet headers', () => {
+      const notes = env.spreadsheet.insertSheet('Notes');
+      notes.getRange('A1:B2').setValues([
+        ['Memo', 'Date'],
+        ['Something', new Date(2024, 0, 1)],
+      ]);
+
+      const data = env
+        .run(`new ReminderManager('general', 'today')`)
+        .getReminderData();
+
+      expect(data.map((s: any) => s.sheetName)).toEqual(['Admin: Budget']);
+    });
+  });
+
+  describe('priority', () => {
+    beforeEach(() => {
+      addTaskSheet(env, 'Ops: Release', [
+        { item: 'Low late', date: day(2024, 1, 3), priority: 'Low' },
+        { item: 'High today', date: day(2024, 1, 10), priority: 'High' },
+        { item: 'Unset', date: day(2024, 1, 2) },
+        { item: 'High late', date: day(2024, 1, 8), priority: 'high' },
+        { item: 'Medium late', date: day(2024, 1, 9), priority: 'Medium' },
+      ]);
+    });
+
+    it('carries the priority and due time through Reminder', () => {
+      const data = env
+        .run(`new ReminderManager('general', 'today')`)
+        .getReminderData();
+      const release = data.find((s: any) => s.sheetName === 'Ops: Release');
+
+      expect(release.taskData[1]).toMatchObject({
+        item: 'High today',
+        priority: 'High',
+        dueTime: day(2024, 1, 10).getTime(),
+      });
+      expect(data[0].taskData[0].priority).toBe('');
+    });
+
+    it('orders Doc rows by priority then date and highlights high priority', () => {
+      const docs = setupGeneralReminders(env);
+      env.call('runGeneralReminderToday');
+
+      // Tables of Admin: Budget come first, then "Overdue" and "Due today" of Ops: Release
+      const [overdue, dueToday] = docs.today.getBody().getTables().slice(2);
+      expect(overdue.toArray().map((row: string[]) => row[0])).toEqual([
+        'Item',
+        'High late',
+        'Medium late',
+        'Low late',
+        'Unset',
+      ]);
+      expect(dueToday.toArray().map((row: string[]) => row[0])).toEqual([
+        'Item',
+        'High today',
+      ]);
+      expect(overdue.getCell(1, 0).getBackgroundColor()).toBe('#F4CCCC');
+      expect(dueToday.getCell(1, 4).getBackgroundColor()).toBe('#F4CCCC');
+      expect(overdue.getCell(2, 0).getBackgroundColor()).toBeNull();
+    });
+
+    it('states how many high-priority items are overdue in the email', () => {
+      setupGeneralReminders(env);
+      env.call('runGeneralReminderToday');
+
+      expect(env.outbox[0].options.htmlBody).toContain(
+        '1 high-priority item is overdue.'
+      );
+    });
+  });
+
+  describe('shareRemindersByDoc', () => {
+    it("writes today's general reminder into the Doc and emails a link to it", () => {
+      const docs = setupGeneralReminders(env);
+      env.call('runGeneralReminderToday');
+
+      expect(docs.today.getName()).toBe(
+        "Today's General Reminder on Wednesday, January 10, 2024"
+      );
+      // The hidden "Task ID" column is added after the last column of the sheet
+      const ids = env.spreadsheet
+        .getSheetByName('Admin: Budget')!
+        .getRange('G2:G3')
+        .getValues()
+        .map((row: string[]) => row[0]);
+      expect(docs.today.getBody().outline()).toEqual([
+        {
+          heading: 'NORMAL',
+          text: '*Once the item is completed, input "C"! You can also change its Date, Staff and Comment here.',
+        },
+        { heading: 'HEADING1', text: 'Admin: Budget' },
+        { heading: 'HEADING2', text: 'Overdue' },
+        {
+          table: [
+            ['Item', 'Summary', 'Date', 'Staff', 'Comment', 'Complete', 'ID'],
+            [
+              'Overdue',
+              'late',
+              'Friday, January 5, 2024',
+              'Aki',
+              '',
+              '',
+              ids[0],
+            ],
+          ],
+        },
+        { heading: 'HEADING2', text: 'Due today' },
+        {
+          table: [
+            ['Item', 'Summary', 'Date', 'Staff', 'Comment', 'Complete', 'ID'],
+            [
+              'Due today',
+              'now',
+              'Wednesday, January 10, 2024',
+              'Ben',
+              '',
+              '',
+              ids[1],
+            ],
+          ],
+        },
+      ]);
+      expect(env.outbox).toHaveLength(1);
+      expect(env.outbox[0].to).toBe('lead@example.com');
+      expect(env.outbox[0].subject).toBe(docs.today.getName());
+      expect(env.outbox[0].options.htmlBody).toContain(
+        `href="${docs.today.getUrl()}"`
+      );
+      expect(env.outbox[0].options.htmlBody).toContain(
+        'No high-priority items are overdue.'
+      );
+    });
+
+    it('does not send the daily reminder on a weekend', () => {
+      setupGeneralReminders(env);
+      env.setNow(new Date(2024, 0, 13, 8));
+      env.call('runGeneralReminderToday');
+
+      expect(env.outbox).toHaveLength(0);
+    });
+
+    it('emails a failure notice when the Doc URL is not set', () => {
+      setupGeneralReminders(env);
+      env.properties.setJson('GENERAL_REM_DOC_URL', {
+        generalTodayReminderDocUrl: null,
+        generalWeekReminderDocUrl: null,
+      });
+      env.call('runGeneralReminderWeek');
+
+      expect(env.outbox).toHaveLength(1);
+      expect(env.outbox[0].options.htmlBody).toContain('is NOT set');
+    });
+
+    it('sends each designated staff member only their own tasks', () => {
+      const docs = setupStaffBasedReminders(env);
+      env.call('runStaffBasedReminderWeek');
+
+      expect(env.outbox.map((mail) => mail.to)).toEqual([
+        'aki@example.com',
+        'ben@example.com',
+      ]);
+      const akiTables = docs.Aki.week
+        .getBody()
+        .getTables()
+        .map((t: any) =>
+          t
+            .toArray()
+            .slice(1)
+            .map((r: string[]) => r[0])
+        );
+      const benTables = docs.Ben.week
+        .getBody()
+        .getTables()
+        .map((t: any) =>
+          t
+            .toArray()
+            .slice(1)
+            .map((r: string[]) => r[0])
+        );
+      expect(akiTables).toEqual([['Overdue'], ['Next Wed']]);
+      expect(benTables).toEqual([['Due today'], ['Call']]);
+    });
+  });
+
+  describe('overdue escalation', () => {
+    const escalation = () =>
+      env.outbox.filter((mail) => mail.to === 'boss@example.com');
+
+    it('carries the days overdue through Reminder', () => {
+      const data = env
+        .run(`new ReminderManager('general', 'today')`)
+        .getReminderData();
+
+      expect(data[0].taskData.map((t: any) => [t.item, t.daysOverdue])).toEqual(
+        [
+          ['Overdue', 5],
+          ['Due today', 0],
+        ]
+      );
+    });
+
+    it('emails the manager tasks overdue past the threshold once a day', () => {
+      setupGeneralReminders(env);
+      env.call('setOverdueEscalation', {
+        managerEmail: 'boss@example.com',
+        thresholdDays: '3',
+      });
+
+      env.call('runGeneralReminderToday');
+      env.call('runGeneralReminderWeek');
+
+      expect(escalation()).toHaveLength(1);
+      expect(escalation()[0].subject).toBe(
+        'Overdue Escalation on Wednesday, January 10, 2024'
+      );
+      const html = escalation()[0].options.htmlBody;
+      expect(html).toContain('<td>Aki</td>');
+      expect(html).toContain('<td>Overdue</td>');
+      expect(html).toContain('<td>5</td>');
+      expect(html).toMatch(/href="[^"]+#gid=\d+"/);
+      expect(html).not.toContain('Due today');
+    });
+
+    it('does not escalate tasks within the threshold', () => {
+      setupGeneralReminders(env);
+      env.properties.setJson('OVERDUE_ESCALATION', {
+        managerEmail: 'boss@example.com',
+        thresholdDays: 5,
+      });
+
+      env.call('runGeneralReminderToday');
+
+      expect(escalation()).toHaveLength(0);
+      expect(env.outbox).toHaveLength(1);
+    });
+
+    it('rejects an invalid manager email in the setting', () => {
+      env.call('setOverdueEscalation', {
+        managerEmail: 'boss',
+        thresholdDays: '3',
+      });
+
+      expect(env.properties.getProperty('OVERDUE_ESCALATION')).toBeNull();
+      expect(env.browser.messages[0].prompt).toContain(
+        "The manager's email is not valid."
+      );
+    });
+  });
+
+  describe('email format', () => {
+    it('only links to the Doc by default', () => {
+      setupGeneralReminders(env);
+      env.call('runGeneralReminderToday');
+
+      expect(env.outbox[0].body).toBe('');
+      expect(env.outbox[0].options.htmlBody).not.toContain('<table');
+    });
+
+    it('shows the tasks inline with a plain-text alternative and keeps the Doc link', () => {
+      const MARK_COMPLETE = expect.stringMatching(/^  Mark complete: https:/);
+      const docs = setupGeneralReminders(env);
+      env.call('setReminderEmailFormat', 'inline');
+      env.call('runGeneralReminderWeek');
+
+      const mail = env.outbox[0];
+      expect(mail.options.htmlBody).toContain(`href="${docs.week.getUrl()}"`);
+      expect(mail.options.htmlBody).toMatch(
+        /<a href="[^"]+#gid=\d+" target="_blank">Admin: Budget<\/a>/
+      );
+      expect(mail.options.htmlBody).toContain('>Upcoming</p>');
+      expect(mail.options.htmlBody).toContain('Wednesday, January 17, 2024');
+      expect(mail.body.split('\n')).toEqual([
+        'Admin: Budget',
+        expect.stringMatching(/#gid=\d+$/),
+        '',
+        '[Overdue]',
+        '- Overdue: late (Friday, January 5, 2024 / Aki)',
+        MARK_COMPLETE,
+        '',
+        '[Due today]',
+        '- Due today: now (Wednesday, January 10, 2024 / Ben)',
+        MARK_COMPLETE,
+        '',
+        '[Upcoming]',
+        '- Next Wed: in a week (Wednesday, January 17, 2024 / Aki)',
+        MARK_COMPLETE,
+        '',
+        'Sales: Q1 Plan',
+        expect.stringMatching(/#gid=\d+$/),
+        '',
+        '[Upcoming]',
+        '- Call: customer (Friday, January 12, 2024 / Ben)',
+        MARK_COMPLETE,
+        '',
+        `Reminder Doc: ${docs.week.getUrl()}`,
+      ]);
+    });
+  });
+
+  describe('preview', () => {
+    const sidebar = () =>
+      env.ui.record.dialogs[env.ui.record.dialogs.length - 1];
+
+    it('shows the email and Doc of a reminder without sending it or changing the Doc and the sheets', () => {
+      const docs = setupGeneralReminders(env);
+
+      env.call('previewGeneralReminderToday');
+
+      expect(sidebar().kind).toBe('sidebar');
+      expect(sidebar().title).toBe("Preview General Today's Reminder");
+      const content = sidebar().content;
+      expect(content).toContain(
+        '1 email(s) and 0 chat message(s) would be sent.'
+      );
+      expect(content).toContain('lead@example.com');
+      expect(content).toContain(
+        'Today&#39;s General Reminder on Wednesday, January 10, 2024'
+      );
+      expect(content).toContain('<td>Friday, January 5, 2024</td>');
+      expect(content).toContain('srcdoc="');
+      expect(content).not.toContain('Next Wed');
+      expect(env.outbox).toHaveLength(0);
+      expect(docs.today.getName()).toBe('Today');
+      expect(docs.today.getBody().getTables()).toHaveLength(0);
+      expect(
+        env.spreadsheet
+          .getSheetByName('Admin: Budget')!
+          .getRange('G1')
+          .getValue()
+      ).toBe('');
+    });
+
+    it('tells which staff would be skipped or get a failure notice', () => {
+      setupStaffBasedReminders(env);
+      env.call('runStaffBasedReminderWeek');
+      const data = JSON.parse(
+        env.properties.getProperty('STAFFBASED_REM_DATA')
+      );
+      data[1].Ben.email = 'ben.new@example.com';
+      data[1].Ben.nextWeekReminderUrl = null;
+      env.properties.setJson('STAFFBASED_REM_DATA', data);
+
+      const preview = env
+        .run(`new ReminderManager('staffBased', 'week')`)
+        .previewReminders();
+
+      expect(
+        preview.deliveries.map((delivery: any) => [
+          delivery.heading,
+          delivery.status,
+          delivery.recipients,
+        ])
+      ).toEqual([
+        ['Aki', 'alreadySent', []],
+        ['Ben', 'docNotSet', ['ben.new@example.com']],
+      ]);
+      expect(preview.emailCount).toBe(1);
+      expect(preview.deliveries[1].emailHtml).toContain('is NOT set');
+      expect(preview.deliveries[1].doc).toBeNull();
+      expect(env.outbox).toHaveLength(2);
+    });
+  });
+
+  describe('date formatting', () => {
+    it('formats dates in English and Japanese', () => {
+      const ReminderManager = env.get('ReminderManager');
+      expect(ReminderManager.formatEnglishDate(day(2023, 5, 5))).toBe(
+        'Friday, May 5, 2023'
+      );
+      expect(ReminderManager.formatJapaneseDate(day(2023, 5, 5))).toBe(
+        '2023年5月5日(金)'
+      );
+    });
+  });
+});
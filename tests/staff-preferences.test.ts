@@ -0,0 +1,217 @@
+// Tests for src/staff-preferences.js
+
+import { createGasEnvironment, GasEnvironment } from './gas/environment';
+import {
+  addTaskSheet,
+  day,
+  setupProject,
+  setupStaffBasedReminders,
+} from './gas/fixtures';
+
+// Wednesday, January 10, 2024
+const NOW = new Date(2024, 0, 10, 9, 0, 0);
+const WEBHOOK_URL = 'https://chat.googleapis.com/v1/spaces/AKI/messages';
+
+describe('StaffReminderPreferences', () => {
+  let env: GasEnvironment;
+  let docs: Record<string, any>;
+
+  beforeEach(() => {
+    env = createGasEnvironment({ now: NOW });
+    setupProject(env);
+    addTaskSheet(env, 'Admin: Budget', [
+      {
+        item: 'Report',
+        summary: 'draft',
+        date: day(2024, 1, 10),
+        staff: 'Aki',
+      },
+      { item: 'Call', summary: 'client', date: day(2024, 1, 10), staff: 'Ben' },
+    ]);
+    docs = setupStaffBasedReminders(env);
+  });
+
+  /** Stores preferences for Aki, leaving Ben without preferences. */
+  const setAkiPreferences = (preferences: Record<string, any>) => {
+    const data = JSON.parse(env.properties.getProperty('STAFFBASED_REM_DATA'));
+    data[0].Aki.preferences = {
+      hour: 9,
+      weekdays: [1, 3],
+      frequency: 'both',
+      channel: 'doc',
+      webhookUrl: '',
+      ...preferences,
+    };
+    env.properties.setJson('STAFFBASED_REM_DATA', data);
+  };
+
+  it('sends each staff member only the reminders due at their hour and weekdays', () => {
+    setAkiPreferences({});
+
+    env.call('runStaffReminderDispatcher', { triggerUid: 'hourly' });
+
+    // Wednesday is the last of Monday and Wednesday, so the weekly reminder is also sent
+    expect(env.outbox.map((mail) => [mail.to, mail.subject])).toEqual([
+      [
+        'aki@example.com',
+        "Today's Reminder for Aki on Wednesday, January 10, 2024",
+      ],
+      [
+        'aki@example.com',
+        "Next Week's Reminder for Aki on Wednesday, January 10, 2024",
+      ],
+    ]);
+
+    env.setNow(new Date(2024, 0, 10, 10, 0, 0));
+    env.call('runStaffReminderDispatcher', { triggerUid: 'hourly' });
+    expect(env.outbox).toHaveLength(2);
+  });
+
+  it('leaves staff with preferences out of the staff-based reminder triggers', () => {
+    setAkiPreferences({ frequency: 'weekly' });
+
+    env.call('runStaffBasedReminderToday');
+
+    expect(env.outbox.map((mail) => mail.to)).toEqual(['ben@example.com']);
+    expect(docs.Aki.today.getBody().getTables()).toHaveLength(0);
+  });
+
+  it('sends the weekly reminder on the last weekday counting Sunday last', () => {
+    const preferences = env.run(
+      'new StaffReminderPreferences({ hour: 9, weekdays: [0, 1, 3], frequency: "weekly", channel: "doc" })'
+    );
+
+    expect(preferences.getWeeklyWeekday()).toBe(0);
+    expect(preferences.getDuePeriods(NOW)).toEqual([]);
+    expect(preferences.getDuePeriods(new Date(2024, 0, 14, 9, 30))).toEqual([
+      'week',
+    ]);
+  });
+
+  it('posts reminders to the chat webhook and does not post them twice a day', () => {
+    setAkiPreferences({
+      frequency: 'daily',
+      channel: 'chat',
+      webhookUrl: WEBHOOK_URL,
+    });
+
+    env.call('runStaffReminderDispatcher', { triggerUid: 'hourly' });
+    env.call('runStaffReminderDispatcher', { triggerUid: 'hourly' });
+
+    expect(env.outbox).toHaveLength(0);
+    expect(env.fetches).toHaveLength(1);
+    expect(env.fetches[0].url).toBe(WEBHOOK_URL);
+    const card = JSON.parse(env.fetches[0].options.payload).cardsV2[0].card;
+    expect(card.header.title).toBe(
+      "Today's Reminder for Aki on Wednesday, January 10, 2024"
+    );
+    expect(card.header.subtitle).toBe(
+      '1 task: 0 overdue, 1 due today, 0 upcoming'
+    );
+    expect(
+      card.sections[0].widgets[0].buttonList.buttons.map(
+        (button: any) => button.onClick.openLink.url
+      )
+    ).toEqual([expect.stringMatching(/#gid=\d+$/), docs.Aki.today.getUrl()]);
+    expect(
+      env.spreadsheet
+        .getSheetByName('Reminder History')
+        .getRange('E2:H2')
+        .getValues()
+    ).toEqual([
+      [
+        'aki@example.com',
+        "Today's Reminder for Aki on Wednesday, January 10, 2024",
+        'Success',
+        'Posted to the chat webhook.',
+      ],
+    ]);
+  });
+
+  it('continues a paused reminder for the staff it was started for', () => {
+    setAkiPreferences({ frequency: 'daily' });
+    // Reading the task sheet takes so long that the reminder is continued by a trigger
+    const budget = env.spreadsheet.getSheetByName('Admin: Budget');
+    const getLastColumn = budget.getLastColumn.bind(budget);
+    budget.getLastColumn = () => {
+      env.setNow(new Date(2024, 0, 10, 9, 6, 0));
+      return getLastColumn();
+    };
+    addTaskSheet(env, 'Sales: Leads', [
+      { item: 'Visit', date: day(2024, 1, 10), staff: 'Aki' },
+    ]);
+
+    env.call('runStaffReminderDispatcher', { triggerUid: 'hourly' });
+    expect(env.outbox).toHaveLength(0);
+    const continuation = env.triggers[0];
+    expect(continuation.getHandlerFunction()).toBe(
+      'runStaffReminderDispatcher'
+    );
+
+    env.call('runStaffReminderDispatcher', {
+      triggerUid: continuation.getUniqueId(),
+    });
+
+    expect(env.outbox.map((mail) => mail.to)).toEqual(['aki@example.com']);
+    expect(env.triggers).toHaveLength(0);
+  });
+
+  it('rejects preferences with the chat channel but no webhook URL', () => {
+    env.call('storeReminderInfo', {
+      generalTodayReminderDocUrl: '',
+      generalWeekReminderDocUrl: '',
+      staffBasedReminderData: [
+        {
+          Aki: {
+            email: 'aki@example.com',
+            todayReminderUrl: docs.Aki.today.getUrl(),
+            nextWeekReminderUrl: '',
+            preferences: {
+              hour: '9',
+              weekdays: ['1'],
+              frequency: 'daily',
+              channel: 'chat',
+              webhookUrl: '',
+            },
+          },
+        },
+      ],
+    });
+
+    expect(env.browser.messages[0].prompt).toContain(
+      'Invalid reminder preferences: Aki: The chat webhook URL must start with https://.'
+    );
+    expect(
+      JSON.parse(env.properties.getProperty('STAFFBASED_REM_DATA'))[0].Aki
+        .preferences
+    ).toBeUndefined();
+  });
+
+  it('rejects preferences with messages in the language of the setting', () => {
+    env.properties.setJson('LOCALE', { locale: 'ja' });
+    env.call('storeReminderInfo', {
+      generalTodayReminderDocUrl: '',
+      generalWeekReminderDocUrl: '',
+      staffBasedReminderData: [
+        {
+          Aki: {
+            email: 'aki@example.com',
+            todayReminderUrl: docs.Aki.today.getUrl(),
+            nextWeekReminderUrl: '',
+            preferences: {
+              hour: '24',
+              weekdays: ['1'],
+              frequency: 'daily',
+              channel: 'email',
+              webhookUrl: '',
+            },
+          },
+        },
+      ],
+    });
+
+    expect(env.browser.messages[0].prompt).toContain(
+      'リマインダーの受信設定が正しくありません：Aki: 時刻は0～23の間にしてください。'
+    );
+  });
+});
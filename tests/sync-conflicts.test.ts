@@ -0,0 +1,139 @@
+// Tests for src/sync-conflicts.js
+
+import { createGasEnvironment, GasEnvironment } from './gas/environment';
+import {
+  addTaskSheet,
+  day,
+  setupGeneralReminders,
+  setupProject,
+} from './gas/fixtures';
+
+// Wednesday, January 10, 2024
+const NOW = new Date(2024, 0, 10, 8, 0, 0);
+
+describe('SyncConflictSheet', () => {
+  let env: GasEnvironment;
+  let sheet: any;
+  let table: any;
+
+  beforeEach(() => {
+    env = createGasEnvironment({ now: NOW });
+    setupProject(env);
+    sheet = addTaskSheet(env, 'Admin: Budget', [
+      {
+        item: 'Report',
+        summary: 'draft',
+        date: day(2024, 1, 10),
+        staff: 'Aki',
+        recurrence: 'Weekly on Wednesday',
+      },
+    ]);
+    const docs = setupGeneralReminders(env);
+    env.call('runGeneralReminderToday');
+    table = docs.today.getBody().getTables()[0];
+    env.outbox.length = 0;
+  });
+
+  const conflictRows = () => {
+    const conflictSheet = env.spreadsheet.getSheetByName('Sync Conflicts');
+    if (!conflictSheet) return [];
+    return conflictSheet
+      .getRange(2, 2, conflictSheet.getLastRow() - 1, 8)
+      .getValues()
+      .map((row: any[]) => [row[2], row[3], row[4], row[5], row[7]]);
+  };
+
+  it('keeps changes made in the sheet after the Doc was created', () => {
+    sheet.getRange('D2:E2').setValues([[day(2024, 1, 9), 'Ben']]);
+    env.call('updateCompletionStatusToSheet');
+
+    expect(sheet.getRange('D2:E2').getValues()).toEqual([
+      [day(2024, 1, 9), 'Ben'],
+    ]);
+    expect(conflictRows()).toEqual([]);
+    expect(env.outbox).toHaveLength(0);
+  });
+
+  it('lists a field changed in both the Doc and the sheet once instead of overwriting it', () => {
+    sheet.getRange('E2').setValue('Ben');
+    table.getCell(1, 3).setText('Carl');
+    env.call('updateCompletionStatusToSheet');
+    env.call('updateCompletionStatusToSheet');
+
+    expect(sheet.getRange('E2').getValue()).toBe('Ben');
+    expect(conflictRows()).toEqual([
+      ['Report', 'Staff', 'Carl', 'Ben', 'Open'],
+    ]);
+    expect(env.outbox).toHaveLength(1);
+    expect(env.outbox[0].body).toContain('Resolve Sync Conflicts');
+  });
+
+  it('does not complete a task again after it was un-completed in the sheet', () => {
+    table.getCell(1, 5).setText('C');
+    env.call('updateCompletionStatusToSheet');
+    expect(sheet.getRange('F2').getValue()).toBe(true);
+
+    sheet.getRange('F2').setValue(false);
+    env.call('updateCompletionStatusToSheet');
+
+    expect(sheet.getRange('F2').getValue()).toBe(false);
+    // The next occurrence was appended only by the first sync
+    expect(sheet.getRange('B4').getValue()).toBe('');
+    expect(conflictRows()).toEqual([
+      ['Report', 'Complete', 'C', 'Not complete', 'Open'],
+    ]);
+  });
+
+  describe('resolving conflicts', () => {
+    beforeEach(() => {
+      sheet.getRange('C2:E2').setValues([['final', day(2024, 1, 9), 'Ben']]);
+      table.getCell(1, 2).setText('Thursday, January 11, 2024');
+      table.getCell(1, 3).setText('Carl');
+      env.call('updateCompletionStatusToSheet');
+    });
+
+    it('shows the oldest open conflict in a dialog', () => {
+      env.call('showSyncConflictModal');
+
+      const dialog = env.ui.record.dialogs[0];
+      expect(dialog.title).toBe('Resolve Sync Conflicts');
+      expect(dialog.content).toContain('Sync Conflict (2 Open)');
+      expect(dialog.content).toContain('Thursday, January 11, 2024');
+      expect(dialog.content).toContain('resolveSyncConflict(2, choice)');
+    });
+
+    it('applies the Doc value or keeps the sheet value and moves to the next conflict', () => {
+      env.call('resolveSyncConflict', 2, 'doc');
+
+      expect(sheet.getRange('D2').getValue()).toEqual(day(2024, 1, 11));
+      expect(env.ui.record.dialogs[0].content).toContain(
+        'Date of Report: Doc value applied.'
+      );
+      expect(env.ui.record.dialogs[0].content).toContain(
+        'resolveSyncConflict(3, choice)'
+      );
+
+      env.call('resolveSyncConflict', 3, 'sheet');
+
+      expect(sheet.getRange('E2').getValue()).toBe('Ben');
+      expect(conflictRows().map((row: any[]) => row[4])).toEqual([
+        'Doc value applied',
+        'Sheet value kept',
+      ]);
+      expect(env.browser.messages[0].prompt).toBe(
+        'Staff of Report: Sheet value kept. There are no open sync conflicts.'
+      );
+    });
+
+    it('does not list resolved conflicts again when the same Doc is synced', () => {
+      env.call('resolveSyncConflict', 2, 'sheet');
+      env.call('resolveSyncConflict', 3, 'sheet');
+      env.call('updateCompletionStatusToSheet');
+
+      expect(conflictRows()).toHaveLength(2);
+      expect(sheet.getRange('D2:E2').getValues()).toEqual([
+        [day(2024, 1, 9), 'Ben'],
+      ]);
+    });
+  });
+});
@@ -0,0 +1,121 @@
+// Tests for src/task-ids.js
+
+import { createGasEnvironment, GasEnvironment } from './gas/environment';
+import {
+  addTaskSheet,
+  day,
+  setupGeneralReminders,
+  setupProject,
+} from './gas/fixtures';
+
+// Wednesday, January 10, 2024
+const NOW = new Date(2024, 0, 10, 8, 0, 0);
+
+describe('Task IDs', () => {
+  let env: GasEnvironment;
+
+  beforeEach(() => {
+    env = createGasEnvironment({ now: NOW });
+    setupProject(env);
+  });
+
+  const ensureTaskIds = (sheetName: string) =>
+    env.run(`(() => {
+      const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(${JSON.stringify(
+        sheetName
+      )});
+      return ensureTaskIds_(sheet, TaskSheetSchema.load().resolveColumns(sheet));
+    })()`);
+
+  it('adds a hidden ID column to a sheet without one and fills in missing and duplicate IDs', () => {
+    const sheet = addTaskSheet(env, 'Admin: Budget', [
+      { item: 'First', date: day(2024, 1, 10) },
+      { item: 'Second', date: day(2024, 1, 11) },
+      { item: 'Third', date: day(2024, 1, 12) },
+    ]);
+    sheet.getRange('B4').setValue('');
+    const columns = ensureTaskIds('Admin: Budget');
+
+    expect(columns.id).toBe(7);
+    expect(sheet.getRange('G1').getValue()).toBe('Task ID');
+    expect(sheet.isColumnHiddenByUser(7)).toBe(true);
+    const ids = sheet
+      .getRange('G2:G4')
+      .getValues()
+      .map((row: any[]) => row[0]);
+    expect(ids[0]).toMatch(/^T[0-9A-F]{10}$/);
+    expect(ids[1]).not.toBe(ids[0]);
+    expect(ids[2]).toBe('');
+
+    // A copied row keeps the first ID and the copy gets a new one
+    sheet.getRange('G3').setValue(ids[0]);
+    sheet.getRange('G2').setValue(ids[0]);
+    ensureTaskIds('Admin: Budget');
+    expect(sheet.getRange('G2').getValue()).toBe(ids[0]);
+    expect(sheet.getRange('G3').getValue()).not.toBe(ids[0]);
+  });
+
+  describe('completion from the reminder Doc', () => {
+    let sheet: any;
+    let docs: any;
+
+    beforeEach(() => {
+      sheet = addTaskSheet(env, 'Admin: Budget', [
+        {
+          item: 'Check',
+          summary: 'same',
+          date: day(2024, 1, 10),
+          staff: 'Aki',
+        },
+        {
+          item: 'Check',
+          summary: 'same',
+          date: day(2024, 1, 10),
+          staff: 'Aki',
+        },
+      ]);
+      docs = setupGeneralReminders(env);
+      env.call('runGeneralReminderToday');
+    });
+
+    it('ticks only the row of the marked task among identical tasks', () => {
+      docs.today.getBody().getTables()[0].getCell(2, 5).setText('C');
+      env.call('updateCompletionStatusToSheet');
+
+      expect(sheet.getRange('F2:F3').getValues()).toEqual([[false], [true]]);
+    });
+
+    it('ticks the task after its text was edited in the sheet', () => {
+      sheet.getRange('B2:C2').setValues([['Check budget', 'edited']]);
+      docs.today.getBody().getTables()[0].getCell(1, 5).setText('C');
+      env.call('updateCompletionStatusToSheet');
+
+      expect(sheet.getRange('F2:F3').getValues()).toEqual([[true], [false]]);
+      expect(env.outbox.map((mail) => mail.subject)).not.toContain(
+        'Changes Not Applied When Updating Task Sheets from Reminder Docs'
+      );
+    });
+
+    it('flags a marked task whose row was deleted as a sync conflict', () => {
+      const taskId = sheet.getRange('G2').getValue();
+      sheet.deleteRow(2);
+      docs.today.getBody().getTables()[0].getCell(1, 5).setText('C');
+      env.call('updateCompletionStatusToSheet');
+
+      expect(sheet.getRange('F2').getValue()).toBe(false);
+      expect(
+        env.spreadsheet
+          .getSheetByName('Sync Conflicts')!
+          .getRange('B2:G2')
+          .getValues()
+      ).toEqual([['Admin: Budget', taskId, 'Check', 'Row', 'C', 'Not found']]);
+      const report = env.outbox.find(
+        (mail) =>
+          mail.subject ===
+          'Changes Not Applied When Updating Task Sheets from Reminder Docs'
+      )!;
+      expect(report.to).toBe('owner@example.com');
+      expect(report.body).toContain('1 change(s) in reminder Docs conflicted');
+    });
+  });
+});
@@ -0,0 +1,171 @@
+// Tests for src/task-sheet-completion.js
+
+import { createGasEnvironment, GasEnvironment } from './gas/environment';
+import {
+  addTaskSheet,
+  day,
+  INDEX_SHEET_INFO,
+  setupProject,
+} from './gas/fixtures';
+
+const FLAG = INDEX_SHEET_INFO.completionFlag;
+
+describe('TaskSheetCompletion', () => {
+  let env: GasEnvironment;
+  let budget: any;
+
+  beforeEach(() => {
+    env = createGasEnvironment({ now: new Date(2024, 0, 10) });
+    setupProject(env);
+    budget = addTaskSheet(env, 'Admin: Budget', [
+      { item: 'Report', date: day(2024, 1, 5), staff: 'Aki', complete: true },
+      { item: 'Call', date: day(2024, 1, 8), staff: 'Ben', complete: true },
+    ]);
+    budget
+      .protect()
+      .setDescription('Sheet protection')
+      .addEditors(['aki@example.com', 'ben@example.com']);
+    addTaskSheet(env, 'Admin: Payroll', [
+      { item: 'Check', date: day(2024, 1, 12), staff: 'Aki' },
+    ]);
+  });
+
+  const sheetNames = () =>
+    env.spreadsheet.getSheets().map((sheet) => sheet.getName());
+  const editors = (sheet: any) =>
+    sheet
+      .getProtections('SHEET')[0]
+      .getEditors()
+      .map((editor: any) => editor.getEmail());
+  const indexDump = (name: string) =>
+    env.spreadsheet.getSheetByName(name)!.getRange('A1:A2').getValues();
+
+  it('leaves task sheets alone while automatic completion is off', () => {
+    env.call('updateAllTaskIndexSheets');
+
+    expect(sheetNames()).toContain('Admin: Budget');
+  });
+
+  it('completes task sheets whose tasks are all checked when the index sheets are updated', () => {
+    env.properties.setJson('AUTO_COMPLETION', { enabled: true });
+    const position = budget.getIndex();
+
+    env.call('updateAllTaskIndexSheets');
+
+    expect(budget.getName()).toBe(`${FLAG}Admin: Budget`);
+    expect(budget.getIndex()).toBeGreaterThan(position);
+    expect(editors(budget)).not.toContain('aki@example.com');
+    expect(editors(budget)).not.toContain('ben@example.com');
+    expect(sheetNames()).toContain('Admin: Payroll');
+    expect(indexDump(INDEX_SHEET_INFO.completedTaskSheetName)[1][0]).toMatch(
+      /^Budget\n/
+    );
+    expect(indexDump(INDEX_SHEET_INFO.ongoingTaskSheetName)[1][0]).toMatch(
+      /^Payroll\n/
+    );
+  });
+
+  it('copies completed sheets to the archive spreadsheet', () => {
+    const archive = env.createSpreadsheet('Archive');
+    env.properties.setJson('AUTO_COMPLETION', {
+      enabled: true,
+      archiveSpreadsheetUrl: archive.getUrl(),
+    });
+
+    env.call('updateAllTaskIndexSheets');
+
+    const copy = archive.getSheetByName(`${FLAG}Admin: Budget`)!;
+    expect(copy.getRange('B2:B3').getValues()).toEqual([['Report'], ['Call']]);
+  });
+
+  it('reopens a completed sheet as it was and keeps it open until a task is open', () => {
+    const archive = env.createSpreadsheet('Archive');
+    archive.insertSheet('Sheet1');
+    env.properties.setJson('AUTO_COMPLETION', {
+      enabled: true,
+      archiveSpreadsheetUrl: archive.getUrl(),
+    });
+    const position = budget.getIndex();
+    env.call('updateAllTaskIndexSheets');
+
+    env.spreadsheet.setActiveSheet(budget);
+    env.call('reopenTaskSheet');
+
+    expect(budget.getName()).toBe('Admin: Budget');
+    expect(budget.getIndex()).toBe(position);
+    expect(editors(budget)).toEqual(
+      expect.arrayContaining(['aki@example.com', 'ben@example.com'])
+    );
+    expect(archive.getSheetByName(`${FLAG}Admin: Budget`)).toBeNull();
+    expect(indexDump(INDEX_SHEET_INFO.ongoingTaskSheetName)[1][0]).toMatch(
+      /^Budget\n/
+    );
+    expect(env.browser.messages.pop()!.prompt).toContain(
+      'Admin: Budget was reopened'
+    );
+
+    // Not completed again while its tasks stay checked
+    env.call('updateAllTaskIndexSheets');
+    expect(budget.getName()).toBe('Admin: Budget');
+
+    // Completed again once a task has been opened and checked again
+    budget.getRange('F2').setValue(false);
+    env.call('updateAllTaskIndexSheets');
+    budget.getRange('F2').setValue(true);
+    env.call('updateAllTaskIndexSheets');
+    expect(budget.getName()).toBe(`${FLAG}Admin: Budget`);
+  });
+
+  it('reopens a sheet completed by renaming it', () => {
+    const sheet = addTaskSheet(env, `${FLAG}Sales: Q4 Plan`, []);
+    env.spreadsheet.setActiveSheet(sheet);
+
+    env.call('reopenTaskSheet');
+
+    expect(sheet.getName()).toBe('Sales: Q4 Plan');
+  });
+
+  it('does not reopen a sheet that is not completed', () => {
+    env.spreadsheet.setActiveSheet(budget);
+
+    env.call('reopenTaskSheet');
+
+    expect(budget.getName()).toBe('Admin: Budget');
+    expect(env.browser.messages[0].prompt).toBe(
+      'Admin: Budget is not a completed task sheet.'
+    );
+  });
+
+  it('shows the setting in the language of the setting and records completions with the usual actions', () => {
+    env.properties.setJson('LOCALE', { locale: 'ja' });
+    env.call('showAutoCompletionModal');
+
+    expect(env.ui.record.dialogs[0].content).toContain(
+      'タスクシートを自動で完了にする'
+    );
+
+    env.properties.setJson('AUTO_COMPLETION', { enabled: true });
+    env.call('updateAllTaskIndexSheets');
+    env.spreadsheet.setActiveSheet(budget);
+    env.call('reopenTaskSheet');
+
+    const log = env.spreadsheet.getSheetByName('Activity Log')!;
+    expect(log.getRange(2, 3, 2, 1).getValues()).toEqual([
+      ['Complete task sheet'],
+      ['Reopen task sheet'],
+    ]);
+  });
+
+  it('rejects an archive spreadsheet that cannot be opened', () => {
+    env.call('setAutoCompletion', {
+      enabled: true,
+      archiveSpreadsheetUrl:
+        'https://docs.google.com/spreadsheets/d/missing/edit',
+    });
+
+    expect(env.properties.getProperty('AUTO_COMPLETION')).toBeNull();
+    expect(env.browser.messages[0].prompt).toContain(
+      'The archive spreadsheet cannot be opened.'
+    );
+  });
+});
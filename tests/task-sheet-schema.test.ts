@@ -0,0 +1,154 @@
+// Tests for src/task-sheet-schema.js
+
+import { createGasEnvironment, GasEnvironment } from './gas/environment';
+import { addTaskSheet, setupProject } from './gas/fixtures';
+
+describe('TaskSheetSchema', () => {
+  let env: GasEnvironment;
+
+  beforeEach(() => {
+    env = createGasEnvironment({ now: new Date(2024, 0, 10) });
+    setupProject(env);
+  });
+
+  it('uses the default headers when no schema is stored', () => {
+    const schema = env.run('TaskSheetSchema.load()');
+
+    expect(schema.getHeaderRow()).toEqual([
+      'Item',
+      'Summary',
+      'Date',
+      'Staff',
+      'Priority',
+      'Recurrence',
+      'Complete',
+      'Comment',
+      'Task ID',
+    ]);
+    expect(schema.getLayout(2)).toEqual({
+      item: 2,
+      summary: 3,
+      date: 4,
+      staff: 5,
+      priority: 6,
+      recurrence: 7,
+      complete: 8,
+      comment: 9,
+      id: 10,
+    });
+  });
+
+  it('resolves columns by header and ignores extra columns', () => {
+    const sheet = addTaskSheet(env, 'Admin: Budget', [{ item: 'Task' }]);
+    sheet.insertColumnsAfter(3, 1);
+    sheet.getRange('D1').setValue('Owner notes');
+
+    const columns = env.run('TaskSheetSchema.load()').resolveColumns(sheet);
+
+    expect(columns).toEqual({
+      item: 2,
+      summary: 3,
+      date: 5,
+      staff: 6,
+      priority: null,
+      recurrence: null,
+      complete: 7,
+      comment: null,
+      id: null,
+    });
+  });
+
+  it('matches headers case-insensitively and returns null if one is missing', () => {
+    const schema = env.run('TaskSheetSchema.load()');
+
+    expect(
+      schema.resolveColumnsFromHeaderRow([
+        '',
+        ' item ',
+        'SUMMARY',
+        'date',
+        'Staff',
+        'Complete',
+      ])
+    ).toEqual({
+      item: 2,
+      summary: 3,
+      date: 4,
+      staff: 5,
+      priority: null,
+      recurrence: null,
+      complete: 6,
+      comment: null,
+      id: null,
+    });
+    expect(
+      schema.resolveColumnsFromHeaderRow([
+        '',
+        'Item',
+        'Summary',
+        'Date',
+        'Staff',
+      ])
+    ).toBeNull();
+  });
+
+  it('loads custom header names from the setting', () => {
+    env.call('setTaskSheetSchema', {
+      item: 'Task',
+      summary: 'Details',
+      date: 'Due',
+      staff: 'Owner',
+      priority: 'Urgency',
+      recurrence: 'Repeat',
+      complete: 'Done',
+      comment: 'Notes',
+      id: 'Key',
+    });
+
+    expect(env.properties.getJson('TASK_SHEET_SCHEMA')).toEqual({
+      item: 'Task',
+      summary: 'Details',
+      date: 'Due',
+      staff: 'Owner',
+      priority: 'Urgency',
+      recurrence: 'Repeat',
+      complete: 'Done',
+      comment: 'Notes',
+      id: 'Key',
+    });
+    expect(env.run('TaskSheetSchema.load()').getHeaderRow()).toEqual([
+      'Task',
+      'Details',
+      'Due',
+      'Owner',
+      'Urgency',
+      'Repeat',
+      'Done',
+      'Notes',
+      'Key',
+    ]);
+  });
+
+  it('rejects empty or duplicate header names', () => {
+    env.call('setTaskSheetSchema', {
+      item: 'Task',
+      summary: 'task',
+      date: 'Due',
+      staff: 'Owner',
+      complete: '',
+    });
+
+    expect(env.properties.getProperty('TASK_SHEET_SCHEMA')).toBeNull();
+    expect(env.browser.messages[0].prompt).toContain(
+      'must be filled in and different'
+    );
+  });
+
+  it('converts column numbers to letters', () => {
+    const TaskSheetSchema = env.get('TaskSheetSchema');
+
+    expect(TaskSheetSchema.columnToLetter(1)).toBe('A');
+    expect(TaskSheetSchema.columnToLetter(26)).toBe('Z');
+    expect(TaskSheetSchema.columnToLetter(28)).toBe('AB');
+  });
+});
@@ -0,0 +1,211 @@
+// Tests for src/task-sheet-templates.js
+
+import { createGasEnvironment, GasEnvironment } from './gas/environment';
+import { addTaskSheet, day, setupProject } from './gas/fixtures';
+
+const EDITORS = ['Aki|aki@example.com', 'Ben|ben@example.com'];
+
+describe('TaskSheetTemplate', () => {
+  let env: GasEnvironment;
+
+  beforeEach(() => {
+    env = createGasEnvironment({ now: new Date(2024, 0, 10, 9, 0, 0) });
+    setupProject(env);
+  });
+
+  const addTemplate = (name: string, rows: string[][]) => {
+    const sheet = env.spreadsheet.insertSheet(`【Template】${name}`);
+    sheet.getRange(1, 1, 1, 4).setValues([['Item', 'Summary', 'Due', 'Role']]);
+    sheet.getRange(2, 1, rows.length, 4).setValues(rows);
+    sheet.hideSheet();
+    return sheet;
+  };
+
+  describe('saveActiveSheetAsTemplate', () => {
+    let sheet: any;
+
+    beforeEach(() => {
+      sheet = addTaskSheet(env, 'HR: Onboarding Dana', [
+        { item: 'Contract', date: day(2024, 1, 8), staff: 'Aki' },
+        {
+          item: 'Laptop',
+          summary: 'Order it',
+          date: day(2024, 1, 10),
+          staff: 'Ben',
+        },
+        { item: 'Welcome lunch', date: day(2024, 1, 13) },
+        { item: 'Paperwork' },
+      ]);
+      env.spreadsheet.setActiveSheet(sheet);
+    });
+
+    it('saves the tasks with due dates relative to the earliest one in a hidden sheet', () => {
+      env.browser.respond('Onboarding');
+
+      env.call('saveActiveSheetAsTemplate');
+
+      const template = env.spreadsheet.getSheetByName(
+        '【Template】Onboarding'
+      )!;
+      expect(template.isSheetHidden()).toBe(true);
+      expect(template.getRange('A1:D5').getValues()).toEqual([
+        ['Item', 'Summary', 'Due', 'Role'],
+        ['Contract', '', 'Start', 'Aki'],
+        ['Laptop', 'Order it', 'Start + 2 business days', 'Ben'],
+        ['Welcome lunch', '', 'Start + 5 days', ''],
+        ['Paperwork', '', '', ''],
+      ]);
+      expect(template.getRange('C1').getNote()).toContain('business days');
+      expect(env.spreadsheet.getActiveSheet()).toBe(sheet);
+      expect(env.browser.messages.pop()!.prompt).toContain(
+        'The template Onboarding was saved with 4 task(s).'
+      );
+    });
+
+    it('replaces a template of the same name only when confirmed', () => {
+      addTemplate('Onboarding', [['Old task', '', 'Start', '']]);
+      env.spreadsheet.setActiveSheet(sheet);
+
+      env.browser.respond('Onboarding', 'no');
+      env.call('saveActiveSheetAsTemplate');
+      expect(
+        env.spreadsheet
+          .getSheetByName('【Template】Onboarding')!
+          .getRange('A2')
+          .getValue()
+      ).toBe('Old task');
+
+      env.browser.respond('Onboarding', 'yes');
+      env.call('saveActiveSheetAsTemplate');
+      expect(
+        env.spreadsheet
+          .getSheetByName('【Template】Onboarding')!
+          .getRange('A2:A5')
+          .getValues()
+      ).toEqual([['Contract'], ['Laptop'], ['Welcome lunch'], ['Paperwork']]);
+    });
+
+    it('refuses template names with " : "', () => {
+      env.browser.respond('HR: Onboarding');
+
+      env.call('saveActiveSheetAsTemplate');
+
+      expect(
+        env.spreadsheet.getSheetByName('【Template】HR: Onboarding')
+      ).toBeNull();
+      expect(env.browser.messages.pop()!.prompt).toContain(
+        'The template name is empty or includes " : ".'
+      );
+    });
+  });
+
+  describe('createSheetFromTemplate', () => {
+    beforeEach(() => {
+      addTemplate('Month-End Close', [
+        ['Reconcile bank', 'All accounts', 'Start', 'Accountant'],
+        ['Close ledger', '', 'Start + 3 business days', 'Ben'],
+        ['Report', 'To the board', 'start + 1 week', 'Auditor'],
+        ['Archive receipts', '', '', ''],
+      ]);
+      env.properties.setJson('TEMPLATE_ROLES', { Accountant: 'Aki' });
+    });
+
+    it('prefills the tasks with due dates from the start date and the staff of their roles', () => {
+      env.call(
+        'createSheetFromTemplateWrapper',
+        'Month-End Close',
+        'Finance: January Close',
+        '2024-01-12',
+        EDITORS
+      );
+
+      const sheet = env.spreadsheet.getSheetByName('Finance: January Close')!;
+      expect(sheet.getRange('B2:E5').getValues()).toEqual([
+        ['Reconcile bank', 'All accounts', day(2024, 1, 12), 'Aki'],
+        ['Close ledger', '', day(2024, 1, 17), 'Ben'],
+        ['Report', 'To the board', day(2024, 1, 19), ''],
+        ['Archive receipts', '', '', ''],
+      ]);
+      expect(sheet.getRange('H5').getValue()).toBe(false);
+      expect(sheet.getRange('H15').getValue()).toBe(false);
+      expect(sheet.getRange('H16').getValue()).toBe('');
+      expect(env.browser.messages.pop()!.prompt).toBe(
+        'New sheet Finance: January Close was created with 4 task(s) from the template Month-End Close.'
+      );
+    });
+
+    it('does not create the sheet when the template or the start date cannot be used', () => {
+      env.call(
+        'createSheetFromTemplateWrapper',
+        'Onboarding',
+        'Finance: January Close',
+        '2024-01-12',
+        EDITORS
+      );
+      expect(env.browser.messages.pop()!.prompt).toBe(
+        'The template Onboarding was not found.'
+      );
+
+      env.call(
+        'createSheetFromTemplateWrapper',
+        'Month-End Close',
+        'Finance: January Close',
+        '',
+        EDITORS
+      );
+      expect(env.browser.messages.pop()!.prompt).toContain(
+        'The start date is not valid.'
+      );
+      expect(
+        env.spreadsheet.getSheetByName('Finance: January Close')
+      ).toBeNull();
+    });
+
+    it('offers the templates and checks the staff of their roles in the dialog', () => {
+      env.call('createSheetFromTemplateModal');
+
+      const dialog = env.ui.record.dialogs[0];
+      expect(dialog.title).toBe('Create a Task Sheet from a Template');
+      expect(dialog.content).toContain(
+        '<option value="Month-End Close">Month-End Close</option>'
+      );
+      expect(dialog.content).toContain('2024-01-10');
+      expect(dialog.content).toContain(
+        'let templates = [{"name":"Month-End Close","staffNames":["Aki","Ben","Auditor"]}];'
+      );
+    });
+
+    it('shows the dialogs in the language of the setting', () => {
+      env.properties.setJson('LOCALE', { locale: 'ja' });
+
+      env.call('createSheetFromTemplateModal');
+      env.call('showTemplateRolesModal');
+
+      const [choice, roles] = env.ui.record.dialogs;
+      expect(choice.content).toContain('<h4>編集者</h4>');
+      expect(choice.content).toContain('value="送信"');
+      expect(roles.content).toContain('<h2>テンプレートの役割の担当者</h2>');
+      expect(roles.content).toContain('<th>役割</th>');
+      expect(roles.content).toContain('>設定を保存<');
+    });
+  });
+
+  it('tells the user to save a template first when there is none', () => {
+    env.call('createSheetFromTemplateModal');
+
+    expect(env.ui.record.dialogs).toHaveLength(0);
+    expect(env.browser.messages[0].prompt).toContain(
+      'There are no task sheet templates yet.'
+    );
+  });
+
+  it('stores the default staff of roles only if they are in the staff list', () => {
+    env.call('setTemplateRoles', { Accountant: 'Carol' });
+    expect(env.properties.getProperty('TEMPLATE_ROLES')).toBeNull();
+
+    env.call('setTemplateRoles', { Accountant: 'Aki', Auditor: '' });
+    expect(JSON.parse(env.properties.getProperty('TEMPLATE_ROLES')!)).toEqual({
+      Accountant: 'Aki',
+    });
+  });
+});
@@ -0,0 +1,189 @@
+// Tests for src/update-indexSh.js
+
+import { createGasEnvironment, GasEnvironment } from './gas/environment';
+import {
+  addTaskSheet,
+  day,
+  INDEX_SHEET_INFO,
+  setupProject,
+} from './gas/fixtures';
+
+describe('updateAllTaskIndexSheets', () => {
+  let env: GasEnvironment;
+
+  beforeEach(() => {
+    env = createGasEnvironment({ now: new Date(2024, 0, 10) });
+    setupProject(env);
+  });
+
+  it('lists ongoing and completed task sheets by category', () => {
+    addTaskSheet(env, 'Admin: Budget', []);
+    addTaskSheet(env, 'Admin: Payroll', []);
+    addTaskSheet(env, 'Sales: Q1 Plan', []);
+    addTaskSheet(env, `${INDEX_SHEET_INFO.completionFlag}Sales: Q4 Plan`, []);
+    env.spreadsheet.insertSheet('Notes');
+
+    env.call('updateAllTaskIndexSheets');
+
+    const ongoing = env.spreadsheet.getSheetByName(
+      INDEX_SHEET_INFO.ongoingTaskSheetName
+    )!;
+    const completed = env.spreadsheet.getSheetByName(
+      INDEX_SHEET_INFO.completedTaskSheetName
+    )!;
+    expect(ongoing.dump()).toEqual([
+      ['Admin', 'Sales'],
+      ['Budget\nOpen 0/0', 'Q1 Plan\nOpen 0/0'],
+      ['Payroll\nOpen 0/0', ''],
+    ]);
+    expect(ongoing.getRange('A2').getFormula()).toMatch(
+      /^=HYPERLINK\(".*#gid=\d+","Budget\nOpen 0\/0"\)$/
+    );
+    expect(ongoing.getTabColor()).toBe('#FF8C00');
+    expect(completed.dump()).toEqual([['Sales'], ['Q4 Plan\nOpen 0/0']]);
+  });
+
+  it('shows the progress, next due date, staff and overdue tasks of each task sheet, coloured by health', () => {
+    addTaskSheet(env, 'Admin: Budget', [
+      { item: 'Report', date: day(2024, 1, 5), staff: 'Aki' },
+      { item: 'Call', date: day(2024, 1, 20), staff: 'Ben' },
+      { item: 'Filing', date: day(2024, 1, 3), staff: 'Ben', complete: true },
+    ]);
+    addTaskSheet(env, 'Admin: Payroll', [
+      { item: 'Check', date: day(2024, 1, 12), staff: 'Aki' },
+      { item: 'Pay', date: day(2024, 1, 30) },
+    ]);
+    addTaskSheet(env, 'Admin: Audit', [
+      { item: 'Plan', date: day(2024, 2, 1), staff: 'Ben' },
+    ]);
+    addTaskSheet(env, 'Admin: Hiring', [
+      { item: 'Offer', date: day(2024, 1, 2), staff: 'Aki', complete: true },
+    ]);
+
+    env.call('updateAllTaskIndexSheets');
+
+    const ongoing = env.spreadsheet.getSheetByName(
+      INDEX_SHEET_INFO.ongoingTaskSheetName
+    )!;
+    expect(ongoing.getRange('A2:A5').getValues()).toEqual([
+      ['Budget\nOpen 2/3 · Next 2024/1/20\nAki, Ben\n⚠ 1 overdue'],
+      ['Payroll\nOpen 2/2 · Next 2024/1/12\nAki, Unassigned'],
+      ['Audit\nOpen 1/1 · Next 2024/2/1\nBen'],
+      ['Hiring\nOpen 0/1'],
+    ]);
+    expect(ongoing.getRange('A2:A5').getBackgrounds()).toEqual([
+      ['#F4CCCC'],
+      ['#FFF2CC'],
+      ['#FFFFFF'],
+      ['#D9EAD3'],
+    ]);
+  });
+
+  it('writes the entries in the language of the setting', () => {
+    env.properties.setJson('LOCALE', { locale: 'ja' });
+    addTaskSheet(env, 'Admin: Payroll', [
+      { item: 'Check', date: day(2024, 1, 5), staff: 'Aki' },
+      { item: 'Pay', date: day(2024, 1, 30) },
+    ]);
+
+    env.call('updateAllTaskIndexSheets');
+
+    const ongoing = env.spreadsheet.getSheetByName(
+      INDEX_SHEET_INFO.ongoingTaskSheetName
+    )!;
+    expect(ongoing.getRange('A2').getValue()).toBe(
+      'Payroll\n未完了 2/2 · 次の期限 2024/1/30\nAki, 未割り当て\n⚠ 期限切れ 1件'
+    );
+  });
+
+  it('lists categories in the configured order, followed by the others in the order found', () => {
+    addTaskSheet(env, 'Admin: Budget', []);
+    addTaskSheet(env, 'Sales: Q1 Plan', []);
+    addTaskSheet(env, 'HR: Hiring', []);
+    addTaskSheet(env, 'IT: Laptops', []);
+    env.properties.setJson('INDEX_SHEET', {
+      ...INDEX_SHEET_INFO,
+      categoryOrder: ['IT', 'Sales', 'Legal'],
+    });
+
+    env.call('updateAllTaskIndexSheets');
+
+    const ongoing = env.spreadsheet.getSheetByName(
+      INDEX_SHEET_INFO.ongoingTaskSheetName
+    )!;
+    expect(ongoing.getRange('A1:D1').getValues()).toEqual([
+      ['IT', 'Sales', 'Admin', 'HR'],
+    ]);
+    const dashboard = env.spreadsheet.getSheetByName('Dashboard')!;
+    expect(dashboard.getRange('A5:A8').getValues()).toEqual([
+      ['IT'],
+      ['Sales'],
+      ['Admin'],
+      ['HR'],
+    ]);
+  });
+
+  it('saves the category order without blank or repeated names', () => {
+    env.call('setIndexSheetInfo', {
+      ...INDEX_SHEET_INFO,
+      categoryOrder: [' Sales ', '', 'Admin', 'Sales'],
+    });
+
+    expect(
+      JSON.parse(env.properties.getProperty('INDEX_SHEET')).categoryOrder
+    ).toEqual(['Sales', 'Admin']);
+  });
+
+  it('sorts every task sheet by date', () => {
+    const sheet = addTaskSheet(env, 'Admin: Budget', [
+      { item: 'Later', date: day(2024, 2, 1) },
+      { item: 'Undated' },
+      { item: 'Sooner', date: day(2024, 1, 5) },
+    ]);
+
+    env.call('updateAllTaskIndexSheets');
+
+    expect(sheet.getRange('B2:B4').getValues()).toEqual([
+      ['Sooner'],
+      ['Later'],
+      ['Undated'],
+    ]);
+  });
+
+  it('does not sort hidden sheets or sheets that are not task sheets', () => {
+    const rows = [
+      { item: 'Later', date: day(2024, 2, 1) },
+      { item: 'Sooner', date: day(2024, 1, 5) },
+    ];
+    const hidden = addTaskSheet(env, 'Helper: Copy', rows);
+    hidden.hideSheet();
+    const notes = addTaskSheet(env, 'Notes', rows);
+
+    env.call('updateAllTaskIndexSheets');
+
+    expect(hidden.getRange('B2:B3').getValues()).toEqual([
+      ['Later'],
+      ['Sooner'],
+    ]);
+    expect(notes.getRange('B2:B3').getValues()).toEqual([
+      ['Later'],
+      ['Sooner'],
+    ]);
+  });
+
+  it('sorts by the Date column even when it has moved', () => {
+    const sheet = addTaskSheet(env, 'Admin: Budget', [
+      { item: 'Later', date: day(2024, 2, 1) },
+      { item: 'Sooner', date: day(2024, 1, 5) },
+    ]);
+    sheet.insertColumnsAfter(1, 1);
+    sheet.getRange('B1:B3').setValues([['Rank'], [1], [2]]);
+
+    env.call('updateAllTaskIndexSheets');
+
+    expect(sheet.getRange('B2:C3').getValues()).toEqual([
+      [2, 'Sooner'],
+      [1, 'Later'],
+    ]);
+  });
+});
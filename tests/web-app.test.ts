@@ -0,0 +1,164 @@
+// Tests for src/web-app.js
+
+import { createGasEnvironment, GasEnvironment } from './gas/environment';
+import {
+  addTaskSheet,
+  day,
+  setupGeneralReminders,
+  setupProject,
+} from './gas/fixtures';
+
+// Wednesday, January 10, 2024
+const NOW = new Date(2024, 0, 10, 8, 0, 0);
+
+describe('TaskCompletionLink', () => {
+  let env: GasEnvironment;
+  let sheet: any;
+
+  beforeEach(() => {
+    env = createGasEnvironment({ now: NOW });
+    setupProject(env);
+    sheet = addTaskSheet(env, 'Admin: Budget', [
+      { item: 'Overdue', summary: 'late', date: day(2024, 1, 5), staff: 'Aki' },
+      {
+        item: 'Weekly check',
+        summary: 'now',
+        date: day(2024, 1, 10),
+        staff: 'Ben',
+        recurrence: 'Weekly on Wednesday',
+      },
+    ]);
+    setupGeneralReminders(env);
+    env.call('setReminderEmailFormat', 'inline');
+    env.call('runGeneralReminderToday');
+  });
+
+  const completeLinks = () =>
+    env.outbox[0].body
+      .split('\n')
+      .filter((line: string) => line.startsWith('  Mark complete: '))
+      .map((line: string) => line.replace('  Mark complete: ', ''));
+
+  const linkParams = (url: string) =>
+    Object.fromEntries(new URL(url).searchParams);
+
+  const open = (url: string) =>
+    env.call('doGet', { parameter: linkParams(url) });
+
+  // Clicks the button of the confirmation page, which passes the link without its action
+  const confirm = (url: string) => {
+    const { action, ...params } = linkParams(url);
+    return env.call('completeTaskFromLink', params);
+  };
+
+  it('adds a signed link to the web app for each task in the email', () => {
+    const links = completeLinks();
+
+    expect(links).toHaveLength(2);
+    expect(links[0]).toMatch(
+      new RegExp(
+        `^${env.webAppUrl}\\?action=complete&sheet=\\d+&id=${sheet
+          .getRange('H2')
+          .getValue()}&item=Overdue&expires=\\d+&sig=`
+      )
+    );
+    expect(env.outbox[0].options.htmlBody).toContain(
+      `<a href="${links[0].replace(
+        /&/g,
+        '&amp;'
+      )}" target="_blank">Mark complete</a>`
+    );
+  });
+
+  it('leaves the links out of the email shown in the preview', () => {
+    env.setNow(new Date(2024, 0, 11, 8, 0, 0));
+    env.call('previewGeneralReminderToday');
+
+    const content =
+      env.ui.record.dialogs[env.ui.record.dialogs.length - 1].content;
+    expect(content).toContain('Overdue');
+    expect(content).not.toContain('Mark complete');
+    expect(content).not.toContain('sig=');
+  });
+
+  it('only shows a confirmation page when the link is opened', () => {
+    const page = open(completeLinks()[0]);
+
+    expect(page.getTitle()).toBe('SheetTasker');
+    expect(page.getContent()).toContain(
+      'Do you want to mark Overdue as complete?'
+    );
+    expect(page.getContent()).toContain('.completeTaskFromLink(params)');
+    expect(sheet.getRange('F2:F3').getValues()).toEqual([[false], [false]]);
+    expect(sheet.getLastRow()).toBe(3);
+  });
+
+  it('ticks the task of the link when it is confirmed', () => {
+    expect(confirm(completeLinks()[0])).toEqual({
+      status: 'completed',
+      message: 'Overdue in Admin: Budget was marked as complete.',
+    });
+    expect(sheet.getRange('F2:F3').getValues()).toEqual([[true], [false]]);
+
+    expect(confirm(completeLinks()[0])).toEqual({
+      status: 'alreadyCompleted',
+      message: 'Overdue in Admin: Budget has already been completed.',
+    });
+  });
+
+  it('rejects a link after it expires', () => {
+    const link = completeLinks()[0];
+    env.setNow(new Date(2024, 0, 24, 8, 0, 1));
+
+    expect(open(link).getContent()).toContain('This link has expired.');
+    expect(confirm(link).status).toBe('expired');
+    expect(sheet.getRange('F2').getValue()).toBe(false);
+  });
+
+  it('rejects a link whose expiry was altered', () => {
+    const link = completeLinks()[0].replace(
+      /expires=\d+/,
+      'expires=9999999999999'
+    );
+
+    expect(open(link).getContent()).toContain('This link is not valid.');
+    expect(confirm(link).status).toBe('invalid');
+    expect(sheet.getRange('F2').getValue()).toBe(false);
+  });
+
+  it('appends the next occurrence of a recurring task', () => {
+    confirm(completeLinks()[1]);
+
+    expect(sheet.getRange('B4:D4').getValues()).toEqual([
+      ['Weekly check', 'now', day(2024, 1, 17)],
+    ]);
+  });
+
+  it('rejects a link whose task was altered', () => {
+    const link = completeLinks()[0].replace('item=Overdue', 'item=Other');
+    const page = open(link);
+
+    expect(page.getContent()).toContain('This link is not valid.');
+    expect(confirm(link).status).toBe('invalid');
+    expect(sheet.getRange('F2').getValue()).toBe(false);
+  });
+
+  it('finds the task by its ID after its text and position change', () => {
+    sheet.getRange('C2').setValue('edited');
+    sheet.insertRowBefore(2);
+
+    confirm(completeLinks()[0]);
+
+    expect(sheet.getRange('F3').getValue()).toBe(true);
+  });
+
+  it('does not find a task whose row was deleted', () => {
+    const link = completeLinks()[0];
+    sheet.deleteRow(2);
+
+    expect(confirm(link).message).toContain(
+      'Overdue was not found in Admin: Budget.'
+    );
+    expect(sheet.getRange('F2').getValue()).toBe(false);
+  });
+});
@@ -0,0 +1,168 @@
+// Tests for src/working-calendar.js
+
+import { createGasEnvironment, GasEnvironment } from './gas/environment';
+import {
+  addTaskSheet,
+  day,
+  setupGeneralReminders,
+  setupProject,
+} from './gas/fixtures';
+
+// Wednesday, January 10, 2024
+const NOW = new Date(2024, 0, 10, 8, 0, 0);
+
+const ICS = [
+  'BEGIN:VCALENDAR',
+  'BEGIN:VEVENT',
+  'DTSTART;VALUE=DATE:20240108',
+  'DTEND;VALUE=DATE:20240109',
+  'SUMMARY:Coming of Age Day',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'DTSTART;VALUE=DATE:20240111',
+  'DTEND;VALUE=DATE:20240113',
+  'SUMMARY:Office closed\\, annual',
+  '  maintenance',
+  'END:VEVENT',
+  'END:VCALENDAR',
+].join('\r\n');
+
+describe('WorkingCalendar', () => {
+  let env: GasEnvironment;
+
+  beforeEach(() => {
+    env = createGasEnvironment({ now: NOW });
+    setupProject(env);
+  });
+
+  it('works Monday to Friday without holidays by default', () => {
+    const calendar = env.run('WorkingCalendar.load()');
+
+    expect(calendar.isWorkingDay(day(2024, 1, 12))).toBe(true);
+    expect(calendar.isWorkingDay(day(2024, 1, 13))).toBe(false);
+    expect(calendar.getNextWorkingDay(day(2024, 1, 12))).toEqual(
+      day(2024, 1, 15)
+    );
+  });
+
+  it('reads working weekdays from the setting and holidays from the holiday sheet', () => {
+    const holidays = env.spreadsheet.insertSheet('Holidays');
+    holidays.getRange('A1:B3').setValues([
+      ['Date', 'Name'],
+      [day(2024, 1, 14), 'Team day'],
+      ['2024/1/16', 'Typed as text'],
+    ]);
+    env.properties.setJson('WORKING_CALENDAR', {
+      workingWeekdays: [0, 1, 2, 3, 4],
+      holidaySheetName: 'Holidays',
+    });
+
+    const calendar = env.run('WorkingCalendar.load()');
+
+    expect(calendar.isWorkingDay(day(2024, 1, 12))).toBe(false);
+    expect(calendar.isWorkingDay(day(2024, 1, 14))).toBe(false);
+    expect(calendar.isWorkingDay(day(2024, 1, 15))).toBe(true);
+    expect(calendar.getNextWorkingDay(day(2024, 1, 15))).toEqual(
+      day(2024, 1, 17)
+    );
+  });
+
+  it('parses all-day events from an ICS file', () => {
+    const holidays = env.get('WorkingCalendar').parseIcs(ICS);
+
+    expect(holidays).toEqual([
+      { date: day(2024, 1, 8), name: 'Coming of Age Day' },
+      { date: day(2024, 1, 11), name: 'Office closed, annual maintenance' },
+      { date: day(2024, 1, 12), name: 'Office closed, annual maintenance' },
+    ]);
+  });
+
+  it('imports an ICS file into the holiday sheet from the setting', () => {
+    env.call('setWorkingCalendar', {
+      workingWeekdays: [1, 2, 3, 4, 5],
+      holidaySheetName: 'Holidays',
+      icsText: ICS,
+    });
+    // Importing the same file again adds nothing
+    env.call('setWorkingCalendar', {
+      workingWeekdays: [1, 2, 3, 4, 5],
+      holidaySheetName: 'Holidays',
+      icsText: ICS,
+    });
+
+    expect(env.properties.getJson('WORKING_CALENDAR')).toEqual({
+      workingWeekdays: [1, 2, 3, 4, 5],
+      holidaySheetName: 'Holidays',
+    });
+    expect(env.spreadsheet.getSheetByName('Holidays')!.dump()).toEqual([
+      ['Date', 'Name'],
+      [day(2024, 1, 8), 'Coming of Age Day'],
+      [day(2024, 1, 11), 'Office closed, annual maintenance'],
+      [day(2024, 1, 12), 'Office closed, annual maintenance'],
+    ]);
+    expect(env.browser.messages[0].prompt).toContain(
+      '3 holiday(s) were added to Holidays.'
+    );
+    expect(env.browser.messages[1].prompt).toContain(
+      '0 holiday(s) were added to Holidays.'
+    );
+  });
+
+  it('rejects a setting without working weekdays', () => {
+    env.call('setWorkingCalendar', {
+      workingWeekdays: [],
+      holidaySheetName: '',
+    });
+
+    expect(env.properties.getProperty('WORKING_CALENDAR')).toBeNull();
+    expect(env.browser.messages[0].prompt).toContain(
+      'At least one working weekday must be selected.'
+    );
+  });
+
+  describe('reminders', () => {
+    beforeEach(() => {
+      addTaskSheet(env, 'Admin: Budget', [
+        { item: 'Today', date: day(2024, 1, 10) },
+        { item: 'Thursday', date: day(2024, 1, 11) },
+        { item: 'Sunday', date: day(2024, 1, 14) },
+        { item: 'Next Wed', date: day(2024, 1, 17) },
+        { item: 'Next Thu', date: day(2024, 1, 18) },
+      ]);
+      env.call('setWorkingCalendar', {
+        workingWeekdays: [0, 1, 2, 3, 4],
+        holidaySheetName: 'Holidays',
+        icsText: ICS,
+      });
+    });
+
+    it('looks ahead over the next five working days', () => {
+      const data = env
+        .run(`new ReminderManager('general', 'week')`)
+        .getReminderData();
+
+      // Thu 11 is a holiday and Fri/Sat are not working days, so the five
+      // working days are Sun 14 to Thu 18
+      expect(data[0].taskData.map((t: any) => t.item)).toEqual([
+        'Today',
+        'Sunday',
+        'Next Wed',
+        'Next Thu',
+      ]);
+    });
+
+    it("skips today's reminder on holidays and non-working weekdays only", () => {
+      setupGeneralReminders(env);
+
+      env.setNow(new Date(2024, 0, 11, 8));
+      env.call('runGeneralReminderToday');
+      env.setNow(new Date(2024, 0, 13, 8));
+      env.call('runGeneralReminderToday');
+      expect(env.outbox).toHaveLength(0);
+
+      env.setNow(new Date(2024, 0, 14, 8));
+      env.call('runGeneralReminderToday');
+      expect(env.outbox).toHaveLength(1);
+    });
+  });
+});